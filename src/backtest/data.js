@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Accepted column names for each bar field, compared case-insensitively
+const COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'time', 'date', 'datetime', 't'],
+    open: ['open', 'o', 'openprice'],
+    high: ['high', 'h', 'highprice'],
+    low: ['low', 'l', 'lowprice'],
+    close: ['close', 'c', 'closeprice', 'adj close', 'adj_close'],
+    volume: ['volume', 'v']
+};
+
+/**
+ * Load historical OHLCV bars from a CSV or JSON file
+ * @param {string} filePath Path to a .csv or .json file
+ * @returns {Array<Object>} Bars sorted oldest first
+ */
+function loadBars(filePath) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        let rows;
+        if (extension === '.csv') {
+            rows = parseCSV(content);
+        } else if (extension === '.json') {
+            const parsed = JSON.parse(content);
+            rows = Array.isArray(parsed) ? parsed : parsed.bars;
+        } else {
+            throw new Error(`Unsupported file type: ${extension}`);
+        }
+
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new Error('No bars found');
+        }
+
+        return normalizeBars(rows);
+    } catch (error) {
+        logger.error('Error loading historical bars', { error });
+        throw new Error(`Failed to load bars from ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} content CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+function parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    const headers = lines[0].split(',').map(header => header.trim());
+
+    return lines.slice(1).map(line => {
+        const values = line.split(',');
+        return headers.reduce((row, header, index) => {
+            row[header] = values[index] !== undefined ? values[index].trim() : undefined;
+            return row;
+        }, {});
+    });
+}
+
+/**
+ * Map raw rows onto { timestamp, open, high, low, close, volume } and sort by time
+ * @param {Array<Object>} rows Raw rows from CSV or JSON
+ * @returns {Array<Object>} Normalized bars
+ */
+function normalizeBars(rows) {
+    const bars = rows.map((row, index) => {
+        const bar = {};
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            const key = Object.keys(row).find(column => aliases.includes(column.toLowerCase()));
+            bar[field] = key !== undefined ? row[key] : undefined;
+        }
+
+        const timestamp = new Date(bar.timestamp);
+        if (isNaN(timestamp.getTime())) {
+            throw new Error(`Invalid timestamp in row ${index + 1}: ${bar.timestamp}`);
+        }
+
+        const normalized = {
+            timestamp,
+            open: parseFloat(bar.open),
+            high: parseFloat(bar.high),
+            low: parseFloat(bar.low),
+            close: parseFloat(bar.close),
+            volume: parseFloat(bar.volume) || 0
+        };
+
+        if ([normalized.open, normalized.high, normalized.low, normalized.close].some(isNaN)) {
+            throw new Error(`Missing OHLC values in row ${index + 1}`);
+        }
+
+        return normalized;
+    });
+
+    return bars.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Load every <SYMBOL>.csv / <SYMBOL>.json file in a directory
+ * @param {string} directory Directory holding the bar files
+ * @returns {Object} Bars keyed by symbol (empty when the directory does not exist)
+ */
+function loadBarDirectory(directory) {
+    if (!directory || !fs.existsSync(directory)) {
+        return {};
+    }
+
+    return fs.readdirSync(directory)
+        .filter(file => ['.csv', '.json'].includes(path.extname(file).toLowerCase()))
+        .reduce((bars, file) => {
+            const symbol = path.basename(file, path.extname(file)).toUpperCase();
+            bars[symbol] = loadBars(path.join(directory, file));
+            return bars;
+        }, {});
+}
+
+module.exports = {
+    loadBars,
+    loadBarDirectory,
+    parseCSV,
+    normalizeBars
+};
@@ -0,0 +1,259 @@
+const { calculateIndicators } = require('../services/technical');
+const { evaluateTrade } = require('../trading/risk');
+const { calculateStats, estimatePeriodsPerYear } = require('./metrics');
+
+const DEFAULT_INITIAL_CASH = 100000;
+const DEFAULT_LOOKBACK = 300; // Same window the live bot fetches for daily bars
+const DEFAULT_WARMUP = 35; // Enough bars for MACD(12, 26, 9) to produce a value
+
+/**
+ * Build a decision function from the strategy layer, so a backtest trades what the bot
+ * would. For the LLM modes news is not available historically, so neutral sentiment is
+ * passed, and the decision is made without an ML prediction.
+ * @param {string} mode 'rules', 'llm' or 'ensemble'
+ * @param {boolean} allowShort Whether sell signals may open short positions
+ * @returns {Function} Decision function for runBacktest
+ */
+function createStrategyDecision(mode, allowShort) {
+    // Loaded on first use so the engine itself needs no LLM configuration
+    const { decide, decideWithRules } = require('../strategies');
+
+    return async ({ technicals, bar, position }) => {
+        // The engine keeps its own position; strategies only need the signed quantity
+        const held = position ? { quantity: position.signedQuantity } : null;
+
+        if (mode === 'rules') {
+            return decideWithRules({ technicals, position: held }, { allowShort });
+        }
+
+        try {
+            return await decide({
+                news: [],
+                sentiment: { score: 0.5, analysis: 'No historical news available in backtest' },
+                technicals,
+                prediction: null,
+                marketStatus: { isOpen: true, nextClose: bar.timestamp },
+                position: held
+            }, { mode, allowShort });
+        } catch (error) {
+            // The live cycle skips the symbol when the model output is unusable; do the same here
+            return { action: 'hold', confidence: 'low', priceTarget: null, stopLoss: null, reasoning: error.message };
+        }
+    };
+}
+
+/**
+ * Replay the decision pipeline bar by bar over historical data.
+ * Decisions are made on a bar's close and filled at the next bar's open;
+ * stops and targets are checked against each bar's high and low.
+ * @param {Object} options Backtest options
+ * @param {string} options.symbol Stock symbol
+ * @param {Array<Object>} options.bars Bars sorted oldest first
+ * @param {Function} [options.decide] Decision function called with the bar context
+ * (defaults to the configured STRATEGY)
+ * @param {number} [options.initialCash] Starting cash
+ * @param {number} [options.lookback] Number of bars fed to the indicators
+ * @param {number} [options.warmup] Number of bars to skip before deciding
+ * @param {number} [options.commission] Commission per order in dollars
+ * @param {number} [options.slippagePercent] Slippage applied to every fill, in percent
+ * @param {boolean} [options.allowShort] Whether sell signals may open short positions
+ * @param {string} [options.sizingMode] Position sizing mode (defaults to SIZING_MODE)
+ * @returns {Promise<Object>} Equity curve, trade list and summary statistics
+ */
+async function runBacktest(options) {
+    const {
+        symbol,
+        bars,
+        initialCash = DEFAULT_INITIAL_CASH,
+        lookback = DEFAULT_LOOKBACK,
+        warmup = DEFAULT_WARMUP,
+        commission = 0,
+        slippagePercent = 0,
+        allowShort = false,
+        sizingMode
+    } = options;
+    const decide = options.decide || createStrategyDecision(require('../strategies').STRATEGY, allowShort);
+
+    if (!bars || bars.length <= warmup) {
+        throw new Error(`Need more than ${warmup} bars to backtest, got ${bars ? bars.length : 0}`);
+    }
+
+    let cash = initialCash;
+    let position = null;
+    let pendingEntry = null;
+    let pendingExit = false;
+    const trades = [];
+    const decisions = [];
+    const equityCurve = [];
+
+    // Buys fill higher and sells fill lower by the slippage amount
+    const applySlippage = (price, side) => price * (1 + (side === 'buy' ? 1 : -1) * slippagePercent / 100);
+
+    function openPosition(bar, entry) {
+        const fillPrice = applySlippage(bar.open, entry.side);
+        const signedQuantity = entry.side === 'buy' ? entry.quantity : -entry.quantity;
+        cash -= signedQuantity * fillPrice + commission;
+        position = {
+            side: entry.side,
+            quantity: entry.quantity,
+            signedQuantity,
+            entryPrice: fillPrice,
+            entryTime: bar.timestamp,
+            stopLoss: entry.stopLoss,
+            priceTarget: entry.priceTarget,
+            initialRisk: Math.abs(fillPrice - entry.stopLoss)
+        };
+    }
+
+    function closePosition(bar, price, reason) {
+        const exitSide = position.side === 'buy' ? 'sell' : 'buy';
+        const fillPrice = reason === 'stop' || reason === 'signal' || reason === 'end'
+            ? applySlippage(price, exitSide)
+            : price;
+        cash += position.signedQuantity * fillPrice - commission;
+
+        const pnlPerShare = (fillPrice - position.entryPrice) * (position.side === 'buy' ? 1 : -1);
+        trades.push({
+            symbol,
+            side: position.side,
+            quantity: position.quantity,
+            entryTime: position.entryTime,
+            entryPrice: position.entryPrice,
+            exitTime: bar.timestamp,
+            exitPrice: fillPrice,
+            exitReason: reason,
+            stopLoss: position.stopLoss,
+            priceTarget: position.priceTarget,
+            pnl: pnlPerShare * position.quantity - 2 * commission,
+            rMultiple: position.initialRisk > 0 ? pnlPerShare / position.initialRisk : null
+        });
+        position = null;
+    }
+
+    // Returns the fill price and reason if the bar touches the stop or the target.
+    // When both are inside the bar's range the stop is assumed to hit first.
+    function checkExits(bar) {
+        const isLong = position.side === 'buy';
+        const { stopLoss, priceTarget } = position;
+
+        if (stopLoss) {
+            if (isLong && bar.open <= stopLoss) return { price: bar.open, reason: 'stop' };
+            if (!isLong && bar.open >= stopLoss) return { price: bar.open, reason: 'stop' };
+            if (isLong && bar.low <= stopLoss) return { price: stopLoss, reason: 'stop' };
+            if (!isLong && bar.high >= stopLoss) return { price: stopLoss, reason: 'stop' };
+        }
+
+        if (priceTarget) {
+            if (isLong && bar.open >= priceTarget) return { price: bar.open, reason: 'target' };
+            if (!isLong && bar.open <= priceTarget) return { price: bar.open, reason: 'target' };
+            if (isLong && bar.high >= priceTarget) return { price: priceTarget, reason: 'target' };
+            if (!isLong && bar.low <= priceTarget) return { price: priceTarget, reason: 'target' };
+        }
+
+        return null;
+    }
+
+    for (let i = 0; i < bars.length; i++) {
+        const bar = bars[i];
+
+        // Orders decided on the previous close fill at this bar's open
+        if (pendingExit && position) {
+            closePosition(bar, bar.open, 'signal');
+        }
+        pendingExit = false;
+
+        if (pendingEntry && !position) {
+            openPosition(bar, pendingEntry);
+        }
+        pendingEntry = null;
+
+        if (position) {
+            const exit = checkExits(bar);
+            if (exit) {
+                closePosition(bar, exit.price, exit.reason);
+            }
+        }
+
+        const equity = cash + (position ? position.signedQuantity * bar.close : 0);
+        equityCurve.push({ timestamp: bar.timestamp, equity });
+
+        // Nothing can fill after the last bar
+        if (i < warmup || i === bars.length - 1) {
+            continue;
+        }
+
+        const window = bars.slice(Math.max(0, i + 1 - lookback), i + 1);
+        const technicals = {
+            ...calculateIndicators(window),
+            timestamp: bar.timestamp
+        };
+
+        const decision = await decide({
+            symbol,
+            bar,
+            bars: window,
+            technicals,
+            position: position ? { ...position } : null
+        });
+        decision.symbol = symbol;
+        decisions.push({ timestamp: bar.timestamp, action: decision.action, reasoning: decision.reasoning });
+
+        if (decision.action === 'hold') {
+            continue;
+        }
+
+        if (position) {
+            // An opposite signal closes the position; same-side signals are ignored
+            if (decision.action !== position.side) {
+                pendingExit = true;
+            }
+            continue;
+        }
+
+        if (decision.action === 'sell' && !allowShort) {
+            continue;
+        }
+
+        const riskCheck = await evaluateTrade(decision, {
+            currentPrice: bar.close,
+            account: {
+                portfolioValue: equity,
+                buyingPower: Math.max(0, cash)
+            },
+            technicals,
+            allowShort,
+            ...(sizingMode ? { sizingMode } : {})
+        });
+
+        if (riskCheck.isValid && riskCheck.quantity > 0) {
+            pendingEntry = {
+                side: decision.action,
+                quantity: riskCheck.quantity,
+                stopLoss: riskCheck.details.stopLoss,
+                priceTarget: riskCheck.details.priceTarget
+            };
+        }
+    }
+
+    // Mark any open position to the last close
+    if (position) {
+        const lastBar = bars[bars.length - 1];
+        closePosition(lastBar, lastBar.close, 'end');
+        equityCurve[equityCurve.length - 1].equity = cash;
+    }
+
+    const tradingCurve = equityCurve.slice(warmup);
+
+    return {
+        symbol,
+        equityCurve: tradingCurve,
+        trades,
+        decisions,
+        stats: calculateStats(tradingCurve, trades, estimatePeriodsPerYear(bars))
+    };
+}
+
+module.exports = {
+    runBacktest,
+    createStrategyDecision
+};
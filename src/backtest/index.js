@@ -0,0 +1,99 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const fs = require('fs');
+const path = require('path');
+const { loadBars } = require('./data');
+const { runBacktest, createStrategyDecision } = require('./engine');
+const { STRATEGY } = require('../strategies');
+const { configureLogger } = require('../utils/logger');
+
+// Library logs read as plain lines next to the report
+configureLogger({ format: process.env.LOG_FORMAT || 'text' });
+
+/**
+ * Parse --key value / --flag style command line arguments
+ * @param {Array<string>} argv Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._ = args._ || [];
+            args._.push(arg);
+            continue;
+        }
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const file = args.file || (args._ && args._[0]);
+
+    if (!file) {
+        console.error('Usage: npm run backtest -- --file <bars.csv|bars.json> [--symbol AAPL] [--cash 100000]');
+        console.error('       [--commission 0] [--slippage 0] [--short] [--sizing risk|atr|volatility|kelly]');
+        console.error('       [--strategy rules|llm|ensemble] [--ai] [--out result.json]');
+        process.exit(1);
+    }
+
+    // --ai is shorthand for --strategy llm; by default the configured STRATEGY decides
+    const strategyMode = args.strategy || (args.ai ? 'llm' : STRATEGY);
+    if (!['rules', 'llm', 'ensemble'].includes(strategyMode)) {
+        console.error(`Unknown strategy: ${strategyMode}`);
+        process.exit(1);
+    }
+
+    const bars = loadBars(path.resolve(file));
+    const symbol = (args.symbol || path.basename(file, path.extname(file))).toUpperCase();
+
+    const result = await runBacktest({
+        symbol,
+        bars,
+        decide: createStrategyDecision(strategyMode, !!args.short),
+        initialCash: parseFloat(args.cash) || undefined,
+        commission: parseFloat(args.commission) || 0,
+        slippagePercent: parseFloat(args.slippage) || 0,
+        allowShort: !!args.short,
+        sizingMode: args.sizing
+    });
+
+    const { stats } = result;
+    console.log(`Backtest ${symbol} (${strategyMode}): ${bars.length} bars from ${bars[0].timestamp.toISOString()} to ${bars[bars.length - 1].timestamp.toISOString()}`);
+    console.log(`Equity:        $${stats.startEquity.toFixed(2)} -> $${stats.endEquity.toFixed(2)} (${formatPercent(stats.totalReturn)})`);
+    console.log(`CAGR:          ${formatPercent(stats.cagr)}`);
+    console.log(`Max Drawdown:  ${formatPercent(stats.maxDrawdown)}`);
+    console.log(`Sharpe:        ${stats.sharpe.toFixed(2)}`);
+    console.log(`Trades:        ${stats.tradeCount}`);
+    console.log(`Win Rate:      ${formatPercent(stats.winRate)}`);
+    console.log(`Average R:     ${stats.averageR.toFixed(2)}`);
+
+    if (args.out) {
+        fs.writeFileSync(path.resolve(args.out), JSON.stringify(result, null, 2));
+        console.log(`Full results written to ${args.out}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Backtest failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs
+};
@@ -0,0 +1,97 @@
+const TRADING_DAYS_PER_YEAR = 252;
+const MINUTES_PER_TRADING_DAY = 390;
+
+/**
+ * Estimate how many bars make up a trading year from the bar spacing
+ * @param {Array<Object>} bars Bars sorted oldest first
+ * @returns {number} Bars per year
+ */
+function estimatePeriodsPerYear(bars) {
+    if (bars.length < 2) {
+        return TRADING_DAYS_PER_YEAR;
+    }
+
+    const gaps = [];
+    for (let i = 1; i < bars.length; i++) {
+        gaps.push(bars[i].timestamp - bars[i - 1].timestamp);
+    }
+    gaps.sort((a, b) => a - b);
+    const medianMinutes = gaps[Math.floor(gaps.length / 2)] / 60000;
+
+    // Anything a day or longer apart is treated as daily data
+    if (medianMinutes >= 24 * 60) {
+        return TRADING_DAYS_PER_YEAR * (24 * 60) / medianMinutes;
+    }
+
+    return TRADING_DAYS_PER_YEAR * MINUTES_PER_TRADING_DAY / medianMinutes;
+}
+
+/**
+ * Compute summary statistics for a backtest run
+ * @param {Array<Object>} equityCurve Points of { timestamp, equity }
+ * @param {Array<Object>} trades Closed trades with pnl and rMultiple
+ * @param {number} periodsPerYear Number of equity points per trading year
+ * @returns {Object} Summary statistics
+ */
+function calculateStats(equityCurve, trades, periodsPerYear = TRADING_DAYS_PER_YEAR) {
+    const startEquity = equityCurve.length > 0 ? equityCurve[0].equity : 0;
+    const endEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : 0;
+    const totalReturn = startEquity > 0 ? (endEquity - startEquity) / startEquity : 0;
+
+    const years = equityCurve.length > 1 ? (equityCurve.length - 1) / periodsPerYear : 0;
+    const cagr = years > 0 && startEquity > 0 && endEquity > 0
+        ? Math.pow(endEquity / startEquity, 1 / years) - 1
+        : 0;
+
+    // Max drawdown as a fraction of the running peak
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    for (const point of equityCurve) {
+        peak = Math.max(peak, point.equity);
+        if (peak > 0) {
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+        }
+    }
+
+    // Annualized Sharpe ratio of per-bar returns, risk-free rate assumed zero
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+        const previous = equityCurve[i - 1].equity;
+        if (previous > 0) {
+            returns.push(equityCurve[i].equity / previous - 1);
+        }
+    }
+    const meanReturn = average(returns);
+    const variance = returns.length > 1
+        ? returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / (returns.length - 1)
+        : 0;
+    const stdDev = Math.sqrt(variance);
+    const sharpe = stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(periodsPerYear) : 0;
+
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const rMultiples = trades
+        .map(trade => trade.rMultiple)
+        .filter(r => typeof r === 'number' && isFinite(r));
+
+    return {
+        startEquity,
+        endEquity,
+        totalReturn,
+        cagr,
+        maxDrawdown,
+        sharpe,
+        tradeCount: trades.length,
+        winRate: trades.length > 0 ? wins.length / trades.length : 0,
+        averageR: average(rMultiples),
+        totalPnL: trades.reduce((sum, trade) => sum + trade.pnl, 0)
+    };
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+module.exports = {
+    calculateStats,
+    estimatePeriodsPerYear
+};
@@ -0,0 +1,222 @@
+const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { toMarketTime } = require('../utils/time');
+const { usesPaperAccount } = require('../trading/mode');
+
+/**
+ * Create a broker backed by the Alpaca API
+ * @param {Object} [config] Alpaca client configuration
+ * @returns {Object} Broker implementing the common broker interface
+ */
+function createAlpacaBroker(config = {}) {
+    const keyId = config.keyId || process.env.ALPACA_API_KEY;
+    const secretKey = config.secretKey || process.env.ALPACA_API_SECRET;
+
+    if (!keyId || !secretKey) {
+        throw new Error(
+            'Alpaca API credentials are missing. Please make sure ALPACA_API_KEY and ALPACA_API_SECRET are set in your .env file'
+        );
+    }
+
+    const alpaca = new Alpaca({
+        keyId,
+        secretKey,
+        paper: config.paper !== undefined ? config.paper : usesPaperAccount(),
+        usePolygon: false
+    });
+
+    return {
+        name: 'alpaca',
+
+        now() {
+            return new Date();
+        },
+
+        async getClock() {
+            const clock = await alpaca.getClock();
+            return {
+                isOpen: clock.is_open,
+                nextOpen: new Date(clock.next_open),
+                nextClose: new Date(clock.next_close),
+                timestamp: new Date(clock.timestamp)
+            };
+        },
+
+        async getCalendar({ start, end }) {
+            const calendar = await alpaca.getCalendar({ start, end });
+            return calendar.map(day => ({
+                date: day.date,
+                open: toMarketTime(day.date, day.open),
+                close: toMarketTime(day.date, day.close),
+                sessionOpen: toMarketTime(day.date, toClockTime(day.session_open || '0400')),
+                sessionClose: toMarketTime(day.date, toClockTime(day.session_close || '2000'))
+            }));
+        },
+
+        async getLatestQuote(symbol) {
+            const quote = await alpaca.getLatestQuote(symbol);
+            return {
+                symbol,
+                askPrice: quote.AskPrice,
+                bidPrice: quote.BidPrice,
+                timestamp: new Date(quote.Timestamp)
+            };
+        },
+
+        async getBars(symbol, { start, end, timeframe = '1Day', limit } = {}) {
+            const bars = alpaca.getBarsV2(symbol, {
+                start: start instanceof Date ? start.toISOString() : start,
+                end: end instanceof Date ? end.toISOString() : end,
+                timeframe,
+                limit,
+                feed: 'iex' // Use IEX data feed instead of SIP
+            });
+
+            const result = [];
+            for await (const bar of bars) {
+                result.push({
+                    timestamp: new Date(bar.Timestamp),
+                    open: bar.OpenPrice,
+                    high: bar.HighPrice,
+                    low: bar.LowPrice,
+                    close: bar.ClosePrice,
+                    volume: bar.Volume
+                });
+            }
+            return result;
+        },
+
+        async getAccount() {
+            const account = await alpaca.getAccount();
+            return {
+                equity: parseFloat(account.equity),
+                lastEquity: parseFloat(account.last_equity),
+                portfolioValue: parseFloat(account.portfolio_value),
+                buyingPower: parseFloat(account.buying_power),
+                cash: parseFloat(account.cash)
+            };
+        },
+
+        async getPositions() {
+            const positions = await alpaca.getPositions();
+            return positions.map(normalizePosition);
+        },
+
+        async getOrders({ status = 'open', symbols, limit, after } = {}) {
+            const orders = await alpaca.getOrders({
+                status,
+                symbols: symbols ? symbols.join(',') : undefined,
+                limit,
+                after: after ? new Date(after).toISOString() : undefined,
+                nested: true
+            });
+            return orders.map(normalizeOrder);
+        },
+
+        async getOrder(orderId) {
+            return normalizeOrder(await alpaca.getOrder(orderId));
+        },
+
+        async createOrder(params) {
+            const order = await alpaca.createOrder({
+                symbol: params.symbol,
+                qty: params.qty,
+                side: params.side,
+                type: params.type,
+                time_in_force: params.timeInForce || 'day',
+                limit_price: params.limitPrice,
+                stop_price: params.stopPrice,
+                client_order_id: params.clientOrderId,
+                extended_hours: params.extendedHours || undefined,
+                order_class: params.orderClass && params.orderClass !== 'simple' ? params.orderClass : undefined,
+                take_profit: params.takeProfit ? { limit_price: params.takeProfit.limitPrice } : undefined,
+                stop_loss: params.stopLoss
+                    ? { stop_price: params.stopLoss.stopPrice, limit_price: params.stopLoss.limitPrice }
+                    : undefined
+            });
+            return normalizeOrder(order);
+        },
+
+        async replaceOrder(orderId, { qty, limitPrice, stopPrice, timeInForce } = {}) {
+            // Alpaca answers with a new order that takes over from the replaced one
+            return normalizeOrder(await alpaca.replaceOrder(orderId, {
+                qty,
+                limit_price: limitPrice,
+                stop_price: stopPrice,
+                time_in_force: timeInForce
+            }));
+        },
+
+        async cancelOrder(orderId) {
+            await alpaca.cancelOrder(orderId);
+        },
+
+        async cancelAllOrders() {
+            return alpaca.cancelAllOrders();
+        },
+
+        async closePosition(symbol) {
+            return normalizeOrder(await alpaca.closePosition(symbol));
+        },
+
+        async closeAllPositions() {
+            return alpaca.closeAllPositions();
+        }
+    };
+}
+
+// Extended-hours session times come as HHMM
+function toClockTime(value) {
+    return value.includes(':') ? value : `${value.slice(0, 2)}:${value.slice(2)}`;
+}
+
+function toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Convert an Alpaca position into the broker-neutral shape
+ * @param {Object} position Alpaca position
+ * @returns {Object} Normalized position
+ */
+function normalizePosition(position) {
+    return {
+        symbol: position.symbol,
+        side: position.side,
+        quantity: parseFloat(position.qty),
+        entryPrice: parseFloat(position.avg_entry_price),
+        currentPrice: parseFloat(position.current_price),
+        marketValue: parseFloat(position.market_value),
+        unrealizedPL: parseFloat(position.unrealized_pl),
+        unrealizedPLPercent: parseFloat(position.unrealized_plpc) * 100
+    };
+}
+
+/**
+ * Convert an Alpaca order into the broker-neutral shape
+ * @param {Object} order Alpaca order
+ * @returns {Object} Normalized order
+ */
+function normalizeOrder(order) {
+    return {
+        id: order.id,
+        clientOrderId: order.client_order_id,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type || order.order_type,
+        orderClass: order.order_class || 'simple',
+        timeInForce: order.time_in_force,
+        qty: toNumber(order.qty),
+        filledQty: toNumber(order.filled_qty) || 0,
+        filledAvgPrice: toNumber(order.filled_avg_price),
+        limitPrice: toNumber(order.limit_price),
+        stopPrice: toNumber(order.stop_price),
+        status: order.status,
+        legs: (order.legs || []).map(normalizeOrder),
+        createdAt: order.created_at ? new Date(order.created_at) : null,
+        filledAt: order.filled_at ? new Date(order.filled_at) : null
+    };
+}
+
+module.exports = {
+    createAlpacaBroker
+};
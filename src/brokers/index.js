@@ -0,0 +1,71 @@
+const { createAlpacaBroker } = require('./alpaca');
+const { createSimulatedBroker } = require('./simulated');
+const { createShadowBroker } = require('./shadow');
+const { loadBarDirectory } = require('../backtest/data');
+const { isDryRun } = require('../trading/mode');
+
+// Every broker exposes the same methods, returning plain objects with numeric fields:
+//   now, getClock, getCalendar, getLatestQuote, getBars, getAccount, getPositions,
+//   getOrders, getOrder, createOrder, replaceOrder, cancelOrder, cancelAllOrders, closePosition,
+//   closeAllPositions
+// createOrder takes { symbol, qty, side, type, timeInForce, limitPrice, stopPrice, orderClass,
+// takeProfit: { limitPrice }, stopLoss: { stopPrice, limitPrice }, extendedHours } where
+// orderClass is 'simple', 'bracket', 'oto' or 'oco'; exit legs come back in the order's `legs`
+// array. extendedHours lets a simple limit day order fill in pre-market and after-hours.
+// getCalendar days have { date, open, close, sessionOpen, sessionClose }, the session being
+// the extended hours.
+// replaceOrder(orderId, { qty, limitPrice, stopPrice, timeInForce }) changes a working order
+// and returns it, possibly under a new id.
+const BROKER = (process.env.BROKER || 'alpaca').toLowerCase();
+
+let broker = null;
+
+/**
+ * Create a broker by name
+ * @param {string} name Broker name ('alpaca' or 'simulated')
+ * @param {Object} [options] Options passed to the broker factory
+ * @returns {Object} Broker instance
+ */
+function createBroker(name, options = {}) {
+    switch (name) {
+        case 'alpaca':
+            return createAlpacaBroker(options);
+        case 'simulated':
+            return createSimulatedBroker({
+                cash: parseFloat(process.env.SIM_STARTING_CASH) || undefined,
+                bars: loadBarDirectory(process.env.SIM_DATA_DIR),
+                ...options
+            });
+        default:
+            throw new Error(`Unknown broker: ${name}`);
+    }
+}
+
+/**
+ * Get the broker shared by the whole bot, creating it from the BROKER setting on first use.
+ * In dry-run mode a real broker only provides market data and orders go to a shadow book.
+ * @returns {Object} Broker instance
+ */
+function getBroker() {
+    if (!broker) {
+        broker = createBroker(BROKER);
+        if (isDryRun() && BROKER !== 'simulated') {
+            broker = createShadowBroker(broker);
+        }
+    }
+    return broker;
+}
+
+/**
+ * Replace the shared broker (e.g. with a simulated broker in tests)
+ * @param {Object} instance Broker instance
+ */
+function setBroker(instance) {
+    broker = instance;
+}
+
+module.exports = {
+    createBroker,
+    getBroker,
+    setBroker
+};
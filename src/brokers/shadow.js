@@ -0,0 +1,126 @@
+const { createSimulatedBroker } = require('./simulated');
+const logger = require('../utils/logger');
+
+const DRY_RUN_STARTING_CASH = parseFloat(process.env.DRY_RUN_STARTING_CASH) || 100000;
+
+/**
+ * Wrap a real broker so nothing is ever sent to it. Clock, calendar, quotes and bars
+ * come from the real broker; orders, positions and the account live in a simulated
+ * book whose prices follow the real quotes. Market orders fill at the live ask (buys)
+ * or bid (sells), and stop and limit orders fill once a quote trades through them.
+ * Every order is logged as it would have been sent.
+ * @param {Object} market Real broker to read market data from
+ * @param {Object} [options] Shadow options
+ * @param {number} [options.cash] Starting cash of the simulated book
+ * @returns {Object} Broker implementing the common broker interface
+ */
+function createShadowBroker(market, options = {}) {
+    const book = createSimulatedBroker({ cash: options.cash || DRY_RUN_STARTING_CASH, marketOpen: true });
+
+    /**
+     * Move the book's prices to the latest real quotes
+     * @param {Array<string>} symbols Symbols to update
+     * @param {Function} [pick] (quote) => price, the mid price by default
+     */
+    async function refresh(symbols, pick = quote => (quote.askPrice + quote.bidPrice) / 2) {
+        for (const symbol of new Set(symbols)) {
+            try {
+                const quote = await market.getLatestQuote(symbol);
+                const price = quote.askPrice > 0 && quote.bidPrice > 0
+                    ? pick(quote)
+                    : quote.askPrice || quote.bidPrice;
+                if (price > 0) {
+                    book.feedPrice(symbol, price, market.now());
+                }
+            } catch (error) {
+                logger.error(`[dry-run] No live quote for ${symbol}`, { error: error.message });
+            }
+        }
+    }
+
+    // Symbols the book holds or has orders working in
+    async function bookSymbols() {
+        const [positions, orders] = await Promise.all([book.getPositions(), book.getOrders({ status: 'open' })]);
+        return [...positions, ...orders].map(item => item.symbol);
+    }
+
+    return {
+        name: `shadow:${market.name}`,
+
+        now: () => market.now(),
+        getClock: () => market.getClock(),
+        getCalendar: range => market.getCalendar(range),
+        getLatestQuote: symbol => market.getLatestQuote(symbol),
+        getBars: (symbol, range) => market.getBars(symbol, range),
+
+        async getAccount() {
+            await refresh(await bookSymbols());
+            return book.getAccount();
+        },
+
+        async getPositions() {
+            await refresh(await bookSymbols());
+            return book.getPositions();
+        },
+
+        async getOrders(filter) {
+            await refresh(await bookSymbols());
+            return book.getOrders(filter);
+        },
+
+        async getOrder(orderId) {
+            await refresh(await bookSymbols());
+            return book.getOrder(orderId);
+        },
+
+        async createOrder(params) {
+            // A market order crosses the spread; anything else is checked against the mid
+            await refresh([params.symbol], params.type === 'market'
+                ? quote => (params.side === 'buy' ? quote.askPrice : quote.bidPrice)
+                : undefined);
+            const order = await book.createOrder(params);
+            const prices = [
+                order.limitPrice ? `limit $${order.limitPrice}` : null,
+                order.stopPrice ? `stop $${order.stopPrice}` : null
+            ].filter(Boolean).join(' ');
+            logger.info(`[dry-run] Would send ${params.orderClass || 'simple'} ${order.side} ${order.qty} ${order.symbol} ${order.type}${prices ? ` ${prices}` : ''}: ${order.status}`);
+            return order;
+        },
+
+        async replaceOrder(orderId, changes) {
+            logger.info(`[dry-run] Would replace order ${orderId}`, { changes });
+            return book.replaceOrder(orderId, changes);
+        },
+
+        async cancelOrder(orderId) {
+            logger.info(`[dry-run] Would cancel order ${orderId}`);
+            return book.cancelOrder(orderId);
+        },
+
+        async cancelAllOrders() {
+            return book.cancelAllOrders();
+        },
+
+        async closePosition(symbol) {
+            const [position] = (await book.getPositions()).filter(held => held.symbol === symbol);
+            if (position) {
+                await refresh([symbol], quote => (position.quantity > 0 ? quote.bidPrice : quote.askPrice));
+            }
+            logger.info(`[dry-run] Would close the ${symbol} position`);
+            return book.closePosition(symbol);
+        },
+
+        async closeAllPositions() {
+            await refresh(await bookSymbols());
+            logger.info('[dry-run] Would close all positions');
+            return book.closeAllPositions();
+        },
+
+        // Streamed bars move the book's prices between quote refreshes
+        feedBar: (symbol, bar) => book.feedBar(symbol, bar)
+    };
+}
+
+module.exports = {
+    createShadowBroker
+};
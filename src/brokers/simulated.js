@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const { toMarketDate, toMarketTime } = require('../utils/time');
+const { aggregateBars } = require('../utils/bars');
+
+const DEFAULT_CASH = 100000;
+const TERMINAL_STATUSES = ['filled', 'canceled', 'rejected', 'expired'];
+
+/**
+ * Create an in-process broker that keeps cash and positions locally and
+ * fills orders against prices fed to it with feedBar/feedPrice.
+ * Market orders fill at the latest price and are rejected while no price is known;
+ * stop and limit orders fill when a fed bar trades through their price. Bracket, OTO
+ * and OCO orders hold their exit legs until the entry fills, and filling one exit leg
+ * cancels its sibling.
+ * @param {Object} [options] Simulation options
+ * @param {number} [options.cash] Starting cash
+ * @param {Object} [options.bars] Historical bars keyed by symbol, oldest first
+ * @param {boolean} [options.marketOpen] Whether the simulated market reports itself open
+ * @param {number} [options.spreadPercent] Quoted spread around the last price, in percent
+ * @returns {Object} Broker implementing the common broker interface
+ */
+function createSimulatedBroker(options = {}) {
+    let cash = options.cash !== undefined ? options.cash : DEFAULT_CASH;
+    let marketOpen = options.marketOpen !== undefined ? options.marketOpen : true;
+    const spreadPercent = options.spreadPercent || 0;
+    const bars = {};
+    const positions = {};
+    const orders = [];
+    let now = null;
+
+    for (const [symbol, history] of Object.entries(options.bars || {})) {
+        bars[symbol] = [...history];
+        const last = history[history.length - 1];
+        if (last && (!now || last.timestamp > now)) {
+            now = new Date(last.timestamp);
+        }
+    }
+
+    const currentTime = () => now || new Date();
+
+    function lastPrice(symbol) {
+        const history = bars[symbol];
+        return history && history.length > 0 ? history[history.length - 1].close : null;
+    }
+
+    function applyFill(order, price) {
+        const signedQuantity = order.side === 'buy' ? order.qty : -order.qty;
+        const existing = positions[order.symbol];
+        const previousQuantity = existing ? existing.quantity : 0;
+        // Rounded so fractional positions do not leave float dust behind
+        const newQuantity = Math.round((previousQuantity + signedQuantity) * 1e9) / 1e9;
+
+        cash -= signedQuantity * price;
+
+        if (newQuantity === 0) {
+            delete positions[order.symbol];
+        } else if (!existing || Math.sign(previousQuantity) !== Math.sign(newQuantity)) {
+            // New position, or flipped through zero: the remainder opens at this price
+            positions[order.symbol] = { symbol: order.symbol, quantity: newQuantity, entryPrice: price };
+        } else if (Math.abs(newQuantity) > Math.abs(previousQuantity)) {
+            // Adding to the position averages the entry price
+            existing.entryPrice = (existing.entryPrice * previousQuantity + price * signedQuantity) / newQuantity;
+            existing.quantity = newQuantity;
+        } else {
+            existing.quantity = newQuantity;
+        }
+
+        order.status = 'filled';
+        order.filledQty = order.qty;
+        order.filledAvgPrice = price;
+        order.filledAt = currentTime();
+
+        for (const other of orders) {
+            // Exit legs become live once their entry fills
+            if (other.parentId === order.id && other.status === 'held') {
+                other.status = 'new';
+            }
+            // One-cancels-other: the sibling exit is no longer needed
+            if (order.ocoGroup && other !== order && other.ocoGroup === order.ocoGroup && !TERMINAL_STATUSES.includes(other.status)) {
+                other.status = 'canceled';
+            }
+        }
+    }
+
+    function orderView(order) {
+        const { parentId, ocoGroup, ...view } = order;
+        return {
+            ...view,
+            legs: orders.filter(other => other.parentId === order.id).map(orderView)
+        };
+    }
+
+    function buildOrder(params, overrides = {}) {
+        return {
+            id: crypto.randomUUID(),
+            clientOrderId: params.clientOrderId || crypto.randomUUID(),
+            symbol: params.symbol,
+            side: params.side,
+            type: params.type || 'market',
+            orderClass: params.orderClass || 'simple',
+            timeInForce: params.timeInForce || 'day',
+            qty: params.qty,
+            filledQty: 0,
+            filledAvgPrice: null,
+            limitPrice: params.limitPrice || null,
+            stopPrice: params.stopPrice || null,
+            extendedHours: params.extendedHours || false,
+            status: 'new',
+            createdAt: currentTime(),
+            filledAt: null,
+            parentId: null,
+            ocoGroup: null,
+            ...overrides
+        };
+    }
+
+    // Build the take-profit and stop-loss exits that belong to an entry order
+    function buildExitLegs(params, parent, status) {
+        const exitSide = params.side === 'buy' ? 'sell' : 'buy';
+        const legs = [];
+        const ocoGroup = params.takeProfit && params.stopLoss ? crypto.randomUUID() : null;
+
+        if (params.takeProfit) {
+            legs.push(buildOrder({
+                ...params,
+                clientOrderId: undefined,
+                side: exitSide,
+                type: 'limit',
+                limitPrice: params.takeProfit.limitPrice,
+                stopPrice: null
+            }, { parentId: parent.id, ocoGroup, status }));
+        }
+
+        if (params.stopLoss) {
+            legs.push(buildOrder({
+                ...params,
+                clientOrderId: undefined,
+                side: exitSide,
+                type: params.stopLoss.limitPrice ? 'stop_limit' : 'stop',
+                limitPrice: params.stopLoss.limitPrice || null,
+                stopPrice: params.stopLoss.stopPrice
+            }, { parentId: parent.id, ocoGroup, status }));
+        }
+
+        return legs;
+    }
+
+    // Returns the fill price if the bar reaches the order's trigger, otherwise null
+    function fillPriceFor(order, bar) {
+        switch (order.type) {
+            case 'limit':
+                if (order.side === 'buy' && bar.low <= order.limitPrice) return Math.min(bar.open, order.limitPrice);
+                if (order.side === 'sell' && bar.high >= order.limitPrice) return Math.max(bar.open, order.limitPrice);
+                return null;
+            case 'stop':
+            case 'stop_limit':
+                // Stop-limit exits are treated as stops; the simulation has no order book depth
+                if (order.side === 'sell' && bar.low <= order.stopPrice) return Math.min(bar.open, order.stopPrice);
+                if (order.side === 'buy' && bar.high >= order.stopPrice) return Math.max(bar.open, order.stopPrice);
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    function processOrders(symbol, bar) {
+        for (const order of orders) {
+            if (order.symbol !== symbol || order.status === 'held' || TERMINAL_STATUSES.includes(order.status)) {
+                continue;
+            }
+            const price = fillPriceFor(order, bar);
+            if (price !== null) {
+                applyFill(order, price);
+            }
+        }
+    }
+
+    function positionView(position) {
+        const currentPrice = lastPrice(position.symbol) || position.entryPrice;
+        const marketValue = position.quantity * currentPrice;
+        const costBasis = position.quantity * position.entryPrice;
+        const unrealizedPL = marketValue - costBasis;
+        return {
+            symbol: position.symbol,
+            side: position.quantity > 0 ? 'long' : 'short',
+            quantity: position.quantity,
+            entryPrice: position.entryPrice,
+            currentPrice,
+            marketValue,
+            unrealizedPL,
+            unrealizedPLPercent: costBasis !== 0 ? (unrealizedPL / Math.abs(costBasis)) * 100 : 0
+        };
+    }
+
+    function equity() {
+        return Object.values(positions).reduce((sum, position) => sum + positionView(position).marketValue, cash);
+    }
+
+    const broker = {
+        name: 'simulated',
+
+        /**
+         * Feed a new bar for a symbol and fill any orders it triggers
+         * @param {string} symbol Stock symbol
+         * @param {Object} bar Bar with timestamp, open, high, low, close and volume
+         */
+        feedBar(symbol, bar) {
+            const normalized = {
+                timestamp: bar.timestamp ? new Date(bar.timestamp) : currentTime(),
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: bar.volume || 0
+            };
+            bars[symbol] = bars[symbol] || [];
+            bars[symbol].push(normalized);
+            now = normalized.timestamp;
+            processOrders(symbol, normalized);
+        },
+
+        /**
+         * Feed a single trade price for a symbol
+         * @param {string} symbol Stock symbol
+         * @param {number} price Trade price
+         * @param {Date} [timestamp] Time of the trade
+         */
+        feedPrice(symbol, price, timestamp) {
+            broker.feedBar(symbol, { timestamp, open: price, high: price, low: price, close: price });
+        },
+
+        // Simulated time follows the most recent bar fed to the broker
+        now() {
+            return currentTime();
+        },
+
+        setMarketOpen(isOpen) {
+            marketOpen = isOpen;
+        },
+
+        async getClock() {
+            const timestamp = currentTime();
+            return {
+                isOpen: marketOpen,
+                nextOpen: timestamp,
+                nextClose: new Date(timestamp.getTime() + 60 * 60 * 1000),
+                timestamp
+            };
+        },
+
+        async getCalendar({ start }) {
+            const date = start || toMarketDate(currentTime());
+            return [{
+                date,
+                open: toMarketTime(date, '09:30'),
+                close: toMarketTime(date, '16:00'),
+                sessionOpen: toMarketTime(date, '04:00'),
+                sessionClose: toMarketTime(date, '20:00')
+            }];
+        },
+
+        async getLatestQuote(symbol) {
+            const price = lastPrice(symbol);
+            if (price === null) {
+                throw new Error(`No simulated price for ${symbol}`);
+            }
+            const halfSpread = price * spreadPercent / 200;
+            return {
+                symbol,
+                askPrice: price + halfSpread,
+                bidPrice: price - halfSpread,
+                timestamp: currentTime()
+            };
+        },
+
+        async getBars(symbol, { start, end, timeframe = '1Day', limit } = {}) {
+            const startTime = start ? new Date(start) : null;
+            const endTime = end ? new Date(end) : null;
+            const history = aggregateBars((bars[symbol] || []).filter(bar =>
+                (!startTime || bar.timestamp >= startTime) && (!endTime || bar.timestamp <= endTime)), timeframe);
+            return (limit ? history.slice(-limit) : history).map(bar => ({ ...bar }));
+        },
+
+        async getAccount() {
+            const value = equity();
+            return {
+                equity: value,
+                lastEquity: value,
+                portfolioValue: value,
+                buyingPower: Math.max(0, cash),
+                cash
+            };
+        },
+
+        async getPositions() {
+            return Object.values(positions).map(positionView);
+        },
+
+        async getOrders({ status = 'open', symbols, limit, after } = {}) {
+            // Legs are returned nested under their parent order; a filled entry whose
+            // exit legs are still working counts as open
+            const isOpen = order => !TERMINAL_STATUSES.includes(order.status) ||
+                orders.some(other => other.parentId === order.id && !TERMINAL_STATUSES.includes(other.status));
+            return orders
+                .filter(order => !order.parentId)
+                .filter(order => !symbols || symbols.includes(order.symbol))
+                .filter(order => status === 'all' || (status === 'open' ? isOpen(order) : !isOpen(order)))
+                .filter(order => !after || order.createdAt > new Date(after))
+                .slice(-(limit || orders.length))
+                .map(orderView);
+        },
+
+        async getOrder(orderId) {
+            const order = orders.find(o => o.id === orderId);
+            if (!order) {
+                throw new Error(`Order ${orderId} not found`);
+            }
+            return orderView(order);
+        },
+
+        async createOrder(params) {
+            if (!params.symbol || !params.qty || !['buy', 'sell'].includes(params.side)) {
+                throw new Error('Invalid order parameters');
+            }
+
+            const orderClass = params.orderClass || 'simple';
+            if (orderClass === 'bracket' && (!params.takeProfit || !params.stopLoss)) {
+                throw new Error('Bracket orders need both takeProfit and stopLoss');
+            }
+            if (orderClass === 'oto' && !params.takeProfit === !params.stopLoss) {
+                throw new Error('OTO orders need exactly one of takeProfit or stopLoss');
+            }
+            if (orderClass === 'oco' && (!params.takeProfit || !params.stopLoss)) {
+                throw new Error('OCO orders need both takeProfit and stopLoss');
+            }
+
+            let order;
+            if (orderClass === 'oco') {
+                // An OCO is an exit pair on an existing position: the take-profit limit is the
+                // parent and the stop is its leg, both live immediately
+                const ocoGroup = crypto.randomUUID();
+                order = buildOrder({
+                    ...params,
+                    type: 'limit',
+                    limitPrice: params.takeProfit.limitPrice,
+                    stopPrice: null
+                }, { ocoGroup });
+                // The pair trades on the order's side, which buildExitLegs expects as the entry's opposite
+                const entrySide = params.side === 'buy' ? 'sell' : 'buy';
+                const [stopLeg] = buildExitLegs({ ...params, side: entrySide, takeProfit: null }, order, 'new');
+                stopLeg.ocoGroup = ocoGroup;
+                orders.push(order, stopLeg);
+            } else {
+                order = buildOrder(params);
+                orders.push(order, ...buildExitLegs(params, order, 'held'));
+            }
+
+            if ((order.type === 'limit' && !order.limitPrice) || (order.type === 'stop' && !order.stopPrice)) {
+                order.status = 'rejected';
+            } else if (order.type === 'market') {
+                const quote = lastPrice(order.symbol) !== null ? await broker.getLatestQuote(order.symbol) : null;
+                // Only the shares bought beyond a short being covered need cash
+                const held = positions[order.symbol] ? positions[order.symbol].quantity : 0;
+                const cost = quote ? Math.max(0, order.qty - Math.max(0, -held)) * quote.askPrice : 0;
+                if (!quote || (order.side === 'buy' && cost > cash)) {
+                    order.status = 'rejected';
+                } else {
+                    applyFill(order, order.side === 'buy' ? quote.askPrice : quote.bidPrice);
+                }
+            }
+
+            if (order.status === 'rejected') {
+                orders.filter(other => other.parentId === order.id).forEach(leg => { leg.status = 'canceled'; });
+            }
+
+            return orderView(order);
+        },
+
+        async replaceOrder(orderId, changes = {}) {
+            const order = orders.find(o => o.id === orderId);
+            if (!order) {
+                throw new Error(`Order ${orderId} not found`);
+            }
+            if (TERMINAL_STATUSES.includes(order.status)) {
+                throw new Error(`Order ${orderId} is ${order.status} and cannot be replaced`);
+            }
+            // Changed in place; the order keeps its id
+            for (const field of ['qty', 'limitPrice', 'stopPrice', 'timeInForce']) {
+                if (changes[field] !== undefined) {
+                    order[field] = changes[field];
+                }
+            }
+            return orderView(order);
+        },
+
+        async cancelOrder(orderId) {
+            const order = orders.find(o => o.id === orderId);
+            if (!order) {
+                throw new Error(`Order ${orderId} not found`);
+            }
+            // Cancelling an order also cancels its exit legs
+            for (const target of [order, ...orders.filter(other => other.parentId === order.id)]) {
+                if (!TERMINAL_STATUSES.includes(target.status)) {
+                    target.status = 'canceled';
+                }
+            }
+        },
+
+        async cancelAllOrders() {
+            const open = orders.filter(order => !TERMINAL_STATUSES.includes(order.status));
+            open.forEach(order => { order.status = 'canceled'; });
+            return open.map(order => ({ id: order.id, status: 200 }));
+        },
+
+        async closePosition(symbol) {
+            const position = positions[symbol];
+            if (!position) {
+                throw new Error(`No position in ${symbol}`);
+            }
+            return broker.createOrder({
+                symbol,
+                qty: Math.abs(position.quantity),
+                side: position.quantity > 0 ? 'sell' : 'buy',
+                type: 'market'
+            });
+        },
+
+        async closeAllPositions() {
+            const symbols = Object.keys(positions);
+            return Promise.all(symbols.map(symbol => broker.closePosition(symbol)));
+        }
+    };
+
+    return broker;
+}
+
+module.exports = {
+    createSimulatedBroker
+};
@@ -0,0 +1,177 @@
+const { checkMarketStatus } = require('./services/market');
+const { getCurrentPositions } = require('./trading/executor');
+const { getTrades, calculateRealizedPnL } = require('./services/journal');
+const { getBroker } = require('./brokers');
+const { getGuardrailStatus } = require('./trading/guardrails');
+const { getTradingMode } = require('./trading/mode');
+const { getUsage, getBudgetStatus } = require('./services/budget');
+const { getLLMClient } = require('./services/llm');
+const control = require('./control');
+const { toMarketDate, toMarketTime } = require('./utils/time');
+
+function formatMoney(value) {
+    const sign = value < 0 ? '-' : '';
+    return `${sign}$${Math.abs(value).toFixed(2)}`;
+}
+
+async function statusCommand() {
+    const marketStatus = await checkMarketStatus();
+    const state = control.getState();
+    const { session } = marketStatus;
+    const lines = [
+        `Mode: ${getTradingMode()}`,
+        `Market: ${marketStatus.isOpen ? 'Open' : 'Closed'} (${session.phase.replace('_', ' ')}${session.earlyClose ? ', early close' : ''})`,
+        `Next ${marketStatus.isOpen ? 'close' : 'open'}: ${(marketStatus.isOpen ? marketStatus.nextClose : marketStatus.nextOpen).toLocaleString()}`,
+        `Trading: ${state.paused ? `Paused (${state.pauseReason})` : 'Active'}${state.running ? ', cycle running' : ''}` +
+            `${session.canTrade ? '' : ` - ${session.reason}`}`
+    ];
+
+    if (state.lastCycle) {
+        lines.push(`Last cycle: ${new Date(state.lastCycle.finishedAt).toLocaleString()}`);
+        for (const result of state.lastCycle.results) {
+            lines.push(`  ${result.symbol}: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`);
+        }
+    }
+
+    const guardrails = await getGuardrailStatus();
+    const { limits } = guardrails;
+    lines.push(
+        '',
+        `Kill switch: ${guardrails.killSwitch.active ? `ENGAGED (${guardrails.killSwitch.reason})` : 'off'}`,
+        `Daily loss: ${guardrails.dailyLossPercent.toFixed(2)}% / ${limits.maxDailyLossPercent}%${guardrails.dailyHalt ? ' - halted for the day' : ''}`,
+        `Exposure: ${guardrails.grossExposurePercent.toFixed(1)}% / ${limits.maxGrossExposurePercent}%`,
+        `Positions: ${guardrails.openPositions} / ${limits.maxOpenPositions}`,
+        `Trades today: ${guardrails.tradesToday} / ${limits.maxTradesPerDay}`,
+        `Losing streak: ${guardrails.consecutiveLosses}${guardrails.cooldownUntil ? `, cooling down until ${guardrails.cooldownUntil.toLocaleString()}` : ''}`
+    );
+
+    const usage = getUsage();
+    const budget = getBudgetStatus();
+    lines.push(
+        `LLM today: ${formatMoney(usage.cost)}${budget.budget ? ` / ${formatMoney(budget.budget)}` : ''}, ` +
+        `${usage.calls} calls, ${usage.promptTokens + usage.completionTokens} tokens` +
+        `${budget.exceeded ? ` - over budget, ${budget.fallback === 'rules' ? 'rules only' : 'fallback model'}` : ''}`,
+        `LLM providers: ${getLLMClient().status().map(provider =>
+            `${provider.name}${provider.available ? '' : ` (down until ${provider.downUntil.toLocaleTimeString()})`}`).join(', ')}`
+    );
+
+    const decisions = Object.entries(state.lastDecisions);
+    if (decisions.length > 0) {
+        lines.push('', 'Last decisions:');
+        for (const [symbol, decision] of decisions) {
+            lines.push(`  ${symbol}: ${decision.action.toUpperCase()} (${decision.confidence}) at ${new Date(decision.timestamp).toLocaleString()}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+async function positionsCommand() {
+    const positions = await getCurrentPositions();
+    if (positions.length === 0) {
+        return 'No open positions';
+    }
+
+    return positions.map(position =>
+        `${position.symbol}: ${position.quantity} @ $${position.entryPrice.toFixed(2)} ` +
+        `now $${position.currentPrice.toFixed(2)} ` +
+        `P&L ${formatMoney(position.unrealizedPL)} (${position.unrealizedPLPercent.toFixed(2)}%)`
+    ).join('\n');
+}
+
+async function pnlCommand() {
+    // "Today" is the market's trading day, not the host's
+    const broker = getBroker();
+    const startOfDay = toMarketTime(toMarketDate(broker.now ? broker.now() : new Date()), '00:00');
+
+    const [account, positions, trades] = await Promise.all([
+        broker.getAccount(),
+        getCurrentPositions(),
+        getTrades({ since: startOfDay })
+    ]);
+
+    const unrealized = positions.reduce((sum, position) => sum + position.unrealizedPL, 0);
+    const realized = calculateRealizedPnL(trades);
+
+    return [
+        `Equity: ${formatMoney(account.equity)}`,
+        `Day change: ${formatMoney(account.equity - account.lastEquity)}`,
+        `Unrealized: ${formatMoney(unrealized)}`,
+        `Realized today (journal): ${formatMoney(realized.total)}`,
+        `Trades today: ${trades.length}`
+    ].join('\n');
+}
+
+async function pauseCommand() {
+    await control.pause('Paused from Telegram');
+    return '⏸ Trading paused. Scheduled cycles will not run until /resume.';
+}
+
+async function resumeCommand() {
+    await control.resume();
+    return '▶️ Trading resumed.';
+}
+
+async function flattenCommand() {
+    const result = await control.flattenAll();
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return '🛑 All orders cancelled and positions closed. Trading is paused; /resume to continue.';
+}
+
+async function killCommand() {
+    await control.engageKillSwitch('Kill switch engaged from Telegram');
+    return '🛑 Kill switch engaged. No trades will be placed, even after a restart, until /unkill.';
+}
+
+async function unkillCommand() {
+    await control.disengageKillSwitch();
+    return '✅ Kill switch released.';
+}
+
+async function runNowCommand() {
+    const result = await control.runCycleNow();
+    if (!result.started) {
+        return `Cycle not started: ${result.reason}`;
+    }
+
+    const results = result.cycle ? result.cycle.results : [];
+    const outcomes = results.length > 0
+        ? results.map(r => `${r.symbol}=${r.outcome}`).join(', ')
+        : 'no symbols run';
+    if (result.error) {
+        return `Cycle failed: ${result.error} (${outcomes})`;
+    }
+    return `Cycle finished: ${outcomes}`;
+}
+
+/**
+ * Build the Telegram command set used to operate the bot
+ * @returns {Object} Map of command name to { description, handler, confirm }
+ */
+function buildTelegramCommands() {
+    return {
+        status: { description: 'Market clock and last decision', handler: statusCommand },
+        positions: { description: 'Open positions', handler: positionsCommand },
+        pnl: { description: 'Profit and loss', handler: pnlCommand },
+        pause: { description: 'Pause scheduled trading', handler: pauseCommand },
+        resume: { description: 'Resume scheduled trading', handler: resumeCommand },
+        flatten: {
+            description: 'Cancel all orders and close all positions',
+            confirm: '⚠️ Cancel ALL open orders and close ALL positions at market?',
+            handler: flattenCommand
+        },
+        kill: {
+            description: 'Engage the persistent kill switch',
+            confirm: '⚠️ Block ALL trading until the kill switch is released?',
+            handler: killCommand
+        },
+        unkill: { description: 'Release the kill switch', handler: unkillCommand },
+        run: { description: 'Run a trading cycle now', handler: runNowCommand }
+    };
+}
+
+module.exports = {
+    buildTelegramCommands
+};
@@ -0,0 +1,216 @@
+const { closeAllPositions } = require('./trading/executor');
+const { activateKillSwitch, releaseKillSwitch } = require('./trading/guardrails');
+const { getSection, saveState } = require('./services/state');
+
+// Fields of the operational state that survive a restart
+const PERSISTED_FIELDS = ['paused', 'pausedAt', 'pauseReason', 'lastCycle', 'lastDecisions'];
+
+const saved = getSection('control');
+
+// Operational state shared by the scheduler and the operator interfaces
+const state = {
+    paused: saved.paused || false,
+    pausedAt: saved.pausedAt || null,
+    pauseReason: saved.pauseReason || null,
+    running: false,
+    stopping: false,
+    lastCycle: saved.lastCycle || null,
+    lastDecisions: saved.lastDecisions || {}
+};
+
+let cycleRunner = null;
+// Settles when the running cycle ends
+let cycleDone = Promise.resolve();
+let finishCycle = () => {};
+
+/**
+ * Copy the persisted fields into the state store and save it
+ * @returns {Promise<void>}
+ */
+function persist() {
+    for (const field of PERSISTED_FIELDS) {
+        saved[field] = state[field];
+    }
+    return saveState();
+}
+
+/**
+ * Register the function that runs one trading cycle
+ * @param {Function} runner Async function running a full cycle
+ */
+function setCycleRunner(runner) {
+    cycleRunner = runner;
+}
+
+/**
+ * Stop scheduled cycles from trading until resumed
+ * @param {string} [reason] Why the bot was paused
+ * @returns {Promise<void>} Settles once the pause is saved
+ */
+async function pause(reason = 'Paused by operator') {
+    state.paused = true;
+    state.pausedAt = new Date();
+    state.pauseReason = reason;
+    await persist();
+}
+
+/**
+ * Let scheduled cycles trade again
+ * @returns {Promise<void>} Settles once the change is saved
+ */
+async function resume() {
+    state.paused = false;
+    state.pausedAt = null;
+    state.pauseReason = null;
+    await persist();
+}
+
+function isPaused() {
+    return state.paused;
+}
+
+/**
+ * Mark a cycle as started. Returns false if another cycle is still running or the bot
+ * is shutting down.
+ * @returns {boolean} Whether the cycle may start
+ */
+function beginCycle() {
+    if (state.running || state.stopping) {
+        return false;
+    }
+    state.running = true;
+    cycleDone = new Promise(resolve => {
+        finishCycle = resolve;
+    });
+    return true;
+}
+
+/**
+ * Mark the running cycle as finished, remember its outcome and save the state
+ * @param {Object} summary Cycle summary (id, start/end time, per-symbol results)
+ * @returns {Promise<void>}
+ */
+async function endCycle(summary) {
+    state.running = false;
+    if (summary) {
+        state.lastCycle = summary;
+    }
+    await persist();
+    finishCycle();
+}
+
+/**
+ * Refuse new cycles from now on, as the first step of shutting down
+ */
+function stopCycles() {
+    state.stopping = true;
+}
+
+function isStopping() {
+    return state.stopping;
+}
+
+/**
+ * Wait for the running cycle, if any, to finish
+ * @param {number} timeoutMs Longest wait
+ * @returns {Promise<boolean>} Whether no cycle is running any more
+ */
+async function waitForCycle(timeoutMs) {
+    if (!state.running) {
+        return true;
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const finished = await Promise.race([cycleDone.then(() => true), timedOut]);
+    clearTimeout(timer);
+    return finished;
+}
+
+/**
+ * Remember the latest decision for a symbol
+ * @param {string} symbol Stock symbol
+ * @param {Object} decision Trading decision
+ */
+function recordDecision(symbol, decision) {
+    state.lastDecisions[symbol] = decision;
+}
+
+/**
+ * Run a cycle immediately, even while paused. Reports this cycle's own summary, never
+ * an earlier one, along with the error that cut it short, if any.
+ * @returns {Promise<Object>} { started: false, reason } when the cycle did not run,
+ * otherwise { started: true, cycle, error }
+ */
+async function runCycleNow() {
+    if (!cycleRunner) {
+        return { started: false, reason: 'Trading cycle not initialized' };
+    }
+
+    let cycle;
+    try {
+        cycle = await cycleRunner({ force: true });
+    } catch (error) {
+        return { started: true, cycle: null, error: error.message };
+    }
+
+    // The runner decides whether the cycle may start, as another one can begin meanwhile
+    if (!cycle || cycle.skipped) {
+        return { started: false, reason: cycle ? cycle.reason : 'The cycle did not run' };
+    }
+    return { started: true, cycle, error: cycle.error || null };
+}
+
+/**
+ * Pause trading, cancel all open orders and close every position
+ * @returns {Promise<Object>} Result of closing positions
+ */
+async function flattenAll() {
+    await pause('Flattened by operator');
+    return closeAllPositions();
+}
+
+/**
+ * Engage the persistent kill switch: no trade is placed until it is released,
+ * including after a restart
+ * @param {string} [reason] Why trading was killed
+ * @returns {Promise<Object>} Kill switch state
+ */
+async function engageKillSwitch(reason) {
+    return activateKillSwitch(reason);
+}
+
+/**
+ * Release the kill switch
+ * @returns {Promise<Object>} Kill switch state
+ */
+async function disengageKillSwitch() {
+    return releaseKillSwitch();
+}
+
+function getState() {
+    return {
+        ...state,
+        lastDecisions: { ...state.lastDecisions }
+    };
+}
+
+module.exports = {
+    setCycleRunner,
+    pause,
+    resume,
+    isPaused,
+    beginCycle,
+    endCycle,
+    stopCycles,
+    isStopping,
+    waitForCycle,
+    recordDecision,
+    runCycleNow,
+    flattenAll,
+    engageKillSwitch,
+    disengageKillSwitch,
+    getState
+};
@@ -0,0 +1,267 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { checkMarketStatus } = require('../services/market');
+const { getCurrentPositions } = require('../trading/executor');
+const { getGuardrailStatus } = require('../trading/guardrails');
+const { getTradingMode } = require('../trading/mode');
+const { queryJournal, getEquityCurve } = require('../services/journal');
+const { getBroker } = require('../brokers');
+const { renderMetrics } = require('../services/metrics');
+const control = require('../control');
+const logger = require('../utils/logger');
+
+const DASHBOARD_ENABLED = process.env.DASHBOARD_ENABLED !== 'false';
+const DASHBOARD_HOST = process.env.DASHBOARD_HOST || '127.0.0.1';
+const DASHBOARD_PORT = parseInt(process.env.DASHBOARD_PORT) || 8080;
+// Bearer token for the control endpoints; without one they are disabled
+const DASHBOARD_TOKEN = process.env.DASHBOARD_TOKEN || '';
+const EQUITY_DAYS = parseInt(process.env.DASHBOARD_EQUITY_DAYS) || 30;
+const MAX_LIMIT = 500;
+
+const PAGE_FILE = path.join(__dirname, 'page.html');
+
+let server = null;
+
+// An error answered with its own status code instead of a 500
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readLimit(query, fallback) {
+    const limit = parseInt(query.get('limit')) || fallback;
+    return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+async function healthRoute() {
+    const state = control.getState();
+    return {
+        status: state.stopping ? 'stopping' : 'ok',
+        mode: getTradingMode(),
+        uptimeSeconds: Math.round(process.uptime()),
+        lastCycleAt: state.lastCycle ? state.lastCycle.finishedAt : null
+    };
+}
+
+async function statusRoute() {
+    const state = control.getState();
+    const [marketStatus, guardrails] = await Promise.all([checkMarketStatus(), getGuardrailStatus()]);
+    return {
+        mode: getTradingMode(),
+        market: {
+            isOpen: marketStatus.isOpen,
+            nextOpen: marketStatus.nextOpen,
+            nextClose: marketStatus.nextClose,
+            session: marketStatus.session
+        },
+        trading: {
+            paused: state.paused,
+            pausedAt: state.pausedAt,
+            pauseReason: state.pauseReason,
+            running: state.running,
+            stopping: state.stopping
+        },
+        lastCycle: state.lastCycle,
+        guardrails
+    };
+}
+
+async function positionsRoute() {
+    return getCurrentPositions();
+}
+
+async function ordersRoute(query) {
+    const status = query.get('status') || 'open';
+    if (!['open', 'closed', 'all'].includes(status)) {
+        throw httpError(400, 'status must be open, closed or all');
+    }
+    const symbols = query.get('symbol') ? [query.get('symbol').toUpperCase()] : undefined;
+    return getBroker().getOrders({ status, symbols, limit: readLimit(query, 50) });
+}
+
+async function decisionsRoute(query) {
+    const records = await queryJournal({
+        symbol: query.get('symbol') || undefined,
+        since: query.get('since') || undefined,
+        limit: readLimit(query, 50)
+    });
+
+    return records
+        .filter(record => record.decision)
+        .reverse()
+        .map(record => ({
+            timestamp: record.timestamp,
+            cycleId: record.cycleId,
+            symbol: record.symbol,
+            action: record.decision.action,
+            positionAction: record.decision.positionAction,
+            confidence: record.decision.confidence,
+            strategy: record.decision.strategy,
+            reasoning: record.decision.reasoning,
+            outcome: record.outcome,
+            reason: record.reason
+        }));
+}
+
+async function equityRoute(query) {
+    const since = query.get('since')
+        ? new Date(query.get('since'))
+        : new Date(Date.now() - EQUITY_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(since)) {
+        throw httpError(400, 'since must be a date');
+    }
+    return getEquityCurve({ since });
+}
+
+async function pauseRoute() {
+    await control.pause('Paused from the dashboard');
+    return { paused: true };
+}
+
+async function resumeRoute() {
+    await control.resume();
+    return { paused: false };
+}
+
+async function flattenRoute() {
+    const result = await control.flattenAll();
+    if (!result.success) {
+        throw httpError(502, result.error);
+    }
+    return { flattened: true, paused: true };
+}
+
+async function metricsRoute() {
+    return renderMetrics();
+}
+
+// Control routes change what the bot does and need the bearer token; text routes
+// answer in plain text instead of JSON
+const ROUTES = {
+    'GET /health': { handler: healthRoute },
+    'GET /metrics': { handler: metricsRoute, text: true },
+    'GET /status': { handler: statusRoute },
+    'GET /positions': { handler: positionsRoute },
+    'GET /orders': { handler: ordersRoute },
+    'GET /decisions': { handler: decisionsRoute },
+    'GET /equity': { handler: equityRoute },
+    'POST /pause': { handler: pauseRoute, control: true },
+    'POST /resume': { handler: resumeRoute, control: true },
+    'POST /flatten': { handler: flattenRoute, control: true }
+};
+
+/**
+ * Check the request's bearer token against DASHBOARD_TOKEN
+ * @param {http.IncomingMessage} request HTTP request
+ */
+function authorize(request) {
+    if (!DASHBOARD_TOKEN) {
+        throw httpError(403, 'Control endpoints are disabled; set DASHBOARD_TOKEN to enable them');
+    }
+
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+    const expected = Buffer.from(DASHBOARD_TOKEN);
+    const given = Buffer.from(token || '');
+    if (scheme !== 'Bearer' || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw httpError(401, 'Invalid or missing bearer token');
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Serve the dashboard page and the JSON endpoints
+ * @param {http.IncomingMessage} request HTTP request
+ * @param {http.ServerResponse} response HTTP response
+ */
+async function handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+        try {
+            const page = await fs.promises.readFile(PAGE_FILE);
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(page);
+        } catch (error) {
+            logger.error('Error reading the dashboard page', { error });
+            sendJson(response, 500, { error: 'Dashboard page unavailable' });
+        }
+        return;
+    }
+
+    const route = ROUTES[`${request.method} ${url.pathname}`];
+    if (!route) {
+        const known = Object.keys(ROUTES).some(key => key.endsWith(` ${url.pathname}`));
+        sendJson(response, known ? 405 : 404, { error: known ? 'Method not allowed' : 'Not found' });
+        return;
+    }
+
+    try {
+        if (route.control) {
+            authorize(request);
+        }
+        const body = await route.handler(url.searchParams);
+        if (route.text) {
+            response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            response.end(body);
+        } else {
+            sendJson(response, 200, body);
+        }
+    } catch (error) {
+        if (!error.status) {
+            logger.error(`Error serving ${request.method} ${url.pathname}`, { error });
+        }
+        sendJson(response, error.status || 500, { error: error.message });
+    }
+}
+
+/**
+ * Start the HTTP dashboard on DASHBOARD_HOST:DASHBOARD_PORT, unless DASHBOARD_ENABLED=false.
+ * A port already in use is logged and the bot carries on without a dashboard.
+ * @returns {http.Server|null} The server
+ */
+function startDashboard() {
+    if (!DASHBOARD_ENABLED || server) {
+        return server;
+    }
+
+    server = http.createServer(handleRequest);
+    server.on('error', error => {
+        logger.error('Dashboard server error', { error: error.message });
+    });
+    server.listen(DASHBOARD_PORT, DASHBOARD_HOST, () => {
+        logger.info(`Dashboard listening on http://${DASHBOARD_HOST}:${DASHBOARD_PORT}` +
+            `${DASHBOARD_TOKEN ? '' : ' (control endpoints disabled, no DASHBOARD_TOKEN)'}`);
+    });
+    return server;
+}
+
+/**
+ * Stop accepting connections
+ * @returns {Promise<void>}
+ */
+function stopDashboard() {
+    if (!server) {
+        return Promise.resolve();
+    }
+    const closing = server;
+    server = null;
+    return new Promise(resolve => {
+        closing.close(() => resolve());
+        // Keep-alive connections would hold close() open
+        if (closing.closeIdleConnections) {
+            closing.closeIdleConnections();
+        }
+    });
+}
+
+module.exports = {
+    startDashboard,
+    stopDashboard
+};
@@ -5,127 +5,508 @@ const { fetchNews, analyzeSentiment } = require('./services/news');
 const technical = require('./services/technical');
 const telegram = require('./services/telegram');
 const { getTechnicalIndicators } = require('./services/technical');
-const { predictPrice } = require('./services/ml');
-const { getAIDecision } = require('./services/ai');
+const { predictPrice, retrainModels } = require('./services/ml');
+const strategy = require('./strategies');
 const { validateRisk } = require('./trading/risk');
-const { executeTrade } = require('./trading/executor');
+const { executeTrade, getCurrentPositions, getOpenOrders } = require('./trading/executor');
+const { manageExits } = require('./trading/exits');
+const { reconcileState, recordOpenOrders } = require('./trading/reconcile');
+const { checkTradingMode, getTradingMode } = require('./trading/mode');
+const { saveState } = require('./services/state');
 const { sendNotification } = require('./services/telegram');
-
-// Debug logging
-console.log('API Key exists:', !!process.env.ALPACA_API_KEY);
-console.log('API Secret exists:', !!process.env.ALPACA_API_SECRET);
+const { recordCycle, recordEquity } = require('./services/journal');
+const control = require('./control');
+const { buildTelegramCommands } = require('./commands');
+const { startDashboard, stopDashboard } = require('./dashboard');
+const { mapWithConcurrency, createMutex } = require('./utils/concurrency');
+const { getBroker } = require('./brokers');
+const { createStreamingEngine } = require('./streaming');
+const { getMarketDataStream } = require('./streaming/sources');
+const metrics = require('./services/metrics');
+const logger = require('./utils/logger');
+const crypto = require('crypto');
 
 // Configuration
-const STOCK_SYMBOL = process.env.STOCK_SYMBOL || 'AAPL';
+const WATCHLIST = [...new Set(
+    (process.env.WATCHLIST || process.env.STOCK_SYMBOL || 'AAPL')
+        .split(',')
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean)
+)];
+const MAX_CONCURRENT_SYMBOLS = parseInt(process.env.MAX_CONCURRENT_SYMBOLS) || 2;
+const MODEL_RETRAIN_CRON = process.env.MODEL_RETRAIN_CRON || '30 16 * * 1-5'; // After the close on weekdays
 const MIN_SENTIMENT_SCORE = parseFloat(process.env.MIN_SENTIMENT_SCORE) || 0.3;
+const STREAMING = process.env.STREAMING === 'true'; // React to streamed bars instead of polling every 5 minutes
+const STREAM_BATCH_MS = parseInt(process.env.STREAM_BATCH_MS) || 1000; // Bars completing this close together share a cycle
+const SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 120; // Longest wait for the running cycle
+
+// Where the pipeline gets indicators: fetched bars when polling, the stream's state when streaming
+let getTechnicals = technical.getTechnicalIndicators;
+let streamingEngine = null;
+const scheduledTasks = [];
+
+/**
+ * Run the pipeline for one symbol and record everything it saw and did in the journal
+ * @param {string} symbol Stock symbol
+ * @param {Object} cycle Shared state for the current trading cycle
+ * @returns {Promise<Object>} Outcome of the pipeline for this symbol
+ */
+async function runSymbolPipeline(symbol, cycle) {
+    const entry = {
+        cycleId: cycle.id,
+        mode: getTradingMode(),
+        symbol,
+        marketStatus: cycle.marketStatus
+    };
+
+    const result = await runPipelineSteps(symbol, cycle, entry);
+
+    await recordCycle({
+        ...entry,
+        outcome: result.outcome,
+        reason: result.reason || null,
+        error: result.error || null
+    });
+
+    return result;
+}
+
+/**
+ * Run the news -> technicals -> prediction -> AI -> risk -> execution pipeline for one symbol
+ * @param {string} symbol Stock symbol
+ * @param {Object} cycle Shared state for the current trading cycle
+ * @param {Object} entry Journal entry that collects the inputs and results of each step
+ * @returns {Promise<Object>} Outcome of the pipeline for this symbol
+ */
+async function runPipelineSteps(symbol, cycle, entry) {
+    const { marketStatus, runExclusive } = cycle;
 
-async function runTradingCycle() {
     try {
-        // Step 1: Check Market Status
-        const marketStatus = await checkMarketStatus();
-        console.log(`Market Status: ${marketStatus.isOpen ? 'Open' : 'Closed'}`);
-
-        // Step 2: News Analysis
-        const news = await fetchNews(STOCK_SYMBOL);
-        const sentiment = await analyzeSentiment(news);
-        
-        if (sentiment.score < MIN_SENTIMENT_SCORE) {
-            console.log('Skipping cycle due to low sentiment score');
-            return;
+        // What we already hold, so the decision builds on it
+        const position = entry.position = cycle.positions[symbol] || null;
+
+        // Step 2: News Analysis (only the LLM reads it; rules-only runs skip the cost)
+        let news = null;
+        let sentiment = null;
+        if (strategy.usesLLM()) {
+            await metrics.timeStep('news', async () => {
+                news = entry.news = await fetchNews(symbol);
+                try {
+                    sentiment = entry.sentiment = await analyzeSentiment(news, symbol);
+                } catch (error) {
+                    if (error.code !== 'LLM_UNAVAILABLE') {
+                        throw error;
+                    }
+                    // Carry on without sentiment; the decision step falls back to the rules
+                    logger.warn(`Sentiment unavailable: ${error.message}`);
+                }
+            });
+
+            // Weak sentiment keeps us out of new positions; a held one still goes to the
+            // decision step so it can be managed or closed
+            if (!position && sentiment && sentiment.score < MIN_SENTIMENT_SCORE) {
+                logger.info('Skipping due to low sentiment score', { sentiment: sentiment.score });
+                return { symbol, outcome: 'skipped' };
+            }
         }
 
         // Step 3: Technical Analysis
-        const technicals = await technical.getTechnicalIndicators(STOCK_SYMBOL);
+        const technicals = entry.technicals = await metrics.timeStep('technicals', () => cycle.getTechnicals(symbol));
 
-        // Step 4: ML Price Prediction
-        const prediction = await predictPrice(STOCK_SYMBOL);
+        // Step 4: ML Price Prediction (the decision goes ahead without one)
+        let prediction = null;
+        try {
+            prediction = await metrics.timeStep('ml', () => predictPrice(symbol));
+        } catch (error) {
+            logger.warn(`Prediction unavailable: ${error.message}`);
+        }
+        entry.prediction = prediction;
 
-        // Step 5: AI Decision Making
-        const decision = await getAIDecision({
+        // Orders already working, so the decision builds on them too
+        const openOrders = entry.openOrders = await getOpenOrders([symbol]);
+
+        // Step 5: Decision Making (LLM, rules or both, per STRATEGY)
+        const decision = await metrics.timeStep('ai', () => strategy.decide({
             news,
             sentiment,
             technicals,
             prediction,
-            marketStatus
-        });
+            marketStatus,
+            position,
+            openOrders
+        }));
 
         // Add the symbol to the decision object before risk validation
-        decision.symbol = STOCK_SYMBOL;
+        decision.symbol = symbol;
 
-        // Step 6: Risk Management
-        const riskCheck = await validateRisk(decision);
-        
-        if (!riskCheck.isValid) {
-            await telegram.sendNotification({
-                type: 'warning',
-                message: `Risk check failed: ${riskCheck.reason}`
-            });
-            return;
-        }
+        const { rawAnalysis, ...parsedDecision } = decision;
+        entry.rawAnalysis = rawAnalysis;
+        entry.decision = parsedDecision;
+        control.recordDecision(symbol, parsedDecision);
+        metrics.decisions.inc({ action: decision.action, strategy: decision.strategy || 'unknown' });
 
-        // Step 7: Trade Execution
-        if (marketStatus.isOpen && decision.action !== 'hold') {
-            // Make sure we have all required parameters
-            const tradeParams = {
-                symbol: STOCK_SYMBOL,
-                action: decision.action,
-                quantity: riskCheck.quantity,
-                stopLoss: decision.stopLoss,
-                // Add any missing required parameters
-                price: technicals.currentPrice // Use current price from technical analysis
-            };
+        // Steps 6 and 7 run one symbol at a time so each position is sized
+        // against the buying power the earlier ones in this cycle committed
+        return await runExclusive(() => riskAndExecute(symbol, decision, technicals, position, cycle, entry));
+
+    } catch (error) {
+        logger.error('Error in trading pipeline', { error });
+        await telegram.sendNotification({
+            type: 'error',
+            message: `Trading cycle error (${symbol}): ${error.message}`
+        });
+        return { symbol, outcome: 'error', error: error.message };
+    }
+}
+
+/**
+ * Describe a settled trade for notifications
+ * @param {Object} trade Result of executeTrade
+ * @returns {string} Fill summary
+ */
+function formatFill(trade) {
+    const price = Number.isFinite(trade.price) ? `$${trade.price.toFixed(2)}` : 'unknown price';
+    const quantity = trade.partial
+        ? `${trade.quantity}/${trade.requestedQuantity}`
+        : trade.quantity;
+    const details = [trade.positionAction];
 
-            // Log trade parameters for debugging
-            console.log('Executing trade with params:', tradeParams);
-
-            // Only execute if we have valid parameters
-            if (tradeParams.symbol && tradeParams.action && tradeParams.quantity > 0) {
-                const trade = await executeTrade(tradeParams);
-
-                if (trade.success) {
-                    await sendNotification({
-                        type: 'trade',
-                        message: `Trade executed: ${trade.action.toUpperCase()} ${trade.quantity} ${trade.symbol} @ $${trade.price.toFixed(2)}`
-                    });
-                } else {
-                    await sendNotification({
-                        type: 'error',
-                        message: `Trade execution failed: ${trade.error}`
-                    });
+    if (trade.partial) {
+        details.push(`partial fill, remainder ${trade.status}`);
+    } else if (trade.status && trade.status !== 'filled') {
+        details.push(trade.status);
+    }
+
+    return `${trade.action.toUpperCase()} ${quantity} ${trade.symbol} @ ${price} (${details.join(', ')})`;
+}
+
+/**
+ * Validate a decision against risk rules and execute it
+ * @param {string} symbol Stock symbol
+ * @param {Object} decision AI trading decision
+ * @param {Object} technicals Technical indicators for the symbol
+ * @param {Object|null} position Current position in the symbol
+ * @param {Object} cycle Shared state for the current trading cycle
+ * @param {Object} entry Journal entry for this symbol
+ * @returns {Promise<Object>} Outcome of the pipeline for this symbol
+ */
+async function riskAndExecute(symbol, decision, technicals, position, cycle, entry) {
+    const { marketStatus, portfolio } = cycle;
+
+    // Step 6: Risk Management
+    const riskCheck = entry.riskCheck = await metrics.timeStep('risk', () => validateRisk(decision, {
+        committedBuyingPower: portfolio.committedBuyingPower,
+        position,
+        technicals
+    }));
+    
+    if (!riskCheck.isValid) {
+        metrics.riskRejections.inc({ reason: riskCheck.rule || 'other' });
+        await telegram.sendNotification({
+            type: 'warning',
+            message: `Risk check failed for ${symbol}: ${riskCheck.reason}`
+        });
+        return { symbol, outcome: 'rejected', reason: riskCheck.reason };
+    }
+
+    // Step 7: Trade Execution
+    if (marketStatus.session.canTrade && decision.action !== 'hold') {
+        // Make sure we have all required parameters
+        const tradeParams = {
+            symbol,
+            action: decision.action,
+            positionAction: riskCheck.positionAction,
+            quantity: riskCheck.quantity,
+            closeQuantity: riskCheck.closeQuantity,
+            positionQuantity: position ? position.quantity : 0,
+            stopLoss: riskCheck.details.stopLoss,
+            priceTarget: riskCheck.details.priceTarget,
+            // Add any missing required parameters
+            price: technicals.currentPrice, // Use current price from technical analysis
+            // Pre-market and after-hours trades go out as limit orders
+            extendedHours: marketStatus.session.extendedHours
+        };
+
+        logger.info('Executing trade', { trade: tradeParams });
+
+        // Only execute if we have valid parameters
+        if (tradeParams.symbol && tradeParams.action && tradeParams.quantity > 0) {
+            const trade = entry.trade = await metrics.timeStep('execution', () => executeTrade(tradeParams));
+
+            if (trade.success) {
+                // Only what actually filled ties up buying power
+                if (riskCheck.details.estimatedCost > 0) {
+                    portfolio.committedBuyingPower += trade.quantity * trade.price;
                 }
-            } else {
                 await sendNotification({
-                    type: 'warning',
-                    message: `Trade skipped: Invalid parameters - Symbol: ${tradeParams.symbol}, Action: ${tradeParams.action}, Quantity: ${tradeParams.quantity}`
+                    type: 'trade',
+                    message: `Trade executed: ${formatFill(trade)}`
                 });
+                return { symbol, outcome: 'executed', action: trade.action, positionAction: trade.positionAction, quantity: trade.quantity };
+            }
+
+            await sendNotification({
+                type: 'error',
+                message: `Trade execution failed for ${symbol}: ${trade.error}`
+            });
+            return { symbol, outcome: 'failed', error: trade.error };
+        }
+
+        await sendNotification({
+            type: 'warning',
+            message: `Trade skipped: Invalid parameters - Symbol: ${tradeParams.symbol}, Action: ${tradeParams.action}, Quantity: ${tradeParams.quantity}`
+        });
+        return { symbol, outcome: 'skipped' };
+    }
+
+    await telegram.sendNotification({
+        type: 'info',
+        message: `Market closed or hold recommendation for ${symbol}. Decision: ${JSON.stringify(decision)}`
+    });
+    return { symbol, outcome: 'hold' };
+}
+
+/**
+ * Run one trading cycle over the watchlist
+ * @param {Object} [options] Cycle options
+ * @param {boolean} [options.force] Run even while trading is paused
+ * @param {Array<string>} [options.symbols] Symbols to run (the whole watchlist by default)
+ * @returns {Promise<Object>} Cycle summary { id, startedAt, finishedAt, results, error },
+ * or { skipped: true, reason } when the cycle did not run
+ */
+async function runTradingCycle({ force = false, symbols = WATCHLIST } = {}) {
+    if (control.isStopping()) {
+        logger.info('Shutting down, skipping cycle');
+        return { skipped: true, reason: 'Shutting down' };
+    }
+
+    if (control.isPaused() && !force) {
+        logger.info('Trading paused, skipping cycle');
+        return { skipped: true, reason: 'Trading paused' };
+    }
+
+    if (!control.beginCycle()) {
+        logger.info('Previous cycle still running, skipping');
+        return { skipped: true, reason: 'A cycle is already running' };
+    }
+
+    const cycleId = crypto.randomUUID();
+    const startedAt = new Date();
+    const stopTimer = metrics.cycleDuration.startTimer();
+    let results = [];
+    let summary = null;
+    let cycleError = null;
+
+    // Every line logged during the cycle carries its id
+    await logger.withLogContext({ cycleId }, async () => {
+        try {
+            // Step 1: Check Market Status
+            const marketStatus = await checkMarketStatus();
+            const { session } = marketStatus;
+            logger.info(`Market ${marketStatus.isOpen ? 'open' : 'closed'} (${session.phase}${session.earlyClose ? ', early close' : ''})`);
+
+            // Indicators fetched once per symbol and shared by the exit rules and the pipeline
+            const technicalsCache = new Map();
+            const cycleTechnicals = symbol => {
+                if (!technicalsCache.has(symbol)) {
+                    technicalsCache.set(symbol, getTechnicals(symbol));
+                }
+                return technicalsCache.get(symbol);
+            };
+
+            // Manage the exits of what we already hold before looking for new trades
+            let positions = await getCurrentPositions();
+            const exits = await manageExits(positions, { getTechnicals: cycleTechnicals, marketStatus, cycleId });
+            if (exits.some(exit => exit.type !== 'stop' && exit.success)) {
+                positions = await getCurrentPositions();
+            }
+
+            // Outside the tradable session news, the LLM and predictions would be wasted
+            if (!session.canTrade) {
+                logger.info(`${session.reason}, skipping the pipeline`);
+                results = symbols.map(symbol => ({ symbol, outcome: 'skipped', reason: session.reason }));
+                return;
             }
-        } else {
+
+            const cycle = {
+                id: cycleId,
+                marketStatus,
+                getTechnicals: cycleTechnicals,
+                positions: Object.fromEntries(positions.map(position => [position.symbol, position])),
+                portfolio: { committedBuyingPower: 0 },
+                runExclusive: createMutex()
+            };
+
+            results = await mapWithConcurrency(symbols, MAX_CONCURRENT_SYMBOLS,
+                symbol => logger.withLogContext({ symbol }, () => runSymbolPipeline(symbol, cycle)));
+
+            logger.info(`Cycle complete: ${results.map(result => `${result.symbol}=${result.outcome}`).join(', ')}`, {
+                committedBuyingPower: cycle.portfolio.committedBuyingPower
+            });
+
+        } catch (error) {
+            cycleError = error.message;
+            logger.error('Error in trading cycle', { error });
             await telegram.sendNotification({
-                type: 'info',
-                message: `Market closed or hold recommendation. Decision: ${JSON.stringify(decision)}`
+                type: 'error',
+                message: `Trading cycle error: ${error.message}`
             });
+        } finally {
+            // Remember the orders left working, so a restart can tell what became of them
+            try {
+                await recordOpenOrders();
+            } catch (error) {
+                logger.error('Error saving open orders', { error });
+            }
+            // One point on the equity curve per cycle
+            try {
+                const [account, openPositions] = await Promise.all([getBroker().getAccount(), getCurrentPositions()]);
+                await recordEquity(account, { cycleId });
+                metrics.recordPortfolio(account, openPositions);
+            } catch (error) {
+                logger.error('Error reading the account for the equity curve', { error });
+            }
+            stopTimer();
+            summary = { id: cycleId, startedAt, finishedAt: new Date(), results, error: cycleError };
+            await control.endCycle(summary);
         }
+    });
 
-    } catch (error) {
-        console.error('Error in trading cycle:', error);
+    return summary;
+}
+
+/**
+ * Drive the pipeline from the market data stream. Each completed bar queues its symbol;
+ * the queued symbols run as one cycle once STREAM_BATCH_MS passes without the cycle
+ * lock being held, so bars that close together are handled together.
+ */
+function startStreaming() {
+    const source = getMarketDataStream();
+    const pending = new Set();
+    let timer = null;
+
+    // A broker that fills against fed prices (the simulated one) follows the stream
+    const broker = getBroker();
+    if (typeof broker.feedBar === 'function') {
+        source.on('bar', bar => broker.feedBar(bar.symbol, bar));
+    }
+
+    async function flush() {
+        timer = null;
+        if (control.getState().running) {
+            timer = setTimeout(flush, STREAM_BATCH_MS);
+            return;
+        }
+        const symbols = WATCHLIST.filter(symbol => pending.has(symbol));
+        pending.clear();
+        await runTradingCycle({ symbols });
+    }
+
+    streamingEngine = createStreamingEngine({
+        symbols: WATCHLIST,
+        source,
+        onBar: symbol => {
+            pending.add(symbol);
+            if (!timer) {
+                timer = setTimeout(flush, STREAM_BATCH_MS);
+            }
+        }
+    });
+    getTechnicals = streamingEngine.getTechnicals;
+
+    streamingEngine.start().catch(async error => {
+        logger.error('Error starting the market data stream', { error });
         await telegram.sendNotification({
             type: 'error',
-            message: `Trading cycle error: ${error.message}`
+            message: `Streaming mode failed to start: ${error.message}`
         });
-    }
+    });
 }
 
-// Schedule the trading cycle every 5 minutes
-cron.schedule('*/5 * * * *', runTradingCycle);
+/**
+ * Stop scheduling, let the running cycle finish (up to SHUTDOWN_TIMEOUT_SECONDS), save
+ * the state and exit
+ * @param {string} signal Signal that asked for the shutdown
+ */
+async function shutdown(signal) {
+    if (control.isStopping()) {
+        return;
+    }
+    logger.info(`${signal} received, shutting down`);
+    control.stopCycles();
+    scheduledTasks.forEach(task => task.stop());
+    if (streamingEngine) {
+        streamingEngine.stop();
+    }
 
-// Initial run
-runTradingCycle();
+    const finished = await control.waitForCycle(SHUTDOWN_TIMEOUT_SECONDS * 1000);
+    if (!finished) {
+        logger.warn(`Trading cycle still running after ${SHUTDOWN_TIMEOUT_SECONDS}s, exiting anyway`);
+    }
+    await saveState();
 
-// Handle process termination
-process.on('SIGTERM', async () => {
+    await telegram.stopCommandListener();
+    await stopDashboard();
     await telegram.sendNotification({
         type: 'system',
-        message: 'Bot shutting down'
+        message: finished ? 'Bot shutting down' : 'Bot shutting down with a trading cycle still running'
     });
     process.exit(0);
-}); 
\ No newline at end of file
+}
+
+/**
+ * Reconcile the saved state with the broker, then start trading
+ */
+async function start() {
+    // Refuse to start on an unknown mode or unconfirmed live trading
+    let mode;
+    try {
+        mode = checkTradingMode();
+    } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+    }
+    logger.info(`Trading mode: ${mode.description}`);
+
+    control.setCycleRunner(runTradingCycle);
+
+    // Accept operator commands from the authorized Telegram chat
+    telegram.startCommandListener(buildTelegramCommands());
+
+    // Serve the monitoring dashboard and REST API
+    startDashboard();
+
+    try {
+        await reconcileState();
+    } catch (error) {
+        logger.error('Error reconciling state with the broker', { error });
+        await telegram.sendNotification({
+            type: 'error',
+            message: `Could not reconcile saved state with the broker: ${error.message}`
+        });
+    }
+
+    if (control.isPaused()) {
+        const { pauseReason, pausedAt } = control.getState();
+        logger.info(`Trading paused since ${new Date(pausedAt).toLocaleString()} (${pauseReason}); /resume to trade`);
+    }
+
+    if (STREAMING) {
+        startStreaming();
+    } else {
+        // Schedule the trading cycle every 5 minutes
+        scheduledTasks.push(cron.schedule('*/5 * * * *', () => runTradingCycle()));
+
+        // Initial run
+        runTradingCycle();
+    }
+
+    // Retrain the prediction models once the day's bars are in
+    scheduledTasks.push(cron.schedule(MODEL_RETRAIN_CRON, () => retrainModels(WATCHLIST), { timezone: 'America/New_York' }));
+}
+
+// Handle process termination
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
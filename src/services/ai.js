@@ -1,11 +1,38 @@
-const OpenAI = require('openai');
+const { requestStructuredOutput } = require('./structured');
+const { getLLMClient } = require('./llm');
+const { POSITION_ACTIONS, ALLOW_SHORTING, resolvePositionAction } = require('../trading/position');
+const { selectModel } = require('./budget');
+const { hashKey, createCache } = require('../utils/cache');
+const { parseTimeframe, barEnd } = require('../utils/bars');
+const logger = require('../utils/logger');
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+const DECISION_SCHEMA = {
+    type: 'object',
+    properties: {
+        action: { type: 'string', enum: ['buy', 'sell', 'hold'] },
+        positionAction: { type: 'string', enum: POSITION_ACTIONS },
+        reducePercent: { type: ['number', 'null'], minimum: 1, maximum: 100 },
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+        priceTarget: { type: ['number', 'null'], minimum: 0 },
+        stopLoss: { type: ['number', 'null'], minimum: 0 },
+        reasoning: { type: 'string', minLength: 1 }
+    },
+    required: ['action', 'positionAction', 'reducePercent', 'confidence', 'priceTarget', 'stopLoss', 'reasoning'],
+    additionalProperties: false
+};
+
+// Stops or targets further than this from the current price are treated as nonsense
+const MAX_LEVEL_DISTANCE_PERCENT = 50;
+
+// A decision on the same inputs (completed bars, prediction, articles, position and
+// orders) reuses the earlier one instead of paying for another call
+const DECISION_CACHE_MINUTES = process.env.DECISION_CACHE_MINUTES !== undefined
+    ? parseFloat(process.env.DECISION_CACHE_MINUTES)
+    : 30;
+const decisionCache = createCache({ ttlMs: DECISION_CACHE_MINUTES * 60000, maxEntries: 200 });
 
 /**
- * Generate a trading decision using OpenAI
+ * Generate a trading decision with the configured LLM
  * @param {Object} data Object containing all analysis data
  * @returns {Promise<Object>} Trading decision
  */
@@ -19,30 +46,58 @@ Technical Analysis:
 - Trend: ${data.technicals.trendSignal}
 - MACD: ${JSON.stringify(data.technicals.macd)}
 - Current Price: $${data.technicals.currentPrice}
+- ATR (14): ${data.technicals.atr ? `$${data.technicals.atr.toFixed(2)} (${data.technicals.atrPercent.toFixed(2)}% of price)` : 'n/a'}
+- Recent Swing Highs: ${formatLevels(data.technicals.swingHighs)}
+- Recent Swing Lows: ${formatLevels(data.technicals.swingLows)}
+
+Multi-Timeframe Analysis (history is oldest to newest):
+${formatTimeframes(data.technicals)}
 
 ML Prediction:
-- Predicted Price: $${data.prediction.predicted_price}
-- Predicted Change: ${data.prediction.predicted_change_percent.toFixed(2)}%
-- Confidence Score: ${data.prediction.confidence_score.toFixed(2)}
+${formatPrediction(data.prediction)}
 
 News Sentiment:
-- Score: ${data.sentiment.score}
-- Analysis: ${data.sentiment.analysis}
+${data.sentiment ? `- Score: ${data.sentiment.score}\n- Analysis: ${data.sentiment.analysis}` : '- Unavailable'}
 
 Market Status:
 - Is Open: ${data.marketStatus.isOpen}
 - Next Close: ${data.marketStatus.nextClose}
 
-Based on this data, provide:
+Current Position:
+${formatPosition(data.position)}
+
+Open Orders:
+${formatOpenOrders(data.openOrders)}
+
+${formatRuleSignal(data.ruleSignal)}Position Rules:
+- With no position, buy opens a long${ALLOW_SHORTING ? ' and sell opens a short' : '; shorting is disabled, so do not sell'}
+- A signal on the same side as the position adds to it
+- A signal on the opposite side closes the position, or reduces it (set reducePercent)${ALLOW_SHORTING ? ', or reverses it' : ''}
+- Do not add to a position unless the case for it has strengthened
+
+Based on this data, submit your decision with:
 1. Trading action (buy, sell, or hold)
-2. Confidence level (high, medium, or low)
-3. Price target
-4. Stop-loss level
-5. Detailed reasoning for the decision
+2. Position action (open, add, reduce, close, reverse, or none for hold)
+3. Percent of the position to reduce (only for reduce, otherwise null)
+4. Confidence level (high, medium, or low)
+5. Price target in dollars (below the current price for a sell, above it for a buy; null for hold, reduce and close)
+6. Stop-loss level in dollars (above the current price for a sell, below it for a buy; null for hold, reduce and close)
+7. Detailed reasoning for the decision
 `;
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-4",
+        const model = selectModel('decision');
+        const cacheKey = hashKey({ model, ...decisionInputs(data) });
+        const cached = DECISION_CACHE_MINUTES > 0 && decisionCache.get(cacheKey);
+        if (cached) {
+            return { ...cached, cached: true, timestamp: new Date() };
+        }
+
+        const { data: decision, raw, usage, provider, model: servedBy } = await requestStructuredOutput(getLLMClient(), {
+            model,
+            name: 'submit_trading_decision',
+            description: 'Submit the trading decision for the analyzed stock',
+            schema: DECISION_SCHEMA,
+            validate: output => validateDecision(output, data.technicals.currentPrice, data.position),
             messages: [
                 {
                     role: "system",
@@ -55,68 +110,248 @@ Based on this data, provide:
             ]
         });
 
-        const analysis = response.choices[0].message.content;
-
-        // Parse the AI response
-        const decision = parseAIResponse(analysis);
-
-        return {
+        const result = {
             ...decision,
+            model: servedBy,
+            provider,
+            usage,
             timestamp: new Date(),
-            rawAnalysis: analysis
+            rawAnalysis: raw
         };
+        decisionCache.set(cacheKey, result);
+        return result;
     } catch (error) {
-        console.error('Error getting AI decision:', error);
-        throw new Error(`Failed to get AI decision: ${error.message}`);
+        logger.error('Error getting AI decision', { error });
+        const wrapped = new Error(`Failed to get AI decision: ${error.message}`);
+        wrapped.code = error.code;
+        throw wrapped;
     }
 }
 
 /**
- * Parse the AI response into structured data
- * @param {string} response Raw AI response
- * @returns {Object} Structured decision data
+ * What a decision rests on, for its cache key. Indicators are taken as of each
+ * timeframe's last completed bar, so a bar still forming does not change the key; the
+ * live price and unrealized P&L in the prompt do not either.
+ * @param {Object} data Analysis data passed to getAIDecision
+ * @param {Date} [now] Current time
+ * @returns {Object} Decision inputs
  */
-function parseAIResponse(response) {
-    try {
-        // Extract action (buy, sell, hold)
-        const actionMatch = response.match(/action.*?:\s*(buy|sell|hold)/i);
-        const action = actionMatch ? actionMatch[1].toLowerCase() : 'hold';
-
-        // Extract confidence (high, medium, low)
-        const confidenceMatch = response.match(/confidence.*?:\s*(high|medium|low)/i);
-        const confidence = confidenceMatch ? confidenceMatch[1].toLowerCase() : 'low';
-
-        // Extract price target
-        const priceTargetMatch = response.match(/price target.*?:\s*\$?([\d.]+)/i);
-        const priceTarget = priceTargetMatch ? parseFloat(priceTargetMatch[1]) : null;
-
-        // Extract stop-loss
-        const stopLossMatch = response.match(/stop-loss.*?:\s*\$?([\d.]+)/i);
-        const stopLoss = stopLossMatch ? parseFloat(stopLossMatch[1]) : null;
-
-        // Extract reasoning
-        const reasoningMatch = response.match(/reasoning.*?:\s*(.*)/is);
-        const reasoning = reasoningMatch ? reasoningMatch[1].trim() : 'No detailed reasoning provided';
-
-        return {
-            action,
-            confidence,
-            priceTarget,
-            stopLoss,
-            reasoning
-        };
-    } catch (error) {
-        console.error('Error parsing AI response:', error);
-        return {
-            action: 'hold',
-            confidence: 'low',
-            priceTarget: null,
-            stopLoss: null,
-            reasoning: 'Error parsing AI response'
-        };
+function decisionInputs(data, now = new Date()) {
+    const timeframes = data.technicals.timeframes || { [data.technicals.timeframe || 'primary']: data.technicals };
+    const indicators = {};
+    for (const [timeframe, t] of Object.entries(timeframes)) {
+        const forming = t.lastBarTime && t.timeframe &&
+            barEnd(new Date(t.lastBarTime), parseTimeframe(t.timeframe)) > now;
+        const offset = forming ? 2 : 1;
+        indicators[timeframe] = Object.fromEntries(Object.entries(t.history || {})
+            .map(([name, values]) => [name, values.length >= offset ? values[values.length - offset] : null]));
+    }
+
+    const { prediction, position } = data;
+    return {
+        indicators,
+        prediction: prediction ? {
+            price: prediction.predicted_price,
+            confidence: prediction.confidence_score,
+            version: prediction.model ? prediction.model.version : null
+        } : null,
+        articles: (data.news || []).map(article => article.url || article.title),
+        position: position && position.quantity !== 0
+            ? { side: position.quantity > 0 ? 'long' : 'short', quantity: Math.abs(position.quantity) }
+            : null,
+        openOrders: (data.openOrders || []).map(order => order.id),
+        ruleSignal: data.ruleSignal ? `${data.ruleSignal.action}:${data.ruleSignal.positionAction}` : null
+    };
+}
+
+function formatPosition(position) {
+    if (!position) {
+        return '- None';
+    }
+    return `- ${position.quantity > 0 ? 'Long' : 'Short'} ${Math.abs(position.quantity)} shares @ $${position.entryPrice.toFixed(2)}\n` +
+        `- Unrealized P&L: $${position.unrealizedPL.toFixed(2)} (${position.unrealizedPLPercent.toFixed(2)}%)`;
+}
+
+function formatLevels(levels) {
+    return levels && levels.length > 0
+        ? levels.map(level => `$${level.price.toFixed(2)}`).join(', ')
+        : 'none';
+}
+
+function formatRuleSignal(signal) {
+    if (!signal) {
+        return '';
+    }
+    return `Rule Signal:
+- The rule-based strategy signals ${signal.action.toUpperCase()} (${signal.positionAction}): ${signal.reasoning}
+- You can only confirm it by submitting the same action and position action, or veto it by submitting hold
+
+`;
+}
+
+/**
+ * Describe the price prediction, or its absence
+ * @param {Object|null} prediction Result of predictPrice, null when none was made
+ * @returns {string} Prompt lines
+ */
+function formatPrediction(prediction) {
+    if (!prediction) {
+        return '- Unavailable';
+    }
+    return `- Predicted Price: $${prediction.predicted_price}
+- Predicted Change: ${prediction.predicted_change_percent.toFixed(2)}%
+- Confidence Score: ${prediction.confidence_score.toFixed(2)}
+${formatTrackRecord(prediction)}`;
+}
+
+/**
+ * Describe how the prediction model has done lately and how much weight it deserves
+ * @param {Object} prediction Result of predictPrice
+ * @returns {string} Prompt lines
+ */
+function formatTrackRecord(prediction) {
+    const record = prediction.track_record;
+    if (!record) {
+        return '- Track Record: none';
+    }
+    if (record.status === 'unproven') {
+        return `- Track Record: only ${record.samples} scored predictions so far, too few to judge`;
     }
+
+    const line = `- Track Record: right direction in ${(record.hitRate * 100).toFixed(1)}% of the last ${record.samples} ` +
+        `predictions (active model ${prediction.model.version}), mean error ${(record.mae * 100).toFixed(2)}% ` +
+        `vs ${(record.baselineMae * 100).toFixed(2)}% for predicting no change`;
+    if (record.status === 'failing') {
+        return `${line}\n- The prediction has been unreliable; ignore it`;
+    }
+    if (record.status === 'weak') {
+        return `${line}\n- The prediction has been weak; give it little weight`;
+    }
+    return line;
+}
+
+function formatNumber(value, digits = 2) {
+    return typeof value === 'number' ? value.toFixed(digits) : 'n/a';
+}
+
+/**
+ * Summarize the indicators of every timeframe, with recent history and crossovers
+ * @param {Object} technicals Result of getTechnicalIndicators
+ * @returns {string} Prompt section
+ */
+function formatTimeframes(technicals) {
+    const timeframes = technicals.timeframes || { [technicals.timeframe || 'primary']: technicals };
+
+    return Object.entries(timeframes).map(([timeframe, t]) => {
+        const history = t.history || {};
+        const lines = [
+            `${timeframe} (${t.barCount} bars):`,
+            `- Trend: ${t.trendSignal}${t.trendBasis ? ` (${t.trendBasis})` : ''}`,
+            `- RSI: ${formatNumber(t.rsi, 1)} (history ${(history.rsi || []).map(v => formatNumber(v, 1)).join(', ')})`,
+            `- MACD histogram: ${(history.macd || []).map(m => formatNumber(m.histogram, 3)).join(', ')}`
+        ];
+
+        if (t.bollinger) {
+            lines.push(`- Bollinger: lower $${formatNumber(t.bollinger.lower)}, middle $${formatNumber(t.bollinger.middle)}, upper $${formatNumber(t.bollinger.upper)}, %B ${formatNumber(t.bollinger.pb)}`);
+        }
+        if (t.adx) {
+            lines.push(`- ADX: ${formatNumber(t.adx.adx, 1)} (+DI ${formatNumber(t.adx.pdi, 1)}, -DI ${formatNumber(t.adx.mdi, 1)})`);
+        }
+        if (t.stochastic) {
+            lines.push(`- Stochastic: %K ${formatNumber(t.stochastic.k, 1)}, %D ${formatNumber(t.stochastic.d, 1)}`);
+        }
+        if (t.vwap) {
+            lines.push(`- VWAP: $${formatNumber(t.vwap)} (price ${t.currentPrice > t.vwap ? 'above' : 'below'})`);
+        }
+        if (history.obv && history.obv.length > 1) {
+            lines.push(`- OBV: ${history.obv[history.obv.length - 1] >= history.obv[0] ? 'rising' : 'falling'} over the last ${history.obv.length} bars`);
+        }
+        if (t.volume) {
+            lines.push(`- Volume: ${formatNumber(t.volume.relative)}x its average`);
+        }
+        if (t.levels) {
+            lines.push(`- Support: ${formatLevels(t.levels.support)}; Resistance: ${formatLevels(t.levels.resistance)}`);
+        }
+
+        const crossovers = Object.entries(t.crossovers || {})
+            .filter(([, crossover]) => crossover)
+            .map(([name, crossover]) => `${name} ${crossover.direction} ${crossover.barsAgo} bars ago`);
+        lines.push(`- Crossovers: ${crossovers.length > 0 ? crossovers.join('; ') : 'none'}`);
+
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+function formatOpenOrders(orders) {
+    if (!orders || orders.length === 0) {
+        return '- None';
+    }
+    return orders.map(order => {
+        const price = order.limitPrice || order.stopPrice;
+        return `- ${order.side} ${order.qty} ${order.type}${price ? ` @ $${price}` : ''} (${order.status})`;
+    }).join('\n');
+}
+
+/**
+ * Check that the decision is consistent with the current position and that its
+ * price levels are consistent with its action
+ * @param {Object} decision Decision returned by the model
+ * @param {number} currentPrice Current price of the stock
+ * @param {Object|null} [position] Current position for the symbol
+ * @returns {Array<string>} Validation errors, empty when the decision makes sense
+ */
+function validateDecision(decision, currentPrice, position = null) {
+    const errors = [];
+
+    if (decision.action === 'hold') {
+        return errors;
+    }
+
+    const resolution = resolvePositionAction(decision, position);
+    if (resolution.error) {
+        errors.push(resolution.error);
+        return errors;
+    }
+
+    // Reducing or closing exits at market; stop and target only matter for new exposure
+    if (resolution.positionAction === 'reduce' || resolution.positionAction === 'close') {
+        return errors;
+    }
+
+    const { priceTarget, stopLoss } = decision;
+
+    if (priceTarget === null || stopLoss === null) {
+        errors.push(`A ${decision.action} decision needs both priceTarget and stopLoss`);
+        return errors;
+    }
+
+    if (decision.action === 'buy') {
+        if (stopLoss >= currentPrice) {
+            errors.push(`Buy stopLoss ${stopLoss} must be below the current price ${currentPrice}`);
+        }
+        if (priceTarget <= currentPrice) {
+            errors.push(`Buy priceTarget ${priceTarget} must be above the current price ${currentPrice}`);
+        }
+    } else {
+        if (stopLoss <= currentPrice) {
+            errors.push(`Sell stopLoss ${stopLoss} must be above the current price ${currentPrice}`);
+        }
+        if (priceTarget >= currentPrice) {
+            errors.push(`Sell priceTarget ${priceTarget} must be below the current price ${currentPrice}`);
+        }
+    }
+
+    for (const [field, level] of [['priceTarget', priceTarget], ['stopLoss', stopLoss]]) {
+        const distancePercent = Math.abs(level - currentPrice) / currentPrice * 100;
+        if (distancePercent > MAX_LEVEL_DISTANCE_PERCENT) {
+            errors.push(`${field} ${level} is more than ${MAX_LEVEL_DISTANCE_PERCENT}% away from the current price ${currentPrice}`);
+        }
+    }
+
+    return errors;
 }
 
 module.exports = {
-    getAIDecision
+    getAIDecision,
+    validateDecision
 }; 
\ No newline at end of file
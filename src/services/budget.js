@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { toMarketDate } = require('../utils/time');
+const { createMutex } = require('../utils/concurrency');
+const { sendNotification } = require('./telegram');
+const metrics = require('./metrics');
+const logger = require('../utils/logger');
+
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4';
+const LLM_SENTIMENT_MODEL = process.env.LLM_SENTIMENT_MODEL || LLM_MODEL;
+const LLM_FALLBACK_MODEL = process.env.LLM_FALLBACK_MODEL || 'gpt-4o-mini';
+const LLM_DAILY_BUDGET_USD = parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0; // 0 disables the budget
+// What happens once the budget is spent: 'model' switches to LLM_FALLBACK_MODEL, 'rules' stops calling the LLM
+const LLM_BUDGET_FALLBACK = process.env.LLM_BUDGET_FALLBACK === 'rules' ? 'rules' : 'model';
+const LLM_USAGE_FILE = process.env.LLM_USAGE_FILE || path.resolve(__dirname, '../../data/llm-usage.json');
+const USAGE_HISTORY_DAYS = 30;
+
+/**
+ * Read the LLM_PRICES overrides; malformed JSON is logged and ignored so a typo costs
+ * the overrides rather than the bot
+ * @returns {Object} Prices by model
+ */
+function readPriceOverrides() {
+    if (!process.env.LLM_PRICES) {
+        return {};
+    }
+    try {
+        return JSON.parse(process.env.LLM_PRICES);
+    } catch (error) {
+        logger.error('Ignoring LLM_PRICES, it is not valid JSON', { error: error.message });
+        return {};
+    }
+}
+
+// USD per million tokens; LLM_PRICES (JSON of the same shape) adds or overrides models
+const MODEL_PRICES = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    ...readPriceOverrides()
+};
+
+// Usage totals by market date, loaded synchronously so budget checks stay synchronous
+let usage = null;
+const unpriced = new Set();
+const runExclusive = createMutex();
+
+function loadUsage() {
+    if (usage) {
+        return usage;
+    }
+
+    try {
+        usage = JSON.parse(fs.readFileSync(LLM_USAGE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Error reading LLM usage', { error });
+        }
+        usage = {};
+    }
+    return usage;
+}
+
+async function saveUsage() {
+    const days = Object.keys(usage).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - USAGE_HISTORY_DAYS))) {
+        delete usage[day];
+    }
+
+    await runExclusive(async () => {
+        try {
+            await fs.promises.mkdir(path.dirname(LLM_USAGE_FILE), { recursive: true });
+            await fs.promises.writeFile(LLM_USAGE_FILE, JSON.stringify(usage, null, 2));
+        } catch (error) {
+            logger.error('Error saving LLM usage', { error });
+        }
+    });
+}
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addTo(totals, call) {
+    totals.calls++;
+    totals.promptTokens += call.promptTokens;
+    totals.completionTokens += call.completionTokens;
+    totals.cost += call.cost;
+}
+
+/**
+ * Cost of a call in USD
+ * @param {string} model Model name
+ * @param {number} promptTokens Input tokens
+ * @param {number} completionTokens Output tokens
+ * @returns {number} Cost (0 for models without a price)
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+    // Dated snapshots (gpt-4o-2024-08-06) are priced like their base model
+    const name = Object.keys(MODEL_PRICES)
+        .sort((a, b) => b.length - a.length)
+        .find(known => model === known || model.startsWith(`${known}-`));
+
+    if (!name) {
+        if (!unpriced.has(model)) {
+            unpriced.add(model);
+            logger.warn(`No price for LLM model ${model}; its calls count as free. Set LLM_PRICES to price it.`);
+        }
+        return 0;
+    }
+    const price = MODEL_PRICES[name];
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Record the tokens and cost of one LLM call in today's totals
+ * @param {Object} call Call details
+ * @param {string} call.model Model name
+ * @param {string} call.purpose What the call was for (e.g. submit_sentiment)
+ * @param {Object} [call.usage] Usage reported by the API ({ prompt_tokens, completion_tokens })
+ * @param {boolean} [call.free] Whether the provider charges nothing (local and mock models)
+ * @returns {Object} { model, purpose, promptTokens, completionTokens, cost }
+ */
+function recordUsage({ model, purpose, usage: reported = {}, free = false }) {
+    const call = {
+        model,
+        purpose,
+        promptTokens: reported.prompt_tokens || 0,
+        completionTokens: reported.completion_tokens || 0
+    };
+    call.cost = free ? 0 : estimateCost(model, call.promptTokens, call.completionTokens);
+
+    const day = toMarketDate();
+    const wasExceeded = getBudgetStatus().exceeded;
+    const totals = loadUsage()[day] = usage[day] || { ...emptyTotals(), byModel: {}, byPurpose: {} };
+    addTo(totals, call);
+    addTo(totals.byModel[model] = totals.byModel[model] || emptyTotals(), call);
+    addTo(totals.byPurpose[purpose] = totals.byPurpose[purpose] || emptyTotals(), call);
+    metrics.llmTokens.inc({ model, purpose, type: 'prompt' }, call.promptTokens);
+    metrics.llmTokens.inc({ model, purpose, type: 'completion' }, call.completionTokens);
+    metrics.llmCost.inc({ model }, call.cost);
+
+    if (!wasExceeded && getBudgetStatus().exceeded) {
+        sendNotification({
+            type: 'warning',
+            message: `LLM budget of $${LLM_DAILY_BUDGET_USD.toFixed(2)} spent for ${day}. ` +
+                (LLM_BUDGET_FALLBACK === 'rules'
+                    ? 'Decisions use the rules only until tomorrow.'
+                    : `Switching to ${LLM_FALLBACK_MODEL} until tomorrow.`)
+        });
+    }
+
+    saveUsage();
+    return call;
+}
+
+/**
+ * Token and cost totals of one day
+ * @param {string} [day] Market date as YYYY-MM-DD (today by default)
+ * @returns {Object} { calls, promptTokens, completionTokens, cost, byModel, byPurpose }
+ */
+function getUsage(day = toMarketDate()) {
+    return loadUsage()[day] || { ...emptyTotals(), byModel: {}, byPurpose: {} };
+}
+
+/**
+ * Today's spend against the daily budget
+ * @returns {Object} { spent, budget, exceeded, fallback }
+ */
+function getBudgetStatus() {
+    const spent = getUsage().cost;
+    return {
+        spent,
+        budget: LLM_DAILY_BUDGET_USD || null,
+        exceeded: LLM_DAILY_BUDGET_USD > 0 && spent >= LLM_DAILY_BUDGET_USD,
+        fallback: LLM_BUDGET_FALLBACK
+    };
+}
+
+/**
+ * Whether the LLM may be called at all, i.e. the budget is not spent or spending
+ * continues on the fallback model
+ * @returns {boolean} Whether LLM calls are allowed
+ */
+function allowsLLM() {
+    const status = getBudgetStatus();
+    return !status.exceeded || status.fallback === 'model';
+}
+
+/**
+ * Model to use for a call, switched to the cheaper fallback once the budget is spent
+ * @param {string} [role] 'decision' or 'sentiment'
+ * @returns {string} Model name
+ */
+function selectModel(role = 'decision') {
+    if (getBudgetStatus().exceeded) {
+        return LLM_FALLBACK_MODEL;
+    }
+    return role === 'sentiment' ? LLM_SENTIMENT_MODEL : LLM_MODEL;
+}
+
+module.exports = {
+    LLM_MODEL,
+    recordUsage,
+    getUsage,
+    getBudgetStatus,
+    allowsLLM,
+    selectModel,
+    estimateCost
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const JOURNAL_DIR = process.env.JOURNAL_DIR || path.resolve(__dirname, '../../data/journal');
+// Quantities closer to zero than this are float leftovers of fractional fills
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Get the journal file that holds records for a given day (UTC)
+ * @param {Date} date Day of the records
+ * @param {string} [kind] Record kind ('cycles' or 'equity')
+ * @returns {string} Path of the JSONL file
+ */
+function journalFile(date, kind = 'cycles') {
+    return path.join(JOURNAL_DIR, `${kind}-${date.toISOString().split('T')[0]}.jsonl`);
+}
+
+/**
+ * List the journal files of one kind covering a time range, oldest first
+ * @param {string} kind Record kind ('cycles' or 'equity')
+ * @param {Date|null} since Start of the range
+ * @param {Date|null} until End of the range
+ * @returns {Promise<Array<string>>} File names in JOURNAL_DIR
+ */
+async function listJournalFiles(kind, since, until) {
+    let files;
+    try {
+        files = (await fs.promises.readdir(JOURNAL_DIR))
+            .filter(file => new RegExp(`^${kind}-\\d{4}-\\d{2}-\\d{2}\\.jsonl$`).test(file))
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    // File names carry the day, so whole days outside the range can be skipped unread
+    const sinceDay = since ? since.toISOString().split('T')[0] : null;
+    const untilDay = until ? until.toISOString().split('T')[0] : null;
+    return files.filter(file => {
+        const day = file.slice(`${kind}-`.length, -'.jsonl'.length);
+        return (!sinceDay || day >= sinceDay) && (!untilDay || day <= untilDay);
+    });
+}
+
+/**
+ * Append one pipeline run for a symbol to the journal
+ * @param {Object} record Cycle record (inputs, decision, risk check, trade result)
+ * @returns {Promise<Object>} The stored record with its id and timestamp
+ */
+async function recordCycle(record) {
+    try {
+        const timestamp = record.timestamp ? new Date(record.timestamp) : new Date();
+        const stored = {
+            id: crypto.randomUUID(),
+            ...record,
+            timestamp
+        };
+
+        await fs.promises.mkdir(JOURNAL_DIR, { recursive: true });
+        await fs.promises.appendFile(journalFile(timestamp), JSON.stringify(stored) + '\n');
+
+        return stored;
+    } catch (error) {
+        // Journaling must never stop the bot from trading
+        logger.error('Error writing trade journal', { error });
+        return null;
+    }
+}
+
+/**
+ * Read journal records matching a filter
+ * @param {Object} [filter] Query filter
+ * @param {string} [filter.symbol] Only records for this symbol
+ * @param {Date|string} [filter.since] Only records at or after this time
+ * @param {Date|string} [filter.until] Only records at or before this time
+ * @param {string|Array<string>} [filter.outcome] Only records with this outcome (e.g. 'executed', 'rejected')
+ * @param {string} [filter.action] Only records whose decision has this action
+ * @param {number} [filter.limit] Return at most this many of the most recent records
+ * @returns {Promise<Array<Object>>} Matching records, oldest first
+ */
+async function queryJournal(filter = {}) {
+    const since = filter.since ? new Date(filter.since) : null;
+    const until = filter.until ? new Date(filter.until) : null;
+    const outcomes = filter.outcome ? [].concat(filter.outcome) : null;
+    const symbol = filter.symbol ? filter.symbol.toUpperCase() : null;
+
+    const files = await listJournalFiles('cycles', since, until);
+
+    const records = [];
+    for (const file of files) {
+        const content = await fs.promises.readFile(path.join(JOURNAL_DIR, file), 'utf8');
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                logger.error(`Skipping corrupt journal line in ${file}`);
+                continue;
+            }
+
+            const timestamp = new Date(record.timestamp);
+            if (since && timestamp < since) continue;
+            if (until && timestamp > until) continue;
+            if (symbol && record.symbol !== symbol) continue;
+            if (outcomes && !outcomes.includes(record.outcome)) continue;
+            if (filter.action && (!record.decision || record.decision.action !== filter.action)) continue;
+
+            records.push(record);
+        }
+    }
+
+    records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return filter.limit ? records.slice(-filter.limit) : records;
+}
+
+/**
+ * Append an account snapshot to the equity curve
+ * @param {Object} account Broker account (equity, cash, lastEquity)
+ * @param {Object} [details] Extra fields, e.g. the cycle id
+ * @returns {Promise<Object|null>} The stored point
+ */
+async function recordEquity(account, details = {}) {
+    try {
+        const timestamp = new Date();
+        const point = {
+            timestamp,
+            equity: account.equity,
+            cash: account.cash,
+            lastEquity: account.lastEquity,
+            ...details
+        };
+
+        await fs.promises.mkdir(JOURNAL_DIR, { recursive: true });
+        await fs.promises.appendFile(journalFile(timestamp, 'equity'), JSON.stringify(point) + '\n');
+
+        return point;
+    } catch (error) {
+        logger.error('Error writing equity curve', { error });
+        return null;
+    }
+}
+
+/**
+ * Read the equity curve recorded after each cycle
+ * @param {Object} [filter] Query filter
+ * @param {Date|string} [filter.since] Only points at or after this time
+ * @param {Date|string} [filter.until] Only points at or before this time
+ * @returns {Promise<Array<Object>>} Points with timestamp, equity and cash, oldest first
+ */
+async function getEquityCurve(filter = {}) {
+    const since = filter.since ? new Date(filter.since) : null;
+    const until = filter.until ? new Date(filter.until) : null;
+    const files = await listJournalFiles('equity', since, until);
+
+    const points = [];
+    for (const file of files) {
+        const content = await fs.promises.readFile(path.join(JOURNAL_DIR, file), 'utf8');
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let point;
+            try {
+                point = JSON.parse(line);
+            } catch (error) {
+                logger.error(`Skipping corrupt equity line in ${file}`);
+                continue;
+            }
+
+            const timestamp = new Date(point.timestamp);
+            if (since && timestamp < since) continue;
+            if (until && timestamp > until) continue;
+
+            points.push(point);
+        }
+    }
+
+    return points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Get executed trades from the journal
+ * @param {Object} [filter] Same filter as queryJournal (outcome is ignored)
+ * @returns {Promise<Array<Object>>} Trades, oldest first
+ */
+async function getTrades(filter = {}) {
+    const records = await queryJournal({ ...filter, outcome: 'executed' });
+
+    return records
+        .filter(record => record.trade && record.trade.success)
+        .map(record => ({
+            journalId: record.id,
+            cycleId: record.cycleId,
+            timestamp: record.timestamp,
+            symbol: record.symbol,
+            side: record.trade.action,
+            quantity: record.trade.quantity,
+            price: record.trade.price,
+            orderId: record.trade.mainOrder ? record.trade.mainOrder.id : null
+        }));
+}
+
+/**
+ * Match trades first-in first-out per symbol to compute realized profit and loss
+ * @param {Array<Object>} trades Trades with symbol, side, quantity and price, oldest first
+ * @returns {Object} Realized P&L in total and by symbol, the quantity still open, and
+ * the realized result of every trade that closed shares, in order
+ */
+function calculateRealizedPnL(trades) {
+    const bySymbol = {};
+    const closes = [];
+
+    for (const trade of trades) {
+        if (!trade.quantity || typeof trade.price !== 'number' || isNaN(trade.price)) {
+            continue;
+        }
+
+        const book = bySymbol[trade.symbol] = bySymbol[trade.symbol] || { realized: 0, lots: [] };
+        const direction = trade.side === 'buy' ? 1 : -1;
+        let remaining = trade.quantity;
+        let closedQuantity = 0;
+        let closedPnL = 0;
+
+        // Close lots on the opposite side first
+        while (remaining > QUANTITY_EPSILON && book.lots.length > 0 && book.lots[0].direction !== direction) {
+            const lot = book.lots[0];
+            const matched = Math.min(remaining, lot.quantity);
+            const pnl = matched * (trade.price - lot.price) * lot.direction;
+            book.realized += pnl;
+            closedPnL += pnl;
+            closedQuantity += matched;
+            lot.quantity -= matched;
+            remaining -= matched;
+            if (lot.quantity <= QUANTITY_EPSILON) {
+                book.lots.shift();
+            }
+        }
+
+        if (remaining > QUANTITY_EPSILON) {
+            book.lots.push({ direction, quantity: remaining, price: trade.price });
+        }
+
+        if (closedQuantity > 0) {
+            closes.push({ symbol: trade.symbol, timestamp: trade.timestamp, quantity: closedQuantity, realized: closedPnL });
+        }
+    }
+
+    const result = { total: 0, bySymbol: {}, closes };
+    for (const [symbol, book] of Object.entries(bySymbol)) {
+        const openQuantity = book.lots.reduce((sum, lot) => sum + lot.direction * lot.quantity, 0);
+        result.bySymbol[symbol] = { realized: book.realized, openQuantity };
+        result.total += book.realized;
+    }
+
+    return result;
+}
+
+module.exports = {
+    recordCycle,
+    queryJournal,
+    recordEquity,
+    getEquityCurve,
+    getTrades,
+    calculateRealizedPnL
+};
@@ -0,0 +1,211 @@
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { sendNotification } = require('../telegram');
+const logger = require('../../utils/logger');
+
+// Every provider exposes { name, free, timeoutMs, complete({ model, messages, tools, toolChoice }) }
+// resolving to { message, usage, model } in the shape of an OpenAI chat completion.
+// LLM_PROVIDERS lists them in failover order.
+const LLM_PROVIDERS = (process.env.LLM_PROVIDERS || 'openai')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+const LOCAL_LLM_TIMEOUT_MS = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 120000; // Local models are slower
+const LLM_MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2;
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS) || 1000; // Doubles after each failed attempt
+const LLM_PROVIDER_COOLDOWN_SECONDS = parseInt(process.env.LLM_PROVIDER_COOLDOWN_SECONDS) || 300;
+
+let client = null;
+
+/**
+ * Create an LLM provider by name
+ * @param {string} name Provider name ('openai', 'local' or 'mock')
+ * @param {Object} [options] Options passed to the provider factory
+ * @returns {Object} LLM provider
+ */
+function createLLMProvider(name, options = {}) {
+    switch (name) {
+        case 'openai':
+            return createOpenAIProvider({ timeoutMs: LLM_TIMEOUT_MS, ...options });
+        case 'local':
+            // An OpenAI-compatible server such as Ollama or llama.cpp, serving its own model
+            return createOpenAIProvider({
+                name: 'local',
+                baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+                apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+                model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+                timeoutMs: LOCAL_LLM_TIMEOUT_MS,
+                free: true,
+                ...options
+            });
+        case 'mock':
+            return createMockProvider(options);
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+/**
+ * Whether a failed call may succeed if repeated: timeouts, connection errors, rate limits
+ * and server errors. Bad requests, auth failures and exhausted quotas are not retried.
+ * @param {Error} error Provider error
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error) {
+    if (error.code === 'insufficient_quota') {
+        return false;
+    }
+    if (error.status === undefined) {
+        // No HTTP response at all: a timeout or connection failure
+        return !/api.?key/i.test(error.message);
+    }
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${name} did not answer within ${timeoutMs}ms`);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a client that sends each request to the first healthy provider, retrying
+ * transient errors with exponential backoff and failing over to the next provider. A
+ * provider that keeps failing is skipped for a cooldown period. When every provider
+ * fails the error has code 'LLM_UNAVAILABLE'.
+ * @param {Array<Object>} providers Providers in failover order
+ * @param {Object} [options] Client options
+ * @param {number} [options.maxRetries] Retries per provider after the first attempt
+ * @param {number} [options.retryBaseMs] Delay before the first retry
+ * @param {number} [options.cooldownMs] How long a failed provider is skipped
+ * @param {number} [options.timeoutMs] Upper bound on one attempt, for providers without their own
+ * @returns {Object} Client with complete(request) and status()
+ */
+function createLLMClient(providers, options = {}) {
+    const {
+        maxRetries = LLM_MAX_RETRIES,
+        retryBaseMs = LLM_RETRY_BASE_MS,
+        cooldownMs = LLM_PROVIDER_COOLDOWN_SECONDS * 1000,
+        timeoutMs = LLM_TIMEOUT_MS
+    } = options;
+    // Provider name -> { until, error } while it is cooling down
+    const down = {};
+
+    async function attempt(provider, request) {
+        let lastError;
+        for (let i = 0; i <= maxRetries; i++) {
+            if (i > 0) {
+                // Exponential backoff with jitter so parallel symbols do not retry in step
+                await sleep(retryBaseMs * 2 ** (i - 1) * (0.5 + Math.random()));
+            }
+            try {
+                return await withTimeout(provider.complete(request), provider.timeoutMs || timeoutMs, provider.name);
+            } catch (error) {
+                lastError = error;
+                logger.warn(`LLM provider ${provider.name} failed (attempt ${i + 1}/${maxRetries + 1}): ${error.message}`);
+                if (!isRetryable(error)) {
+                    break;
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    return {
+        /**
+         * Run a chat completion on the first provider that answers
+         * @param {Object} request { model, messages, tools, toolChoice }
+         * @returns {Promise<Object>} { message, usage, model, provider, free }
+         */
+        async complete(request) {
+            const errors = [];
+            const now = Date.now();
+            const available = providers.filter(provider => !down[provider.name] || down[provider.name].until <= now);
+
+            for (const provider of available) {
+                try {
+                    const result = await attempt(provider, request);
+                    if (down[provider.name]) {
+                        delete down[provider.name];
+                        logger.info(`LLM provider ${provider.name} recovered`);
+                    }
+                    return { ...result, provider: provider.name, free: provider.free };
+                } catch (error) {
+                    errors.push(`${provider.name}: ${error.message}`);
+                    // A rejected request says nothing about the provider's health
+                    if (error.status === 400 || error.status === 422) {
+                        continue;
+                    }
+                    down[provider.name] = { until: Date.now() + cooldownMs, error: error.message };
+                    sendNotification({
+                        type: 'warning',
+                        message: `LLM provider ${provider.name} is unavailable (${error.message}). ` +
+                            `Skipping it for ${Math.round(cooldownMs / 60000)} minutes.`
+                    });
+                }
+            }
+
+            const skipped = providers.filter(provider => !available.includes(provider));
+            skipped.forEach(provider => errors.push(`${provider.name}: cooling down after ${down[provider.name].error}`));
+
+            const error = new Error(`No LLM provider available (${errors.join('; ')})`);
+            error.code = 'LLM_UNAVAILABLE';
+            throw error;
+        },
+
+        /**
+         * Providers in failover order and whether each is cooling down
+         * @returns {Array<Object>} { name, available, downUntil, error }
+         */
+        status() {
+            const now = Date.now();
+            return providers.map(provider => {
+                const state = down[provider.name];
+                const isDown = !!state && state.until > now;
+                return {
+                    name: provider.name,
+                    available: !isDown,
+                    downUntil: isDown ? new Date(state.until) : null,
+                    error: isDown ? state.error : null
+                };
+            });
+        }
+    };
+}
+
+/**
+ * Get the LLM client shared by the whole bot, built from LLM_PROVIDERS on first use
+ * @returns {Object} LLM client
+ */
+function getLLMClient() {
+    if (!client) {
+        client = createLLMClient(LLM_PROVIDERS.map(name => createLLMProvider(name)));
+    }
+    return client;
+}
+
+/**
+ * Replace the shared LLM client (e.g. with a mock provider in tests)
+ * @param {Object} instance LLM client
+ */
+function setLLMClient(instance) {
+    client = instance;
+}
+
+module.exports = {
+    createLLMProvider,
+    createLLMClient,
+    getLLMClient,
+    setLLMClient
+};
@@ -0,0 +1,107 @@
+/**
+ * Smallest value satisfying a JSON Schema: the first enum value, the minimum, an empty
+ * array, or an object of its required properties
+ * @param {Object} schema JSON Schema
+ * @returns {*} Value
+ */
+function defaultValue(schema) {
+    if (schema.enum) {
+        return schema.enum[0];
+    }
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+        case 'null':
+            return null;
+        case 'string':
+            return 'Mock response';
+        case 'number':
+        case 'integer':
+            return schema.minimum !== undefined ? schema.minimum : 0;
+        case 'boolean':
+            return false;
+        case 'array':
+            return [];
+        case 'object':
+            return (schema.required || []).reduce((value, key) => {
+                value[key] = defaultValue(schema.properties[key]);
+                return value;
+            }, {});
+        default:
+            return null;
+    }
+}
+
+// Neutral answers for the bot's own functions
+const DEFAULT_HANDLERS = {
+    submit_trading_decision: () => ({
+        action: 'hold',
+        positionAction: 'none',
+        reducePercent: null,
+        confidence: 'low',
+        priceTarget: null,
+        stopLoss: null,
+        reasoning: 'Mock LLM provider always holds'
+    }),
+    submit_sentiment: ({ messages }) => {
+        const prompt = messages[messages.length - 1].content.split('Already scored')[0];
+        const count = (prompt.match(/^\[\d+\]/gm) || []).length;
+        return {
+            articles: Array.from({ length: count }, (_, i) => ({
+                index: i + 1,
+                score: 0.5,
+                relevance: 1,
+                reason: 'Mock LLM provider scores every article neutral'
+            })),
+            analysis: 'Mock LLM provider: neutral sentiment'
+        };
+    }
+};
+
+/**
+ * Deterministic provider for tests and offline runs. It answers forced function calls
+ * with a handler's output, or the schema's smallest valid value, and never fails unless
+ * told to.
+ * @param {Object} [options] Provider options
+ * @param {Object} [options.handlers] Function name -> (request) => arguments object
+ * @param {Function} [options.fail] (request) => Error to throw, for testing failures
+ * @returns {Object} LLM provider
+ */
+function createMockProvider(options = {}) {
+    const handlers = { ...DEFAULT_HANDLERS, ...(options.handlers || {}) };
+    let calls = 0;
+
+    return {
+        name: options.name || 'mock',
+        free: true,
+
+        async complete(request) {
+            calls++;
+            const failure = options.fail && options.fail(request, calls);
+            if (failure) {
+                throw failure;
+            }
+
+            const tool = request.tools && request.tools[0] && request.tools[0].function;
+            const args = !tool
+                ? null
+                : handlers[tool.name] ? handlers[tool.name](request) : defaultValue(tool.parameters);
+            const content = JSON.stringify(args);
+
+            return {
+                message: tool
+                    ? { role: 'assistant', content: null, tool_calls: [{ id: `mock-${calls}`, type: 'function', function: { name: tool.name, arguments: content } }] }
+                    : { role: 'assistant', content: 'Mock response' },
+                // Rough token counts so usage accounting has something to add up
+                usage: {
+                    prompt_tokens: Math.ceil(JSON.stringify(request.messages).length / 4),
+                    completion_tokens: Math.ceil((content || '').length / 4)
+                },
+                model: 'mock'
+            };
+        }
+    };
+}
+
+module.exports = {
+    createMockProvider
+};
@@ -0,0 +1,54 @@
+const OpenAI = require('openai');
+
+/**
+ * Provider for the OpenAI API or any server that speaks it (llama.cpp, Ollama, vLLM, ...)
+ * @param {Object} [options] Provider options
+ * @param {string} [options.name] Provider name
+ * @param {string} [options.apiKey] API key (OPENAI_API_KEY)
+ * @param {string} [options.baseURL] API base URL (OPENAI_BASE_URL, default api.openai.com)
+ * @param {string} [options.model] Model that replaces the requested one, for servers that
+ * only serve their own models
+ * @param {number} [options.timeoutMs] Request timeout
+ * @param {boolean} [options.free] Whether calls cost nothing (local servers)
+ * @returns {Object} LLM provider
+ */
+function createOpenAIProvider(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    const baseURL = options.baseURL || process.env.OPENAI_BASE_URL || undefined;
+    let client = null;
+
+    return {
+        name: options.name || 'openai',
+        free: !!options.free,
+        timeoutMs: options.timeoutMs,
+
+        async complete({ model, messages, tools, toolChoice }) {
+            if (!client) {
+                // Created on first use so a missing key fails this provider, not the whole bot
+                client = new OpenAI({
+                    apiKey,
+                    baseURL,
+                    timeout: options.timeoutMs,
+                    maxRetries: 0 // Retries and failover are handled by the LLM client
+                });
+            }
+
+            const response = await client.chat.completions.create({
+                model: options.model || model,
+                messages,
+                tools,
+                tool_choice: toolChoice
+            });
+
+            return {
+                message: response.choices[0].message,
+                usage: response.usage,
+                model: response.model || options.model || model
+            };
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIProvider
+};
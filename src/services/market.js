@@ -1,81 +1,138 @@
-const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { getBroker } = require('../brokers');
+const { toMarketDate, toMarketTime } = require('../utils/time');
+const logger = require('../utils/logger');
 
-if (!process.env.ALPACA_API_KEY || !process.env.ALPACA_API_SECRET) {
-    throw new Error(
-        'Alpaca API credentials are missing. Please make sure ALPACA_API_KEY and ALPACA_API_SECRET are set in your .env file'
-    );
-}
+const NO_TRADE_AFTER_OPEN_MINUTES = process.env.NO_TRADE_AFTER_OPEN_MINUTES !== undefined
+    ? parseInt(process.env.NO_TRADE_AFTER_OPEN_MINUTES) || 0
+    : 15;
+const NO_TRADE_BEFORE_CLOSE_MINUTES = process.env.NO_TRADE_BEFORE_CLOSE_MINUTES !== undefined
+    ? parseInt(process.env.NO_TRADE_BEFORE_CLOSE_MINUTES) || 0
+    : 10;
+const EXTENDED_HOURS_TRADING = process.env.EXTENDED_HOURS_TRADING === 'true'; // Pre-market and after-hours, limit orders only
+const REGULAR_CLOSE = '16:00'; // A day closing earlier is an early close
+
+/**
+ * Work out where in the trading day an instant falls and whether new trades may be placed.
+ * The regular session follows the broker clock; the first NO_TRADE_AFTER_OPEN_MINUTES and
+ * the last NO_TRADE_BEFORE_CLOSE_MINUTES of it are no-trade windows. Pre-market and
+ * after-hours only trade with EXTENDED_HOURS_TRADING.
+ * @param {Object} clock Broker clock
+ * @param {Object} hours Result of getTradingHours
+ * @returns {Object} { phase, canTrade, extendedHours, earlyClose, openTime, closeTime, minutesToClose, reason }
+ */
+function describeSession(clock, hours) {
+    const now = clock.timestamp;
+    const minutesToClose = clock.isOpen ? (clock.nextClose - now) / 60000 : null;
+    let phase;
 
-const alpaca = new Alpaca({
-    keyId: process.env.ALPACA_API_KEY,
-    secretKey: process.env.ALPACA_API_SECRET,
-    paper: process.env.ALPACA_PAPER_TRADING === 'true',
-    usePolygon: false
-});
+    if (clock.isOpen) {
+        const minutesSinceOpen = hours.openTime && now >= hours.openTime ? (now - hours.openTime) / 60000 : null;
+        if (minutesSinceOpen !== null && minutesSinceOpen < NO_TRADE_AFTER_OPEN_MINUTES) {
+            phase = 'opening';
+        } else if (minutesToClose < NO_TRADE_BEFORE_CLOSE_MINUTES) {
+            phase = 'closing';
+        } else {
+            phase = 'regular';
+        }
+    } else if (hours.isMarketDay && now >= hours.sessionOpen && now < hours.openTime) {
+        phase = 'pre_market';
+    } else if (hours.isMarketDay && now >= hours.closeTime && now < hours.sessionClose) {
+        phase = 'after_hours';
+    } else {
+        phase = 'closed';
+    }
+
+    const extendedHours = phase === 'pre_market' || phase === 'after_hours';
+    const reasons = {
+        opening: `No trading in the first ${NO_TRADE_AFTER_OPEN_MINUTES} minutes after the open`,
+        closing: `No trading in the last ${NO_TRADE_BEFORE_CLOSE_MINUTES} minutes before the${hours.earlyClose ? ' early' : ''} close`,
+        pre_market: 'Pre-market trading is disabled',
+        after_hours: 'After-hours trading is disabled',
+        closed: hours.isMarketDay ? 'Market closed' : 'Market closed today'
+    };
+    const canTrade = phase === 'regular' || (extendedHours && EXTENDED_HOURS_TRADING);
+
+    return {
+        phase,
+        canTrade,
+        extendedHours,
+        earlyClose: hours.earlyClose,
+        openTime: hours.openTime,
+        closeTime: hours.closeTime,
+        minutesToClose,
+        reason: canTrade ? null : reasons[phase]
+    };
+}
 
 /**
  * Check if the market is currently open and available for trading
- * @returns {Promise<Object>} Object containing market status information
+ * @returns {Promise<Object>} Object containing market status information, with the
+ * trading session from describeSession under `session`
  */
 async function checkMarketStatus() {
     try {
-        const clock = await alpaca.getClock();
-        const calendar = await alpaca.getCalendar({
-            start: new Date().toISOString().split('T')[0],
-            end: new Date().toISOString().split('T')[0]
-        });
-
-        const isMarketDay = calendar.length > 0;
-        const isOpen = clock.is_open;
-        const nextOpen = new Date(clock.next_open);
-        const nextClose = new Date(clock.next_close);
+        const broker = getBroker();
+        const clock = await broker.getClock();
+        const hours = await getTradingHours(clock.timestamp);
 
         return {
-            isOpen,
-            isMarketDay,
-            nextOpen,
-            nextClose,
+            isOpen: clock.isOpen,
+            isMarketDay: hours.isMarketDay,
+            nextOpen: clock.nextOpen,
+            nextClose: clock.nextClose,
+            session: describeSession(clock, hours),
             timestamp: new Date(),
             serverTime: clock.timestamp
         };
     } catch (error) {
-        console.error('Error checking market status:', error);
+        logger.error('Error checking market status', { error });
         throw new Error(`Failed to check market status: ${error.message}`);
     }
 }
 
 /**
- * Get current trading hours
+ * Get the trading hours of a day, including the extended-hours session and whether
+ * the market closes early
+ * @param {Date} [date] Any instant of the day (defaults to the broker's current time)
  * @returns {Promise<Object>} Object containing trading hours information
  */
-async function getTradingHours() {
+async function getTradingHours(date) {
     try {
-        const calendar = await alpaca.getCalendar({
-            start: new Date().toISOString().split('T')[0],
-            end: new Date().toISOString().split('T')[0]
+        const broker = getBroker();
+        const today = toMarketDate(date || broker.now());
+        const calendar = await broker.getCalendar({
+            start: today,
+            end: today
         });
 
         if (calendar.length === 0) {
             return {
                 isMarketDay: false,
                 openTime: null,
-                closeTime: null
+                closeTime: null,
+                sessionOpen: null,
+                sessionClose: null,
+                earlyClose: false
             };
         }
 
-        const today = calendar[0];
+        const day = calendar[0];
         return {
             isMarketDay: true,
-            openTime: new Date(today.open),
-            closeTime: new Date(today.close)
+            openTime: day.open,
+            closeTime: day.close,
+            sessionOpen: day.sessionOpen || day.open,
+            sessionClose: day.sessionClose || day.close,
+            earlyClose: day.close < toMarketTime(day.date, REGULAR_CLOSE)
         };
     } catch (error) {
-        console.error('Error getting trading hours:', error);
+        logger.error('Error getting trading hours', { error });
         throw new Error(`Failed to get trading hours: ${error.message}`);
     }
 }
 
 module.exports = {
+    EXTENDED_HOURS_TRADING,
     checkMarketStatus,
     getTradingHours
 }; 
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Prometheus metrics kept in process and rendered in the text exposition format for
+// the dashboard's /metrics endpoint
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    return entries.length > 0
+        ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+        : '';
+}
+
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+}
+
+/**
+ * Register a metric; its series are kept per label set
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @param {string} type 'counter', 'gauge' or 'histogram'
+ * @returns {Object} Metric with a series(labels) accessor
+ */
+function register(name, help, type) {
+    const series = new Map();
+    const metric = {
+        name,
+        help,
+        type,
+        series,
+        get(labels = {}, create) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, ...create() });
+            }
+            return series.get(key);
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Create a counter, a total that only goes up
+ * @param {string} name Metric name, ending in _total
+ * @param {string} help Description
+ * @returns {Object} Counter with inc(labels, amount)
+ */
+function createCounter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+        inc(labels = {}, amount = 1) {
+            if (amount > 0) {
+                metric.get(labels, () => ({ value: 0 })).value += amount;
+            }
+        }
+    };
+}
+
+/**
+ * Create a gauge, a value that can go up and down
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @returns {Object} Gauge with set(value, labels)
+ */
+function createGauge(name, help) {
+    const metric = register(name, help, 'gauge');
+    return {
+        set(value, labels = {}) {
+            if (typeof value === 'number' && !isNaN(value)) {
+                metric.get(labels, () => ({ value: 0 })).value = value;
+            }
+        }
+    };
+}
+
+/**
+ * Create a histogram of observed values, e.g. durations in seconds
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @param {Array<number>} [buckets] Upper bounds of the buckets
+ * @returns {Object} Histogram with observe(value, labels) and startTimer(labels)
+ */
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+    const metric = register(name, help, 'histogram');
+    metric.buckets = buckets;
+
+    const histogram = {
+        observe(value, labels = {}) {
+            const series = metric.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => {
+                if (value <= bound) {
+                    series.counts[i]++;
+                }
+            });
+            series.sum += value;
+            series.count++;
+        },
+
+        /**
+         * Start timing; call the returned function when done to record the seconds taken
+         * @param {Object} [labels] Labels of the observation
+         * @returns {Function} (extraLabels) => seconds
+         */
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                histogram.observe(seconds, { ...labels, ...extraLabels });
+                return seconds;
+            };
+        }
+    };
+    return histogram;
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+function renderMetrics() {
+    const lines = [];
+    for (const metric of registry) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                continue;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(
+                `${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+                `${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`,
+                `${metric.name}_count${formatLabels(series.labels)} ${series.count}`
+            );
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// The bot's metrics
+const cycleDuration = createHistogram('tradebot_cycle_duration_seconds', 'Duration of trading cycles');
+const stepDuration = createHistogram('tradebot_step_duration_seconds',
+    'Duration of pipeline steps (news, technicals, ml, ai, risk, execution) per symbol');
+const decisions = createCounter('tradebot_decisions_total', 'Trading decisions by action and strategy');
+const riskRejections = createCounter('tradebot_risk_rejections_total', 'Decisions rejected by the risk checks, by rule');
+const ordersSubmitted = createCounter('tradebot_orders_submitted_total',
+    'Orders sent to the broker by side, type and result (accepted, rejected, error)');
+const ordersSettled = createCounter('tradebot_orders_settled_total',
+    'Tracked orders by side, type and final status (filled, partial, canceled, expired, rejected, working)');
+const llmTokens = createCounter('tradebot_llm_tokens_total', 'LLM tokens by model, purpose and type (prompt, completion)');
+const llmCost = createCounter('tradebot_llm_cost_dollars_total', 'Estimated LLM cost by model');
+const equity = createGauge('tradebot_equity_dollars', 'Account equity');
+const cash = createGauge('tradebot_cash_dollars', 'Account cash');
+const dayPnL = createGauge('tradebot_day_pnl_dollars', 'Equity change since the previous close');
+const unrealizedPnL = createGauge('tradebot_unrealized_pnl_dollars', 'Unrealized P&L of open positions');
+const openPositions = createGauge('tradebot_open_positions', 'Number of open positions');
+
+/**
+ * Time one pipeline step
+ * @param {string} step Step name
+ * @param {Function} fn Async step
+ * @returns {Promise<*>} What the step returns
+ */
+async function timeStep(step, fn) {
+    const stopTimer = stepDuration.startTimer({ step });
+    try {
+        return await fn();
+    } finally {
+        stopTimer();
+    }
+}
+
+/**
+ * Update the equity and P&L gauges
+ * @param {Object} account Broker account
+ * @param {Array<Object>} positions Open positions
+ */
+function recordPortfolio(account, positions) {
+    equity.set(account.equity);
+    cash.set(account.cash);
+    dayPnL.set(account.equity - account.lastEquity);
+    unrealizedPnL.set(positions.reduce((sum, position) => sum + position.unrealizedPL, 0));
+    openPositions.set(positions.length);
+}
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    cycleDuration,
+    decisions,
+    riskRejections,
+    ordersSubmitted,
+    ordersSettled,
+    llmTokens,
+    llmCost,
+    timeStep,
+    recordPortfolio
+};
@@ -0,0 +1,91 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../../.env') });
+const ml = require('./index');
+const { configureLogger } = require('../../utils/logger');
+
+// Library logs read as plain lines next to the command's own output
+configureLogger({ format: process.env.LOG_FORMAT || 'text' });
+
+function formatPercent(value) {
+    return typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : 'n/a';
+}
+
+function formatTrackRecord(record) {
+    return `${record.samples} scored, ${record.pending} pending, hit rate ${formatPercent(record.hitRate)}, ` +
+        `MAE ${formatPercent(record.mae)} (no-change ${formatPercent(record.baselineMae)}), ` +
+        `calibration error ${formatPercent(record.calibrationError)}`;
+}
+
+async function listCommand() {
+    const models = await ml.listModels();
+    const symbols = Object.keys(models);
+    if (symbols.length === 0) {
+        console.log('No models trained yet');
+        return;
+    }
+
+    for (const symbol of symbols) {
+        const entry = models[symbol];
+        console.log(`${symbol}: active ${entry.active}${entry.pinned ? ' (pinned)' : ''}`);
+        for (const item of entry.versions) {
+            console.log(`  ${item.version === entry.active ? '*' : ' '} ${item.version} trained ${new Date(item.trainedAt).toLocaleString()}, ` +
+                `validation direction ${formatPercent(item.validation.directionalAccuracy)}, MAE ${formatPercent(item.validation.mae)}`);
+        }
+    }
+}
+
+async function reportCommand(symbol) {
+    console.log(`${symbol} (all versions): ${formatTrackRecord(await ml.getTrackRecord(symbol))}`);
+    for (const record of await ml.getVersionReport(symbol)) {
+        console.log(`  ${record.version}: ${formatTrackRecord(record)}`);
+        for (const bucket of record.calibration) {
+            console.log(`    confidence ${bucket.range[0]}-${bucket.range[1]}: ${bucket.samples} predictions, ` +
+                `mean confidence ${formatPercent(bucket.meanConfidence)}, hit rate ${formatPercent(bucket.hitRate)}`);
+        }
+    }
+}
+
+async function main() {
+    const [command, symbol, version] = process.argv.slice(2);
+    const upper = symbol && symbol.toUpperCase();
+
+    switch (command) {
+        case 'list':
+            return listCommand();
+        case 'report':
+            return upper ? reportCommand(upper) : usage();
+        case 'train':
+            return upper ? ml.retrainModels(upper.split(',')) : usage();
+        case 'rollback': {
+            if (!upper) {
+                return usage();
+            }
+            const entry = await ml.rollbackModel(upper, version);
+            console.log(`${upper} rolled back to ${entry.active} and pinned; retraining will not activate new versions until promote`);
+            return;
+        }
+        case 'promote': {
+            if (!upper) {
+                return usage();
+            }
+            const entry = await ml.promoteModel(upper, version);
+            console.log(`${upper} now uses ${entry.active}; retraining activates new versions again`);
+            return;
+        }
+        default:
+            return usage();
+    }
+}
+
+function usage() {
+    console.error('Usage: npm run models -- list');
+    console.error('       npm run models -- report <SYMBOL>');
+    console.error('       npm run models -- train <SYMBOL[,SYMBOL...]>');
+    console.error('       npm run models -- rollback <SYMBOL> [version]');
+    console.error('       npm run models -- promote <SYMBOL> [version]');
+    process.exit(1);
+}
+
+main().catch(error => {
+    console.error('Model command failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTimeframe } = require('../../utils/bars');
+const logger = require('../../utils/logger');
+
+const PREDICTIONS_DIR = process.env.PREDICTIONS_DIR || path.resolve(__dirname, '../../../data/predictions');
+const EVALUATION_WINDOW = parseInt(process.env.PREDICTION_EVALUATION_WINDOW) || 30; // Resolved predictions scored
+const MIN_EVALUATION_SAMPLES = parseInt(process.env.PREDICTION_MIN_SAMPLES) || 10;
+const MIN_HIT_RATE = parseFloat(process.env.PREDICTION_MIN_HIT_RATE) || 0.5; // Below this predictions are ignored
+const GOOD_HIT_RATE = parseFloat(process.env.PREDICTION_GOOD_HIT_RATE) || 0.55; // Below this they are down-weighted
+const WEAK_WEIGHT = 0.5;
+const MAX_STORED_PREDICTIONS = 2000; // Per symbol; the oldest are dropped
+const CALIBRATION_BUCKETS = [0, 0.25, 0.5, 0.75, 1];
+
+// Prediction records by symbol, oldest first
+const records = {};
+
+function predictionsFile(symbol) {
+    return path.join(PREDICTIONS_DIR, `${symbol}.json`);
+}
+
+async function loadRecords(symbol) {
+    if (records[symbol]) {
+        return records[symbol];
+    }
+
+    try {
+        records[symbol] = JSON.parse(await fs.promises.readFile(predictionsFile(symbol), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error reading predictions for ${symbol}`, { error });
+        }
+        records[symbol] = [];
+    }
+    return records[symbol];
+}
+
+async function saveRecords(symbol) {
+    const list = records[symbol];
+    if (list.length > MAX_STORED_PREDICTIONS) {
+        list.splice(0, list.length - MAX_STORED_PREDICTIONS);
+    }
+    await fs.promises.mkdir(PREDICTIONS_DIR, { recursive: true });
+    await fs.promises.writeFile(predictionsFile(symbol), JSON.stringify(list, null, 2));
+}
+
+/**
+ * Store a prediction so it can be scored once its horizon has passed. A symbol gets one
+ * record per model version and bar: predicting again off the same (still forming) bar
+ * replaces the earlier record.
+ * @param {Object} prediction Prediction details
+ * @param {string} prediction.symbol Stock symbol
+ * @param {string} prediction.version Model version
+ * @param {string} prediction.timeframe Bar timeframe
+ * @param {number} prediction.horizon Bars ahead
+ * @param {Date} prediction.asOf Timestamp of the bar the prediction was made from
+ * @param {number} prediction.currentPrice Close of that bar
+ * @param {number} prediction.predictedPrice Predicted close `horizon` bars later
+ * @param {number} prediction.confidence Model confidence before any down-weighting
+ */
+async function recordPrediction(prediction) {
+    try {
+        const list = await loadRecords(prediction.symbol);
+        const asOf = new Date(prediction.asOf).toISOString();
+        const id = `${prediction.version}@${asOf}`;
+        const record = {
+            id,
+            symbol: prediction.symbol,
+            version: prediction.version,
+            timeframe: prediction.timeframe,
+            horizon: prediction.horizon,
+            asOf,
+            predictedAt: new Date(),
+            currentPrice: prediction.currentPrice,
+            predictedPrice: prediction.predictedPrice,
+            predictedReturn: prediction.predictedPrice / prediction.currentPrice - 1,
+            confidence: prediction.confidence,
+            resolvedAt: null
+        };
+
+        const index = list.findIndex(item => item.id === id);
+        if (index === -1) {
+            list.push(record);
+        } else if (!list[index].resolvedAt) {
+            list[index] = record;
+        }
+        await saveRecords(prediction.symbol);
+    } catch (error) {
+        logger.error(`Error recording prediction for ${prediction.symbol}`, { error });
+    }
+}
+
+/**
+ * Score the symbol's pending predictions whose target bar has closed
+ * @param {string} symbol Stock symbol
+ * @param {Array<Object>} bars Recent bars in the predictions' timeframe, oldest first
+ * @param {Date} [now] Current time, to tell whether the last bar has closed
+ * @returns {Promise<number>} Number of predictions resolved
+ */
+async function resolvePredictions(symbol, bars, now = new Date()) {
+    try {
+        const list = await loadRecords(symbol);
+        const index = new Map(bars.map((bar, i) => [new Date(bar.timestamp).getTime(), i]));
+        let resolved = 0;
+
+        for (const record of list) {
+            if (record.resolvedAt || record.expired) {
+                continue;
+            }
+
+            const start = index.get(new Date(record.asOf).getTime());
+            if (start === undefined) {
+                // The bar fell out of the window (or never existed), so it can no longer be scored
+                if (bars.length > 0 && new Date(record.asOf) < new Date(bars[0].timestamp)) {
+                    record.expired = true;
+                    resolved++;
+                }
+                continue;
+            }
+
+            const target = bars[start + record.horizon];
+            const closed = target && (start + record.horizon < bars.length - 1 ||
+                new Date(target.timestamp).getTime() + parseTimeframe(record.timeframe).milliseconds <= now.getTime());
+            if (!closed) {
+                continue;
+            }
+
+            record.actualPrice = target.close;
+            record.actualReturn = target.close / record.currentPrice - 1;
+            record.absoluteError = Math.abs(record.predictedReturn - record.actualReturn);
+            record.hit = Math.sign(record.predictedReturn) === Math.sign(record.actualReturn);
+            record.resolvedAt = new Date();
+            resolved++;
+        }
+
+        if (resolved > 0) {
+            await saveRecords(symbol);
+        }
+        return resolved;
+    } catch (error) {
+        logger.error(`Error resolving predictions for ${symbol}`, { error });
+        return 0;
+    }
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Accuracy of scored predictions: directional hit rate, mean absolute error of the
+ * predicted return, and calibration of confidence against the hit rate
+ * @param {Array<Object>} scored Resolved prediction records
+ * @returns {Object} Metrics
+ */
+function scoreRecords(scored) {
+    const calibration = [];
+    for (let i = 0; i < CALIBRATION_BUCKETS.length - 1; i++) {
+        const [low, high] = [CALIBRATION_BUCKETS[i], CALIBRATION_BUCKETS[i + 1]];
+        const bucket = scored.filter(record =>
+            record.confidence >= low && (record.confidence < high || (high === 1 && record.confidence <= 1)));
+        if (bucket.length > 0) {
+            calibration.push({
+                range: [low, high],
+                samples: bucket.length,
+                meanConfidence: average(bucket.map(record => record.confidence)),
+                hitRate: average(bucket.map(record => (record.hit ? 1 : 0)))
+            });
+        }
+    }
+
+    return {
+        samples: scored.length,
+        hitRate: average(scored.map(record => (record.hit ? 1 : 0))),
+        mae: average(scored.map(record => record.absoluteError)),
+        // Error of always predicting no change over the same predictions
+        baselineMae: average(scored.map(record => Math.abs(record.actualReturn))),
+        meanConfidence: average(scored.map(record => record.confidence)),
+        // Sample-weighted gap between stated confidence and hit rate
+        calibrationError: scored.length > 0
+            ? calibration.reduce((sum, bucket) => sum + bucket.samples * Math.abs(bucket.meanConfidence - bucket.hitRate), 0) / scored.length
+            : null,
+        calibration
+    };
+}
+
+/**
+ * Rolling accuracy of the symbol's most recent resolved predictions
+ * @param {string} symbol Stock symbol
+ * @param {Object} [options] Options
+ * @param {string} [options.version] Only score this model version (all versions by default)
+ * @param {number} [options.window] Number of resolved predictions to score
+ * @returns {Promise<Object>} Metrics plus the number still pending
+ */
+async function getTrackRecord(symbol, { version, window = EVALUATION_WINDOW } = {}) {
+    const list = (await loadRecords(symbol)).filter(record => !version || record.version === version);
+    const scored = list.filter(record => record.resolvedAt).slice(-window);
+
+    return {
+        symbol,
+        version: version || null,
+        ...scoreRecords(scored),
+        pending: list.filter(record => !record.resolvedAt && !record.expired).length
+    };
+}
+
+/**
+ * Rolling accuracy of each model version that has resolved predictions
+ * @param {string} symbol Stock symbol
+ * @param {Object} [options] Options
+ * @param {number} [options.window] Number of resolved predictions to score per version
+ * @returns {Promise<Array<Object>>} Metrics per version, oldest version first
+ */
+async function getVersionReport(symbol, { window = EVALUATION_WINDOW } = {}) {
+    const versions = [...new Set((await loadRecords(symbol)).map(record => record.version))];
+    return Promise.all(versions.map(version => getTrackRecord(symbol, { version, window })));
+}
+
+/**
+ * How much to trust predictions given a track record
+ * @param {Object} trackRecord Result of getTrackRecord
+ * @returns {Object} { status, weight } where status is 'unproven', 'good', 'weak' or 'failing'
+ * and weight scales the prediction's confidence (0 means ignore it)
+ */
+function assessTrackRecord(trackRecord) {
+    if (trackRecord.samples < MIN_EVALUATION_SAMPLES) {
+        return { status: 'unproven', weight: 1 };
+    }
+    if (trackRecord.hitRate < MIN_HIT_RATE) {
+        return { status: 'failing', weight: 0 };
+    }
+    if (trackRecord.hitRate < GOOD_HIT_RATE) {
+        return { status: 'weak', weight: WEAK_WEIGHT };
+    }
+    return { status: 'good', weight: 1 };
+}
+
+module.exports = {
+    recordPrediction,
+    resolvePredictions,
+    getTrackRecord,
+    getVersionReport,
+    assessTrackRecord
+};
@@ -0,0 +1,116 @@
+const FEATURE_NAMES = [
+    'return_1',
+    'return_5',
+    'return_10',
+    'return_20',
+    'close_vs_sma5',
+    'close_vs_sma20',
+    'rsi_14',
+    'volatility_5',
+    'volatility_20',
+    'volume_vs_sma20',
+    'range',
+    'close_in_range'
+];
+
+// Bars needed before the first complete feature row
+const WARMUP_BARS = 21;
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function std(values) {
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
+
+function rsi(closes, end, period = 14) {
+    let gains = 0;
+    let losses = 0;
+    for (let i = end - period + 1; i <= end; i++) {
+        const change = closes[i] - closes[i - 1];
+        if (change > 0) {
+            gains += change;
+        } else {
+            losses -= change;
+        }
+    }
+    if (losses === 0) {
+        return 100;
+    }
+    return 100 - 100 / (1 + gains / losses);
+}
+
+/**
+ * Feature vector describing the market as of bar i (using only bars up to i)
+ * @param {Array<Object>} bars OHLCV bars, oldest first
+ * @param {number} i Index of the bar
+ * @returns {Array<number>} Values in FEATURE_NAMES order
+ */
+function featuresAt(bars, i) {
+    const closes = bars.map(bar => bar.close);
+    const close = closes[i];
+    const returns = [];
+    for (let j = i - 19; j <= i; j++) {
+        returns.push(closes[j] / closes[j - 1] - 1);
+    }
+    const volumes = bars.slice(i - 19, i + 1).map(bar => bar.volume);
+    const averageVolume = mean(volumes);
+    const bar = bars[i];
+    const range = bar.high - bar.low;
+
+    return [
+        close / closes[i - 1] - 1,
+        close / closes[i - 5] - 1,
+        close / closes[i - 10] - 1,
+        close / closes[i - 20] - 1,
+        close / mean(closes.slice(i - 4, i + 1)) - 1,
+        close / mean(closes.slice(i - 19, i + 1)) - 1,
+        rsi(closes, i) / 100 - 0.5,
+        std(returns.slice(-5)),
+        std(returns),
+        averageVolume > 0 ? bar.volume / averageVolume - 1 : 0,
+        range / close,
+        range > 0 ? (close - bar.low) / range - 0.5 : 0
+    ];
+}
+
+/**
+ * Build training rows: features at each bar and the return over the next `horizon` bars
+ * @param {Array<Object>} bars OHLCV bars, oldest first
+ * @param {number} horizon Bars ahead the target looks
+ * @returns {Object} { X, y, timestamps }
+ */
+function buildDataset(bars, horizon) {
+    const X = [];
+    const y = [];
+    const timestamps = [];
+
+    for (let i = WARMUP_BARS; i + horizon < bars.length; i++) {
+        X.push(featuresAt(bars, i));
+        y.push(bars[i + horizon].close / bars[i].close - 1);
+        timestamps.push(bars[i].timestamp);
+    }
+
+    return { X, y, timestamps };
+}
+
+/**
+ * Features for the latest bar, used to predict what comes next
+ * @param {Array<Object>} bars OHLCV bars, oldest first
+ * @returns {Array<number>} Feature vector
+ */
+function latestFeatures(bars) {
+    if (bars.length <= WARMUP_BARS) {
+        throw new Error(`Need more than ${WARMUP_BARS} bars to build features, got ${bars.length}`);
+    }
+    return featuresAt(bars, bars.length - 1);
+}
+
+module.exports = {
+    FEATURE_NAMES,
+    WARMUP_BARS,
+    buildDataset,
+    latestFeatures
+};
@@ -1,46 +1,236 @@
-const { spawn } = require('child_process');
-const path = require('path');
+const { getBroker } = require('../../brokers');
+const { FEATURE_NAMES, WARMUP_BARS, buildDataset, latestFeatures } = require('./features');
+const { fitRidge, predictRidge } = require('./ridge');
+const registry = require('./registry');
+const evaluation = require('./evaluation');
+const logger = require('../../utils/logger');
+
+const PREDICTION_TIMEFRAME = process.env.PREDICTION_TIMEFRAME || '1Day';
+const PREDICTION_HORIZON = parseInt(process.env.PREDICTION_HORIZON) || 1; // Bars ahead
+const TRAINING_DAYS = parseInt(process.env.MODEL_TRAINING_DAYS) || 1095; // Calendar days of history to train on
+const MODEL_MAX_AGE_HOURS = parseFloat(process.env.MODEL_MAX_AGE_HOURS) || 72; // Retrain on demand past this age
+const RIDGE_LAMBDA = parseFloat(process.env.RIDGE_LAMBDA) || 10;
+const VALIDATION_SHARE = 0.2; // Most recent share of rows held out to score the model
+const MIN_TRAINING_ROWS = 100;
+const PREDICTION_LOOKBACK_DAYS = 60; // Calendar days of bars used to build the latest features and score past predictions
+
+// Trainings in progress, so concurrent callers share one
+const training = {};
+
+async function fetchBars(symbol, days) {
+    const broker = getBroker();
+    const end = broker.now();
+    const start = new Date(end);
+    start.setDate(start.getDate() - days);
+    return broker.getBars(symbol, { start, end, timeframe: PREDICTION_TIMEFRAME });
+}
+
+/**
+ * Score predictions against actual returns
+ * @param {Array<number>} predicted Predicted returns
+ * @param {Array<number>} actual Actual returns
+ * @returns {Object} Error and direction statistics
+ */
+function scorePredictions(predicted, actual) {
+    const n = actual.length;
+    let absoluteError = 0;
+    let squaredError = 0;
+    let baselineError = 0;
+    let correctDirection = 0;
+
+    for (let i = 0; i < n; i++) {
+        absoluteError += Math.abs(predicted[i] - actual[i]);
+        squaredError += (predicted[i] - actual[i]) ** 2;
+        baselineError += Math.abs(actual[i]);
+        if (Math.sign(predicted[i]) === Math.sign(actual[i])) {
+            correctDirection++;
+        }
+    }
+
+    return {
+        samples: n,
+        mae: absoluteError / n,
+        rmse: Math.sqrt(squaredError / n),
+        // Error of always predicting no change, to show whether the model adds anything
+        baselineMae: baselineError / n,
+        directionalAccuracy: correctDirection / n
+    };
+}
+
+/**
+ * Train a ridge regression on engineered features of the symbol's bars and register it
+ * as a new version. The most recent rows are held out first to score the model, then
+ * it is refit on everything.
+ * @param {string} symbol Stock symbol
+ * @param {Object} [options] Training options
+ * @param {Array<Object>} [options.bars] Bars to train on instead of fetching them
+ * @returns {Promise<Object>} The saved model
+ */
+async function trainModel(symbol, options = {}) {
+    const bars = options.bars || await fetchBars(symbol, TRAINING_DAYS);
+    const { X, y } = buildDataset(bars, PREDICTION_HORIZON);
+
+    if (X.length < MIN_TRAINING_ROWS) {
+        throw new Error(`Not enough history to train ${symbol}: ${X.length} rows, need ${MIN_TRAINING_ROWS}`);
+    }
+
+    const split = Math.floor(X.length * (1 - VALIDATION_SHARE));
+    const holdout = fitRidge(X.slice(0, split), y.slice(0, split), RIDGE_LAMBDA);
+    const validation = scorePredictions(X.slice(split).map(row => predictRidge(holdout, row)), y.slice(split));
+
+    const fitted = fitRidge(X, y, RIDGE_LAMBDA);
+    const model = await registry.registerModel({
+        symbol,
+        type: 'ridge',
+        trainedAt: new Date(),
+        timeframe: PREDICTION_TIMEFRAME,
+        horizon: PREDICTION_HORIZON,
+        lambda: RIDGE_LAMBDA,
+        featureNames: FEATURE_NAMES,
+        trainingRows: X.length,
+        trainedThrough: bars[bars.length - 1].timestamp,
+        validation,
+        ...fitted
+    });
+
+    logger.info(`Trained ${symbol} model ${model.version} on ${X.length} rows: validation MAE ${(validation.mae * 100).toFixed(3)}% ` +
+        `(baseline ${(validation.baselineMae * 100).toFixed(3)}%), direction ${(validation.directionalAccuracy * 100).toFixed(1)}%`);
+    return model;
+}
 
 /**
- * Get price prediction for a symbol
+ * Get the symbol's active model, training it when it is missing, stale or from an older
+ * feature set. A version pinned by a rollback is used as is. Concurrent callers share
+ * one training run.
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Object>} Model
+ */
+async function getModel(symbol) {
+    const [model, entry] = await Promise.all([registry.getActiveModel(symbol), registry.getModelEntry(symbol)]);
+    const ageHours = model ? (Date.now() - new Date(model.trainedAt).getTime()) / 3600000 : Infinity;
+    const compatible = model && model.timeframe === PREDICTION_TIMEFRAME &&
+        model.horizon === PREDICTION_HORIZON &&
+        JSON.stringify(model.featureNames) === JSON.stringify(FEATURE_NAMES);
+
+    if (model && entry.pinned) {
+        if (!compatible) {
+            throw new Error(`Pinned model ${symbol} ${model.version} does not match the prediction settings; promote a newer version`);
+        }
+        return model;
+    }
+
+    if (compatible && ageHours <= MODEL_MAX_AGE_HOURS) {
+        return model;
+    }
+
+    if (!training[symbol]) {
+        training[symbol] = trainModel(symbol).finally(() => {
+            delete training[symbol];
+        });
+    }
+    return training[symbol];
+}
+
+/**
+ * Retrain the models of several symbols, one at a time. Failures are logged and skipped.
+ * @param {Array<string>} symbols Stock symbols
+ * @returns {Promise<Object>} Models by symbol (null where training failed)
+ */
+async function retrainModels(symbols) {
+    const result = {};
+    for (const symbol of symbols) {
+        try {
+            result[symbol] = await trainModel(symbol);
+        } catch (error) {
+            logger.error(`Error retraining model for ${symbol}`, { error });
+            result[symbol] = null;
+        }
+    }
+    return result;
+}
+
+/**
+ * Get price prediction for a symbol. Past predictions are scored against the latest bars
+ * first, and the confidence is scaled down (to zero when failing) by the symbol's recent
+ * track record.
  * @param {string} symbol Stock symbol
  * @returns {Promise<Object>} Prediction results
  */
 async function predictPrice(symbol) {
-    return new Promise((resolve, reject) => {
-        const pythonScript = path.join(__dirname, 'predict.py');
-        const pythonProcess = spawn('python', [pythonScript, symbol]);
-        
-        let result = '';
-        let error = '';
-
-        pythonProcess.stdout.on('data', (data) => {
-            result += data.toString();
-        });
+    const model = await getModel(symbol);
+    const bars = await fetchBars(symbol, PREDICTION_LOOKBACK_DAYS);
 
-        pythonProcess.stderr.on('data', (data) => {
-            error += data.toString();
-        });
+    if (bars.length <= WARMUP_BARS) {
+        throw new Error(`Not enough recent bars to predict ${symbol}`);
+    }
 
-        pythonProcess.on('close', (code) => {
-            if (code !== 0) {
-                reject(new Error(`Python process exited with code ${code}: ${error}`));
-                return;
-            }
+    await evaluation.resolvePredictions(symbol, bars, getBroker().now());
 
-            try {
-                // Trim any whitespace and ensure we have valid JSON
-                const cleanResult = result.trim();
-                const prediction = JSON.parse(cleanResult);
-                resolve(prediction);
-            } catch (e) {
-                console.error('Raw Python output:', result);
-                reject(new Error(`Failed to parse prediction result: ${e.message}`));
-            }
-        });
+    const lastBar = bars[bars.length - 1];
+    const currentPrice = lastBar.close;
+    const predictedReturn = predictRidge(model, latestFeatures(bars));
+    const predictedPrice = currentPrice * (1 + predictedReturn);
+
+    // Directional hit rate on held-out data, scaled down for moves that are small
+    // next to the model's typical error
+    const strength = Math.min(1, Math.abs(predictedReturn) / (model.validation.mae || Infinity));
+    const confidence = Math.max(0, Math.min(1, model.validation.directionalAccuracy * strength));
+
+    const [trackRecord, versionRecord] = await Promise.all([
+        evaluation.getTrackRecord(symbol),
+        evaluation.getTrackRecord(symbol, { version: model.version })
+    ]);
+    const { status, weight } = evaluation.assessTrackRecord(trackRecord);
+
+    await evaluation.recordPrediction({
+        symbol,
+        version: model.version,
+        timeframe: model.timeframe,
+        horizon: model.horizon,
+        asOf: lastBar.timestamp,
+        currentPrice,
+        predictedPrice,
+        confidence
     });
+
+    return {
+        current_price: currentPrice,
+        predicted_price: predictedPrice,
+        predicted_change_percent: predictedReturn * 100,
+        confidence_score: confidence * weight,
+        raw_confidence_score: confidence,
+        ignored: weight === 0,
+        horizon: `${model.horizon} x ${model.timeframe}`,
+        model: {
+            type: model.type,
+            version: model.version,
+            trainedAt: model.trainedAt
+        },
+        track_record: {
+            status,
+            weight,
+            samples: trackRecord.samples,
+            hitRate: trackRecord.hitRate,
+            mae: trackRecord.mae,
+            baselineMae: trackRecord.baselineMae,
+            calibrationError: trackRecord.calibrationError,
+            version: {
+                samples: versionRecord.samples,
+                hitRate: versionRecord.hitRate,
+                mae: versionRecord.mae
+            }
+        },
+        timestamp: new Date().toISOString()
+    };
 }
 
 module.exports = {
-    predictPrice
-}; 
\ No newline at end of file
+    predictPrice,
+    trainModel,
+    retrainModels,
+    listModels: registry.listModels,
+    rollbackModel: registry.rollbackModel,
+    promoteModel: registry.promoteModel,
+    getTrackRecord: evaluation.getTrackRecord,
+    getVersionReport: evaluation.getVersionReport
+};
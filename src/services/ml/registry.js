@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { createMutex } = require('../../utils/concurrency');
+const logger = require('../../utils/logger');
+
+const MODEL_DIR = process.env.MODEL_DIR || path.resolve(__dirname, '../../../data/models');
+const REGISTRY_FILE = path.join(MODEL_DIR, 'registry.json');
+const MAX_MODEL_VERSIONS = parseInt(process.env.MAX_MODEL_VERSIONS) || 10; // Older version files are deleted
+
+// { [symbol]: { active, pinned, versions: [{ version, trainedAt, validation }] } }
+let registry = null;
+// Loaded model files by symbol and version
+const loaded = {};
+// Symbols may be trained in parallel; their registry writes must not interleave
+const runExclusive = createMutex();
+
+async function loadRegistry() {
+    if (registry) {
+        return registry;
+    }
+
+    try {
+        registry = JSON.parse(await fs.promises.readFile(REGISTRY_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Error reading model registry', { error });
+        }
+        registry = {};
+    }
+    return registry;
+}
+
+async function saveRegistry() {
+    await runExclusive(async () => {
+        await fs.promises.mkdir(MODEL_DIR, { recursive: true });
+        await fs.promises.writeFile(REGISTRY_FILE, JSON.stringify(registry, null, 2));
+    });
+}
+
+function modelFile(symbol, version) {
+    return path.join(MODEL_DIR, symbol, `${version}.json`);
+}
+
+function getEntry(symbol) {
+    if (!registry[symbol]) {
+        registry[symbol] = { active: null, pinned: false, versions: [] };
+    }
+    return registry[symbol];
+}
+
+/**
+ * Save a trained model as the symbol's next version. It becomes the active version
+ * unless an operator pinned an older one with rollbackModel.
+ * @param {Object} model Trained model (without a version)
+ * @returns {Promise<Object>} The model with its version
+ */
+async function registerModel(model) {
+    await loadRegistry();
+    const entry = getEntry(model.symbol);
+    const last = entry.versions[entry.versions.length - 1];
+    const version = `v${last ? parseInt(last.version.slice(1)) + 1 : 1}`;
+    const versioned = { ...model, version };
+
+    await fs.promises.mkdir(path.dirname(modelFile(model.symbol, version)), { recursive: true });
+    await fs.promises.writeFile(modelFile(model.symbol, version), JSON.stringify(versioned, null, 2));
+
+    entry.versions.push({ version, trainedAt: model.trainedAt, validation: model.validation });
+    if (!entry.pinned) {
+        entry.active = version;
+    }
+
+    // Drop the oldest versions, but never the active one
+    while (entry.versions.length > MAX_MODEL_VERSIONS) {
+        const index = entry.versions.findIndex(item => item.version !== entry.active);
+        const [removed] = entry.versions.splice(index, 1);
+        await fs.promises.rm(modelFile(model.symbol, removed.version), { force: true });
+        delete loaded[`${model.symbol}/${removed.version}`];
+    }
+
+    await saveRegistry();
+    loaded[`${model.symbol}/${version}`] = versioned;
+    return versioned;
+}
+
+/**
+ * Load one version of a symbol's model
+ * @param {string} symbol Stock symbol
+ * @param {string} version Model version
+ * @returns {Promise<Object|null>} Model, or null if it does not exist
+ */
+async function loadModelVersion(symbol, version) {
+    const key = `${symbol}/${version}`;
+    if (loaded[key]) {
+        return loaded[key];
+    }
+
+    try {
+        loaded[key] = JSON.parse(await fs.promises.readFile(modelFile(symbol, version), 'utf8'));
+        return loaded[key];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Error loading model ${key}`, { error });
+        }
+        return null;
+    }
+}
+
+/**
+ * Load the symbol's active model
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Object|null>} Model, or null if none has been trained
+ */
+async function getActiveModel(symbol) {
+    await loadRegistry();
+    const entry = registry[symbol];
+    if (!entry || !entry.active) {
+        return null;
+    }
+    return loadModelVersion(symbol, entry.active);
+}
+
+/**
+ * Registry entry of a symbol
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Object|null>} { active, pinned, versions }
+ */
+async function getModelEntry(symbol) {
+    await loadRegistry();
+    return registry[symbol] || null;
+}
+
+/**
+ * Registry entries of every symbol
+ * @returns {Promise<Object>} Entries by symbol
+ */
+async function listModels() {
+    return loadRegistry();
+}
+
+/**
+ * Make a version active
+ * @param {string} symbol Stock symbol
+ * @param {string} version Model version
+ * @param {boolean} pinned Whether retraining should leave it active
+ * @returns {Promise<Object>} Registry entry
+ */
+async function setActive(symbol, version, pinned) {
+    await loadRegistry();
+    const entry = registry[symbol];
+    if (!entry || !entry.versions.some(item => item.version === version)) {
+        throw new Error(`Unknown model version ${symbol} ${version}`);
+    }
+
+    entry.active = version;
+    entry.pinned = pinned;
+    await saveRegistry();
+    return entry;
+}
+
+/**
+ * Roll back to an earlier version (the one before the active version by default) and
+ * pin it, so retraining keeps adding versions without activating them
+ * @param {string} symbol Stock symbol
+ * @param {string} [version] Version to roll back to
+ * @returns {Promise<Object>} Registry entry
+ */
+async function rollbackModel(symbol, version) {
+    const entry = await getModelEntry(symbol);
+    if (!entry) {
+        throw new Error(`No models registered for ${symbol}`);
+    }
+
+    if (!version) {
+        const index = entry.versions.findIndex(item => item.version === entry.active);
+        if (index < 1) {
+            throw new Error(`No version before ${entry.active} to roll back to for ${symbol}`);
+        }
+        version = entry.versions[index - 1].version;
+    }
+    return setActive(symbol, version, true);
+}
+
+/**
+ * Activate a version (the latest by default) and unpin, so retraining activates new
+ * versions again
+ * @param {string} symbol Stock symbol
+ * @param {string} [version] Version to activate
+ * @returns {Promise<Object>} Registry entry
+ */
+async function promoteModel(symbol, version) {
+    const entry = await getModelEntry(symbol);
+    if (!entry) {
+        throw new Error(`No models registered for ${symbol}`);
+    }
+    return setActive(symbol, version || entry.versions[entry.versions.length - 1].version, false);
+}
+
+module.exports = {
+    registerModel,
+    loadModelVersion,
+    getActiveModel,
+    getModelEntry,
+    listModels,
+    rollbackModel,
+    promoteModel
+};
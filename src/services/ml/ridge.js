@@ -0,0 +1,114 @@
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} A Square matrix (modified in place)
+ * @param {Array<number>} b Right-hand side (modified in place)
+ * @returns {Array<number>} Solution
+ */
+function solve(A, b) {
+    const n = b.length;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+                pivot = row;
+            }
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        if (Math.abs(A[col][col]) < 1e-12) {
+            throw new Error('Singular matrix in ridge regression');
+        }
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) {
+                A[row][k] -= factor * A[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= A[row][k] * x[k];
+        }
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Fit a ridge regression on standardized features. The intercept is not penalized.
+ * @param {Array<Array<number>>} X Feature rows
+ * @param {Array<number>} y Targets
+ * @param {number} lambda L2 penalty
+ * @returns {Object} { weights, intercept, means, stds }
+ */
+function fitRidge(X, y, lambda) {
+    const n = X.length;
+    const d = X[0].length;
+
+    const means = new Array(d).fill(0);
+    const stds = new Array(d).fill(0);
+    for (const row of X) {
+        row.forEach((value, j) => { means[j] += value / n; });
+    }
+    for (const row of X) {
+        row.forEach((value, j) => { stds[j] += (value - means[j]) ** 2 / n; });
+    }
+    for (let j = 0; j < d; j++) {
+        stds[j] = Math.sqrt(stds[j]) || 1;
+    }
+
+    const yMean = y.reduce((sum, value) => sum + value, 0) / n;
+    const Z = X.map(row => row.map((value, j) => (value - means[j]) / stds[j]));
+
+    // (Z'Z + lambda I) w = Z'(y - mean)
+    const A = Array.from({ length: d }, () => new Array(d).fill(0));
+    const b = new Array(d).fill(0);
+    for (let i = 0; i < n; i++) {
+        const row = Z[i];
+        const target = y[i] - yMean;
+        for (let j = 0; j < d; j++) {
+            b[j] += row[j] * target;
+            for (let k = j; k < d; k++) {
+                A[j][k] += row[j] * row[k];
+            }
+        }
+    }
+    for (let j = 0; j < d; j++) {
+        for (let k = 0; k < j; k++) {
+            A[j][k] = A[k][j];
+        }
+        A[j][j] += lambda;
+    }
+
+    return {
+        weights: solve(A, b),
+        intercept: yMean,
+        means,
+        stds
+    };
+}
+
+/**
+ * Predict with a fitted ridge model
+ * @param {Object} model Result of fitRidge
+ * @param {Array<number>} features Feature vector
+ * @returns {number} Prediction
+ */
+function predictRidge(model, features) {
+    return features.reduce(
+        (sum, value, j) => sum + model.weights[j] * (value - model.means[j]) / model.stds[j],
+        model.intercept
+    );
+}
+
+module.exports = {
+    fitRidge,
+    predictRidge
+};
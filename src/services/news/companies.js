@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const NEWS_COMPANIES_FILE = process.env.NEWS_COMPANIES_FILE || null;
+const SEC_USER_AGENT = process.env.SEC_USER_AGENT || null; // SEC requires a contact, e.g. "Jane Doe jane@example.com"
+const SEC_TICKERS_URL = 'https://www.sec.gov/files/company_tickers.json';
+
+// Names and aliases for common tickers; NEWS_COMPANIES_FILE adds to or overrides these
+const BUILTIN_COMPANIES = {
+    AAPL: { name: 'Apple', aliases: ['Apple Inc', 'iPhone', 'Tim Cook'] },
+    MSFT: { name: 'Microsoft', aliases: ['Microsoft Corp', 'Satya Nadella'] },
+    GOOGL: { name: 'Alphabet', aliases: ['Google', 'Sundar Pichai'] },
+    GOOG: { name: 'Alphabet', aliases: ['Google', 'Sundar Pichai'] },
+    AMZN: { name: 'Amazon', aliases: ['Amazon.com', 'AWS', 'Andy Jassy'] },
+    META: { name: 'Meta Platforms', aliases: ['Meta', 'Facebook', 'Instagram', 'Mark Zuckerberg'] },
+    NVDA: { name: 'Nvidia', aliases: ['NVIDIA Corp', 'Jensen Huang'] },
+    TSLA: { name: 'Tesla', aliases: ['Tesla Inc', 'Elon Musk'] },
+    NFLX: { name: 'Netflix', aliases: [] },
+    AMD: { name: 'Advanced Micro Devices', aliases: ['AMD', 'Lisa Su'] },
+    SPY: { name: 'S&P 500', aliases: ['SPDR S&P 500', 'Wall Street stocks'] },
+    QQQ: { name: 'Nasdaq 100', aliases: ['Invesco QQQ', 'tech stocks'] }
+};
+
+// Legal suffixes dropped from SEC company titles to get the name used in the press
+const NAME_SUFFIX = /[,.]?\s+(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|holdings|group|sa|nv|ag|llc|lp)\.?$/i;
+
+let configured = null;
+let secTickers = null;
+
+function loadConfiguredCompanies() {
+    if (configured) {
+        return configured;
+    }
+
+    configured = { ...BUILTIN_COMPANIES };
+    if (NEWS_COMPANIES_FILE) {
+        try {
+            Object.assign(configured, JSON.parse(fs.readFileSync(path.resolve(NEWS_COMPANIES_FILE), 'utf8')));
+        } catch (error) {
+            logger.error(`Error reading ${NEWS_COMPANIES_FILE}`, { error });
+        }
+    }
+    return configured;
+}
+
+/**
+ * Ticker -> { cik, title } from the SEC company list, fetched once
+ * @returns {Promise<Object>} Companies by ticker (empty without SEC_USER_AGENT)
+ */
+async function getSecTickers() {
+    if (secTickers) {
+        return secTickers;
+    }
+    if (!SEC_USER_AGENT) {
+        return {};
+    }
+
+    const response = await axios.get(SEC_TICKERS_URL, {
+        headers: { 'User-Agent': SEC_USER_AGENT },
+        timeout: 15000
+    });
+    secTickers = Object.values(response.data).reduce((companies, company) => {
+        companies[company.ticker.toUpperCase()] = { cik: company.cik_str, title: company.title };
+        return companies;
+    }, {});
+    return secTickers;
+}
+
+function cleanName(title) {
+    let name = title.trim();
+    while (NAME_SUFFIX.test(name)) {
+        name = name.replace(NAME_SUFFIX, '');
+    }
+    return name;
+}
+
+/**
+ * Company behind a ticker: the name and aliases used to search and filter news, and
+ * its SEC CIK when known
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Object>} { symbol, name, aliases, cik }
+ */
+async function getCompany(symbol) {
+    const known = loadConfiguredCompanies()[symbol] || {};
+
+    let sec = {};
+    try {
+        sec = (await getSecTickers())[symbol] || {};
+    } catch (error) {
+        logger.error('Error loading SEC company tickers', { error: error.message });
+    }
+
+    const name = known.name || (sec.title ? cleanName(sec.title) : symbol);
+    const aliases = [...new Set([...(known.aliases || []), ...(sec.title ? [sec.title] : [])])]
+        .filter(alias => alias.toLowerCase() !== name.toLowerCase());
+
+    return {
+        symbol,
+        name,
+        aliases,
+        cik: known.cik || sec.cik || null
+    };
+}
+
+/**
+ * Every term that identifies the company in text, longest first
+ * @param {Object} company Result of getCompany
+ * @returns {Array<string>} Name, aliases and ticker
+ */
+function searchTerms(company) {
+    return [...new Set([company.name, ...company.aliases, company.symbol])]
+        .sort((a, b) => b.length - a.length);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether an article mentions the company. Names and aliases match case-insensitively;
+ * the ticker only in capitals (or as $TICKER) so short tickers do not match ordinary words.
+ * @param {Object} article Article with title and description
+ * @param {Object} company Result of getCompany
+ * @returns {boolean} Whether the company is mentioned
+ */
+function mentionsCompany(article, company) {
+    const text = `${article.title || ''} ${article.description || ''}`;
+    const names = [company.name, ...company.aliases].filter(term => term && term !== company.symbol);
+
+    if (names.some(term => new RegExp(`(^|\\W)${escapeRegExp(term)}(\\W|$)`, 'i').test(text))) {
+        return true;
+    }
+    return new RegExp(`(^|[^A-Za-z0-9])\\$?${escapeRegExp(company.symbol)}([^A-Za-z0-9]|$)`).test(text);
+}
+
+module.exports = {
+    SEC_USER_AGENT,
+    getCompany,
+    searchTerms,
+    mentionsCompany
+};
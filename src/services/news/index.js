@@ -0,0 +1,335 @@
+const { requestStructuredOutput } = require('../structured');
+const { getLLMClient } = require('../llm');
+const { getCompany, mentionsCompany } = require('./companies');
+const { getNewsSources } = require('./sources');
+const { selectModel } = require('../budget');
+const { hashKey, createCache } = require('../../utils/cache');
+const logger = require('../../utils/logger');
+
+const NEWS_LOOKBACK_HOURS = parseFloat(process.env.NEWS_LOOKBACK_HOURS) || 72;
+const NEWS_ARTICLES_PER_SOURCE = parseInt(process.env.NEWS_ARTICLES_PER_SOURCE) || 20;
+const NEWS_MAX_ARTICLES = parseInt(process.env.NEWS_MAX_ARTICLES) || 15; // Sent for sentiment scoring
+const NEWS_HALF_LIFE_HOURS = parseFloat(process.env.NEWS_HALF_LIFE_HOURS) || 24; // An article's weight halves every this many hours
+const DEFAULT_SOURCE_WEIGHTS = { sec: 1.2, alpaca: 1, newsapi: 0.8, rss: 0.6, fixtures: 1 };
+const SOURCE_WEIGHTS = {
+    ...DEFAULT_SOURCE_WEIGHTS,
+    ...parseWeights(process.env.NEWS_SOURCE_WEIGHTS)
+};
+const DUPLICATE_TITLE_SIMILARITY = 0.8; // Share of title words two articles must have in common
+
+// Article scores by content hash, kept as long as an article can come back from a search,
+// and overall analyses by the set of articles they covered
+const articleCache = createCache({ ttlMs: NEWS_LOOKBACK_HOURS * 3600000, maxEntries: 5000 });
+const analysisCache = createCache({ ttlMs: NEWS_LOOKBACK_HOURS * 3600000, maxEntries: 500 });
+
+const SENTIMENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        articles: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'integer', minimum: 1 },
+                    score: { type: 'number', minimum: 0, maximum: 1 },
+                    relevance: { type: 'number', minimum: 0, maximum: 1 },
+                    reason: { type: 'string', minLength: 1 }
+                },
+                required: ['index', 'score', 'relevance', 'reason'],
+                additionalProperties: false
+            }
+        },
+        analysis: { type: 'string', minLength: 1 }
+    },
+    required: ['articles', 'analysis'],
+    additionalProperties: false
+};
+
+/**
+ * Parse "name:weight,name:weight"
+ * @param {string} [text] Weights setting
+ * @returns {Object} Weights by source name
+ */
+function parseWeights(text) {
+    return (text || '').split(',').reduce((weights, pair) => {
+        const [name, weight] = pair.split(':').map(part => part.trim());
+        if (name && isFinite(parseFloat(weight))) {
+            weights[name.toLowerCase()] = parseFloat(weight);
+        }
+        return weights;
+    }, {});
+}
+
+function sourceWeight(provider) {
+    return SOURCE_WEIGHTS[provider] !== undefined ? SOURCE_WEIGHTS[provider] : 1;
+}
+
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+function titleWords(title) {
+    return new Set(title
+        .toLowerCase()
+        .replace(/\s+[-|–—]\s+[^-|–—]+$/, '') // " - Publisher" suffixes
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 2));
+}
+
+function isSameStory(a, b) {
+    if (a.urlKey && a.urlKey === b.urlKey) {
+        return true;
+    }
+    const shared = [...a.words].filter(word => b.words.has(word)).length;
+    const total = new Set([...a.words, ...b.words]).size;
+    return total > 0 && shared / total >= DUPLICATE_TITLE_SIMILARITY;
+}
+
+/**
+ * Merge articles that report the same story, keeping the copy from the most trusted
+ * source and listing where else it appeared
+ * @param {Array<Object>} articles Articles from every source
+ * @returns {Array<Object>} Unique articles
+ */
+function deduplicate(articles) {
+    const ranked = [...articles].sort((a, b) =>
+        sourceWeight(b.provider) - sourceWeight(a.provider) || b.publishedAt - a.publishedAt);
+    const unique = [];
+
+    for (const article of ranked) {
+        const key = { urlKey: article.url ? normalizeUrl(article.url) : null, words: titleWords(article.title) };
+        const existing = unique.find(item => item.keys.some(other => isSameStory(other, key)));
+
+        if (existing) {
+            existing.keys.push(key);
+            existing.article.alsoReportedBy.push(article.source);
+            // Date the story by its first appearance
+            if (article.publishedAt < existing.article.publishedAt) {
+                existing.article.publishedAt = article.publishedAt;
+            }
+        } else {
+            unique.push({ keys: [key], article: { ...article, alsoReportedBy: [] } });
+        }
+    }
+
+    return unique.map(item => item.article);
+}
+
+/**
+ * Fetch recent news about a stock from every configured source. Searches use the
+ * company name and aliases as well as the ticker; articles from untagged sources must
+ * mention the company, and the same story from several sources is kept once.
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Array>} Articles, newest first
+ */
+async function fetchNews(symbol) {
+    const sources = getNewsSources();
+    if (sources.length === 0) {
+        logger.warn('No news sources configured; set NEWS_SOURCES or a source\'s credentials');
+        return [];
+    }
+
+    const company = await getCompany(symbol);
+    const since = new Date(Date.now() - NEWS_LOOKBACK_HOURS * 3600000);
+    const results = await Promise.allSettled(sources.map(source =>
+        source.fetch(company, { since, limit: NEWS_ARTICLES_PER_SOURCE })));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === sources.length) {
+        logger.error('Error fetching news', { error: failed[0].reason });
+        throw new Error(`Failed to fetch news: ${failed.map(result => result.reason.message).join('; ')}`);
+    }
+
+    const articles = [];
+    results.forEach((result, i) => {
+        const source = sources[i];
+        if (result.status === 'rejected') {
+            logger.error(`Error fetching news from ${source.name}`, { error: result.reason.message });
+            return;
+        }
+        for (const article of result.value) {
+            if (!article.title || !(article.publishedAt >= since)) {
+                continue;
+            }
+            if (!source.tagged && !mentionsCompany(article, company)) {
+                continue;
+            }
+            articles.push({ ...article, provider: source.name });
+        }
+    });
+
+    return deduplicate(articles)
+        .sort((a, b) => b.publishedAt - a.publishedAt)
+        .slice(0, NEWS_MAX_ARTICLES);
+}
+
+/**
+ * Weight of an article in the blended score: its source's weight, halved every
+ * NEWS_HALF_LIFE_HOURS of age
+ * @param {Object} article Article
+ * @param {Date} now Current time
+ * @returns {number} Weight
+ */
+function articleWeight(article, now) {
+    const ageHours = Math.max(0, (now - new Date(article.publishedAt)) / 3600000);
+    return sourceWeight(article.provider) * Math.pow(0.5, ageHours / NEWS_HALF_LIFE_HOURS);
+}
+
+function formatAge(publishedAt, now) {
+    const hours = (now - new Date(publishedAt)) / 3600000;
+    return hours < 1 ? `${Math.max(1, Math.round(hours * 60))}m ago` : `${Math.round(hours)}h ago`;
+}
+
+/**
+ * Summarize scored articles when no new ones needed the model
+ * @param {Array<Object>} articleScores Scored articles
+ * @returns {string} Analysis
+ */
+function summarizeScores(articleScores) {
+    const top = [...articleScores]
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, 3)
+        .map(item => `${item.title} (${item.score.toFixed(2)}): ${item.reason}`);
+    return `Weighted sentiment of ${articleScores.length} previously scored articles. Most influential: ${top.join('; ')}`;
+}
+
+/**
+ * Score each article's sentiment with the LLM, then blend the scores weighted by
+ * source, recency and how much each article is really about the company. Article
+ * scores are cached by content, so only articles not seen before are sent.
+ * @param {Array} news Articles from fetchNews
+ * @param {string} [symbol] Stock symbol the articles are about
+ * @returns {Promise<Object>} Sentiment analysis results
+ */
+async function analyzeSentiment(news, symbol) {
+    const now = new Date();
+
+    if (news.length === 0) {
+        return {
+            score: 0.5,
+            analysis: 'No recent news; sentiment treated as neutral',
+            articles: 0,
+            articleScores: [],
+            timestamp: now
+        };
+    }
+
+    try {
+        const company = symbol ? await getCompany(symbol) : null;
+        const subject = company ? `${company.name} (${company.symbol})` : 'a stock';
+        const keys = news.map(article => hashKey({ symbol, title: article.title, url: article.url, description: article.description }));
+        const scores = keys.map(key => articleCache.get(key));
+        const fresh = news.map((article, i) => ({ article, i })).filter(item => !scores[item.i]);
+        const setKey = hashKey(keys);
+        let analysis = analysisCache.get(setKey);
+        let model = null;
+        let usage = null;
+
+        if (fresh.length > 0) {
+            const newsText = fresh
+                .map(({ article }, n) => `[${n + 1}] (${article.source}, ${formatAge(article.publishedAt, now)}) ${article.title}. ${article.description || ''}`)
+                .join('\n\n');
+            const alreadyScored = news
+                .map((article, i) => (scores[i] ? `- ${article.title} (score ${scores[i].score.toFixed(2)})` : null))
+                .filter(Boolean)
+                .join('\n');
+
+            const prompt = `Score the sentiment of each of these news articles about ${subject}, considering its likely market impact and trading implications. For every article give a score from 0 to 1, where 0 is extremely negative and 1 is extremely positive, and a relevance from 0 to 1 for how much the article is actually about this company rather than a passing mention. Give each article a one-line reason, and summarize the overall picture in the analysis.\n\nNews:\n${newsText}` +
+                (alreadyScored ? `\n\nAlready scored (include them in the overall analysis, do not score them again):\n${alreadyScored}` : '');
+
+            model = selectModel('sentiment');
+            const response = await requestStructuredOutput(getLLMClient(), {
+                model,
+                name: 'submit_sentiment',
+                description: 'Submit the sentiment score of every article and an overall analysis',
+                schema: SENTIMENT_SCHEMA,
+                validate: output => validateArticleScores(output, fresh.length),
+                messages: [
+                    {
+                        role: "system",
+                        content: "You are a financial analyst expert in market sentiment analysis."
+                    },
+                    {
+                        role: "user",
+                        content: prompt
+                    }
+                ]
+            });
+            usage = response.usage;
+            model = response.model;
+
+            for (const scored of response.data.articles) {
+                const { i } = fresh[scored.index - 1];
+                scores[i] = { score: scored.score, relevance: scored.relevance, reason: scored.reason };
+                articleCache.set(keys[i], scores[i]);
+            }
+            analysis = response.data.analysis;
+            analysisCache.set(setKey, analysis);
+        }
+
+        const articleScores = news.map((article, i) => ({
+            title: article.title,
+            source: article.source,
+            provider: article.provider,
+            publishedAt: article.publishedAt,
+            score: scores[i].score,
+            relevance: scores[i].relevance,
+            weight: articleWeight(article, now) * scores[i].relevance,
+            reason: scores[i].reason
+        }));
+
+        const totalWeight = articleScores.reduce((sum, item) => sum + item.weight, 0);
+        const score = totalWeight > 0
+            ? articleScores.reduce((sum, item) => sum + item.score * item.weight, 0) / totalWeight
+            : 0.5;
+
+        return {
+            score,
+            analysis: analysis || summarizeScores(articleScores),
+            articles: news.length,
+            newlyScored: fresh.length,
+            articleScores,
+            model,
+            usage,
+            timestamp: now
+        };
+    } catch (error) {
+        logger.error('Error analyzing sentiment', { error });
+        const wrapped = new Error(`Failed to analyze sentiment: ${error.message}`);
+        wrapped.code = error.code;
+        throw wrapped;
+    }
+}
+
+/**
+ * Check that every article was scored exactly once
+ * @param {Object} output Sentiment output
+ * @param {number} count Number of articles sent
+ * @returns {Array<string>} Errors
+ */
+function validateArticleScores(output, count) {
+    const errors = [];
+    const indexes = output.articles.map(item => item.index);
+
+    for (let i = 1; i <= count; i++) {
+        const times = indexes.filter(index => index === i).length;
+        if (times !== 1) {
+            errors.push(`article ${i} must be scored exactly once (scored ${times} times)`);
+        }
+    }
+    indexes.filter(index => index > count).forEach(index => {
+        errors.push(`there is no article ${index}`);
+    });
+    return errors;
+}
+
+module.exports = {
+    fetchNews,
+    analyzeSentiment
+};
@@ -0,0 +1,48 @@
+const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { usesPaperAccount } = require('../../../trading/mode');
+
+/**
+ * Alpaca market news (Benzinga), tagged by symbol
+ * @param {Object} [options] Source options
+ * @param {string} [options.keyId] Alpaca key (ALPACA_API_KEY)
+ * @param {string} [options.secretKey] Alpaca secret (ALPACA_API_SECRET)
+ * @returns {Object} News source
+ */
+function createAlpacaNewsSource(options = {}) {
+    const keyId = options.keyId || process.env.ALPACA_API_KEY;
+    const secretKey = options.secretKey || process.env.ALPACA_API_SECRET;
+    let client = null;
+
+    return {
+        name: 'alpaca',
+        tagged: true,
+
+        async fetch(company, { since, limit }) {
+            if (!keyId || !secretKey) {
+                throw new Error('ALPACA_API_KEY and ALPACA_API_SECRET are not set');
+            }
+            if (!client) {
+                client = new Alpaca({ keyId, secretKey, paper: usesPaperAccount() });
+            }
+
+            const news = await client.getNews({
+                symbols: [company.symbol],
+                start: since.toISOString(),
+                sort: 'desc',
+                totalLimit: limit
+            });
+
+            return news.map(article => ({
+                title: article.Headline,
+                description: article.Summary,
+                url: article.URL,
+                publishedAt: new Date(article.CreatedAt),
+                source: article.Source || 'Alpaca'
+            }));
+        }
+    };
+}
+
+module.exports = {
+    createAlpacaNewsSource
+};
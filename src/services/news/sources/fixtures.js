@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Articles read from <SYMBOL>.json files, for tests and offline runs. An article may
+ * give ageHours instead of publishedAt so fixtures stay recent.
+ * @param {Object} [options] Source options
+ * @param {string} [options.directory] Directory of fixture files (NEWS_FIXTURES_DIR)
+ * @param {Function} [options.now] Current time, for ageHours
+ * @returns {Object} News source
+ */
+function createFixturesSource(options = {}) {
+    const directory = options.directory || process.env.NEWS_FIXTURES_DIR;
+    const now = options.now || (() => new Date());
+
+    return {
+        name: 'fixtures',
+        tagged: true,
+
+        async fetch(company, { since, limit }) {
+            if (!directory) {
+                throw new Error('NEWS_FIXTURES_DIR is not set');
+            }
+
+            const file = path.join(directory, `${company.symbol}.json`);
+            if (!fs.existsSync(file)) {
+                return [];
+            }
+
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'))
+                .map(article => ({
+                    title: article.title,
+                    description: article.description || null,
+                    url: article.url || null,
+                    publishedAt: article.ageHours !== undefined
+                        ? new Date(now().getTime() - article.ageHours * 3600000)
+                        : new Date(article.publishedAt),
+                    source: article.source || 'fixtures'
+                }))
+                .filter(article => article.publishedAt >= since)
+                .slice(0, limit);
+        }
+    };
+}
+
+module.exports = {
+    createFixturesSource
+};
@@ -0,0 +1,78 @@
+const { createNewsApiSource } = require('./newsapi');
+const { createAlpacaNewsSource } = require('./alpaca');
+const { createRssSource } = require('./rss');
+const { createSecSource } = require('./sec');
+const { createFixturesSource } = require('./fixtures');
+
+// Every source exposes { name, tagged, fetch(company, { since, limit }) }. fetch resolves to
+// articles { title, description, url, publishedAt, source }; tagged sources only return
+// articles about the company, untagged ones are filtered for mentions of it.
+const SOURCE_NAMES = ['newsapi', 'alpaca', 'rss', 'sec', 'fixtures'];
+
+let sources = null;
+
+/**
+ * Create a news source by name
+ * @param {string} name Source name
+ * @param {Object} [options] Options passed to the source factory
+ * @returns {Object} News source
+ */
+function createNewsSource(name, options = {}) {
+    switch (name) {
+        case 'newsapi':
+            return createNewsApiSource(options);
+        case 'alpaca':
+            return createAlpacaNewsSource(options);
+        case 'rss':
+            return createRssSource(options);
+        case 'sec':
+            return createSecSource(options);
+        case 'fixtures':
+            return createFixturesSource(options);
+        default:
+            throw new Error(`Unknown news source: ${name}`);
+    }
+}
+
+/**
+ * Sources named in NEWS_SOURCES, or by default every source whose credentials are set
+ * @returns {Array<string>} Source names
+ */
+function configuredSourceNames() {
+    if (process.env.NEWS_SOURCES) {
+        return process.env.NEWS_SOURCES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+
+    return SOURCE_NAMES.filter(name => ({
+        newsapi: !!process.env.NEWS_API_KEY,
+        alpaca: !!(process.env.ALPACA_API_KEY && process.env.ALPACA_API_SECRET),
+        rss: !!process.env.NEWS_RSS_FEEDS,
+        sec: !!process.env.SEC_USER_AGENT,
+        fixtures: !!process.env.NEWS_FIXTURES_DIR
+    })[name]);
+}
+
+/**
+ * Get the news sources used by the bot, creating them on first use
+ * @returns {Array<Object>} News sources
+ */
+function getNewsSources() {
+    if (!sources) {
+        sources = configuredSourceNames().map(name => createNewsSource(name));
+    }
+    return sources;
+}
+
+/**
+ * Replace the news sources (e.g. with fixtures in tests)
+ * @param {Array<Object>} instances News sources
+ */
+function setNewsSources(instances) {
+    sources = instances;
+}
+
+module.exports = {
+    createNewsSource,
+    getNewsSources,
+    setNewsSources
+};
@@ -0,0 +1,52 @@
+const axios = require('axios');
+const { searchTerms } = require('../companies');
+
+/**
+ * NewsAPI.org full-text search over the company name, aliases and ticker
+ * @param {Object} [options] Source options
+ * @param {string} [options.apiKey] NewsAPI key (NEWS_API_KEY)
+ * @returns {Object} News source
+ */
+function createNewsApiSource(options = {}) {
+    const apiKey = options.apiKey || process.env.NEWS_API_KEY;
+
+    return {
+        name: 'newsapi',
+        // Full-text matches can be about something else, so articles are checked for the company
+        tagged: false,
+
+        async fetch(company, { since, limit }) {
+            if (!apiKey) {
+                throw new Error('NEWS_API_KEY is not set');
+            }
+
+            const query = searchTerms(company)
+                .map(term => (/\s/.test(term) ? `"${term}"` : term))
+                .join(' OR ');
+            const response = await axios.get('https://newsapi.org/v2/everything', {
+                params: {
+                    q: query,
+                    searchIn: 'title,description',
+                    from: since.toISOString(),
+                    language: 'en',
+                    sortBy: 'publishedAt',
+                    apiKey,
+                    pageSize: limit
+                },
+                timeout: 15000
+            });
+
+            return response.data.articles.map(article => ({
+                title: article.title,
+                description: article.description,
+                url: article.url,
+                publishedAt: new Date(article.publishedAt),
+                source: article.source.name
+            }));
+        }
+    };
+}
+
+module.exports = {
+    createNewsApiSource
+};
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+
+// Yahoo Finance headlines for the ticker, used when NEWS_RSS_FEEDS is not set
+const DEFAULT_FEEDS = ['https://feeds.finance.yahoo.com/rss/2.0/headline?s={symbol}&region=US&lang=en-US'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+                return String.fromCodePoint(code);
+            }
+            return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function readTag(xml, tags) {
+    for (const tag of tags) {
+        const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+        if (match) {
+            return decodeText(match[1]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Pull the items out of an RSS 2.0 or Atom document
+ * @param {string} xml Feed document
+ * @returns {Array<Object>} Items with title, description, url, publishedAt and source
+ */
+function parseFeed(xml) {
+    const channelTitle = readTag(xml.replace(/<(item|entry)[\s>][\s\S]*$/i, ''), ['title']);
+    const items = xml.match(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi) || [];
+
+    return items.map(item => {
+        // Atom links carry the URL in an href attribute
+        const atomLink = /<link[^>]*href="([^"]+)"/i.exec(item);
+        const published = readTag(item, ['pubDate', 'published', 'updated', 'dc:date']);
+        return {
+            title: readTag(item, ['title']),
+            description: readTag(item, ['description', 'summary', 'content']),
+            url: readTag(item, ['link']) || (atomLink && atomLink[1]) || null,
+            publishedAt: published ? new Date(published) : null,
+            source: readTag(item, ['source']) || channelTitle || 'RSS'
+        };
+    }).filter(item => item.title && item.publishedAt && !isNaN(item.publishedAt));
+}
+
+/**
+ * RSS/Atom feeds. Feed URLs may contain {symbol} and {query} (the company name),
+ * so one template can serve every ticker.
+ * @param {Object} [options] Source options
+ * @param {Array<string>} [options.feeds] Feed URL templates (NEWS_RSS_FEEDS)
+ * @returns {Object} News source
+ */
+function createRssSource(options = {}) {
+    const feeds = options.feeds || (process.env.NEWS_RSS_FEEDS
+        ? process.env.NEWS_RSS_FEEDS.split(',').map(feed => feed.trim()).filter(Boolean)
+        : DEFAULT_FEEDS);
+
+    return {
+        name: 'rss',
+        // General feeds carry unrelated stories, so articles are checked for the company
+        tagged: false,
+
+        async fetch(company, { since, limit }) {
+            const results = await Promise.allSettled(feeds.map(async template => {
+                const url = template
+                    .replace(/\{symbol\}/g, encodeURIComponent(company.symbol))
+                    .replace(/\{query\}/g, encodeURIComponent(company.name));
+                const response = await axios.get(url, { responseType: 'text', timeout: 15000 });
+                return parseFeed(response.data);
+            }));
+
+            const failed = results.filter(result => result.status === 'rejected');
+            if (failed.length === feeds.length && feeds.length > 0) {
+                throw failed[0].reason;
+            }
+            failed.forEach(result => logger.error('Error reading RSS feed', { error: result.reason.message }));
+
+            return results
+                .filter(result => result.status === 'fulfilled')
+                .flatMap(result => result.value)
+                .filter(item => item.publishedAt >= since)
+                .sort((a, b) => b.publishedAt - a.publishedAt)
+                .slice(0, limit);
+        }
+    };
+}
+
+module.exports = {
+    createRssSource,
+    parseFeed
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { SEC_USER_AGENT } = require('../companies');
+
+// Filings that tend to move a stock; insider forms and routine filings are left out
+const DEFAULT_FORMS = ['8-K', '10-Q', '10-K', '6-K', '20-F', 'S-1', 'SC 13D', 'SC 13G'];
+
+/**
+ * Recent SEC EDGAR filings of the company
+ * @param {Object} [options] Source options
+ * @param {string} [options.userAgent] Contact sent to the SEC, which requires one (SEC_USER_AGENT)
+ * @param {Array<string>} [options.forms] Form types to include (SEC_FORMS)
+ * @returns {Object} News source
+ */
+function createSecSource(options = {}) {
+    const userAgent = options.userAgent || SEC_USER_AGENT;
+    const forms = options.forms || (process.env.SEC_FORMS
+        ? process.env.SEC_FORMS.split(',').map(form => form.trim().toUpperCase())
+        : DEFAULT_FORMS);
+
+    return {
+        name: 'sec',
+        tagged: true,
+
+        async fetch(company, { since, limit }) {
+            if (!userAgent) {
+                throw new Error('SEC_USER_AGENT is not set');
+            }
+            if (!company.cik) {
+                return [];
+            }
+
+            const cik = String(company.cik).padStart(10, '0');
+            const response = await axios.get(`https://data.sec.gov/submissions/CIK${cik}.json`, {
+                headers: { 'User-Agent': userAgent },
+                timeout: 15000
+            });
+            const recent = response.data.filings.recent;
+            const filings = [];
+
+            for (let i = 0; i < recent.form.length && filings.length < limit; i++) {
+                const publishedAt = new Date(recent.acceptanceDateTime[i] || recent.filingDate[i]);
+                if (publishedAt < since) {
+                    break;
+                }
+                if (!forms.includes(recent.form[i])) {
+                    continue;
+                }
+
+                const accession = recent.accessionNumber[i].replace(/-/g, '');
+                filings.push({
+                    title: `${company.name} files ${recent.form[i]}${recent.items && recent.items[i] ? ` (items ${recent.items[i]})` : ''}`,
+                    description: recent.primaryDocDescription[i] || null,
+                    url: `https://www.sec.gov/Archives/edgar/data/${company.cik}/${accession}/${recent.primaryDocument[i]}`,
+                    publishedAt,
+                    source: 'SEC EDGAR'
+                });
+            }
+            return filings;
+        }
+    };
+}
+
+module.exports = {
+    createSecSource
+};
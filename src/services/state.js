@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { createMutex } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+const STATE_FILE = process.env.STATE_FILE || path.resolve(__dirname, '../../data/state.json');
+// Where sections lived before the state store; imported once when the store is first created
+const LEGACY_FILES = {
+    guardrails: path.resolve(__dirname, '../../data/guardrails.json')
+};
+
+// One section per module (control, guardrails, exits, orders), loaded synchronously so
+// modules can read their state at any time and written back as a whole
+let state = null;
+const runExclusive = createMutex();
+
+function loadState() {
+    if (state) {
+        return state;
+    }
+
+    try {
+        state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('Error reading saved state', { error });
+        }
+        state = {};
+
+        for (const [section, file] of Object.entries(LEGACY_FILES)) {
+            try {
+                state[section] = JSON.parse(fs.readFileSync(file, 'utf8'));
+                logger.info(`Imported ${section} state from ${file}`);
+            } catch (legacyError) {
+                if (legacyError.code !== 'ENOENT') {
+                    logger.error(`Error importing ${section} state from ${file}`, { error: legacyError });
+                }
+            }
+        }
+    }
+    return state;
+}
+
+/**
+ * Get a section of the saved state. The object is live: changes to it are kept and
+ * written out by the next saveState.
+ * @param {string} name Section name
+ * @returns {Object} Section state
+ */
+function getSection(name) {
+    loadState();
+    state[name] = state[name] || {};
+    return state[name];
+}
+
+/**
+ * Write the state to STATE_FILE. The file is replaced in one step, so a crash while
+ * saving leaves the previous state intact.
+ * @returns {Promise<void>}
+ */
+async function saveState() {
+    if (!state) {
+        return;
+    }
+
+    await runExclusive(async () => {
+        try {
+            state.savedAt = new Date();
+            const temporary = `${STATE_FILE}.tmp`;
+            await fs.promises.mkdir(path.dirname(STATE_FILE), { recursive: true });
+            await fs.promises.writeFile(temporary, JSON.stringify(state, null, 2));
+            await fs.promises.rename(temporary, STATE_FILE);
+        } catch (error) {
+            logger.error('Error saving state', { error });
+        }
+    });
+}
+
+/**
+ * When the state was last written, e.g. by the previous run
+ * @returns {Date|null} Time of the last save
+ */
+function getSavedAt() {
+    const { savedAt } = loadState();
+    return savedAt ? new Date(savedAt) : null;
+}
+
+module.exports = {
+    getSection,
+    saveState,
+    getSavedAt
+};
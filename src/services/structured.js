@@ -0,0 +1,113 @@
+const { validateSchema } = require('../utils/schema');
+const { recordUsage } = require('./budget');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Ask the model for a JSON object matching a schema, using a forced function call.
+ * Malformed or invalid output is sent back to the model with the errors so it can
+ * correct itself; after the last attempt an error is thrown instead of guessing.
+ * The tokens and cost of every attempt are recorded against the daily LLM budget.
+ * @param {Object} client LLM client (see services/llm)
+ * @param {Object} request Request options
+ * @param {string} request.model Model name
+ * @param {Array<Object>} request.messages Chat messages
+ * @param {string} request.name Function name the model must call
+ * @param {string} request.description What the function receives
+ * @param {Object} request.schema JSON Schema of the function arguments
+ * @param {Function} [request.validate] Extra checks returning a list of error messages
+ * @param {number} [request.maxAttempts] Number of attempts before giving up
+ * @returns {Promise<Object>} { data, raw, attempts, usage, model, provider } where usage totals
+ * the attempts' promptTokens, completionTokens and cost
+ */
+async function requestStructuredOutput(client, request) {
+    const {
+        model,
+        name,
+        description,
+        schema,
+        validate = () => [],
+        maxAttempts = DEFAULT_MAX_ATTEMPTS
+    } = request;
+    const messages = [...request.messages];
+    const usage = { promptTokens: 0, completionTokens: 0, cost: 0 };
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const response = await client.complete({
+            model,
+            messages,
+            tools: [{
+                type: 'function',
+                function: { name, description, parameters: schema }
+            }],
+            toolChoice: { type: 'function', function: { name } }
+        });
+
+        const recorded = recordUsage({ model: response.model, purpose: name, usage: response.usage, free: response.free });
+        usage.promptTokens += recorded.promptTokens;
+        usage.completionTokens += recorded.completionTokens;
+        usage.cost += recorded.cost;
+
+        const { message } = response;
+        const toolCall = (message.tool_calls || []).find(call => call.function.name === name);
+        const raw = toolCall ? toolCall.function.arguments : message.content;
+
+        let data;
+        try {
+            data = parseJSON(raw);
+            errors = validateSchema(schema, data);
+            if (errors.length === 0) {
+                errors = validate(data);
+            }
+        } catch (error) {
+            errors = [`Response is not valid JSON: ${error.message}`];
+        }
+
+        if (errors.length === 0) {
+            return { data, raw, attempts: attempt, usage, model: response.model, provider: response.provider };
+        }
+
+        logger.warn(`Invalid ${name} output (attempt ${attempt}/${maxAttempts})`, { errors });
+
+        // Show the model what it sent and what was wrong with it
+        const feedback = `Your previous output was rejected:\n- ${errors.join('\n- ')}\nCall ${name} again with corrected values.`;
+        messages.push(message);
+        if (toolCall) {
+            messages.push({ role: 'tool', tool_call_id: toolCall.id, content: feedback });
+        } else {
+            messages.push({ role: 'user', content: feedback });
+        }
+    }
+
+    throw new Error(`Invalid ${name} output after ${maxAttempts} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Parse JSON from model output, tolerating code fences and surrounding prose
+ * @param {string} text Raw model output
+ * @returns {*} Parsed value
+ */
+function parseJSON(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('empty response');
+    }
+
+    const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(unfenced);
+    } catch (error) {
+        const start = unfenced.indexOf('{');
+        const end = unfenced.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw error;
+        }
+        return JSON.parse(unfenced.slice(start, end + 1));
+    }
+}
+
+module.exports = {
+    requestStructuredOutput,
+    parseJSON
+};
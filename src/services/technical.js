@@ -1,75 +1,249 @@
-const Alpaca = require('@alpacahq/alpaca-trade-api');
-const { RSI, EMA, MACD } = require('technicalindicators');
+const { getBroker } = require('../brokers');
+const { RSI, EMA, MACD, ATR, ADX, Stochastic, BollingerBands, OBV, SMA } = require('technicalindicators');
+const { toMarketDate } = require('../utils/time');
+const logger = require('../utils/logger');
 
-const alpaca = new Alpaca({
-    keyId: process.env.ALPACA_API_KEY,
-    secretKey: process.env.ALPACA_API_SECRET,
-    paper: process.env.ALPACA_PAPER_TRADING === 'true',
-    usePolygon: false
-});
+const SWING_STRENGTH = 2; // Bars on each side a swing high/low must exceed
+const SWING_COUNT = 3; // Recent swing points reported per side
+const VOLATILITY_PERIOD = 20; // Bars used for the standard deviation of returns
+const VOLUME_PERIOD = 20; // Bars in the volume moving average
+const VWAP_PERIOD = 20; // Rolling VWAP window for daily bars (intraday VWAP resets each session)
+const LEVEL_COUNT = 3; // Support and resistance levels reported per side
+const MIN_BARS = 30; // Fewer bars than this are not worth analysing
+const HISTORY_LENGTH = parseInt(process.env.INDICATOR_HISTORY_LENGTH) || 5; // Recent values kept per indicator
 
+// Optional indicators; RSI, EMA20/50/200, MACD, ATR and swing points are always computed
+const OPTIONAL_INDICATORS = ['bollinger', 'adx', 'stochastic', 'vwap', 'obv', 'volume', 'levels'];
+const INDICATORS = process.env.INDICATORS
+    ? process.env.INDICATORS.split(',').map(name => name.trim()).filter(name => OPTIONAL_INDICATORS.includes(name))
+    : OPTIONAL_INDICATORS;
+
+const PRIMARY_TIMEFRAME = process.env.PRIMARY_TIMEFRAME || '1Day';
+const TIMEFRAMES = [...new Set([
+    ...(process.env.TIMEFRAMES || '5Min,1Hour,1Day').split(',').map(timeframe => timeframe.trim()).filter(Boolean),
+    PRIMARY_TIMEFRAME
+])];
+
+// Bars wanted per timeframe (enough to warm up EMA200) and the calendar days it
+// takes to collect them across nights, weekends and holidays
+const LOOKBACK = {
+    '5Min': { bars: 300, days: 7 },
+    '15Min': { bars: 300, days: 14 },
+    '1Hour': { bars: 300, days: 75 },
+    '1Day': { bars: 300, days: 450 }
+};
+
+/**
+ * Calculate indicators for a symbol on every configured timeframe. The primary
+ * timeframe's indicators are at the top level; all of them are under `timeframes`.
+ * A failing secondary timeframe is left out; a failing primary one is an error.
+ * @param {string} symbol Stock symbol
+ * @returns {Promise<Object>} Technical indicators
+ */
 async function getTechnicalIndicators(symbol) {
     try {
         // Use the free tier endpoint with delayed data
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 100); // Last 100 days
-
-        const bars = await alpaca.getBarsV2(
-            symbol,
-            {
-                start: startDate.toISOString(),
-                end: endDate.toISOString(),
-                timeframe: '1Day',
-                feed: 'iex' // Use IEX data feed instead of SIP
-            }
-        );
+        const broker = getBroker();
+        const endDate = broker.now();
 
-        const prices = [];
-        for await (const bar of bars) {
-            prices.push(bar.ClosePrice);
-        }
+        const results = await Promise.all(TIMEFRAMES.map(async timeframe => {
+            try {
+                const lookback = LOOKBACK[timeframe] || LOOKBACK['1Day'];
+                const startDate = new Date(endDate);
+                startDate.setDate(startDate.getDate() - lookback.days);
 
-        if (prices.length === 0) {
-            throw new Error('No price data available');
-        }
+                const bars = await broker.getBars(symbol, {
+                    start: startDate,
+                    end: endDate,
+                    timeframe
+                });
 
-        // Calculate indicators
-        const rsi = calculateRSI(prices);
-        const ema50 = calculateEMA(prices, 50);
-        const ema200 = calculateEMA(prices, 200);
-        const macd = calculateMACD(prices);
+                return { timeframe, indicators: calculateIndicators(bars.slice(-lookback.bars), { timeframe }) };
+            } catch (error) {
+                if (timeframe === PRIMARY_TIMEFRAME) {
+                    throw error;
+                }
+                logger.error(`Skipping ${timeframe} indicators for ${symbol}`, { error: error.message });
+                return { timeframe, indicators: null };
+            }
+        }));
 
-        // Add trend signal
-        const trendSignal = ema50 > ema200 ? 'bullish' : 'bearish';
-        const momentum = rsi > 50 ? 'positive' : 'negative';
+        const timeframes = {};
+        for (const { timeframe, indicators } of results) {
+            if (indicators) {
+                timeframes[timeframe] = indicators;
+            }
+        }
 
         return {
-            rsi,
-            ema50,
-            ema200,
-            macd,
-            trendSignal,
-            momentum,
-            currentPrice: prices[prices.length - 1],
-            timestamp: new Date()
+            ...timeframes[PRIMARY_TIMEFRAME],
+            timeframes
         };
     } catch (error) {
-        console.error('Error calculating technical indicators:', error);
+        logger.error('Error calculating technical indicators', { error });
         throw new Error(`Failed to calculate technical indicators: ${error.message}`);
     }
 }
 
+/**
+ * Calculate the indicator snapshot from a series of OHLC bars. Each indicator's
+ * latest value is at the top level and its last HISTORY_LENGTH values under `history`.
+ * @param {Array<Object>} bars Bars with open, high, low, close and volume, oldest first
+ * @param {Object} [options] Calculation options
+ * @param {string} [options.timeframe] Timeframe of the bars
+ * @param {Array<string>} [options.indicators] Optional indicators to compute (defaults to INDICATORS)
+ * @returns {Object} Technical indicators
+ */
+function calculateIndicators(bars, { timeframe = PRIMARY_TIMEFRAME, indicators = INDICATORS } = {}) {
+    if (bars.length === 0) {
+        throw new Error('No price data available');
+    }
+    if (bars.length < MIN_BARS) {
+        throw new Error(`Only ${bars.length} ${timeframe} bars available, need at least ${MIN_BARS}`);
+    }
+
+    const prices = bars.map(bar => bar.close);
+
+    // Full series for every indicator, oldest first
+    const series = {
+        close: prices,
+        rsi: calculateRSI(prices),
+        ema20: calculateEMA(prices, 20),
+        ema50: calculateEMA(prices, 50),
+        ema200: calculateEMA(prices, 200),
+        macd: calculateMACD(prices),
+        atr: calculateATR(bars)
+    };
+
+    if (indicators.includes('bollinger')) {
+        series.bollinger = calculateBollingerBands(prices);
+    }
+    if (indicators.includes('adx')) {
+        series.adx = calculateADX(bars);
+    }
+    if (indicators.includes('stochastic')) {
+        series.stochastic = calculateStochastic(bars);
+    }
+    if (indicators.includes('vwap')) {
+        series.vwap = calculateVWAP(bars, timeframe);
+    }
+    if (indicators.includes('obv')) {
+        series.obv = calculateOBV(bars);
+    }
+    if (indicators.includes('volume')) {
+        series.volume = bars.map(bar => bar.volume);
+        series.volumeAverage = calculateSMA(series.volume, VOLUME_PERIOD);
+    }
+
+    return summarizeIndicators(bars, series, { timeframe, indicators });
+}
+
+/**
+ * Build the indicator snapshot from indicator series that are already computed,
+ * either in full by calculateIndicators or incrementally by the streaming mode
+ * @param {Array<Object>} bars Recent bars, oldest first, for swing points and levels
+ * @param {Object} series Indicator values by name, oldest first. Each needs at least
+ * its last HISTORY_LENGTH values; `close` needs enough for the volatility.
+ * @param {Object} [options] Calculation options
+ * @param {string} [options.timeframe] Timeframe of the bars
+ * @param {Array<string>} [options.indicators] Optional indicators computed (defaults to INDICATORS)
+ * @param {number} [options.barCount] Bars the series were computed from (defaults to bars.length)
+ * @returns {Object} Technical indicators
+ */
+function summarizeIndicators(bars, series, { timeframe = PRIMARY_TIMEFRAME, indicators = INDICATORS, barCount = bars.length } = {}) {
+    const prices = series.close;
+    const currentPrice = prices[prices.length - 1];
+
+    const latest = {};
+    const history = {};
+    for (const [name, values] of Object.entries(series)) {
+        latest[name] = values.length > 0 ? values[values.length - 1] : null;
+        history[name] = values.slice(-HISTORY_LENGTH);
+    }
+
+    const { rsi, ema20, ema50, ema200, macd, atr } = latest;
+    const swings = findSwingPoints(bars);
+
+    // EMA200 needs 200 bars; until then the trend falls back to price against EMA50
+    let trendSignal = 'unknown';
+    let trendBasis = null;
+    if (ema200 !== null) {
+        trendSignal = ema50 > ema200 ? 'bullish' : 'bearish';
+        trendBasis = 'ema50/ema200';
+    } else if (ema50 !== null) {
+        trendSignal = currentPrice > ema50 ? 'bullish' : 'bearish';
+        trendBasis = 'price/ema50';
+    }
+    const momentum = rsi > 50 ? 'positive' : 'negative';
+
+    const result = {
+        timeframe,
+        barCount,
+        rsi,
+        ema20,
+        ema50,
+        ema200,
+        macd,
+        trendSignal,
+        trendBasis,
+        momentum,
+        atr,
+        atrPercent: atr ? atr / currentPrice * 100 : null,
+        volatility: calculateVolatility(prices),
+        swingHigh: swings.highs.length > 0 ? swings.highs[swings.highs.length - 1].price : null,
+        swingLow: swings.lows.length > 0 ? swings.lows[swings.lows.length - 1].price : null,
+        swingHighs: swings.highs.slice(-SWING_COUNT),
+        swingLows: swings.lows.slice(-SWING_COUNT)
+    };
+
+    if (series.bollinger) {
+        result.bollinger = latest.bollinger;
+    }
+    if (series.adx) {
+        result.adx = latest.adx;
+    }
+    if (series.stochastic) {
+        result.stochastic = latest.stochastic;
+    }
+    if (series.vwap) {
+        result.vwap = latest.vwap;
+    }
+    if (series.obv) {
+        result.obv = latest.obv;
+    }
+    if (series.volume) {
+        result.volume = {
+            current: latest.volume,
+            average: latest.volumeAverage,
+            relative: latest.volumeAverage ? latest.volume / latest.volumeAverage : null
+        };
+    }
+    if (indicators.includes('levels')) {
+        result.levels = findSupportResistance(swings, currentPrice, atr);
+    }
+
+    result.crossovers = findCrossovers(history);
+    result.history = history;
+    result.currentPrice = currentPrice;
+    result.lastBarTime = bars[bars.length - 1].timestamp;
+    result.timestamp = new Date();
+
+    return result;
+}
+
 function calculateRSI(prices, period = 14) {
     const rsi = new RSI({ period, values: prices });
-    const results = rsi.getResult();
-    return results[results.length - 1];
+    return rsi.getResult();
 }
 
 function calculateEMA(prices, period) {
     const ema = new EMA({ period, values: prices });
-    const results = ema.getResult();
-    return results[results.length - 1];
+    return ema.getResult();
+}
+
+function calculateSMA(values, period) {
+    const sma = new SMA({ period, values });
+    return sma.getResult();
 }
 
 function calculateMACD(prices) {
@@ -81,11 +255,219 @@ function calculateMACD(prices) {
         SimpleMAOscillator: false,
         SimpleMASignal: false
     });
-    const results = macd.getResult();
-    return results[results.length - 1];
+    return macd.getResult();
+}
+
+function calculateATR(bars, period = 14) {
+    const atr = new ATR({
+        period,
+        high: bars.map(bar => bar.high),
+        low: bars.map(bar => bar.low),
+        close: bars.map(bar => bar.close)
+    });
+    return atr.getResult();
+}
+
+function calculateBollingerBands(prices, period = 20, stdDev = 2) {
+    const bands = new BollingerBands({ period, stdDev, values: prices });
+    return bands.getResult();
+}
+
+function calculateADX(bars, period = 14) {
+    const adx = new ADX({
+        period,
+        high: bars.map(bar => bar.high),
+        low: bars.map(bar => bar.low),
+        close: bars.map(bar => bar.close)
+    });
+    return adx.getResult();
+}
+
+function calculateStochastic(bars, period = 14, signalPeriod = 3) {
+    const stochastic = new Stochastic({
+        period,
+        signalPeriod,
+        high: bars.map(bar => bar.high),
+        low: bars.map(bar => bar.low),
+        close: bars.map(bar => bar.close)
+    });
+    return stochastic.getResult();
+}
+
+function calculateOBV(bars) {
+    const obv = new OBV({
+        close: bars.map(bar => bar.close),
+        volume: bars.map(bar => bar.volume)
+    });
+    return obv.getResult();
+}
+
+/**
+ * Volume-weighted average price of the typical price. Intraday it accumulates
+ * from the first bar of the latest session; on daily bars it is a rolling window.
+ * @param {Array<Object>} bars OHLCV bars, oldest first
+ * @param {string} timeframe Timeframe of the bars
+ * @returns {Array<number>} VWAP for each bar it covers
+ */
+function calculateVWAP(bars, timeframe) {
+    const typical = bar => (bar.high + bar.low + bar.close) / 3;
+
+    if (timeframe.endsWith('Day')) {
+        const values = [];
+        for (let i = VWAP_PERIOD - 1; i < bars.length; i++) {
+            const window = bars.slice(i + 1 - VWAP_PERIOD, i + 1);
+            const volume = window.reduce((sum, bar) => sum + bar.volume, 0);
+            values.push(volume > 0 ? window.reduce((sum, bar) => sum + typical(bar) * bar.volume, 0) / volume : null);
+        }
+        return values;
+    }
+
+    const session = toMarketDate(bars[bars.length - 1].timestamp);
+    const values = [];
+    let priceVolume = 0;
+    let volume = 0;
+    for (const bar of bars.filter(b => toMarketDate(b.timestamp) === session)) {
+        priceVolume += typical(bar) * bar.volume;
+        volume += bar.volume;
+        values.push(volume > 0 ? priceVolume / volume : null);
+    }
+    return values;
+}
+
+/**
+ * Standard deviation of daily close-to-close returns, in percent
+ * @param {Array<number>} prices Closing prices, oldest first
+ * @param {number} [period] Number of returns used
+ * @returns {number|null} Volatility per bar
+ */
+function calculateVolatility(prices, period = VOLATILITY_PERIOD) {
+    const recent = prices.slice(-(period + 1));
+    if (recent.length < 3) {
+        return null;
+    }
+
+    const returns = recent.slice(1).map((price, i) => price / recent[i] - 1);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    return Math.sqrt(variance) * 100;
+}
+
+/**
+ * Find the swing highs and lows: bars whose high (low) is above (below)
+ * that of the SWING_STRENGTH bars on either side
+ * @param {Array<Object>} bars OHLC bars, oldest first
+ * @returns {Object} { highs, lows } each a list of { price, timestamp }, oldest first
+ */
+function findSwingPoints(bars) {
+    const highs = [];
+    const lows = [];
+
+    for (let i = SWING_STRENGTH; i < bars.length - SWING_STRENGTH; i++) {
+        const neighbours = [
+            ...bars.slice(i - SWING_STRENGTH, i),
+            ...bars.slice(i + 1, i + 1 + SWING_STRENGTH)
+        ];
+        if (neighbours.every(bar => bar.high < bars[i].high)) {
+            highs.push({ price: bars[i].high, timestamp: bars[i].timestamp });
+        }
+        if (neighbours.every(bar => bar.low > bars[i].low)) {
+            lows.push({ price: bars[i].low, timestamp: bars[i].timestamp });
+        }
+    }
+
+    return { highs, lows };
+}
+
+/**
+ * Group swing points that lie within half an ATR of each other into price levels
+ * and report the nearest ones below (support) and above (resistance) the price
+ * @param {Object} swings Swing highs and lows
+ * @param {number} currentPrice Latest close
+ * @param {number|null} atr Average true range
+ * @returns {Object} { support, resistance } lists of { price, touches }, nearest first
+ */
+function findSupportResistance(swings, currentPrice, atr) {
+    const tolerance = Math.max(atr ? atr * 0.5 : 0, currentPrice * 0.005);
+    const points = [...swings.highs, ...swings.lows].map(point => point.price).sort((a, b) => a - b);
+
+    const clusters = [];
+    for (const price of points) {
+        const cluster = clusters[clusters.length - 1];
+        if (cluster && price - cluster.prices[0] <= tolerance) {
+            cluster.prices.push(price);
+        } else {
+            clusters.push({ prices: [price] });
+        }
+    }
+
+    const levels = clusters.map(cluster => ({
+        price: cluster.prices.reduce((sum, price) => sum + price, 0) / cluster.prices.length,
+        touches: cluster.prices.length
+    }));
+
+    return {
+        support: levels.filter(level => level.price < currentPrice).reverse().slice(0, LEVEL_COUNT),
+        resistance: levels.filter(level => level.price > currentPrice).slice(0, LEVEL_COUNT)
+    };
+}
+
+/**
+ * Most recent crossing of a fast series over a slow one within the history window
+ * @param {Array<number>} fast Fast series, oldest first
+ * @param {Array<number>} slow Slow series aligned to the same bars
+ * @returns {Object|null} { direction: 'bullish'|'bearish', barsAgo } or null without a crossing
+ */
+function findCrossover(fast, slow) {
+    const length = Math.min(fast.length, slow.length);
+    const a = fast.slice(-length);
+    const b = slow.slice(-length);
+
+    for (let i = length - 1; i > 0; i--) {
+        if ([a[i], b[i], a[i - 1], b[i - 1]].some(value => typeof value !== 'number')) {
+            break;
+        }
+        if (a[i - 1] <= b[i - 1] && a[i] > b[i]) {
+            return { direction: 'bullish', barsAgo: length - 1 - i };
+        }
+        if (a[i - 1] >= b[i - 1] && a[i] < b[i]) {
+            return { direction: 'bearish', barsAgo: length - 1 - i };
+        }
+    }
+    return null;
+}
+
+/**
+ * Crossovers that happened within the indicator history
+ * @param {Object} history Recent indicator values
+ * @returns {Object} Crossover per pair, null where none happened
+ */
+function findCrossovers(history) {
+    const crossovers = {
+        macd: findCrossover(history.macd.map(m => m.MACD), history.macd.map(m => m.signal)),
+        ema20_ema50: findCrossover(history.ema20, history.ema50),
+        ema50_ema200: findCrossover(history.ema50, history.ema200),
+        price_ema50: findCrossover(history.close, history.ema50)
+    };
+    if (history.stochastic) {
+        crossovers.stochastic = findCrossover(history.stochastic.map(s => s.k), history.stochastic.map(s => s.d));
+    }
+    if (history.vwap) {
+        crossovers.price_vwap = findCrossover(history.close, history.vwap);
+    }
+    return crossovers;
 }
 
 // Export the function after it's defined
 module.exports = {
-    getTechnicalIndicators
-}; 
\ No newline at end of file
+    getTechnicalIndicators,
+    calculateIndicators,
+    summarizeIndicators,
+    calculateVWAP,
+    TIMEFRAMES,
+    PRIMARY_TIMEFRAME,
+    LOOKBACK,
+    MIN_BARS,
+    HISTORY_LENGTH,
+    VOLUME_PERIOD,
+    INDICATORS
+};
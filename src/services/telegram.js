@@ -1,8 +1,10 @@
 const TelegramBot = require('node-telegram-bot-api');
+const logger = require('../utils/logger');
 
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
 const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 const MAX_MESSAGE_LENGTH = 4096; // Telegram's maximum message length
+const COMMANDS_ENABLED = process.env.TELEGRAM_COMMANDS !== 'false';
 
 /**
  * Format message based on notification type
@@ -29,6 +31,9 @@ function formatMessage(data) {
         case 'warning':
             message = `⚠️ Warning!\n\n${data.message}\n\nTime: ${timestamp}`;
             break;
+        case 'risk':
+            message = `🚨 Risk Alert!\n\n${data.message}\n\nTime: ${timestamp}`;
+            break;
         case 'system':
             message = `🔧 System Message\n\n${data.message}\n\nTime: ${timestamp}`;
             break;
@@ -89,7 +94,7 @@ async function sendNotification(data) {
             timestamp: new Date()
         };
     } catch (error) {
-        console.error('Error sending Telegram notification:', error);
+        logger.error('Error sending Telegram notification', { error });
         
         return {
             success: false,
@@ -99,7 +104,149 @@ async function sendNotification(data) {
     }
 }
 
+/**
+ * Check whether a message or button press came from the configured chat
+ * @param {Object} chat Telegram chat object
+ * @returns {boolean} Whether the chat is authorized
+ */
+function isAuthorizedChat(chat) {
+    return !!CHAT_ID && !!chat && String(chat.id) === String(CHAT_ID);
+}
+
+/**
+ * Send a plain-text reply, trimmed to Telegram's message limit
+ * @param {number|string} chatId Chat to reply to
+ * @param {string} text Reply text
+ * @param {Object} [options] Extra sendMessage options
+ */
+async function reply(chatId, text, options = {}) {
+    const message = text.length > MAX_MESSAGE_LENGTH ? text.slice(0, MAX_MESSAGE_LENGTH - 3) + '...' : text;
+    try {
+        await bot.sendMessage(chatId, message, { disable_web_page_preview: true, ...options });
+    } catch (error) {
+        logger.error('Error sending Telegram reply', { error });
+    }
+}
+
+/**
+ * Run a command handler and reply with its result or error
+ * @param {number|string} chatId Chat to reply to
+ * @param {string} name Command name
+ * @param {Object} command Command definition
+ */
+async function runCommand(chatId, name, command) {
+    try {
+        const result = await command.handler();
+        await reply(chatId, result || `/${name} done`);
+    } catch (error) {
+        logger.error(`Error running Telegram command /${name}`, { error });
+        await reply(chatId, `⚠️ /${name} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Start polling for inbound commands from the authorized chat.
+ * Commands with a `confirm` prompt are only run after the Confirm button is pressed.
+ * @param {Object} commands Map of command name to { description, handler, confirm }
+ * @returns {boolean} Whether the listener was started
+ */
+function startCommandListener(commands) {
+    if (!COMMANDS_ENABLED || !CHAT_ID || !process.env.TELEGRAM_BOT_TOKEN) {
+        logger.info('Telegram commands disabled');
+        return false;
+    }
+
+    bot.on('message', async (msg) => {
+        const match = (msg.text || '').match(/^\/(\w+)(?:@\w+)?/);
+        if (!match) {
+            return;
+        }
+
+        if (!isAuthorizedChat(msg.chat)) {
+            logger.warn(`Rejected Telegram command ${match[0]} from unauthorized chat ${msg.chat && msg.chat.id}`);
+            await reply(msg.chat.id, 'Unauthorized');
+            return;
+        }
+
+        const name = match[1].toLowerCase();
+        const command = commands[name];
+
+        if (!command) {
+            const help = Object.entries(commands)
+                .map(([commandName, definition]) => `/${commandName} - ${definition.description}`)
+                .join('\n');
+            await reply(msg.chat.id, `Available commands:\n${help}`);
+            return;
+        }
+
+        if (command.confirm) {
+            await reply(msg.chat.id, command.confirm, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: 'Confirm', callback_data: `confirm:${name}` },
+                        { text: 'Cancel', callback_data: `cancel:${name}` }
+                    ]]
+                }
+            });
+            return;
+        }
+
+        await runCommand(msg.chat.id, name, command);
+    });
+
+    bot.on('callback_query', async (query) => {
+        const chat = query.message && query.message.chat;
+
+        if (!isAuthorizedChat(chat)) {
+            logger.warn(`Rejected Telegram button press from unauthorized chat ${chat && chat.id}`);
+            await bot.answerCallbackQuery(query.id, { text: 'Unauthorized' }).catch(() => {});
+            return;
+        }
+
+        const [choice, name] = (query.data || '').split(':');
+        const command = commands[name];
+
+        // Remove the buttons so the confirmation cannot be pressed twice
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+            chat_id: chat.id,
+            message_id: query.message.message_id
+        }).catch(() => {});
+
+        if (choice !== 'confirm' || !command) {
+            await bot.answerCallbackQuery(query.id, { text: 'Cancelled' }).catch(() => {});
+            return;
+        }
+
+        await bot.answerCallbackQuery(query.id, { text: `Running /${name}` }).catch(() => {});
+        await runCommand(chat.id, name, command);
+    });
+
+    bot.on('polling_error', (error) => {
+        logger.error('Telegram polling error', { error: error.message });
+    });
+
+    bot.setMyCommands(Object.entries(commands).map(([command, definition]) => ({
+        command,
+        description: definition.description
+    }))).catch(error => logger.error('Error registering Telegram commands', { error: error.message }));
+
+    bot.startPolling();
+    return true;
+}
+
+/**
+ * Stop polling for inbound commands
+ * @returns {Promise<void>}
+ */
+async function stopCommandListener() {
+    if (bot.isPolling()) {
+        await bot.stopPolling();
+    }
+}
+
 // Export the function after it's defined
 module.exports = {
-    sendNotification
+    sendNotification,
+    startCommandListener,
+    stopCommandListener
 }; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+// Built-in rule sets. Each is plain data read by createRuleStrategy:
+// conditions compare indicator paths from getTechnicalIndicators ('rsi',
+// 'macd.histogram', 'bollinger.pb', 'close', ...) with constants or other paths,
+// and crossesAbove/crossesBelow look back over the indicator history.
+
+const BUILTIN_RULES = [
+    {
+        name: 'ema_crossover_rsi',
+        description: 'EMA20 crossing EMA50, unless RSI is already stretched',
+        buy: {
+            all: [
+                { indicator: 'ema20', op: 'crossesAbove', value: { indicator: 'ema50' }, within: 2 },
+                { indicator: 'rsi', op: '<', value: 70 }
+            ]
+        },
+        sell: {
+            all: [
+                { indicator: 'ema20', op: 'crossesBelow', value: { indicator: 'ema50' }, within: 2 },
+                { indicator: 'rsi', op: '>', value: 30 }
+            ]
+        },
+        stopLoss: { atr: 2 },
+        priceTarget: { atr: 4 }
+    },
+    {
+        name: 'macd_momentum',
+        description: 'MACD crossing its signal line in the direction of the EMA50 trend',
+        buy: {
+            all: [
+                { indicator: 'macd.MACD', op: 'crossesAbove', value: { indicator: 'macd.signal' } },
+                { indicator: 'close', op: '>', value: { indicator: 'ema50' } }
+            ]
+        },
+        sell: {
+            all: [
+                { indicator: 'macd.MACD', op: 'crossesBelow', value: { indicator: 'macd.signal' } },
+                { indicator: 'close', op: '<', value: { indicator: 'ema50' } }
+            ]
+        },
+        stopLoss: { atr: 2 },
+        priceTarget: { atr: 4 }
+    },
+    {
+        name: 'bollinger_mean_reversion',
+        description: 'Fade closes outside the Bollinger Bands with RSI confirmation in a ranging market',
+        buy: {
+            all: [
+                { indicator: 'bollinger.pb', op: '<', value: 0 },
+                { indicator: 'rsi', op: '<', value: 35 },
+                { indicator: 'adx.adx', op: '<', value: 25 }
+            ]
+        },
+        sell: {
+            all: [
+                { indicator: 'bollinger.pb', op: '>', value: 1 },
+                { indicator: 'rsi', op: '>', value: 65 },
+                { indicator: 'adx.adx', op: '<', value: 25 }
+            ]
+        },
+        // Reverting to the middle band only pays 2:1 on the larger stretches; the others are dropped
+        stopLoss: { atr: 1.5 },
+        priceTarget: { indicator: 'bollinger.middle' }
+    }
+];
+
+module.exports = {
+    BUILTIN_RULES
+};
@@ -0,0 +1,184 @@
+const path = require('path');
+const { createRuleStrategy, combineSignals } = require('./rules');
+const { BUILTIN_RULES } = require('./builtin');
+const { allowsLLM } = require('../services/budget');
+
+// 'llm' asks the model for every decision, 'rules' uses only the rule strategies,
+// 'ensemble' lets the model confirm or veto what the rules signal
+const STRATEGY_MODES = ['llm', 'rules', 'ensemble'];
+const STRATEGY = STRATEGY_MODES.includes(process.env.STRATEGY) ? process.env.STRATEGY : 'llm';
+const RULE_STRATEGIES = process.env.RULE_STRATEGIES
+    ? process.env.RULE_STRATEGIES.split(',').map(name => name.trim()).filter(Boolean)
+    : null; // All loaded rule sets
+const STRATEGY_RULES_FILE = process.env.STRATEGY_RULES_FILE || null;
+
+let ruleStrategies = null;
+
+/**
+ * Turn a rule set or a strategy module export into a strategy
+ * @param {Object} definition Declarative rule set, or an object with name and signal(context)
+ * @returns {Object} Strategy
+ */
+function toStrategy(definition) {
+    return typeof definition.signal === 'function' ? definition : createRuleStrategy(definition);
+}
+
+/**
+ * Load the rule strategies: the built-in rule sets plus those in STRATEGY_RULES_FILE
+ * (a .json file or a JS module exporting one rule set, a list of them, or strategy
+ * objects with a signal(context) function), filtered by RULE_STRATEGIES
+ * @param {Object} [options] Options
+ * @param {Array<string>|null} [options.names] Strategies to use (all when null)
+ * @param {string|null} [options.file] Extra rule file
+ * @returns {Array<Object>} Strategies
+ */
+function loadRuleStrategies({ names = RULE_STRATEGIES, file = STRATEGY_RULES_FILE } = {}) {
+    const definitions = [...BUILTIN_RULES];
+
+    if (file) {
+        const loaded = require(path.resolve(file));
+        definitions.push(...(Array.isArray(loaded) ? loaded : [loaded]));
+    }
+
+    const strategies = definitions.map(toStrategy);
+    if (!names) {
+        return strategies;
+    }
+
+    const unknown = names.filter(name => !strategies.some(strategy => strategy.name === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown rule strategies: ${unknown.join(', ')}`);
+    }
+    return strategies.filter(strategy => names.includes(strategy.name));
+}
+
+function getRuleStrategies() {
+    if (!ruleStrategies) {
+        ruleStrategies = loadRuleStrategies();
+    }
+    return ruleStrategies;
+}
+
+/**
+ * Decide from the rule strategies alone
+ * @param {Object} context Pipeline context (technicals, position, ...)
+ * @param {Object} [options] Options
+ * @param {Array<Object>} [options.strategies] Strategies to use (defaults to the configured ones)
+ * @param {boolean} [options.allowShort] Override the ALLOW_SHORTING setting (e.g. in backtests)
+ * @returns {Object} Trading decision
+ */
+function decideWithRules(context, { strategies = getRuleStrategies(), allowShort } = {}) {
+    const signals = strategies.map(strategy => strategy.signal(context));
+    return {
+        ...combineSignals(signals, context.position, { allowShort }),
+        strategy: 'rules',
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Rules decision used in place of the LLM, with the reason prefixed to its reasoning
+ * @param {Object} context Pipeline context
+ * @param {string} reason Why the LLM was not consulted
+ * @param {Object} [options] Options passed to decideWithRules
+ * @returns {Object} Trading decision
+ */
+function fallBackToRules(context, reason, options) {
+    const decision = decideWithRules(context, options);
+    return { ...decision, reasoning: `${reason}, rules only: ${decision.reasoning}`, fallback: true };
+}
+
+/**
+ * Produce a trading decision with the configured strategy. When no LLM provider answers,
+ * the llm and ensemble modes fall back to the rules rather than failing the cycle.
+ * @param {Object} context Everything getAIDecision takes: news, sentiment, technicals,
+ * prediction, marketStatus, position and openOrders
+ * @param {Object} [options] Options
+ * @param {string} [options.mode] Override the STRATEGY setting
+ * @param {boolean} [options.allowShort] Override the ALLOW_SHORTING setting for the rules
+ * @returns {Promise<Object>} Trading decision
+ */
+async function decide(context, { mode = STRATEGY, allowShort } = {}) {
+    if (mode === 'rules') {
+        return decideWithRules(context, { allowShort });
+    }
+
+    // Past the daily LLM budget with LLM_BUDGET_FALLBACK=rules, every mode decides by rules
+    if (!allowsLLM()) {
+        return fallBackToRules(context, 'LLM budget spent', { allowShort });
+    }
+
+    // Only load the model client when a mode needs it
+    const { getAIDecision } = require('../services/ai');
+
+    if (mode === 'llm') {
+        try {
+            return { ...await getAIDecision(context), strategy: 'llm' };
+        } catch (error) {
+            if (error.code !== 'LLM_UNAVAILABLE') {
+                throw error;
+            }
+            return fallBackToRules(context, 'LLM unavailable', { allowShort });
+        }
+    }
+
+    const ruleDecision = decideWithRules(context, { allowShort });
+    if (ruleDecision.action === 'hold') {
+        return { ...ruleDecision, strategy: 'ensemble' };
+    }
+
+    // The model may confirm the rule signal or veto it, never replace it
+    let aiDecision;
+    try {
+        aiDecision = await getAIDecision({ ...context, ruleSignal: ruleDecision });
+    } catch (error) {
+        if (error.code !== 'LLM_UNAVAILABLE') {
+            throw error;
+        }
+        return fallBackToRules(context, 'LLM unavailable', { allowShort });
+    }
+    const { rawAnalysis, ...review } = aiDecision;
+
+    if (aiDecision.action === ruleDecision.action) {
+        return {
+            ...ruleDecision,
+            strategy: 'ensemble',
+            reasoning: `${ruleDecision.reasoning}. Confirmed by LLM: ${aiDecision.reasoning}`,
+            review,
+            rawAnalysis
+        };
+    }
+
+    return {
+        action: 'hold',
+        positionAction: 'none',
+        reducePercent: null,
+        confidence: aiDecision.confidence,
+        priceTarget: null,
+        stopLoss: null,
+        reasoning: `LLM vetoed the rule ${ruleDecision.action} (${ruleDecision.reasoning}): ${aiDecision.reasoning}`,
+        signals: ruleDecision.signals,
+        strategy: 'ensemble',
+        review,
+        rawAnalysis,
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Whether the configured strategy consults the LLM, and so needs news sentiment. False
+ * once the daily LLM budget is spent and the fallback is rules only.
+ * @param {string} [mode] Strategy mode
+ * @returns {boolean} Whether the LLM is used
+ */
+function usesLLM(mode = STRATEGY) {
+    return mode !== 'rules' && allowsLLM();
+}
+
+module.exports = {
+    STRATEGY,
+    decide,
+    decideWithRules,
+    loadRuleStrategies,
+    usesLLM
+};
@@ -0,0 +1,307 @@
+const { resolvePositionAction } = require('../trading/position');
+const { MIN_RISK_REWARD_RATIO } = require('../trading/risk');
+
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+/**
+ * Read a dotted path such as 'macd.histogram' from an object
+ * @param {Object} object Source object
+ * @param {string} path Dotted path
+ * @returns {*} Value, or undefined when any step is missing
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Recent values of an indicator path from the snapshot's history. The first path
+ * segment names the series ('macd'), the rest is read from each entry ('histogram').
+ * @param {Object} technicals Indicator snapshot
+ * @param {string} path Dotted path
+ * @returns {Array|null} Values oldest first, or null when the series has no history
+ */
+function getSeries(technicals, path) {
+    const [name, ...rest] = path.split('.');
+    const series = technicals.history ? technicals.history[name] : null;
+    if (!series) {
+        return null;
+    }
+    return rest.length > 0 ? series.map(entry => getPath(entry, rest.join('.'))) : series;
+}
+
+/**
+ * Latest value of an indicator path; 'close' is the current price
+ * @param {Object} technicals Indicator snapshot
+ * @param {string} path Dotted path
+ * @returns {*} Value
+ */
+function getValue(technicals, path) {
+    if (path === 'close') {
+        return technicals.currentPrice;
+    }
+    return getPath(technicals, path);
+}
+
+/**
+ * Whether series a crossed series b (or a constant) within the last `within` bars
+ * @param {Array<number>} a Crossing series
+ * @param {Array<number>|number} b Series or constant being crossed
+ * @param {string} direction 'above' or 'below'
+ * @param {number} within Number of most recent bars to look at
+ * @returns {boolean} Whether the cross happened
+ */
+function crossed(a, b, direction, within) {
+    const length = Array.isArray(b) ? Math.min(a.length, b.length) : a.length;
+    const fast = a.slice(-length);
+    const slow = Array.isArray(b) ? b.slice(-length) : fast.map(() => b);
+
+    for (let i = length - 1; i > 0 && i >= length - within; i--) {
+        if ([fast[i], slow[i], fast[i - 1], slow[i - 1]].some(value => typeof value !== 'number')) {
+            return false;
+        }
+        if (direction === 'above' && fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) {
+            return true;
+        }
+        if (direction === 'below' && fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Evaluate a declarative condition against an indicator snapshot.
+ * A condition is { all: [...] }, { any: [...] }, { not: condition } or
+ * { indicator, op, value[, within] } where value is a constant or { indicator }.
+ * @param {Object} condition Condition
+ * @param {Object} technicals Indicator snapshot
+ * @param {Array<string>} reasons Descriptions of the conditions that held
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, technicals, reasons = []) {
+    if (condition.all) {
+        const local = [];
+        const result = condition.all.every(child => evaluateCondition(child, technicals, local));
+        if (result) {
+            reasons.push(...local);
+        }
+        return result;
+    }
+    if (condition.any) {
+        return condition.any.some(child => evaluateCondition(child, technicals, reasons));
+    }
+    if (condition.not) {
+        return !evaluateCondition(condition.not, technicals, []);
+    }
+
+    const { indicator, op, value, within = 1 } = condition;
+    const reference = value !== null && typeof value === 'object' ? value.indicator : null;
+    const label = `${indicator} ${op} ${reference || value}`;
+    let result;
+
+    if (op === 'crossesAbove' || op === 'crossesBelow') {
+        const series = getSeries(technicals, indicator);
+        const other = reference ? getSeries(technicals, reference) : value;
+        result = !!series && other !== null && crossed(series, other, op === 'crossesAbove' ? 'above' : 'below', within);
+    } else if (COMPARISONS[op]) {
+        const left = getValue(technicals, indicator);
+        const right = reference ? getValue(technicals, reference) : value;
+        result = left !== null && left !== undefined && right !== null && right !== undefined && COMPARISONS[op](left, right);
+    } else {
+        throw new Error(`Unknown rule operator: ${op}`);
+    }
+
+    if (result) {
+        reasons.push(label);
+    }
+    return result;
+}
+
+/**
+ * Resolve a stop-loss or target spec: { atr: multiple } measured from the price
+ * (down for a long's stop, up for its target; mirrored for shorts) or { indicator }
+ * @param {Object|null} spec Level spec
+ * @param {string} kind 'stopLoss' or 'priceTarget'
+ * @param {string} side 'buy' or 'sell'
+ * @param {Object} technicals Indicator snapshot
+ * @returns {number|null} Price level, null when not defined or on the wrong side
+ */
+function resolveLevel(spec, kind, side, technicals) {
+    if (!spec) {
+        return null;
+    }
+
+    const price = technicals.currentPrice;
+    // Stops sit against the trade, targets with it
+    const direction = (side === 'buy' ? 1 : -1) * (kind === 'stopLoss' ? -1 : 1);
+    let level = null;
+
+    if (spec.atr && technicals.atr) {
+        level = price + direction * spec.atr * technicals.atr;
+    } else if (spec.indicator) {
+        level = getValue(technicals, spec.indicator);
+    }
+
+    if (typeof level !== 'number' || Math.sign(level - price) !== direction) {
+        return null;
+    }
+    return level;
+}
+
+/**
+ * Reward to risk of entering at the current price with the given levels
+ * @param {number} price Current price
+ * @param {number|null} stopLoss Stop-loss level
+ * @param {number|null} priceTarget Target level
+ * @returns {number|null} Ratio, null unless both levels are set
+ */
+function rewardToRisk(price, stopLoss, priceTarget) {
+    if (stopLoss === null || priceTarget === null) {
+        return null;
+    }
+    return Math.abs(priceTarget - price) / Math.abs(price - stopLoss);
+}
+
+/**
+ * Build a strategy from a declarative rule set. An entry signal whose own stop and
+ * target pay less than the risk check's minimum reward to risk is dropped.
+ * @param {Object} config Rule set
+ * @param {string} config.name Strategy name
+ * @param {string} [config.description] What the rules look for
+ * @param {string} [config.timeframe] Timeframe whose indicators the rules read (primary by default)
+ * @param {Object} [config.buy] Condition that signals a buy
+ * @param {Object} [config.sell] Condition that signals a sell
+ * @param {Object} [config.stopLoss] Stop-loss spec ({ atr } or { indicator })
+ * @param {Object} [config.priceTarget] Target spec ({ atr } or { indicator })
+ * @param {string} [config.confidence] Confidence reported with a signal (default medium)
+ * @returns {Object} Strategy with name, description and signal(context)
+ */
+function createRuleStrategy(config) {
+    if (!config.name || (!config.buy && !config.sell)) {
+        throw new Error('A rule strategy needs a name and a buy or sell condition');
+    }
+
+    return {
+        name: config.name,
+        description: config.description || '',
+
+        /**
+         * Evaluate the rules for one symbol
+         * @param {Object} context Pipeline context with technicals and position
+         * @returns {Object} { action, confidence, stopLoss, priceTarget, reasons }
+         */
+        signal(context) {
+            const technicals = config.timeframe && context.technicals.timeframes && context.technicals.timeframes[config.timeframe]
+                ? context.technicals.timeframes[config.timeframe]
+                : context.technicals;
+            const held = context.position ? context.position.quantity : 0;
+
+            for (const action of ['buy', 'sell']) {
+                const reasons = [];
+                if (config[action] && evaluateCondition(config[action], technicals, reasons)) {
+                    const stopLoss = resolveLevel(config.stopLoss, 'stopLoss', action, technicals);
+                    const priceTarget = resolveLevel(config.priceTarget, 'priceTarget', action, technicals);
+                    const ratio = rewardToRisk(technicals.currentPrice, stopLoss, priceTarget);
+
+                    // Closing a position needs no levels, so only entries are held to the minimum
+                    if (held === 0 && ratio !== null && ratio < MIN_RISK_REWARD_RATIO - 1e-9) {
+                        return {
+                            strategy: config.name,
+                            action: 'hold',
+                            reasons: [`${action} dropped: its levels pay ${ratio.toFixed(2)}:1, below ${MIN_RISK_REWARD_RATIO}:1`]
+                        };
+                    }
+
+                    return {
+                        strategy: config.name,
+                        action,
+                        confidence: config.confidence || 'medium',
+                        stopLoss,
+                        priceTarget,
+                        reasons
+                    };
+                }
+            }
+
+            return { strategy: config.name, action: 'hold', reasons: [] };
+        }
+    };
+}
+
+/**
+ * Combine the signals of several rule strategies into one decision. Agreeing signals
+ * raise confidence, conflicting ones cancel out. An entry takes its stop and target
+ * together from the most confident agreeing signal (the first on a tie). Signals only
+ * open or close positions: a signal on the side already held is a hold, one against it
+ * closes the position.
+ * @param {Array<Object>} signals Strategy signals
+ * @param {Object|null} position Current position (signed quantity)
+ * @param {Object} [options] Options
+ * @param {boolean} [options.allowShort] Override the ALLOW_SHORTING setting (e.g. in backtests)
+ * @returns {Object} Trading decision
+ */
+function combineSignals(signals, position, { allowShort } = {}) {
+    const buys = signals.filter(signal => signal.action === 'buy');
+    const sells = signals.filter(signal => signal.action === 'sell');
+    const describe = list => list.map(signal => `${signal.strategy}: ${signal.reasons.join(', ')}`).join('; ');
+    const hold = reasoning => ({
+        action: 'hold',
+        positionAction: 'none',
+        reducePercent: null,
+        confidence: 'low',
+        priceTarget: null,
+        stopLoss: null,
+        reasoning,
+        signals
+    });
+
+    if (buys.length > 0 && sells.length > 0) {
+        return hold(`Conflicting rule signals. Buy - ${describe(buys)}. Sell - ${describe(sells)}`);
+    }
+    if (buys.length === 0 && sells.length === 0) {
+        return hold('No rule signalled');
+    }
+
+    const agreeing = buys.length > 0 ? buys : sells;
+    const lead = agreeing.reduce((best, signal) =>
+        (CONFIDENCE_RANK[signal.confidence] || 0) > (CONFIDENCE_RANK[best.confidence] || 0) ? signal : best);
+    const held = position ? position.quantity : 0;
+    const direction = lead.action === 'buy' ? 1 : -1;
+
+    if (held !== 0 && Math.sign(held) === direction) {
+        return hold(`Already ${held > 0 ? 'long' : 'short'}; rules do not add. ${describe(agreeing)}`);
+    }
+
+    const decision = {
+        action: lead.action,
+        positionAction: held === 0 ? 'open' : 'close',
+        reducePercent: null,
+        confidence: agreeing.length > 1 ? 'high' : lead.confidence,
+        // Closing needs no levels; an entry keeps the lead signal's pair, never a mix
+        priceTarget: held === 0 ? lead.priceTarget || null : null,
+        stopLoss: held === 0 ? lead.stopLoss || null : null,
+        reasoning: describe(agreeing),
+        signals
+    };
+
+    const { error } = resolvePositionAction(decision, position, allowShort === undefined ? {} : { allowShort });
+    if (error) {
+        return hold(`${error}. ${describe(agreeing)}`);
+    }
+    return decision;
+}
+
+module.exports = {
+    createRuleStrategy,
+    combineSignals,
+    evaluateCondition
+};
@@ -0,0 +1,335 @@
+const { getBroker } = require('../brokers');
+const { getMarketDataStream } = require('./sources');
+const { createIndicatorState } = require('./indicators');
+const { TIMEFRAMES, PRIMARY_TIMEFRAME, LOOKBACK } = require('../services/technical');
+const { parseTimeframe, barEnd, createBarAggregator } = require('../utils/bars');
+const { createMutex } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+const STREAM_TIMEFRAME = process.env.STREAM_TIMEFRAME || null; // Defaults to the shortest streamed timeframe
+
+/**
+ * Create the engine behind the streaming mode. It warms up indicator state for each
+ * symbol from history, then builds every timeframe's bars from the stream and updates
+ * the indicators as each bar completes. When a bar of the trigger timeframe completes,
+ * onBar is called so the caller can check entries and exits. After a reconnect the bars
+ * missed in between are backfilled from history before live bars are processed.
+ * @param {Object} options Engine options
+ * @param {Array<string>} options.symbols Symbols to stream
+ * @param {Object} [options.source] Market data stream (default: the configured one)
+ * @param {Array<string>} [options.timeframes] Timeframes to keep indicators for
+ * @param {string} [options.triggerTimeframe] Timeframe whose completed bars call onBar
+ * @param {Function} [options.onBar] (symbol, bar) => called for each completed trigger bar;
+ * skipped while the previous call for the symbol is still running
+ * @returns {Object} Engine with start, stop, getTechnicals, getLatestQuote, getLatestTrade and status
+ */
+function createStreamingEngine({
+    symbols,
+    source = getMarketDataStream(),
+    timeframes = TIMEFRAMES,
+    triggerTimeframe = STREAM_TIMEFRAME,
+    onBar = () => {}
+}) {
+    const sourceFrame = parseTimeframe(source.timeframe);
+    const frames = timeframes.filter(timeframe => {
+        const frame = parseTimeframe(timeframe);
+        const usable = frame.milliseconds >= sourceFrame.milliseconds || frame.unit === 'Day';
+        if (!usable) {
+            logger.warn(`Skipping ${timeframe} indicators: the ${source.name} stream delivers ${source.timeframe} bars`);
+        }
+        return usable;
+    });
+
+    if (!frames.includes(PRIMARY_TIMEFRAME)) {
+        throw new Error(`PRIMARY_TIMEFRAME ${PRIMARY_TIMEFRAME} is finer than the ${source.timeframe} bars of the ${source.name} stream`);
+    }
+    const trigger = triggerTimeframe ||
+        [...frames].sort((a, b) => parseTimeframe(a).milliseconds - parseTimeframe(b).milliseconds)[0];
+    if (!frames.includes(trigger)) {
+        throw new Error(`STREAM_TIMEFRAME ${trigger} must be one of the streamed timeframes (${frames.join(', ')})`);
+    }
+
+    // Streams that keep their own history (replays) serve warm-up and backfill; otherwise the broker does
+    const history = typeof source.getBars === 'function' ? source : getBroker();
+    const now = () => (typeof history.now === 'function' ? history.now() : new Date());
+
+    const states = Object.fromEntries(symbols.map(symbol => [symbol, {
+        symbol,
+        lastBarTime: null,
+        price: null,
+        quote: null,
+        trade: null,
+        evaluating: false,
+        runExclusive: createMutex(),
+        frames: Object.fromEntries(frames.map(timeframe => [timeframe, {
+            frame: parseTimeframe(timeframe),
+            aggregator: createBarAggregator(timeframe, source.timeframe),
+            indicators: createIndicatorState({ timeframe }),
+            closedUntil: null
+        }]))
+    }]));
+
+    let connected = false;
+    let disconnects = 0;
+    let lastDisconnectAt = null;
+    let stopped = false;
+
+    /**
+     * Feed one source bar to every timeframe of the symbol
+     * @param {Object} state Symbol state
+     * @param {Object} bar Source bar
+     * @returns {boolean} Whether a trigger bar completed
+     */
+    function ingest(state, bar) {
+        if (state.lastBarTime && bar.timestamp <= state.lastBarTime) {
+            return false; // Already seen, e.g. both live and in a backfill
+        }
+        state.lastBarTime = bar.timestamp;
+        state.price = bar.close;
+
+        let triggered = false;
+        for (const [timeframe, frameState] of Object.entries(state.frames)) {
+            if (frameState.closedUntil && bar.timestamp < frameState.closedUntil) {
+                continue;
+            }
+            for (const completed of frameState.aggregator.push(bar)) {
+                frameState.indicators.update(completed);
+                frameState.closedUntil = barEnd(completed.timestamp, frameState.frame);
+                triggered = triggered || timeframe === trigger;
+            }
+        }
+        return triggered;
+    }
+
+    /**
+     * Fetch the source bars since a point in time and ingest them
+     * @param {Object} state Symbol state
+     * @param {Date|null} from Start of the gap (null fetches whatever history serves)
+     * @returns {Promise<Object>} { count, triggered }
+     */
+    async function backfill(state, from) {
+        const end = now();
+        const bars = await history.getBars(state.symbol, { start: from, end, timeframe: source.timeframe });
+        let count = 0;
+        let triggered = false;
+
+        for (const bar of bars) {
+            // The last bar may still be forming
+            if (barEnd(bar.timestamp, sourceFrame) > end) {
+                continue;
+            }
+            if (!state.lastBarTime || bar.timestamp > state.lastBarTime) {
+                count++;
+            }
+            triggered = ingest(state, bar) || triggered;
+        }
+        return { count, triggered };
+    }
+
+    /**
+     * Load each timeframe's completed bars into the indicators, then the source bars of
+     * the bars still forming
+     * @param {Object} state Symbol state
+     */
+    async function warmUp(state) {
+        const end = now();
+        for (const [timeframe, frameState] of Object.entries(state.frames)) {
+            const lookback = LOOKBACK[timeframe] || LOOKBACK['1Day'];
+            const start = new Date(end);
+            start.setDate(start.getDate() - lookback.days);
+
+            const bars = (await history.getBars(state.symbol, { start, end, timeframe }))
+                .filter(bar => barEnd(bar.timestamp, frameState.frame) <= end)
+                .slice(-lookback.bars);
+            bars.forEach(bar => frameState.indicators.update(bar));
+            if (bars.length > 0) {
+                frameState.closedUntil = barEnd(bars[bars.length - 1].timestamp, frameState.frame);
+            }
+        }
+
+        const closed = Object.values(state.frames).map(frameState => frameState.closedUntil).filter(Boolean);
+        if (closed.length > 0) {
+            await backfill(state, new Date(Math.min(...closed)));
+        }
+    }
+
+    function evaluate(state, bar) {
+        if (!state.frames[PRIMARY_TIMEFRAME].indicators.isReady()) {
+            return; // Still collecting the bars the indicators need
+        }
+        if (state.evaluating) {
+            logger.info(`Still handling the previous bar, skipping the ${trigger} bar of ${bar.timestamp.toISOString()}`, { symbol: state.symbol });
+            return;
+        }
+
+        state.evaluating = true;
+        Promise.resolve()
+            .then(() => onBar(state.symbol, bar))
+            .catch(error => logger.error('Error handling streamed bar', { symbol: state.symbol, error }))
+            .finally(() => {
+                state.evaluating = false;
+            });
+    }
+
+    function handleBar(bar) {
+        const state = states[bar.symbol];
+        if (!state) {
+            return;
+        }
+        state.runExclusive(async () => {
+            if (ingest(state, bar)) {
+                evaluate(state, state.frames[trigger].indicators.lastBar());
+            }
+        }).catch(error => logger.error('Error processing streamed bar', { symbol: bar.symbol, error }));
+    }
+
+    function handleConnected() {
+        const reconnect = disconnects > 0;
+        connected = true;
+        logger.info(`Market data stream ${source.name} ${reconnect ? 'reconnected' : 'connected'}`);
+
+        // Catch up on whatever was missed while disconnected (or since the warm-up)
+        for (const state of Object.values(states)) {
+            state.runExclusive(async () => {
+                const from = state.lastBarTime
+                    ? new Date(state.lastBarTime.getTime() + sourceFrame.milliseconds)
+                    : null;
+                const { count, triggered } = await backfill(state, from);
+                if (count > 0) {
+                    logger.info(`Backfilled ${count} ${source.timeframe} bars`, { symbol: state.symbol });
+                }
+                if (triggered && reconnect) {
+                    evaluate(state, state.frames[trigger].indicators.lastBar());
+                }
+            }).catch(error => logger.error('Error backfilling bars', { symbol: state.symbol, error }));
+        }
+    }
+
+    function handleDisconnected() {
+        if (connected) {
+            disconnects++;
+            lastDisconnectAt = new Date();
+        }
+        connected = false;
+    }
+
+    const handlers = {
+        bar: handleBar,
+        quote: quote => {
+            if (states[quote.symbol]) {
+                states[quote.symbol].quote = quote;
+            }
+        },
+        trade: trade => {
+            if (states[trade.symbol]) {
+                states[trade.symbol].trade = trade;
+                states[trade.symbol].price = trade.price;
+            }
+        },
+        connected: handleConnected,
+        disconnected: handleDisconnected,
+        error: error => logger.error('Market data stream error', { error: error.message }),
+        end: () => logger.info(`Market data stream ${source.name} ended`)
+    };
+
+    return {
+        trigger,
+
+        /**
+         * Warm up the indicators and connect to the stream
+         * @returns {Promise<void>}
+         */
+        async start() {
+            for (const state of Object.values(states)) {
+                try {
+                    await warmUp(state);
+                } catch (error) {
+                    logger.error('Error warming up indicators', { symbol: state.symbol, error });
+                }
+            }
+
+            for (const [event, handler] of Object.entries(handlers)) {
+                source.on(event, handler);
+            }
+            source.subscribe({ bars: symbols, quotes: symbols, trades: symbols });
+            source.connect();
+            logger.info(`Streaming ${symbols.join(', ')} from ${source.name}; checking on every ${trigger} bar`);
+        },
+
+        stop() {
+            if (stopped) {
+                return;
+            }
+            stopped = true;
+            source.disconnect();
+            // An emitter throws on an 'error' nobody listens to, so the logging
+            // listener stays for errors the source reports while closing
+            for (const [event, handler] of Object.entries(handlers)) {
+                if (event !== 'error') {
+                    source.removeListener(event, handler);
+                }
+            }
+        },
+
+        /**
+         * Indicators in the shape of getTechnicalIndicators, from the streamed state.
+         * Indicators are as of each timeframe's last completed bar; currentPrice is the
+         * latest trade or bar close.
+         * @param {string} symbol Stock symbol
+         * @returns {Promise<Object>} Technical indicators
+         */
+        async getTechnicals(symbol) {
+            const state = states[symbol];
+            if (!state) {
+                throw new Error(`${symbol} is not being streamed`);
+            }
+
+            const snapshots = {};
+            for (const [timeframe, frameState] of Object.entries(state.frames)) {
+                try {
+                    snapshots[timeframe] = frameState.indicators.snapshot();
+                } catch (error) {
+                    if (timeframe === PRIMARY_TIMEFRAME) {
+                        throw new Error(`Failed to calculate technical indicators: ${error.message}`);
+                    }
+                }
+            }
+
+            const result = { ...snapshots[PRIMARY_TIMEFRAME], timeframes: snapshots };
+            if (state.price !== null) {
+                result.currentPrice = state.price;
+            }
+            return result;
+        },
+
+        getLatestQuote(symbol) {
+            return states[symbol] ? states[symbol].quote : null;
+        },
+
+        getLatestTrade(symbol) {
+            return states[symbol] ? states[symbol].trade : null;
+        },
+
+        /**
+         * Connection and per-symbol progress
+         * @returns {Object} { source, connected, disconnects, lastDisconnectAt, trigger, symbols }
+         */
+        status() {
+            return {
+                source: source.name,
+                connected,
+                disconnects,
+                lastDisconnectAt,
+                trigger,
+                symbols: Object.fromEntries(Object.values(states).map(state => [state.symbol, {
+                    lastBarTime: state.lastBarTime,
+                    price: state.price
+                }]))
+            };
+        }
+    };
+}
+
+module.exports = {
+    createStreamingEngine
+};
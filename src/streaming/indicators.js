@@ -0,0 +1,157 @@
+const { RSI, EMA, MACD, ATR, ADX, Stochastic, BollingerBands, OBV, SMA } = require('technicalindicators');
+const {
+    summarizeIndicators,
+    calculateVWAP,
+    LOOKBACK,
+    MIN_BARS,
+    HISTORY_LENGTH,
+    VOLUME_PERIOD,
+    INDICATORS
+} = require('../services/technical');
+
+const priceInput = bar => bar.close;
+const rangeInput = bar => ({ high: bar.high, low: bar.low, close: bar.close });
+
+/**
+ * Indicator calculators that carry their own state, so each new bar costs one step
+ * instead of a pass over the whole history
+ * @param {Array<string>} indicators Optional indicators to compute
+ * @returns {Object} Name -> { calculator, input(bar) }
+ */
+function createCalculators(indicators) {
+    const calculators = {
+        rsi: { calculator: new RSI({ period: 14, values: [] }), input: priceInput },
+        ema20: { calculator: new EMA({ period: 20, values: [] }), input: priceInput },
+        ema50: { calculator: new EMA({ period: 50, values: [] }), input: priceInput },
+        ema200: { calculator: new EMA({ period: 200, values: [] }), input: priceInput },
+        macd: {
+            calculator: new MACD({
+                values: [],
+                fastPeriod: 12,
+                slowPeriod: 26,
+                signalPeriod: 9,
+                SimpleMAOscillator: false,
+                SimpleMASignal: false
+            }),
+            input: priceInput
+        },
+        atr: { calculator: new ATR({ period: 14, high: [], low: [], close: [] }), input: rangeInput }
+    };
+
+    if (indicators.includes('bollinger')) {
+        calculators.bollinger = { calculator: new BollingerBands({ period: 20, stdDev: 2, values: [] }), input: priceInput };
+    }
+    if (indicators.includes('adx')) {
+        calculators.adx = { calculator: new ADX({ period: 14, high: [], low: [], close: [] }), input: rangeInput };
+    }
+    if (indicators.includes('stochastic')) {
+        calculators.stochastic = {
+            calculator: new Stochastic({ period: 14, signalPeriod: 3, high: [], low: [], close: [] }),
+            input: rangeInput
+        };
+    }
+    if (indicators.includes('obv')) {
+        calculators.obv = {
+            calculator: new OBV({ close: [], volume: [] }),
+            input: bar => ({ close: bar.close, volume: bar.volume })
+        };
+    }
+    if (indicators.includes('volume')) {
+        calculators.volumeAverage = { calculator: new SMA({ period: VOLUME_PERIOD, values: [] }), input: bar => bar.volume };
+    }
+    return calculators;
+}
+
+/**
+ * Rolling indicator state for one symbol and timeframe. Recursive indicators (RSI, EMAs,
+ * MACD, ATR, ...) are updated bar by bar; those defined over a window (swing points,
+ * levels, VWAP, volatility) are read from the last LOOKBACK bars kept in memory.
+ * Snapshots have the same shape as calculateIndicators.
+ * @param {Object} [options] State options
+ * @param {string} options.timeframe Timeframe of the bars
+ * @param {Array<string>} [options.indicators] Optional indicators to compute (defaults to INDICATORS)
+ * @returns {Object} Indicator state
+ */
+function createIndicatorState({ timeframe, indicators = INDICATORS }) {
+    const maxBars = (LOOKBACK[timeframe] || LOOKBACK['1Day']).bars;
+    const calculators = createCalculators(indicators);
+    const bars = [];
+    // Last HISTORY_LENGTH values of each incremental indicator, oldest first
+    const recent = Object.fromEntries(Object.keys(calculators).map(name => [name, []]));
+    let barCount = 0;
+
+    return {
+        timeframe,
+
+        /**
+         * Add a completed bar
+         * @param {Object} bar OHLCV bar, newer than any added before
+         */
+        update(bar) {
+            bars.push(bar);
+            if (bars.length > maxBars) {
+                bars.shift();
+            }
+            barCount++;
+
+            for (const [name, { calculator, input }] of Object.entries(calculators)) {
+                const value = calculator.nextValue(input(bar));
+                if (value !== undefined) {
+                    recent[name].push(value);
+                    if (recent[name].length > HISTORY_LENGTH) {
+                        recent[name].shift();
+                    }
+                }
+            }
+        },
+
+        /**
+         * Whether enough bars have been added for a snapshot
+         * @returns {boolean} Whether the state is warmed up
+         */
+        isReady() {
+            return barCount >= MIN_BARS;
+        },
+
+        /**
+         * Most recent completed bar
+         * @returns {Object|null} Bar
+         */
+        lastBar() {
+            return bars.length > 0 ? bars[bars.length - 1] : null;
+        },
+
+        /**
+         * Indicators as of the last completed bar
+         * @returns {Object} Technical indicators
+         */
+        snapshot() {
+            if (barCount === 0) {
+                throw new Error('No price data available');
+            }
+            if (barCount < MIN_BARS) {
+                throw new Error(`Only ${barCount} ${timeframe} bars available, need at least ${MIN_BARS}`);
+            }
+
+            // Same order as calculateIndicators, so snapshots serialize alike
+            const { obv, volumeAverage, ...rest } = recent;
+            const series = { close: bars.map(bar => bar.close), ...rest };
+            if (indicators.includes('vwap')) {
+                series.vwap = calculateVWAP(bars, timeframe);
+            }
+            if (obv) {
+                series.obv = obv;
+            }
+            if (volumeAverage) {
+                series.volume = bars.slice(-HISTORY_LENGTH).map(bar => bar.volume);
+                series.volumeAverage = volumeAverage;
+            }
+
+            return summarizeIndicators(bars, series, { timeframe, indicators, barCount });
+        }
+    };
+}
+
+module.exports = {
+    createIndicatorState
+};
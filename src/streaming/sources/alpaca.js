@@ -0,0 +1,127 @@
+const EventEmitter = require('events');
+const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { usesPaperAccount } = require('../../trading/mode');
+const logger = require('../../utils/logger');
+
+const ALPACA_DATA_FEED = process.env.ALPACA_DATA_FEED || 'iex';
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = (parseInt(process.env.STREAM_RECONNECT_MAX_SECONDS) || 60) * 1000;
+
+/**
+ * Alpaca's real-time stock stream: one-minute bars, quotes and trades over a websocket.
+ * The client library reconnects after the server closes the connection; after a socket
+ * error it gives up, so this source reconnects itself with exponential backoff.
+ * @param {Object} [options] Source options
+ * @param {string} [options.keyId] Alpaca key (ALPACA_API_KEY)
+ * @param {string} [options.secretKey] Alpaca secret (ALPACA_API_SECRET)
+ * @param {string} [options.feed] 'iex' or 'sip' (ALPACA_DATA_FEED)
+ * @returns {Object} Market data stream
+ */
+function createAlpacaStream(options = {}) {
+    const keyId = options.keyId || process.env.ALPACA_API_KEY;
+    const secretKey = options.secretKey || process.env.ALPACA_API_SECRET;
+
+    if (!keyId || !secretKey) {
+        throw new Error('ALPACA_API_KEY and ALPACA_API_SECRET are required for the Alpaca data stream');
+    }
+
+    const socket = new Alpaca({
+        keyId,
+        secretKey,
+        paper: usesPaperAccount(),
+        feed: options.feed || ALPACA_DATA_FEED
+    }).data_stream_v2;
+
+    const stream = new EventEmitter();
+    const subscriptions = { bars: [], quotes: [], trades: [] };
+    let closing = false;
+    let attempts = 0;
+    let reconnectTimer = null;
+
+    function scheduleReconnect() {
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts);
+        attempts++;
+        logger.info(`Market data stream disconnected, reconnecting in ${delay / 1000}s`);
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            socket.connect();
+        }, delay);
+    }
+
+    // Fires on the first connection only; the library resubscribes on its own reconnects
+    socket.onConnect(() => socket.subscribe(subscriptions));
+
+    socket.onStateChange(state => {
+        if (state === 'authenticated') {
+            attempts = 0;
+            stream.emit('connected');
+        } else if (state === 'waiting to reconnect') {
+            stream.emit('disconnected');
+        } else if (state === 'disconnected') {
+            stream.emit('disconnected');
+            if (!closing && !reconnectTimer) {
+                scheduleReconnect();
+            }
+        }
+    });
+
+    socket.onError(message => stream.emit('error', new Error(`Market data stream: ${message}`)));
+
+    socket.onStockBar(bar => stream.emit('bar', {
+        symbol: bar.Symbol,
+        timestamp: new Date(bar.Timestamp),
+        open: bar.OpenPrice,
+        high: bar.HighPrice,
+        low: bar.LowPrice,
+        close: bar.ClosePrice,
+        volume: bar.Volume
+    }));
+
+    socket.onStockQuote(quote => stream.emit('quote', {
+        symbol: quote.Symbol,
+        bidPrice: quote.BidPrice,
+        bidSize: quote.BidSize,
+        askPrice: quote.AskPrice,
+        askSize: quote.AskSize,
+        timestamp: new Date(quote.Timestamp)
+    }));
+
+    socket.onStockTrade(trade => stream.emit('trade', {
+        symbol: trade.Symbol,
+        price: trade.Price,
+        size: trade.Size,
+        timestamp: new Date(trade.Timestamp)
+    }));
+
+    return Object.assign(stream, {
+        name: 'alpaca',
+        timeframe: '1Min',
+
+        /**
+         * Choose the symbols to stream; takes effect on connect, or at once when connected
+         * @param {Object} symbols { bars, quotes, trades } lists of symbols
+         */
+        subscribe({ bars = [], quotes = [], trades = [] }) {
+            Object.assign(subscriptions, { bars, quotes, trades });
+            if (socket.session.currentState === 'authenticated') {
+                socket.subscribe(subscriptions);
+            }
+        },
+
+        connect() {
+            closing = false;
+            socket.connect();
+        },
+
+        disconnect() {
+            closing = true;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            socket.disconnect();
+        }
+    });
+}
+
+module.exports = {
+    createAlpacaStream
+};
@@ -0,0 +1,52 @@
+const { createAlpacaStream } = require('./alpaca');
+const { createReplayStream } = require('./replay');
+
+// Every market data stream is an EventEmitter with { name, timeframe, subscribe({ bars, quotes,
+// trades }), connect(), disconnect() } that emits 'bar', 'quote', 'trade', 'connected',
+// 'disconnected' and 'error'. It reconnects by itself; each 'connected' after the first
+// means data may have been missed. Streams that can serve history also have getBars and now.
+const STREAM_SOURCE = (process.env.STREAM_SOURCE || 'alpaca').toLowerCase();
+
+let stream = null;
+
+/**
+ * Create a market data stream by name
+ * @param {string} name Stream name ('alpaca' or 'replay')
+ * @param {Object} [options] Options passed to the stream factory
+ * @returns {Object} Market data stream
+ */
+function createMarketDataStream(name, options = {}) {
+    switch (name) {
+        case 'alpaca':
+            return createAlpacaStream(options);
+        case 'replay':
+            return createReplayStream(options);
+        default:
+            throw new Error(`Unknown market data stream: ${name}`);
+    }
+}
+
+/**
+ * Get the market data stream, creating it from the STREAM_SOURCE setting on first use
+ * @returns {Object} Market data stream
+ */
+function getMarketDataStream() {
+    if (!stream) {
+        stream = createMarketDataStream(STREAM_SOURCE);
+    }
+    return stream;
+}
+
+/**
+ * Replace the market data stream (e.g. with a replay in tests)
+ * @param {Object} instance Market data stream
+ */
+function setMarketDataStream(instance) {
+    stream = instance;
+}
+
+module.exports = {
+    createMarketDataStream,
+    getMarketDataStream,
+    setMarketDataStream
+};
@@ -0,0 +1,181 @@
+const EventEmitter = require('events');
+const { loadBarDirectory } = require('../../backtest/data');
+const { aggregateBars, parseTimeframe } = require('../../utils/bars');
+
+const REPLAY_DATA_DIR = process.env.REPLAY_DATA_DIR || null;
+const REPLAY_INTERVAL_MS = process.env.REPLAY_INTERVAL_MS !== undefined ? parseInt(process.env.REPLAY_INTERVAL_MS) : 1000;
+const REPLAY_START = process.env.REPLAY_START || null; // Bars before this are history, not replayed
+const REPLAY_SPREAD_PERCENT = 0.02; // Spread of the quotes made up around each close
+
+/**
+ * Timeframe of a bar series from the smallest gap between consecutive bars
+ * @param {Array<Object>} bars Bars, oldest first
+ * @returns {string} Timeframe name
+ */
+function inferTimeframe(bars) {
+    let spacing = Infinity;
+    for (let i = 1; i < Math.min(bars.length, 100); i++) {
+        const gap = bars[i].timestamp - bars[i - 1].timestamp;
+        if (gap > 0) {
+            spacing = Math.min(spacing, gap);
+        }
+    }
+
+    const minutes = Math.round(spacing / 60000);
+    if (!Number.isFinite(minutes) || minutes >= 12 * 60) {
+        return '1Day';
+    }
+    return minutes % 60 === 0 ? `${minutes / 60}Hour` : `${minutes}Min`;
+}
+
+/**
+ * Stream recorded bars as if they arrived live, for running the streaming mode offline.
+ * Every bar is preceded by a quote and a trade at its close. Bars replay in time order
+ * across symbols, REPLAY_INTERVAL_MS apart (0 replays as fast as the listeners allow).
+ * The source also serves history up to the replay position, for warm-up and backfill.
+ * @param {Object} [options] Source options
+ * @param {Object} [options.bars] Bars keyed by symbol (default: loaded from REPLAY_DATA_DIR)
+ * @param {number} [options.intervalMs] Delay between bar times
+ * @param {Date|string} [options.start] First bar to replay; earlier bars are history
+ * @param {string} [options.timeframe] Timeframe of the bars (inferred by default)
+ * @returns {Object} Market data stream
+ */
+function createReplayStream(options = {}) {
+    const data = options.bars || loadBarDirectory(REPLAY_DATA_DIR);
+    const intervalMs = options.intervalMs !== undefined ? options.intervalMs : REPLAY_INTERVAL_MS;
+    const start = options.start || REPLAY_START;
+    const symbols = Object.keys(data);
+
+    if (symbols.length === 0) {
+        throw new Error('No bars to replay; set REPLAY_DATA_DIR to a directory of <SYMBOL>.csv or .json files');
+    }
+
+    const timeframe = options.timeframe || inferTimeframe(data[symbols[0]]);
+    const frame = parseTimeframe(timeframe);
+
+    // Every bar of every symbol in time order
+    const timeline = symbols
+        .flatMap(symbol => data[symbol].map(bar => ({ symbol, bar })))
+        .sort((a, b) => a.bar.timestamp - b.bar.timestamp);
+
+    const stream = new EventEmitter();
+    let subscribed = { bars: [], quotes: [], trades: [] };
+    let position = start
+        ? timeline.findIndex(item => item.bar.timestamp >= new Date(start))
+        : 0;
+    if (position === -1) {
+        position = timeline.length;
+    }
+    let running = false;
+    let timer = null;
+    let skip = 0;
+
+    function emitNext() {
+        timer = null;
+        if (!running) {
+            return;
+        }
+        if (position >= timeline.length) {
+            running = false;
+            stream.emit('end');
+            return;
+        }
+
+        // Bars that share a timestamp go out together
+        const time = timeline[position].bar.timestamp.getTime();
+        const dropped = skip > 0;
+        while (position < timeline.length && timeline[position].bar.timestamp.getTime() === time) {
+            const { symbol, bar } = timeline[position++];
+            if (dropped) {
+                continue;
+            }
+
+            const at = new Date(time + frame.milliseconds);
+            const spread = bar.close * REPLAY_SPREAD_PERCENT / 100;
+            if (subscribed.quotes.includes(symbol)) {
+                stream.emit('quote', {
+                    symbol,
+                    bidPrice: bar.close - spread / 2,
+                    bidSize: 1,
+                    askPrice: bar.close + spread / 2,
+                    askSize: 1,
+                    timestamp: at
+                });
+            }
+            if (subscribed.trades.includes(symbol)) {
+                stream.emit('trade', { symbol, price: bar.close, size: bar.volume, timestamp: at });
+            }
+            if (subscribed.bars.includes(symbol)) {
+                stream.emit('bar', { symbol, ...bar });
+            }
+        }
+
+        if (dropped && --skip === 0) {
+            stream.emit('connected');
+        }
+        timer = setTimeout(emitNext, intervalMs);
+    }
+
+    return Object.assign(stream, {
+        name: 'replay',
+        timeframe,
+
+        subscribe({ bars = [], quotes = [], trades = [] }) {
+            subscribed = { bars, quotes, trades };
+        },
+
+        connect() {
+            running = true;
+            setImmediate(() => {
+                stream.emit('connected');
+                emitNext();
+            });
+        },
+
+        disconnect() {
+            running = false;
+            clearTimeout(timer);
+            stream.emit('disconnected');
+        },
+
+        /**
+         * Simulate a dropped connection that misses the next bars before coming back
+         * @param {number} count Bar times to miss
+         */
+        drop(count) {
+            skip = count;
+            stream.emit('disconnected');
+        },
+
+        /**
+         * Time of the replay: the end of the last bar time replayed
+         * @returns {Date} Current replay time
+         */
+        now() {
+            if (position === 0) {
+                return timeline.length > 0 ? timeline[0].bar.timestamp : new Date();
+            }
+            return new Date(timeline[position - 1].bar.timestamp.getTime() + frame.milliseconds);
+        },
+
+        /**
+         * Recorded bars up to the replay position, in the broker getBars shape
+         * @param {string} symbol Stock symbol
+         * @param {Object} [range] { start, end, timeframe }
+         * @returns {Promise<Array<Object>>} Bars, oldest first
+         */
+        async getBars(symbol, { start: from, end, timeframe: target = timeframe } = {}) {
+            const replayed = position > 0 ? timeline[position - 1].bar.timestamp : null;
+            const history = (data[symbol] || []).filter(bar =>
+                replayed && bar.timestamp <= replayed &&
+                (!from || bar.timestamp >= new Date(from)) &&
+                (!end || bar.timestamp <= new Date(end)));
+            return aggregateBars(history, target).map(bar => ({ ...bar }));
+        }
+    });
+}
+
+module.exports = {
+    createReplayStream,
+    inferTimeframe
+};
@@ -1,15 +1,82 @@
-const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { getBroker } = require('../brokers');
+const { trackOrder, trackOrders, TERMINAL_STATUSES } = require('./orders');
+const metrics = require('../services/metrics');
+const logger = require('../utils/logger');
 
-const alpaca = new Alpaca({
-    keyId: process.env.ALPACA_API_KEY,
-    secretKey: process.env.ALPACA_API_SECRET,
-    paper: process.env.ALPACA_PAPER_TRADING === 'true',
-    usePolygon: false
-});
+const ENTRY_ORDER_TYPE = process.env.ENTRY_ORDER_TYPE === 'limit' ? 'limit' : 'market';
+const ENTRY_LIMIT_OFFSET_PERCENT = parseFloat(process.env.ENTRY_LIMIT_OFFSET_PERCENT) || 0.1;
+const PROTECTIVE_TIME_IN_FORCE = 'gtc'; // Exit legs must outlive the trading day
+const FRACTIONAL_TIME_IN_FORCE = 'day'; // Brokers only accept day orders for fractional quantities
+const EXTENDED_HOURS_TIME_IN_FORCE = 'day'; // Extended-hours orders must be day limit orders
+
+function isFractional(quantity) {
+    return !Number.isInteger(quantity);
+}
+
+function roundPrice(price) {
+    return price === null || price === undefined ? price : Math.round(price * 100) / 100;
+}
+
+/**
+ * Collect the ids of the take-profit and stop-loss legs of an order
+ * @param {Object} order Broker order with nested legs
+ * @returns {Object} { takeProfit, stopLoss } order ids (null when absent)
+ */
+function getChildOrderIds(order) {
+    const legs = order.legs || [];
+    const takeProfit = legs.find(leg => leg.type === 'limit');
+    const stopLoss = legs.find(leg => leg.type === 'stop' || leg.type === 'stop_limit');
+    return {
+        takeProfit: takeProfit ? takeProfit.id : null,
+        stopLoss: stopLoss ? stopLoss.id : null
+    };
+}
 
 /**
- * Place a trade order
+ * Submit an order and treat an immediate rejection as an error
+ * @param {Object} broker Broker instance
+ * @param {Object} orderParams Order parameters
+ * @returns {Promise<Object>} Accepted order
+ */
+async function submitOrder(broker, orderParams) {
+    const labels = { side: orderParams.side, type: orderParams.type };
+    let order;
+    try {
+        order = await broker.createOrder(orderParams);
+    } catch (error) {
+        metrics.ordersSubmitted.inc({ ...labels, result: 'error' });
+        throw error;
+    }
+    if (order.status === 'rejected') {
+        metrics.ordersSubmitted.inc({ ...labels, result: 'rejected' });
+        throw new Error(`${orderParams.orderClass || 'simple'} order rejected`);
+    }
+    metrics.ordersSubmitted.inc({ ...labels, result: 'accepted' });
+    return order;
+}
+
+/**
+ * Place a trade order and follow it until it settles. Entries carry their exits
+ * server-side: a bracket order when both stop-loss and price target are known, falling
+ * back to an OTO entry with only the stop, and finally to a plain entry followed by an
+ * OCO exit sized to what actually filled. Whatever is still unfilled when the fill
+ * timeout passes is cancelled, so the result always reports the final fill.
+ * Fractional quantities cannot use bracket, OTO or OCO orders or GTC, so they enter
+ * with a plain day order and are protected by a day stop order. Extended-hours trades
+ * are plain day limit orders; their exits are placed once the entry fills.
  * @param {Object} params Trade parameters
+ * @param {string} params.symbol Stock symbol
+ * @param {string} params.action 'buy' or 'sell'
+ * @param {number} params.quantity Number of shares
+ * @param {number} [params.stopLoss] Stop-loss price
+ * @param {number} [params.priceTarget] Take-profit price
+ * @param {number} [params.price] Reference price used for limit entries
+ * @param {string} [params.entryType] 'market' or 'limit' (defaults to ENTRY_ORDER_TYPE)
+ * @param {number} [params.limitOffsetPercent] How far past the reference price a limit entry may fill
+ * @param {string} [params.positionAction] 'open', 'add', 'reduce', 'close' or 'reverse' (defaults to 'open')
+ * @param {number} [params.positionQuantity] Signed quantity currently held, for reduce
+ * @param {number} [params.closeQuantity] Quantity to close before a reversal opens `quantity`
+ * @param {boolean} [params.extendedHours] Trade in pre-market or after-hours (limit orders only)
  * @returns {Promise<Object>} Order result
  */
 async function executeTrade(params) {
@@ -18,62 +85,439 @@ async function executeTrade(params) {
             symbol,
             action,
             quantity,
-            stopLoss
+            stopLoss,
+            priceTarget,
+            price,
+            limitOffsetPercent = ENTRY_LIMIT_OFFSET_PERCENT,
+            positionAction = 'open',
+            extendedHours = false
         } = params;
+        const entryType = extendedHours ? 'limit' : (params.entryType || ENTRY_ORDER_TYPE);
 
         // Validate parameters
         if (!symbol || !action || !quantity) {
             throw new Error('Missing required trade parameters');
         }
 
-        // Place the main order
-        const orderParams = {
+        if (positionAction === 'close' || positionAction === 'reduce') {
+            return await exitPosition(params);
+        }
+
+        let closedPosition = null;
+        if (positionAction === 'reverse') {
+            closedPosition = await exitPosition({ ...params, positionAction: 'close', quantity: params.closeQuantity });
+            if (!closedPosition.success) {
+                return closedPosition;
+            }
+        }
+
+        if (entryType === 'limit' && !price) {
+            throw new Error('A reference price is required for limit entries');
+        }
+
+        const broker = getBroker();
+        const side = action === 'buy' ? 'buy' : 'sell';
+
+        // A buy limit may pay up to the offset above the reference price, a sell limit down to it below
+        const limitPrice = entryType === 'limit'
+            ? roundPrice(price * (1 + (side === 'buy' ? 1 : -1) * limitOffsetPercent / 100))
+            : null;
+
+        const fractional = isFractional(quantity);
+        const entryParams = {
             symbol,
             qty: quantity,
-            side: action === 'buy' ? 'buy' : 'sell',
-            type: 'market',
-            time_in_force: 'day'
+            side,
+            type: entryType,
+            limitPrice,
+            timeInForce: extendedHours
+                ? EXTENDED_HOURS_TIME_IN_FORCE
+                : (fractional ? FRACTIONAL_TIME_IN_FORCE : PROTECTIVE_TIME_IN_FORCE),
+            extendedHours
+        };
+        const takeProfit = priceTarget ? { limitPrice: roundPrice(priceTarget) } : null;
+        const stop = stopLoss ? { stopPrice: roundPrice(stopLoss) } : null;
+
+        // Most protective first; each later attempt gives up something the broker refused
+        const attempts = [];
+        const canCarryExits = !fractional && !extendedHours;
+        if (takeProfit && stop && canCarryExits) {
+            attempts.push({ ...entryParams, orderClass: 'bracket', takeProfit, stopLoss: stop });
+        }
+        if (stop && canCarryExits) {
+            attempts.push({ ...entryParams, orderClass: 'oto', stopLoss: stop });
+        }
+        attempts.push({ ...entryParams, orderClass: 'simple' });
+
+        let order = null;
+        const warnings = [];
+        for (const attempt of attempts) {
+            try {
+                order = await submitOrder(broker, attempt);
+                break;
+            } catch (error) {
+                if (attempt === attempts[attempts.length - 1]) {
+                    throw error;
+                }
+                logger.error(`${attempt.orderClass} order for ${symbol} failed, falling back`, { error: error.message });
+                warnings.push(`${attempt.orderClass} order failed: ${error.message}`);
+            }
+        }
+
+        // Follow the entry to a final state; the unfilled remainder is cancelled at the timeout
+        const settlement = await trackOrder(order.id, { cancelOnTimeout: true });
+        const settledOrder = settlement.order;
+        const childOrderIds = getChildOrderIds(settledOrder);
+
+        if (settlement.filledQty === 0) {
+            return {
+                success: false,
+                error: `Entry order ${settlement.status} without a fill`,
+                status: settlement.status,
+                positionAction,
+                closedPosition,
+                mainOrder: settledOrder,
+                orderIds: [order.id],
+                warnings,
+                timestamp: new Date()
+            };
+        }
+
+        if (settlement.isPartial) {
+            warnings.push(`Partial fill: ${settlement.filledQty} of ${quantity} shares, remainder ${settlement.status}`);
+        }
+
+        let exitOrder = null;
+
+        // A plain entry has no server-side exits; protect what actually filled with an OCO pair
+        if (order.orderClass === 'simple' && (stop || takeProfit)) {
+            const exit = await placeExitOrders({ symbol, side, quantity: settlement.filledQty, stopLoss, priceTarget });
+            if (exit.success) {
+                exitOrder = exit.order;
+                Object.assign(childOrderIds, exit.childOrderIds);
+                warnings.push(...(exit.warnings || []));
+            } else {
+                warnings.push(`Exit orders failed: ${exit.error}`);
+            }
+        }
+
+        return {
+            success: true,
+            status: settlement.status,
+            partial: settlement.isPartial,
+            positionAction,
+            closedPosition,
+            mainOrder: settledOrder,
+            exitOrder,
+            orderClass: order.orderClass,
+            orderIds: [order.id, childOrderIds.takeProfit, childOrderIds.stopLoss].filter(Boolean),
+            childOrderIds,
+            warnings,
+            action: order.side,
+            requestedQuantity: quantity,
+            quantity: settlement.filledQty,
+            symbol: order.symbol,
+            price: settlement.filledAvgPrice,
+            timestamp: new Date()
         };
 
-        const order = await alpaca.createOrder(orderParams);
+    } catch (error) {
+        logger.error('Error executing trade', { error });
+        return {
+            success: false,
+            error: error.message,
+            timestamp: new Date()
+        };
+    }
+}
 
-        // If order is filled and we have a stop loss, place the stop loss order
-        if (order.status === 'filled' && stopLoss) {
-            const stopLossParams = {
+/**
+ * Close or reduce a position at market and follow the exit until it settles. Open
+ * orders for the symbol are cancelled first, and their cancellation confirmed, so
+ * their reserved shares are released; after a reduce the remaining shares are
+ * protected again at the previous stop-loss and take-profit levels. In extended hours
+ * the exit is a day limit order instead, priced like a limit entry.
+ * @param {Object} params Trade parameters (symbol, action, quantity, positionAction,
+ * positionQuantity, and price, limitOffsetPercent and extendedHours for extended hours)
+ * @returns {Promise<Object>} Order result
+ */
+async function exitPosition(params) {
+    try {
+        const {
+            symbol,
+            action,
+            quantity,
+            positionAction,
+            positionQuantity,
+            price,
+            limitOffsetPercent = ENTRY_LIMIT_OFFSET_PERCENT,
+            extendedHours = false
+        } = params;
+        const broker = getBroker();
+
+        if (extendedHours && !price) {
+            throw new Error('A reference price is required for extended-hours exits');
+        }
+
+        const openOrders = await getOpenOrders([symbol]);
+        const previousLevels = findExitLevels(openOrders, action);
+        const { cancelled } = await cancelOrders(
+            openOrders.flatMap(order => [order, ...(order.legs || [])])
+                .filter(order => !TERMINAL_STATUSES.includes(order.status))
+                .map(order => order.id)
+        );
+        await trackOrders(cancelled, { timeoutMs: 10000 });
+
+        let order;
+        if (extendedHours) {
+            order = await submitOrder(broker, {
+                symbol,
+                qty: positionAction === 'close' && positionQuantity ? Math.abs(positionQuantity) : quantity,
+                side: action,
+                type: 'limit',
+                limitPrice: roundPrice(price * (1 + (action === 'buy' ? 1 : -1) * limitOffsetPercent / 100)),
+                timeInForce: EXTENDED_HOURS_TIME_IN_FORCE,
+                extendedHours
+            });
+        } else if (positionAction === 'close') {
+            order = await broker.closePosition(symbol);
+        } else {
+            order = await submitOrder(broker, {
                 symbol,
                 qty: quantity,
-                side: action === 'buy' ? 'sell' : 'buy',
-                type: 'stop',
-                time_in_force: 'gtc',
-                stop_price: stopLoss
-            };
+                side: action,
+                type: 'market',
+                timeInForce: 'day'
+            });
+        }
 
-            const stopLossOrder = await alpaca.createOrder(stopLossParams);
+        const settlement = await trackOrder(order.id);
+        const settledOrder = settlement.order;
 
+        if (settlement.filledQty === 0) {
             return {
-                success: true,
-                mainOrder: order,
-                stopLossOrder,
-                action: order.side,
-                quantity: parseInt(order.qty),
-                symbol: order.symbol,
-                price: parseFloat(order.filled_avg_price || order.limit_price),
+                success: false,
+                error: settlement.isFinal
+                    ? `Exit order ${settlement.status} without a fill`
+                    : `Exit order still ${settlement.status} after the fill timeout`,
+                status: settlement.status,
+                positionAction,
+                mainOrder: settledOrder,
+                cancelledOrderIds: cancelled,
+                orderIds: [order.id],
                 timestamp: new Date()
             };
         }
 
+        let exitOrder = null;
+        const childOrderIds = { takeProfit: null, stopLoss: null };
+        const warnings = [];
+        // Rounded so fractional positions do not leave float dust behind
+        const remaining = positionAction === 'reduce' && positionQuantity
+            ? Math.round((Math.abs(positionQuantity) - settlement.filledQty) * 1e9) / 1e9
+            : 0;
+
+        if (settlement.isPartial || !settlement.isFinal) {
+            warnings.push(`Exit ${settlement.status}: ${settlement.filledQty} of ${settledOrder.qty} shares filled`);
+        }
+
+        if (remaining > 0 && (previousLevels.stopLoss || previousLevels.priceTarget)) {
+            const exit = await placeExitOrders({
+                symbol,
+                side: action === 'buy' ? 'sell' : 'buy',
+                quantity: remaining,
+                ...previousLevels
+            });
+            if (exit.success) {
+                exitOrder = exit.order;
+                Object.assign(childOrderIds, exit.childOrderIds);
+                warnings.push(...(exit.warnings || []));
+            } else {
+                warnings.push(`Re-protecting remaining ${remaining} shares failed: ${exit.error}`);
+            }
+        }
+
         return {
             success: true,
-            mainOrder: order,
+            status: settlement.status,
+            partial: settlement.isPartial,
+            positionAction,
+            mainOrder: settledOrder,
+            exitOrder,
+            cancelledOrderIds: cancelled,
+            orderIds: [order.id, childOrderIds.takeProfit, childOrderIds.stopLoss].filter(Boolean),
+            childOrderIds,
+            warnings,
             action: order.side,
-            quantity: parseInt(order.qty),
+            requestedQuantity: settledOrder.qty,
+            quantity: settlement.filledQty,
             symbol: order.symbol,
-            price: parseFloat(order.filled_avg_price || order.limit_price),
+            price: settlement.filledAvgPrice,
+            timestamp: new Date()
+        };
+    } catch (error) {
+        logger.error('Error exiting position', { error });
+        return {
+            success: false,
+            error: error.message,
+            timestamp: new Date()
+        };
+    }
+}
+
+/**
+ * Find the stop-loss and take-profit prices of the exit orders protecting a position
+ * @param {Array<Object>} orders Open orders for the symbol, with nested legs
+ * @param {string} exitSide Side the exit orders trade on
+ * @returns {Object} { stopLoss, priceTarget } (null when absent)
+ */
+function findExitLevels(orders, exitSide) {
+    const exits = orders.flatMap(order => [order, ...(order.legs || [])]).filter(order => order.side === exitSide);
+    const stop = exits.find(order => order.type === 'stop' || order.type === 'stop_limit');
+    const target = exits.find(order => order.type === 'limit');
+    return {
+        stopLoss: stop ? stop.stopPrice : null,
+        priceTarget: target ? target.limitPrice : null
+    };
+}
+
+/**
+ * Get open orders, optionally only for some symbols
+ * @param {Array<string>} [symbols] Symbols to include
+ * @returns {Promise<Array>} Open orders with nested legs
+ */
+async function getOpenOrders(symbols) {
+    try {
+        return await getBroker().getOrders({ status: 'open', symbols });
+    } catch (error) {
+        logger.error('Error getting open orders', { error });
+        return [];
+    }
+}
+
+/**
+ * Protect an existing position with a stop-loss and/or take-profit.
+ * Both together are placed as an OCO pair so that one filling cancels the other.
+ * @param {Object} params Exit parameters
+ * @param {string} params.symbol Stock symbol
+ * @param {string} params.side Side of the position's entry ('buy' for long, 'sell' for short)
+ * @param {number} params.quantity Number of shares to protect
+ * @param {number} [params.stopLoss] Stop-loss price
+ * @param {number} [params.priceTarget] Take-profit price
+ * @returns {Promise<Object>} Exit order result
+ */
+async function placeExitOrders({ symbol, side, quantity, stopLoss, priceTarget }) {
+    try {
+        const broker = getBroker();
+        const exitSide = side === 'buy' ? 'sell' : 'buy';
+        const fractional = isFractional(quantity);
+        const base = {
+            symbol,
+            qty: quantity,
+            side: exitSide,
+            timeInForce: fractional ? FRACTIONAL_TIME_IN_FORCE : PROTECTIVE_TIME_IN_FORCE
+        };
+        let order;
+
+        if (stopLoss && priceTarget && !fractional) {
+            order = await submitOrder(broker, {
+                ...base,
+                type: 'limit',
+                orderClass: 'oco',
+                takeProfit: { limitPrice: roundPrice(priceTarget) },
+                stopLoss: { stopPrice: roundPrice(stopLoss) }
+            });
+            const legIds = getChildOrderIds(order);
+            return {
+                success: true,
+                order,
+                childOrderIds: {
+                    // The OCO parent is the take-profit limit, its leg is the stop
+                    takeProfit: order.id,
+                    stopLoss: legIds.stopLoss
+                }
+            };
+        }
+
+        // Fractional exits cannot be paired, so the stop alone protects the position
+        if (stopLoss) {
+            order = await submitOrder(broker, { ...base, type: 'stop', stopPrice: roundPrice(stopLoss) });
+            return {
+                success: true,
+                order,
+                childOrderIds: { takeProfit: null, stopLoss: order.id },
+                warnings: fractional ? ['Fractional quantity: protective stop is a day order without a take-profit'] : []
+            };
+        }
+
+        if (priceTarget) {
+            order = await submitOrder(broker, { ...base, type: 'limit', limitPrice: roundPrice(priceTarget) });
+            return { success: true, order, childOrderIds: { takeProfit: order.id, stopLoss: null } };
+        }
+
+        throw new Error('A stop-loss or price target is required');
+    } catch (error) {
+        logger.error('Error placing exit orders', { error });
+        return {
+            success: false,
+            error: error.message,
             timestamp: new Date()
         };
+    }
+}
 
+/**
+ * Move the protective stop of a position. The working stop order is replaced in place
+ * when the broker allows it; otherwise the position's exit orders are cancelled and
+ * placed again with the new stop and the existing take-profit. A position without a
+ * stop order gets one.
+ * @param {Object} params Stop parameters
+ * @param {string} params.symbol Stock symbol
+ * @param {string} params.side Side of the position's entry ('buy' for long, 'sell' for short)
+ * @param {number} params.quantity Number of shares to protect
+ * @param {number} params.stopLoss New stop-loss price
+ * @returns {Promise<Object>} Result with the stop order and the stop it replaced
+ */
+async function updateStopLoss({ symbol, side, quantity, stopLoss }) {
+    try {
+        const broker = getBroker();
+        const exitSide = side === 'buy' ? 'sell' : 'buy';
+        const openOrders = await getOpenOrders([symbol]);
+        // Held legs belong to entries that have not filled yet and are left alone
+        const exits = openOrders.flatMap(order => [order, ...(order.legs || [])])
+            .filter(order => order.side === exitSide && order.status !== 'held' && !TERMINAL_STATUSES.includes(order.status));
+        const stop = exits.find(order => order.type === 'stop' || order.type === 'stop_limit');
+        const previousStop = stop ? stop.stopPrice : null;
+
+        if (stop && typeof broker.replaceOrder === 'function') {
+            try {
+                const order = await broker.replaceOrder(stop.id, { stopPrice: roundPrice(stopLoss) });
+                return { success: true, method: 'replace', order, previousStop, timestamp: new Date() };
+            } catch (error) {
+                logger.error(`Replacing the stop for ${symbol} failed, placing new exit orders`, { error: error.message });
+            }
+        }
+
+        const { priceTarget } = findExitLevels(exits, exitSide);
+        const { cancelled } = await cancelOrders(exits.map(order => order.id));
+        await trackOrders(cancelled, { timeoutMs: 10000 });
+
+        const exit = await placeExitOrders({ symbol, side, quantity, stopLoss, priceTarget });
+        if (!exit.success) {
+            throw new Error(`Exit orders cancelled but not placed again: ${exit.error}`);
+        }
+        return {
+            success: true,
+            method: 'resubmit',
+            order: exit.order,
+            childOrderIds: exit.childOrderIds,
+            cancelledOrderIds: cancelled,
+            previousStop,
+            warnings: exit.warnings || [],
+            timestamp: new Date()
+        };
     } catch (error) {
-        console.error('Error executing trade:', error);
+        logger.error('Error updating stop-loss', { error });
         return {
             success: false,
             error: error.message,
@@ -82,24 +526,38 @@ async function executeTrade(params) {
     }
 }
 
+/**
+ * Cancel orders by id, e.g. the orderIds returned by executeTrade
+ * @param {Array<string>} orderIds Order ids to cancel
+ * @returns {Promise<Object>} Ids cancelled and ids that failed
+ */
+async function cancelOrders(orderIds) {
+    const broker = getBroker();
+    const cancelled = [];
+    const failed = [];
+
+    for (const orderId of orderIds.filter(Boolean)) {
+        try {
+            await broker.cancelOrder(orderId);
+            cancelled.push(orderId);
+        } catch (error) {
+            logger.error(`Error cancelling order ${orderId}`, { error });
+            failed.push({ orderId, error: error.message });
+        }
+    }
+
+    return { cancelled, failed };
+}
+
 /**
  * Get current positions
  * @returns {Promise<Array>} Array of current positions
  */
 async function getCurrentPositions() {
     try {
-        const positions = await alpaca.getPositions();
-        return positions.map(position => ({
-            symbol: position.symbol,
-            quantity: parseInt(position.qty),
-            entryPrice: parseFloat(position.avg_entry_price),
-            currentPrice: parseFloat(position.current_price),
-            marketValue: parseFloat(position.market_value),
-            unrealizedPL: parseFloat(position.unrealized_pl),
-            unrealizedPLPercent: parseFloat(position.unrealized_plpc) * 100
-        }));
+        return await getBroker().getPositions();
     } catch (error) {
-        console.error('Error getting positions:', error);
+        logger.error('Error getting positions', { error });
         return [];
     }
 }
@@ -110,15 +568,16 @@ async function getCurrentPositions() {
  */
 async function closeAllPositions() {
     try {
-        await alpaca.cancelAllOrders();
-        const result = await alpaca.closeAllPositions();
+        const broker = getBroker();
+        await broker.cancelAllOrders();
+        const result = await broker.closeAllPositions();
         return {
             success: true,
             result,
             timestamp: new Date()
         };
     } catch (error) {
-        console.error('Error closing positions:', error);
+        logger.error('Error closing positions', { error });
         return {
             success: false,
             error: error.message,
@@ -129,6 +588,11 @@ async function closeAllPositions() {
 
 module.exports = {
     executeTrade,
+    placeExitOrders,
+    updateStopLoss,
+    findExitLevels,
+    cancelOrders,
+    getOpenOrders,
     getCurrentPositions,
     closeAllPositions
 }; 
\ No newline at end of file
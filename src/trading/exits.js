@@ -0,0 +1,377 @@
+const { executeTrade, updateStopLoss, findExitLevels, getOpenOrders } = require('./executor');
+const { defaultLevels, roundQuantity } = require('./risk');
+const { isKillSwitchActive } = require('./guardrails');
+const { decideWithRules } = require('../strategies');
+const { recordCycle } = require('../services/journal');
+const { getSection, saveState } = require('../services/state');
+const { sendNotification } = require('../services/telegram');
+const logger = require('../utils/logger');
+
+const TRAILING_STOP = ['atr', 'percent'].includes(process.env.TRAILING_STOP) ? process.env.TRAILING_STOP : null; // Off unless set
+const TRAILING_STOP_ATR_MULTIPLE = parseFloat(process.env.TRAILING_STOP_ATR_MULTIPLE) || 3;
+const TRAILING_STOP_PERCENT = parseFloat(process.env.TRAILING_STOP_PERCENT) || 5;
+const BREAKEVEN_AT_R = process.env.BREAKEVEN_AT_R !== undefined ? parseFloat(process.env.BREAKEVEN_AT_R) || 0 : 1; // 0 disables
+const CLOSE_AT_END_OF_DAY = process.env.CLOSE_AT_END_OF_DAY === 'true'; // For intraday strategies
+const END_OF_DAY_MINUTES = parseInt(process.env.END_OF_DAY_MINUTES) || 10;
+const EXIT_ON_REVERSAL = process.env.EXIT_ON_REVERSAL === 'true';
+const MANAGES_STOPS = BREAKEVEN_AT_R > 0 || TRAILING_STOP !== null;
+const MIN_STOP_STEP_PERCENT = 0.1; // Smaller stop moves (% of price) are not worth an order change
+
+// "1:50,2:25" takes 50% of the initial position off at +1R and another 25% at +2R
+const SCALE_OUT_TARGETS = (process.env.SCALE_OUT_TARGETS || '')
+    .split(',')
+    .map(target => target.split(':').map(parseFloat))
+    .filter(([r, percent]) => r > 0 && percent > 0)
+    .map(([r, percent]) => ({ r, percent }))
+    .sort((a, b) => a.r - b.r);
+
+// Per symbol: side, entry, initial quantity and stop (which define 1R), managed stop,
+// best price since entry and the scale-out targets already taken
+let state = null;
+
+async function loadState() {
+    if (state) {
+        return state;
+    }
+
+    state = getSection('exits');
+    state.positions = state.positions || {};
+    return state;
+}
+
+function formatPrice(price) {
+    return Number.isFinite(price) ? `$${price.toFixed(2)}` : 'none';
+}
+
+/**
+ * Whether stop a protects more than stop b for a position in the given direction
+ * @param {number} a Stop price
+ * @param {number|null} b Stop price, null for no stop
+ * @param {number} direction 1 for long, -1 for short
+ * @returns {boolean} Whether a is tighter
+ */
+function isTighter(a, b, direction) {
+    return b === null || b === undefined || (a - b) * direction > 0;
+}
+
+/**
+ * Bring the tracked state of a position up to date. A new position, or one that flipped
+ * side, starts over: its initial stop is the live stop order when that stop still risks
+ * something, otherwise the default risk stop. Adding to a position moves its entry.
+ * @param {Object} position Broker position (signed quantity)
+ * @param {number|null} liveStop Price of the working stop order
+ * @param {Object|null} technicals Indicators for the default stop
+ * @returns {Object} Tracked position
+ */
+function trackPosition(position, liveStop, technicals) {
+    const direction = Math.sign(position.quantity);
+    const side = direction > 0 ? 'long' : 'short';
+    const quantity = Math.abs(position.quantity);
+    let tracked = state.positions[position.symbol];
+
+    if (!tracked || tracked.side !== side) {
+        const initialStop = liveStop && (position.entryPrice - liveStop) * direction > 0
+            ? liveStop
+            : defaultLevels(direction > 0 ? 'buy' : 'sell', position.entryPrice, technicals || {}).stopLoss;
+        tracked = state.positions[position.symbol] = {
+            side,
+            entryPrice: position.entryPrice,
+            initialQuantity: quantity,
+            initialStop,
+            stop: liveStop || initialStop,
+            extreme: position.entryPrice,
+            scaledOut: [],
+            openedAt: new Date()
+        };
+    } else if (quantity > tracked.initialQuantity) {
+        tracked.entryPrice = position.entryPrice;
+        tracked.initialQuantity = quantity;
+    }
+
+    // A stop tightened by hand is kept
+    if (liveStop && isTighter(liveStop, tracked.stop, direction)) {
+        tracked.stop = liveStop;
+    }
+    tracked.extreme = direction > 0
+        ? Math.max(tracked.extreme, position.currentPrice)
+        : Math.min(tracked.extreme, position.currentPrice);
+    return tracked;
+}
+
+/**
+ * Apply the exit rules to a position. Closes win over scale-outs; the stop only ever
+ * moves in the position's favour and always stays on the protective side of the price.
+ * @param {Object} position Broker position (signed quantity)
+ * @param {Object} tracked Tracked position from trackPosition
+ * @param {Object} context Rule inputs
+ * @param {Object|null} context.technicals Indicators (ATR trailing and reversal need them)
+ * @param {number|null} context.minutesToClose Minutes until the close, null when closed
+ * @returns {Object} { close, scaleOut, stop }, each null when the rule has nothing to do
+ */
+function planExits(position, tracked, { technicals, minutesToClose }) {
+    const direction = Math.sign(position.quantity);
+    const price = position.currentPrice;
+    const risk = Math.abs(tracked.entryPrice - tracked.initialStop);
+    const currentR = risk > 0 ? (price - tracked.entryPrice) * direction / risk : 0;
+    const bestR = risk > 0 ? (tracked.extreme - tracked.entryPrice) * direction / risk : 0;
+    const plan = { close: null, scaleOut: null, stop: null };
+
+    if (CLOSE_AT_END_OF_DAY && minutesToClose !== null && minutesToClose <= END_OF_DAY_MINUTES) {
+        plan.close = { rule: 'end_of_day', reason: `${Math.max(0, Math.round(minutesToClose))} minutes to the close` };
+        return plan;
+    }
+
+    if (EXIT_ON_REVERSAL && technicals) {
+        const decision = decideWithRules({ technicals, position });
+        if (decision.action === (direction > 0 ? 'sell' : 'buy')) {
+            plan.close = { rule: 'reversal', reason: `Signal reversed: ${decision.reasoning}` };
+            return plan;
+        }
+    }
+
+    const reached = SCALE_OUT_TARGETS.filter(target => currentR >= target.r && !tracked.scaledOut.includes(target.r));
+    if (reached.length > 0) {
+        const percent = reached.reduce((sum, target) => sum + target.percent, 0);
+        const held = Math.abs(position.quantity);
+        const quantity = Math.min(held, roundQuantity(tracked.initialQuantity * percent / 100, !Number.isInteger(position.quantity)));
+        plan.scaleOut = {
+            targets: reached.map(target => target.r),
+            quantity,
+            reason: `+${currentR.toFixed(1)}R reached the ${reached.map(target => `${target.r}R`).join(', ')} target`
+        };
+        if (quantity >= held) {
+            plan.close = { rule: 'scale_out', reason: plan.scaleOut.reason };
+            return plan;
+        }
+    }
+
+    let stop = tracked.stop;
+    let reason = null;
+    if (BREAKEVEN_AT_R > 0 && bestR >= BREAKEVEN_AT_R && isTighter(tracked.entryPrice, stop, direction)) {
+        stop = tracked.entryPrice;
+        reason = { rule: 'breakeven', reason: `breakeven after +${BREAKEVEN_AT_R}R` };
+    }
+    if (TRAILING_STOP) {
+        const distance = TRAILING_STOP === 'atr'
+            ? (technicals && technicals.atr ? technicals.atr * TRAILING_STOP_ATR_MULTIPLE : null)
+            : tracked.extreme * TRAILING_STOP_PERCENT / 100;
+        const trailed = distance ? tracked.extreme - direction * distance : null;
+        if (trailed !== null && isTighter(trailed, stop, direction)) {
+            stop = trailed;
+            reason = {
+                rule: 'trailing',
+                reason: TRAILING_STOP === 'atr'
+                    ? `trailing ${TRAILING_STOP_ATR_MULTIPLE} ATR from ${formatPrice(tracked.extreme)}`
+                    : `trailing ${TRAILING_STOP_PERCENT}% from ${formatPrice(tracked.extreme)}`
+            };
+        }
+    }
+
+    if (reason && (price - stop) * direction > 0) {
+        plan.stop = { price: stop, ...reason };
+    }
+    return plan;
+}
+
+/**
+ * Exit a position in full or in part and report it
+ * @param {Object} position Broker position (signed quantity)
+ * @param {Object} exit { rule, reason, quantity, positionAction }
+ * @param {Object} context { marketStatus, cycleId }
+ * @returns {Promise<Object>} Trade result
+ */
+async function submitExit(position, exit, { marketStatus, cycleId }) {
+    const { symbol } = position;
+    const trade = await executeTrade({
+        symbol,
+        action: position.quantity > 0 ? 'sell' : 'buy',
+        quantity: exit.quantity,
+        positionAction: exit.positionAction,
+        positionQuantity: position.quantity
+    });
+
+    await recordCycle({
+        cycleId,
+        symbol,
+        marketStatus,
+        position,
+        exit: { rule: exit.rule, reason: exit.reason },
+        trade,
+        outcome: trade.success ? 'executed' : 'failed',
+        reason: exit.reason,
+        error: trade.error || null
+    });
+
+    if (trade.success) {
+        await sendNotification({
+            type: 'trade',
+            message: `Exit (${exit.rule}): ${trade.action.toUpperCase()} ${trade.quantity} ${symbol} @ ${formatPrice(trade.price)} - ${exit.reason}`
+        });
+    } else {
+        await sendNotification({
+            type: 'error',
+            message: `Exit (${exit.rule}) failed for ${symbol}: ${trade.error}`
+        });
+    }
+    return trade;
+}
+
+/**
+ * Run the exit rules over one position
+ * @param {Object} position Broker position (signed quantity)
+ * @param {Object} context { getTechnicals, marketStatus, cycleId, minutesToClose, canTrade }
+ * @returns {Promise<Array<Object>>} Actions taken
+ */
+async function managePosition(position, context) {
+    const { symbol } = position;
+    const direction = Math.sign(position.quantity);
+    const actions = [];
+
+    let technicals = null;
+    if (TRAILING_STOP === 'atr' || EXIT_ON_REVERSAL || !state.positions[symbol]) {
+        try {
+            technicals = await context.getTechnicals(symbol);
+        } catch (error) {
+            logger.warn(`Exit rules running without indicators: ${error.message}`, { symbol });
+        }
+    }
+
+    const liveStop = findExitLevels(await getOpenOrders([symbol]), direction > 0 ? 'sell' : 'buy').stopLoss;
+    const tracked = trackPosition(position, liveStop, technicals);
+    const plan = planExits(position, tracked, { technicals, minutesToClose: context.minutesToClose });
+
+    if (plan.close && context.canTrade) {
+        const trade = await submitExit(position, {
+            ...plan.close,
+            quantity: Math.abs(position.quantity),
+            positionAction: 'close'
+        }, context);
+        if (trade.success) {
+            delete state.positions[symbol];
+        }
+        return [{ symbol, type: 'close', rule: plan.close.rule, success: trade.success }];
+    }
+
+    let quantity = Math.abs(position.quantity);
+    if (plan.scaleOut && context.canTrade) {
+        if (plan.scaleOut.quantity > 0) {
+            const trade = await submitExit(position, {
+                rule: 'scale_out',
+                reason: plan.scaleOut.reason,
+                quantity: plan.scaleOut.quantity,
+                positionAction: 'reduce'
+            }, context);
+            actions.push({ symbol, type: 'scale_out', rule: 'scale_out', success: trade.success });
+            if (!trade.success) {
+                return actions;
+            }
+            quantity = Math.round((quantity - trade.quantity) * 1e9) / 1e9;
+        } else {
+            logger.info(`Position too small to scale out at ${plan.scaleOut.targets.join(', ')}R`, { symbol });
+        }
+        tracked.scaledOut.push(...plan.scaleOut.targets);
+    }
+
+    if (!MANAGES_STOPS) {
+        return actions;
+    }
+
+    // The managed stop goes back in place when the stop order is missing or was loosened
+    const stop = plan.stop || (tracked.stop !== liveStop ? {
+        price: tracked.stop,
+        rule: 'restore',
+        reason: liveStop === null ? 'no stop order was working' : `the stop order was at ${formatPrice(liveStop)}`
+    } : null);
+    const worthMoving = stop && (liveStop === null ||
+        Math.abs(stop.price - liveStop) / position.currentPrice * 100 >= MIN_STOP_STEP_PERCENT);
+    if (worthMoving && (position.currentPrice - stop.price) * direction > 0) {
+        const result = await updateStopLoss({
+            symbol,
+            side: direction > 0 ? 'buy' : 'sell',
+            quantity,
+            stopLoss: stop.price
+        });
+        actions.push({ symbol, type: 'stop', rule: stop.rule, success: result.success, stop: stop.price });
+
+        if (result.success) {
+            tracked.stop = stop.price;
+            await sendNotification({
+                type: 'info',
+                message: `Stop for ${symbol} moved ${formatPrice(liveStop)} -> ${formatPrice(stop.price)} (${stop.reason})`
+            });
+        } else {
+            await sendNotification({
+                type: 'error',
+                message: `Moving the stop for ${symbol} to ${formatPrice(stop.price)} failed: ${result.error}`
+            });
+        }
+    }
+    return actions;
+}
+
+/**
+ * Positions the exit rules are tracking, by symbol
+ * @returns {Promise<Object>} Tracked positions
+ */
+async function getManagedPositions() {
+    await loadState();
+    return { ...state.positions };
+}
+
+/**
+ * Manage the exits of every open position: trail the stop (TRAILING_STOP), move it to
+ * breakeven (BREAKEVEN_AT_R), take partial profits (SCALE_OUT_TARGETS), close before the
+ * bell (CLOSE_AT_END_OF_DAY) and close when the rules reverse (EXIT_ON_REVERSAL). Stop
+ * orders are updated to match and every change is notified. Exits only trade while the
+ * market is open and the kill switch is released; stops are managed either way.
+ * @param {Array<Object>} positions Broker positions
+ * @param {Object} options Options
+ * @param {Function} options.getTechnicals (symbol) => indicators, as the pipeline uses
+ * @param {Object} options.marketStatus Result of checkMarketStatus
+ * @param {string} [options.cycleId] Trading cycle the exits are journaled under
+ * @returns {Promise<Array<Object>>} Actions taken: { symbol, type, rule, success }
+ */
+async function manageExits(positions, { getTechnicals, marketStatus, cycleId = null }) {
+    await loadState();
+
+    const held = new Set(positions.map(position => position.symbol));
+    for (const symbol of Object.keys(state.positions)) {
+        if (!held.has(symbol)) {
+            delete state.positions[symbol];
+        }
+    }
+
+    const now = marketStatus.serverTime ? new Date(marketStatus.serverTime) : new Date();
+    const context = {
+        getTechnicals,
+        marketStatus,
+        cycleId,
+        minutesToClose: marketStatus.isOpen && marketStatus.nextClose
+            ? (new Date(marketStatus.nextClose) - now) / 60000
+            : null,
+        canTrade: marketStatus.isOpen && !await isKillSwitchActive()
+    };
+
+    const actions = [];
+    try {
+        for (const position of positions.filter(position => position.quantity !== 0)) {
+            try {
+                actions.push(...await managePosition(position, context));
+            } catch (error) {
+                logger.error('Error managing exits', { symbol: position.symbol, error });
+                await sendNotification({
+                    type: 'error',
+                    message: `Exit management error (${position.symbol}): ${error.message}`
+                });
+            }
+        }
+    } finally {
+        await saveState();
+    }
+    return actions;
+}
+
+module.exports = {
+    manageExits,
+    getManagedPositions
+};
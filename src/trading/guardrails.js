@@ -0,0 +1,281 @@
+const { getBroker } = require('../brokers');
+const { getTrades, calculateRealizedPnL } = require('../services/journal');
+const { sendNotification } = require('../services/telegram');
+const { getSection, saveState } = require('../services/state');
+const { toMarketDate, toMarketTime } = require('../utils/time');
+const logger = require('../utils/logger');
+
+const MAX_DAILY_LOSS_PERCENT = parseFloat(process.env.MAX_DAILY_LOSS_PERCENT) || 3; // % of yesterday's equity
+const MAX_GROSS_EXPOSURE_PERCENT = parseFloat(process.env.MAX_GROSS_EXPOSURE_PERCENT) || 100; // % of equity
+const MAX_OPEN_POSITIONS = parseInt(process.env.MAX_OPEN_POSITIONS) || 5;
+const MAX_TRADES_PER_DAY = parseInt(process.env.MAX_TRADES_PER_DAY) || 10;
+const MAX_CONSECUTIVE_LOSSES = parseInt(process.env.MAX_CONSECUTIVE_LOSSES) || 3;
+const LOSS_COOLDOWN_MINUTES = parseInt(process.env.LOSS_COOLDOWN_MINUTES) || 120;
+const LOSS_LOOKBACK_DAYS = 7; // How far back fills are matched to find the losing streak
+
+// Actions that take on new exposure; closing and reducing are always allowed
+// unless the kill switch is engaged
+const EXPOSURE_ACTIONS = ['open', 'add', 'reverse'];
+
+// Persisted across restarts: the kill switch, the day trading was halted, the guardrails
+// already alerted on (one Telegram alert per guardrail per day) and the latest counters
+let state = null;
+
+async function loadState() {
+    if (state) {
+        return state;
+    }
+
+    state = getSection('guardrails');
+    state.killSwitch = state.killSwitch || { active: false, reason: null, activatedAt: null };
+    state.dailyHalt = state.dailyHalt || null;
+    state.alerted = state.alerted || [];
+    return state;
+}
+
+/**
+ * Engage the kill switch. It survives restarts and blocks every trade until released.
+ * @param {string} [reason] Why trading was killed
+ * @returns {Promise<Object>} Kill switch state
+ */
+async function activateKillSwitch(reason = 'Kill switch engaged by operator') {
+    await loadState();
+    state.killSwitch = { active: true, reason, activatedAt: new Date() };
+    await saveState();
+    return state.killSwitch;
+}
+
+/**
+ * Release the kill switch
+ * @returns {Promise<Object>} Kill switch state
+ */
+async function releaseKillSwitch() {
+    await loadState();
+    state.killSwitch = { active: false, reason: null, activatedAt: null };
+    await saveState();
+    return state.killSwitch;
+}
+
+/**
+ * Whether the kill switch is engaged
+ * @returns {Promise<boolean>} Kill switch state
+ */
+async function isKillSwitchActive() {
+    await loadState();
+    return state.killSwitch.active;
+}
+
+/**
+ * Fills from the broker, oldest first, in the shape used by calculateRealizedPnL.
+ * Unlike the journal this includes stop-loss and take-profit legs.
+ * @param {Date} since Earliest order creation time
+ * @returns {Promise<Array<Object>>} Filled trades
+ */
+async function getFills(since) {
+    const orders = await getBroker().getOrders({ status: 'all', after: since, limit: 500 });
+
+    return orders
+        .flatMap(order => [order, ...(order.legs || [])])
+        .filter(order => order.filledQty > 0 && order.filledAt)
+        .map(order => ({
+            symbol: order.symbol,
+            side: order.side,
+            quantity: order.filledQty,
+            price: order.filledAvgPrice,
+            timestamp: new Date(order.filledAt)
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Current status of every guardrail
+ * @param {Object} [snapshot] Account and positions, fetched from the broker when omitted
+ * @returns {Promise<Object>} Guardrail status and the limits in force
+ */
+async function getGuardrailStatus(snapshot = {}) {
+    await loadState();
+
+    const broker = getBroker();
+    const now = broker.now ? broker.now() : new Date();
+    const today = toMarketDate(now);
+    const [account, positions] = await Promise.all([
+        snapshot.account || broker.getAccount(),
+        snapshot.positions || broker.getPositions()
+    ]);
+
+    const [tradesToday, fills] = await Promise.all([
+        getTrades({ since: toMarketTime(today, '00:00') }),
+        getFills(new Date(now.getTime() - LOSS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000))
+    ]);
+
+    // Equity against the previous close covers realized and unrealized P&L
+    const dailyPnL = account.equity - account.lastEquity;
+    const dailyLossPercent = account.lastEquity > 0 ? Math.max(0, -dailyPnL) / account.lastEquity * 100 : 0;
+    const grossExposure = positions.reduce((sum, position) => sum + Math.abs(position.marketValue), 0);
+
+    const { closes } = calculateRealizedPnL(fills);
+    let consecutiveLosses = 0;
+    for (let i = closes.length - 1; i >= 0 && closes[i].realized < 0; i--) {
+        consecutiveLosses++;
+    }
+    const lastClose = closes[closes.length - 1];
+    const cooldownUntil = consecutiveLosses >= MAX_CONSECUTIVE_LOSSES
+        ? new Date(lastClose.timestamp.getTime() + LOSS_COOLDOWN_MINUTES * 60 * 1000)
+        : null;
+
+    state.counters = {
+        date: today,
+        dailyLossPercent,
+        tradesToday: tradesToday.length,
+        consecutiveLosses,
+        cooldownUntil,
+        updatedAt: now
+    };
+
+    return {
+        killSwitch: { ...state.killSwitch },
+        dailyHalt: state.dailyHalt && state.dailyHalt.date === today ? { ...state.dailyHalt } : null,
+        today,
+        equity: account.equity,
+        dailyPnL,
+        dailyLossPercent,
+        grossExposure,
+        grossExposurePercent: account.equity > 0 ? grossExposure / account.equity * 100 : 0,
+        openPositions: positions.length,
+        tradesToday: tradesToday.length,
+        consecutiveLosses,
+        cooldownUntil: cooldownUntil && cooldownUntil > now ? cooldownUntil : null,
+        limits: {
+            maxDailyLossPercent: MAX_DAILY_LOSS_PERCENT,
+            maxGrossExposurePercent: MAX_GROSS_EXPOSURE_PERCENT,
+            maxOpenPositions: MAX_OPEN_POSITIONS,
+            maxTradesPerDay: MAX_TRADES_PER_DAY,
+            maxConsecutiveLosses: MAX_CONSECUTIVE_LOSSES,
+            lossCooldownMinutes: LOSS_COOLDOWN_MINUTES
+        }
+    };
+}
+
+/**
+ * Send one Telegram alert per guardrail per day
+ * @param {Object} block Blocking guardrail
+ * @param {string} today Market date
+ */
+async function alertGuardrail(block, today) {
+    await loadState();
+    const key = `${block.guardrail}:${today}`;
+    state.alerted = state.alerted.filter(alerted => alerted.endsWith(`:${today}`));
+    if (state.alerted.includes(key)) {
+        return;
+    }
+    state.alerted.push(key);
+    await saveState();
+
+    await sendNotification({
+        type: 'risk',
+        message: `Guardrail hit (${block.guardrail}): ${block.reason}`
+    });
+}
+
+/**
+ * Check a trade that already passed the per-trade rules against the account-level limits
+ * @param {Object} trade Proposed trade
+ * @param {string} trade.symbol Stock symbol
+ * @param {string} trade.positionAction open, add, reduce, close or reverse
+ * @param {number} [trade.estimatedCost] Value of the new exposure
+ * @param {Object} [snapshot] Account and positions, fetched from the broker when omitted
+ * @returns {Promise<Object>} { allowed, guardrail, reason, status }
+ */
+async function checkGuardrails(trade, snapshot = {}) {
+    const positions = snapshot.positions || await getBroker().getPositions();
+    const status = await getGuardrailStatus({ ...snapshot, positions });
+    const block = findBlock(trade, status, positions);
+
+    if (!block) {
+        return { allowed: true, status };
+    }
+
+    // A breached daily loss limit stops new trades for the rest of the day
+    if (block.guardrail === 'daily_loss' && !status.dailyHalt) {
+        state.dailyHalt = { date: status.today, reason: block.reason, haltedAt: new Date() };
+        await saveState();
+    }
+
+    await alertGuardrail(block, status.today);
+    logger.info(`Guardrail ${block.guardrail} blocked ${trade.positionAction} ${trade.symbol}: ${block.reason}`);
+
+    return { allowed: false, ...block, status };
+}
+
+/**
+ * Find the first guardrail that blocks a trade
+ * @param {Object} trade Proposed trade
+ * @param {Object} status Guardrail status
+ * @param {Array<Object>} positions Open positions
+ * @returns {Object|null} { guardrail, reason } or null when the trade is allowed
+ */
+function findBlock(trade, status, positions) {
+    const { limits } = status;
+
+    if (status.killSwitch.active) {
+        return { guardrail: 'kill_switch', reason: `Kill switch engaged: ${status.killSwitch.reason}` };
+    }
+
+    if (!EXPOSURE_ACTIONS.includes(trade.positionAction)) {
+        return null;
+    }
+
+    if (status.dailyHalt) {
+        return { guardrail: 'daily_loss', reason: `Trading halted for the day: ${status.dailyHalt.reason}` };
+    }
+
+    if (status.dailyLossPercent >= limits.maxDailyLossPercent) {
+        return {
+            guardrail: 'daily_loss',
+            reason: `Daily loss ${status.dailyLossPercent.toFixed(2)}% reached the limit of ${limits.maxDailyLossPercent}%`
+        };
+    }
+
+    if (status.tradesToday >= limits.maxTradesPerDay) {
+        return {
+            guardrail: 'max_trades',
+            reason: `${status.tradesToday} trades today reached the limit of ${limits.maxTradesPerDay}`
+        };
+    }
+
+    if (status.cooldownUntil) {
+        return {
+            guardrail: 'loss_cooldown',
+            reason: `${status.consecutiveLosses} consecutive losses; cooling down until ${status.cooldownUntil.toLocaleString()}`
+        };
+    }
+
+    const held = positions.find(position => position.symbol === trade.symbol);
+    if (trade.positionAction === 'open' && !held && status.openPositions >= limits.maxOpenPositions) {
+        return {
+            guardrail: 'max_positions',
+            reason: `${status.openPositions} open positions reached the limit of ${limits.maxOpenPositions}`
+        };
+    }
+
+    // A reversal releases the exposure of the position it closes
+    const released = trade.positionAction === 'reverse' && held ? Math.abs(held.marketValue) : 0;
+    const exposureAfter = status.grossExposure - released + (trade.estimatedCost || 0);
+    const exposurePercent = status.equity > 0 ? exposureAfter / status.equity * 100 : Infinity;
+    if (exposurePercent > limits.maxGrossExposurePercent) {
+        return {
+            guardrail: 'max_exposure',
+            reason: `Gross exposure would be ${exposurePercent.toFixed(1)}% of equity, above the limit of ${limits.maxGrossExposurePercent}%`
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    checkGuardrails,
+    getGuardrailStatus,
+    activateKillSwitch,
+    releaseKillSwitch,
+    isKillSwitchActive
+};
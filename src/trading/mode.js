@@ -0,0 +1,65 @@
+const logger = require('../utils/logger');
+
+// Whether orders reach a broker, and which account they reach:
+//   dry-run  decisions and orders are simulated against live quotes and never sent (shadow mode)
+//   paper    orders go to the broker's paper account
+//   live     orders go to the live account; needs CONFIRM_LIVE_TRADING=yes as well
+const TRADING_MODES = ['dry-run', 'paper', 'live'];
+const TRADING_MODE = (process.env.TRADING_MODE || 'paper').trim().toLowerCase();
+const CONFIRM_LIVE_TRADING = process.env.CONFIRM_LIVE_TRADING === 'yes';
+// Account a dry run reads clock, calendar and quotes from; nothing is ever sent to it
+const DRY_RUN_ACCOUNT = process.env.DRY_RUN_ACCOUNT === 'live' ? 'live' : 'paper';
+
+/**
+ * The configured trading mode, checked: an unknown mode, or live trading without its
+ * confirmation, is an error rather than a guess
+ * @returns {string} 'dry-run', 'paper' or 'live'
+ */
+function getTradingMode() {
+    if (!TRADING_MODES.includes(TRADING_MODE)) {
+        throw new Error(`Unknown TRADING_MODE "${process.env.TRADING_MODE}"; use one of ${TRADING_MODES.join(', ')}`);
+    }
+    if (TRADING_MODE === 'live' && !CONFIRM_LIVE_TRADING) {
+        throw new Error('TRADING_MODE=live trades real money and also needs CONFIRM_LIVE_TRADING=yes');
+    }
+    return TRADING_MODE;
+}
+
+function isDryRun() {
+    return getTradingMode() === 'dry-run';
+}
+
+/**
+ * Whether broker clients should connect to the paper endpoint
+ * @returns {boolean} False only for live trading and dry runs on the live account
+ */
+function usesPaperAccount() {
+    const mode = getTradingMode();
+    return mode === 'paper' || (mode === 'dry-run' && DRY_RUN_ACCOUNT === 'paper');
+}
+
+/**
+ * Check the trading mode at startup and describe it
+ * @returns {Object} { mode, description }
+ */
+function checkTradingMode() {
+    const mode = getTradingMode();
+    if (process.env.ALPACA_PAPER_TRADING !== undefined) {
+        logger.warn('ALPACA_PAPER_TRADING is no longer read; TRADING_MODE decides between dry-run, paper and live');
+    }
+
+    const descriptions = {
+        'dry-run': `DRY RUN: orders are simulated against ${DRY_RUN_ACCOUNT} account quotes and never sent`,
+        paper: 'PAPER: orders go to the paper account',
+        live: 'LIVE: orders go to the live account and trade real money'
+    };
+    return { mode, description: descriptions[mode] };
+}
+
+module.exports = {
+    TRADING_MODES,
+    getTradingMode,
+    isDryRun,
+    usesPaperAccount,
+    checkTradingMode
+};
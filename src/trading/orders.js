@@ -0,0 +1,125 @@
+const { getBroker } = require('../brokers');
+const metrics = require('../services/metrics');
+const logger = require('../utils/logger');
+
+const TERMINAL_STATUSES = ['filled', 'canceled', 'expired', 'rejected', 'done_for_day'];
+const ORDER_POLL_INTERVAL_MS = parseInt(process.env.ORDER_POLL_INTERVAL_MS) || 1000;
+const ORDER_FILL_TIMEOUT_MS = (parseInt(process.env.ORDER_FILL_TIMEOUT_SECONDS) || 60) * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Follow an order until it reaches a final state by polling the broker.
+ * If it is still working when the timeout passes it can be cancelled, so the
+ * caller always ends up with a settled order (possibly partially filled).
+ * @param {string} orderId Order id
+ * @param {Object} [options] Tracking options
+ * @param {number} [options.timeoutMs] How long to wait for a final state
+ * @param {number} [options.pollIntervalMs] Delay between polls
+ * @param {boolean} [options.cancelOnTimeout] Cancel the unfilled remainder when the timeout passes
+ * @param {Function} [options.onUpdate] Called with the order whenever its status or filled quantity changes
+ * @returns {Promise<Object>} Settlement summary
+ */
+async function trackOrder(orderId, options = {}) {
+    const {
+        timeoutMs = ORDER_FILL_TIMEOUT_MS,
+        pollIntervalMs = ORDER_POLL_INTERVAL_MS,
+        cancelOnTimeout = false,
+        onUpdate
+    } = options;
+
+    const broker = getBroker();
+    const deadline = Date.now() + timeoutMs;
+    let order = await broker.getOrder(orderId);
+    let lastSeen = null;
+
+    while (true) {
+        const seen = `${order.status}:${order.filledQty}`;
+        if (seen !== lastSeen) {
+            lastSeen = seen;
+            if (onUpdate) {
+                onUpdate(order);
+            }
+        }
+
+        if (TERMINAL_STATUSES.includes(order.status)) {
+            return recordSettlement(summarizeOrder(order, false));
+        }
+
+        if (Date.now() >= deadline) {
+            break;
+        }
+
+        await sleep(pollIntervalMs);
+        order = await broker.getOrder(orderId);
+    }
+
+    if (!cancelOnTimeout) {
+        return recordSettlement(summarizeOrder(order, true));
+    }
+
+    // Cancel the remainder and wait briefly for the broker to confirm it
+    try {
+        await broker.cancelOrder(orderId);
+    } catch (error) {
+        logger.error(`Error cancelling order ${orderId} after timeout`, { error });
+    }
+
+    const cancelDeadline = Date.now() + Math.min(timeoutMs, 10000);
+    order = await broker.getOrder(orderId);
+    while (!TERMINAL_STATUSES.includes(order.status) && Date.now() < cancelDeadline) {
+        await sleep(pollIntervalMs);
+        order = await broker.getOrder(orderId);
+    }
+
+    return recordSettlement(summarizeOrder(order, true));
+}
+
+/**
+ * Count where a tracked order ended up
+ * @param {Object} settlement Settlement summary
+ * @returns {Object} The same summary
+ */
+function recordSettlement(settlement) {
+    const { order, isFinal, isPartial } = settlement;
+    const outcome = !isFinal ? 'working' : isPartial ? 'partial' : order.status;
+    metrics.ordersSettled.inc({ side: order.side, type: order.type, status: outcome });
+    return settlement;
+}
+
+/**
+ * Track several orders at once
+ * @param {Array<string>} orderIds Order ids
+ * @param {Object} [options] Same options as trackOrder
+ * @returns {Promise<Array<Object>>} Settlement summaries in the same order
+ */
+async function trackOrders(orderIds, options = {}) {
+    return Promise.all(orderIds.filter(Boolean).map(orderId => trackOrder(orderId, options)));
+}
+
+/**
+ * Describe where an order ended up
+ * @param {Object} order Broker order
+ * @param {boolean} timedOut Whether tracking stopped at the timeout
+ * @returns {Object} Settlement summary
+ */
+function summarizeOrder(order, timedOut) {
+    const filledQty = order.filledQty || 0;
+    return {
+        order,
+        orderId: order.id,
+        status: order.status,
+        isFinal: TERMINAL_STATUSES.includes(order.status),
+        timedOut,
+        filledQty,
+        filledAvgPrice: filledQty > 0 ? order.filledAvgPrice : null,
+        isPartial: filledQty > 0 && filledQty < order.qty
+    };
+}
+
+module.exports = {
+    TERMINAL_STATUSES,
+    trackOrder,
+    trackOrders,
+    summarizeOrder
+};
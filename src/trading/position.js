@@ -0,0 +1,60 @@
+const ALLOW_SHORTING = process.env.ALLOW_SHORTING === 'true';
+
+const POSITION_ACTIONS = ['open', 'add', 'reduce', 'close', 'reverse', 'none'];
+const DEFAULT_REDUCE_PERCENT = 50;
+
+/**
+ * Work out what a buy/sell/hold decision means for the position we already hold.
+ * With no position a buy opens a long and a sell opens a short (only if shorting is
+ * enabled). A signal on the same side as the position adds to it; a signal on the
+ * opposite side closes it, or reduces / reverses it when the decision asks for that.
+ * @param {Object} decision Trading decision with action and optional positionAction/reducePercent
+ * @param {Object|null} position Current position for the symbol (signed quantity), or null
+ * @param {Object} [options] Options
+ * @param {boolean} [options.allowShort] Whether new short exposure may be opened
+ * @returns {Object} { positionAction, side, reducePercent, error }
+ */
+function resolvePositionAction(decision, position, { allowShort = ALLOW_SHORTING } = {}) {
+    const held = position ? position.quantity : 0;
+    const requested = decision.positionAction && decision.positionAction !== 'none' ? decision.positionAction : null;
+
+    if (decision.action === 'hold') {
+        return { positionAction: 'none', side: null };
+    }
+
+    const side = decision.action === 'buy' ? 'buy' : 'sell';
+    const direction = side === 'buy' ? 1 : -1;
+    let resolved;
+
+    if (held === 0) {
+        resolved = 'open';
+    } else if (Math.sign(held) === direction) {
+        resolved = 'add';
+    } else if (requested === 'reduce' || requested === 'reverse') {
+        resolved = requested;
+    } else {
+        resolved = 'close';
+    }
+
+    const result = {
+        positionAction: resolved,
+        side,
+        reducePercent: resolved === 'reduce' ? (decision.reducePercent || DEFAULT_REDUCE_PERCENT) : null
+    };
+
+    const holding = held === 0 ? 'no position' : `${held > 0 ? 'long' : 'short'} ${Math.abs(held)} shares`;
+
+    if (requested && requested !== resolved) {
+        result.error = `positionAction ${requested} does not match a ${side} with ${holding} (expected ${resolved})`;
+    } else if (side === 'sell' && !allowShort && (resolved === 'open' || resolved === 'add' || resolved === 'reverse')) {
+        result.error = `Cannot ${resolved === 'reverse' ? 'reverse into' : resolved} a short position with ${holding}: shorting is disabled`;
+    }
+
+    return result;
+}
+
+module.exports = {
+    ALLOW_SHORTING,
+    POSITION_ACTIONS,
+    resolvePositionAction
+};
@@ -0,0 +1,177 @@
+const { getBroker } = require('../brokers');
+const { TERMINAL_STATUSES } = require('./orders');
+const { cancelOrders } = require('./executor');
+const { getManagedPositions } = require('./exits');
+const { getTradingMode } = require('./mode');
+const { getSection, saveState, getSavedAt } = require('../services/state');
+const { sendNotification } = require('../services/telegram');
+const logger = require('../utils/logger');
+
+const RECONCILE_CANCEL_ORPHANED_STOPS = process.env.RECONCILE_CANCEL_ORPHANED_STOPS === 'true';
+
+const isStop = order => order.type === 'stop' || order.type === 'stop_limit';
+
+/**
+ * Working orders with their legs flattened, leaving out legs held for entries that
+ * have not filled yet
+ * @param {Array<Object>} orders Open orders with nested legs
+ * @returns {Array<Object>} Working orders
+ */
+function workingOrders(orders) {
+    return orders
+        .flatMap(order => [order, ...(order.legs || [])])
+        .filter(order => order.status !== 'held' && !TERMINAL_STATUSES.includes(order.status));
+}
+
+function describeOrder(order) {
+    return {
+        id: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        qty: order.qty,
+        limitPrice: order.limitPrice,
+        stopPrice: order.stopPrice,
+        status: order.status
+    };
+}
+
+/**
+ * Remember the orders working at the broker, so the next start can tell what
+ * happened to them while the bot was down
+ * @param {Array<Object>} [orders] Open orders with nested legs (fetched when omitted)
+ * @returns {Promise<Array<Object>>} Orders saved
+ */
+async function recordOpenOrders(orders) {
+    const open = orders || await getBroker().getOrders({ status: 'open' });
+    const saved = getSection('orders');
+    saved.open = workingOrders(open).map(describeOrder);
+    saved.updatedAt = new Date();
+    await saveState();
+    return saved.open;
+}
+
+/**
+ * Check every position's protection: positions whose stops cover fewer shares than
+ * are held, and stops on the side that would open or grow a position rather than
+ * close one
+ * @param {Array<Object>} positions Broker positions (signed quantity)
+ * @param {Array<Object>} working Working orders
+ * @returns {Object} { missingStops, orphanedStops }
+ */
+function checkStops(positions, working) {
+    const held = Object.fromEntries(positions.map(position => [position.symbol, position.quantity]));
+    const stops = working.filter(isStop);
+
+    const missingStops = positions
+        .filter(position => position.quantity !== 0)
+        .map(position => {
+            const exitSide = position.quantity > 0 ? 'sell' : 'buy';
+            const covered = stops
+                .filter(order => order.symbol === position.symbol && order.side === exitSide)
+                .reduce((sum, order) => sum + order.qty, 0);
+            return { symbol: position.symbol, quantity: position.quantity, covered };
+        })
+        .filter(check => check.covered < Math.abs(check.quantity));
+
+    const orphanedStops = stops
+        .filter(order => {
+            const quantity = held[order.symbol] || 0;
+            return quantity === 0 || (quantity > 0) === (order.side === 'buy');
+        })
+        .map(describeOrder);
+
+    return { missingStops, orphanedStops };
+}
+
+/**
+ * Reconcile the saved state with the broker after a start: report the orders that
+ * settled and the managed positions that closed while the bot was down, and flag
+ * positions without a full stop and stops without a position. Orphaned stops are
+ * cancelled with RECONCILE_CANCEL_ORPHANED_STOPS=true; otherwise they are only reported.
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcileState() {
+    const broker = getBroker();
+    const savedAt = getSavedAt();
+    const [positions, openOrders] = await Promise.all([
+        broker.getPositions(),
+        broker.getOrders({ status: 'open' })
+    ]);
+    const working = workingOrders(openOrders);
+    const workingIds = new Set(working.map(order => order.id));
+
+    // Orders we left working that are not any more
+    const known = getSection('orders').open || [];
+    const settledOrders = [];
+    for (const order of known.filter(order => !workingIds.has(order.id))) {
+        try {
+            const current = await broker.getOrder(order.id);
+            settledOrders.push({ ...order, status: current.status, filledQty: current.filledQty, filledAvgPrice: current.filledAvgPrice });
+        } catch (error) {
+            settledOrders.push({ ...order, status: 'unknown', error: error.message });
+        }
+    }
+
+    const knownIds = new Set(known.map(order => order.id));
+    const newOrders = savedAt ? working.filter(order => !knownIds.has(order.id)).map(describeOrder) : [];
+
+    const held = new Set(positions.map(position => position.symbol));
+    const managed = await getManagedPositions();
+    const closedPositions = Object.keys(managed).filter(symbol => !held.has(symbol));
+
+    const { missingStops, orphanedStops } = checkStops(positions, working);
+    let cancelled = [];
+    if (RECONCILE_CANCEL_ORPHANED_STOPS && orphanedStops.length > 0) {
+        ({ cancelled } = await cancelOrders(orphanedStops.map(order => order.id)));
+    }
+
+    await recordOpenOrders(openOrders.filter(order => !cancelled.includes(order.id)));
+
+    const report = {
+        savedAt,
+        positions: positions.length,
+        openOrders: working.length,
+        settledOrders,
+        newOrders,
+        closedPositions,
+        missingStops,
+        orphanedStops,
+        cancelledOrderIds: cancelled
+    };
+
+    const lines = [];
+    for (const order of settledOrders) {
+        lines.push(`${order.symbol} ${order.side} ${order.type} order ${order.status}${order.filledQty ? ` (${order.filledQty} @ $${order.filledAvgPrice})` : ''}`);
+    }
+    if (newOrders.length > 0) {
+        lines.push(`${newOrders.length} working orders placed outside the bot: ${newOrders.map(order => `${order.symbol} ${order.side} ${order.type}`).join(', ')}`);
+    }
+    for (const symbol of closedPositions) {
+        lines.push(`${symbol} position closed while the bot was down`);
+    }
+    for (const check of missingStops) {
+        lines.push(`MISSING STOP: ${check.symbol} holds ${check.quantity}, stops cover ${check.covered}`);
+    }
+    for (const order of orphanedStops) {
+        lines.push(`ORPHANED STOP: ${order.symbol} ${order.side} ${order.qty} @ $${order.stopPrice}${cancelled.includes(order.id) ? ' (cancelled)' : ''}`);
+    }
+
+    const since = savedAt ? `since ${savedAt.toLocaleString()}` : 'with no saved state';
+    logger.info(`Reconciled ${positions.length} positions and ${working.length} open orders ${since}`, { report: lines });
+
+    await sendNotification({
+        type: missingStops.length > 0 || orphanedStops.length > 0 ? 'warning' : 'system',
+        message: [
+            `Started in ${getTradingMode()} mode ${since}: ${positions.length} positions, ${working.length} open orders`,
+            ...lines
+        ].join('\n')
+    });
+
+    return report;
+}
+
+module.exports = {
+    reconcileState,
+    recordOpenOrders
+};
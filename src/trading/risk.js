@@ -1,67 +1,167 @@
-const Alpaca = require('@alpacahq/alpaca-trade-api');
-
-const alpaca = new Alpaca({
-    keyId: process.env.ALPACA_API_KEY,
-    secretKey: process.env.ALPACA_API_SECRET,
-    paper: process.env.ALPACA_PAPER_TRADING === 'true',
-    usePolygon: false
-});
+const { getBroker } = require('../brokers');
+const { resolvePositionAction } = require('./position');
+const { checkGuardrails } = require('./guardrails');
+const logger = require('../utils/logger');
 
 const RISK_PERCENTAGE = parseFloat(process.env.RISK_PERCENTAGE) || 1; // Default 1% risk per trade
 const MIN_RISK_REWARD_RATIO = 2; // Minimum 2:1 reward-to-risk ratio
 const MIN_POSITION_SIZE = 1; // Minimum number of shares to trade
+const MAX_POSITION_PERCENT = parseFloat(process.env.MAX_POSITION_PERCENT) || 20; // Max size of one symbol, % of portfolio
+const SIZING_MODES = ['risk', 'atr', 'volatility', 'kelly'];
+const SIZING_MODE = SIZING_MODES.includes(process.env.SIZING_MODE) ? process.env.SIZING_MODE : 'risk';
+const ATR_STOP_MULTIPLE = parseFloat(process.env.ATR_STOP_MULTIPLE) || 2; // Default stop distance in ATRs
+const DEFAULT_STOP_PERCENT = 2; // Stop distance when no ATR is available
+const TARGET_VOLATILITY_PERCENT = parseFloat(process.env.TARGET_VOLATILITY_PERCENT) || 0.5; // Equity moved by a 1-ATR move
+const KELLY_FRACTION = parseFloat(process.env.KELLY_FRACTION) || 0.25; // Share of the full Kelly bet
+const KELLY_MAX_RISK_PERCENT = parseFloat(process.env.KELLY_MAX_RISK_PERCENT) || 3; // Cap on the risk Kelly may take
+const FRACTIONAL_SHARES = process.env.FRACTIONAL_SHARES === 'true';
+const FRACTIONAL_DECIMALS = 3; // Precision of fractional quantities
+const MIN_FRACTIONAL_SIZE = 0.001;
+// Win probability assumed for Kelly sizing when the decision only gives a confidence label
+const CONFIDENCE_WIN_PROBABILITY = { high: 0.6, medium: 0.5, low: 0.4 };
+
+/**
+ * Round a share quantity down to what can be traded
+ * @param {number} quantity Raw quantity
+ * @param {boolean} [fractional] Whether fractional shares are allowed
+ * @returns {number} Tradable quantity
+ */
+function roundQuantity(quantity, fractional = FRACTIONAL_SHARES) {
+    if (!fractional) {
+        return Math.floor(quantity);
+    }
+    const factor = 10 ** FRACTIONAL_DECIMALS;
+    // Nudge before flooring so 0.3 / 0.1-style float noise does not lose a step
+    return Math.floor(quantity * factor + 1e-6) / factor;
+}
+
+/**
+ * Default stop-loss and price target when the decision leaves them out: the stop sits
+ * ATR_STOP_MULTIPLE ATRs from entry (DEFAULT_STOP_PERCENT without an ATR) and the target
+ * MIN_RISK_REWARD_RATIO times that distance on the other side
+ * @param {string} side 'buy' or 'sell'
+ * @param {number} entryPrice Expected entry price
+ * @param {Object} [technicals] Indicators with atr
+ * @returns {Object} { stopLoss, priceTarget, stopDistance }
+ */
+function defaultLevels(side, entryPrice, technicals = {}) {
+    const stopDistance = technicals.atr
+        ? technicals.atr * ATR_STOP_MULTIPLE
+        : entryPrice * DEFAULT_STOP_PERCENT / 100;
+    const direction = side === 'buy' ? 1 : -1;
+    return {
+        stopLoss: entryPrice - direction * stopDistance,
+        priceTarget: entryPrice + direction * stopDistance * MIN_RISK_REWARD_RATIO,
+        stopDistance
+    };
+}
+
+/**
+ * Win probability implied by a decision's confidence
+ * @param {string|number} confidence 'high', 'medium', 'low' or a probability
+ * @returns {number|null} Probability between 0 and 1
+ */
+function winProbability(confidence) {
+    if (typeof confidence === 'number') {
+        return confidence >= 0 && confidence <= 1 ? confidence : null;
+    }
+    return CONFIDENCE_WIN_PROBABILITY[confidence] || null;
+}
+
+/**
+ * Fraction of equity to risk according to fractional Kelly
+ * @param {number} winProbability Probability the trade reaches its target (0-1)
+ * @param {number} payoffRatio Reward/risk ratio of the trade
+ * @returns {number} Fraction of equity to risk, 0 when there is no edge
+ */
+function kellyRiskFraction(winProbability, payoffRatio) {
+    if (!(winProbability > 0) || !(payoffRatio > 0)) {
+        return 0;
+    }
+    const fullKelly = winProbability - (1 - winProbability) / payoffRatio;
+    return Math.min(Math.max(0, fullKelly * KELLY_FRACTION), KELLY_MAX_RISK_PERCENT / 100);
+}
 
 /**
- * Calculate position size based on risk parameters
+ * Calculate position size based on risk parameters. The sizing mode decides how much
+ * to put on: 'risk' and 'atr' risk RISK_PERCENTAGE of the portfolio between entry and
+ * stop, 'volatility' sizes so a one-ATR move is TARGET_VOLATILITY_PERCENT of the
+ * portfolio, and 'kelly' risks the fractional Kelly share for the win probability.
  * @param {Object} params Trade parameters
+ * @param {number} params.entryPrice Expected entry price
+ * @param {number} params.stopLoss Stop-loss price
+ * @param {number} [params.priceTarget] Take-profit price (kelly)
+ * @param {string} [params.sizingMode] Overrides SIZING_MODE
+ * @param {number} [params.atr] Average true range (volatility)
+ * @param {number} [params.winProbability] Probability of reaching the target (kelly)
+ * @param {boolean} [params.fractional] Overrides FRACTIONAL_SHARES
  * @param {Object} account Account information
  * @returns {Promise<number>} Position size
  */
 async function calculatePositionSize(params, account) {
     try {
-        const portfolioValue = parseFloat(account.portfolio_value);
-        const buyingPower = parseFloat(account.buying_power);
-        
-        // Add logging to debug values
-        console.log('Portfolio Value:', portfolioValue);
-        console.log('Buying Power:', buyingPower);
-        console.log('Entry Price:', params.entryPrice);
-        console.log('Stop Loss:', params.stopLoss);
+        const portfolioValue = account.portfolioValue;
+        // Buying power already committed by earlier trades in the same cycle is not available
+        const buyingPower = Math.max(0, account.buyingPower - (params.committedBuyingPower || 0));
+
+        logger.debug('Sizing position', {
+            portfolioValue,
+            buyingPower,
+            entryPrice: params.entryPrice,
+            stopLoss: params.stopLoss
+        });
 
         // Ensure we have valid numbers
         if (!params.entryPrice || !params.stopLoss) {
-            console.error('Missing entry price or stop loss for position sizing');
+            logger.error('Missing entry price or stop loss for position sizing');
             return 0;
         }
 
-        const maxRiskAmount = portfolioValue * (RISK_PERCENTAGE / 100);
+        const sizingMode = params.sizingMode || SIZING_MODE;
+        const fractional = params.fractional !== undefined ? params.fractional : FRACTIONAL_SHARES;
+        const minSize = fractional ? MIN_FRACTIONAL_SIZE : MIN_POSITION_SIZE;
         const riskPerShare = Math.abs(params.entryPrice - params.stopLoss);
         
         // Ensure we're not dividing by zero
         if (riskPerShare === 0) {
-            console.error('Risk per share cannot be zero');
+            logger.error('Risk per share cannot be zero');
             return 0;
         }
 
-        let shares = Math.floor(maxRiskAmount / riskPerShare);
+        let rawShares;
+        if (sizingMode === 'volatility' && params.atr) {
+            rawShares = portfolioValue * (TARGET_VOLATILITY_PERCENT / 100) / params.atr;
+        } else if (sizingMode === 'kelly') {
+            const payoffRatio = Math.abs(params.priceTarget - params.entryPrice) / riskPerShare;
+            const riskFraction = kellyRiskFraction(params.winProbability, payoffRatio);
+            logger.debug('Kelly risk fraction', { riskFraction });
+            if (riskFraction === 0) {
+                return 0;
+            }
+            rawShares = portfolioValue * riskFraction / riskPerShare;
+        } else {
+            rawShares = portfolioValue * (RISK_PERCENTAGE / 100) / riskPerShare;
+        }
+
+        let shares = roundQuantity(rawShares, fractional);
         
         // Calculate maximum shares based on buying power
-        const maxSharesByBuyingPower = Math.floor(buyingPower / params.entryPrice);
+        const maxSharesByBuyingPower = roundQuantity(buyingPower / params.entryPrice, fractional);
         
         // Take the smaller of the two values
         shares = Math.min(shares, maxSharesByBuyingPower);
         
         // Ensure minimum position size
-        if (shares < MIN_POSITION_SIZE) {
-            if (MIN_POSITION_SIZE * params.entryPrice <= buyingPower) {
-                return MIN_POSITION_SIZE;
+        if (shares < minSize) {
+            if (!fractional && minSize * params.entryPrice <= buyingPower) {
+                return minSize;
             }
             return 0;
         }
         
         return shares;
     } catch (error) {
-        console.error('Error calculating position size:', error);
+        logger.error('Error calculating position size', { error });
         return 0;
     }
 }
@@ -85,23 +185,30 @@ function calculateRiskRewardRatio(params) {
  */
 async function checkMarginRequirements(params) {
     try {
-        const account = await alpaca.getAccount();
-        const buying_power = parseFloat(account.buying_power);
+        const account = await getBroker().getAccount();
+        const buying_power = account.buyingPower;
         const total_cost = params.quantity * params.entryPrice;
         
         return total_cost <= buying_power;
     } catch (error) {
-        console.error('Error checking margin requirements:', error);
+        logger.error('Error checking margin requirements', { error });
         return false;
     }
 }
 
 /**
- * Validate trade against risk management rules
+ * Validate trade against risk management rules: the per-trade sizing and reward/risk
+ * rules first, then the account-level guardrails (kill switch, daily loss, exposure,
+ * open positions, trades per day and the losing-streak cool-down)
  * @param {Object} decision Trading decision
- * @returns {Promise<Object>} Validation result
+ * @param {Object} [options] Validation options
+ * @param {number} [options.committedBuyingPower] Buying power already committed earlier in the cycle
+ * @param {Object|null} [options.position] Current position in the symbol
+ * @param {Object} [options.technicals] Indicators (atr) used for default stops and sizing
+ * @returns {Promise<Object>} Validation result; a rejection names its `rule` (e.g. 'risk_reward',
+ * 'max_position' or a guardrail such as 'daily_loss')
  */
-async function validateRisk(decision) {
+async function validateRisk(decision, options = {}) {
     try {
         if (!decision.symbol) {
             throw new Error('Stock symbol is required for risk validation');
@@ -115,35 +222,176 @@ async function validateRisk(decision) {
         }
 
         // Get current price and account info
-        const [quote, account] = await Promise.all([
-            alpaca.getLatestQuote(decision.symbol),
-            alpaca.getAccount()
+        const broker = getBroker();
+        const [quote, account, positions] = await Promise.all([
+            broker.getLatestQuote(decision.symbol),
+            broker.getAccount(),
+            broker.getPositions()
         ]);
-        
-        const currentPrice = parseFloat(quote.askprice);
 
-        // Ensure we have a valid stop loss
-        const stopLoss = decision.stopLoss || currentPrice * 0.98; // Default 2% stop loss
-        const priceTarget = decision.priceTarget || currentPrice * 1.04; // Default 4% target
+        const result = await evaluateTrade(decision, {
+            currentPrice: quote.askPrice,
+            account,
+            committedBuyingPower: options.committedBuyingPower,
+            position: options.position,
+            technicals: options.technicals
+        });
+
+        if (!result.isValid) {
+            return result;
+        }
+
+        const guardrails = await checkGuardrails({
+            symbol: decision.symbol,
+            positionAction: result.positionAction,
+            estimatedCost: result.details.estimatedCost
+        }, { account, positions });
+
+        if (!guardrails.allowed) {
+            return {
+                isValid: false,
+                reason: guardrails.reason,
+                rule: guardrails.guardrail,
+                guardrail: guardrails.guardrail,
+                details: { ...result.details, positionAction: result.positionAction }
+            };
+        }
+
+        return result;
+
+    } catch (error) {
+        logger.error('Error validating risk', { error });
+        return {
+            isValid: false,
+            reason: `Risk validation error: ${error.message}`,
+            rule: 'error'
+        };
+    }
+}
+
+/**
+ * Apply the sizing and reward/risk rules to a decision at a known price
+ * @param {Object} decision Trading decision
+ * @param {Object} market Pricing and account snapshot
+ * @param {number} market.currentPrice Expected entry price
+ * @param {Object} market.account Account information from the broker
+ * @param {number} [market.committedBuyingPower] Buying power already committed earlier in the cycle
+ * @param {Object|null} [market.position] Current position in the symbol (signed quantity)
+ * @param {boolean} [market.allowShort] Override the ALLOW_SHORTING setting (e.g. in backtests)
+ * @param {Object} [market.technicals] Indicators (atr) used for default stops and sizing
+ * @param {string} [market.sizingMode] Override the SIZING_MODE setting
+ * @param {boolean} [market.fractional] Override the FRACTIONAL_SHARES setting
+ * @returns {Promise<Object>} Validation result
+ */
+async function evaluateTrade(decision, {
+    currentPrice,
+    account,
+    committedBuyingPower = 0,
+    position = null,
+    allowShort,
+    technicals = {},
+    sizingMode = SIZING_MODE,
+    fractional = FRACTIONAL_SHARES
+}) {
+    try {
+        if (decision.action === 'hold') {
+            return {
+                isValid: true,
+                reason: 'Hold position - no risk check needed'
+            };
+        }
+
+        const { positionAction, reducePercent, error } = resolvePositionAction(decision, position, { allowShort });
+        if (error) {
+            return {
+                isValid: false,
+                reason: error,
+                rule: 'position_action',
+                details: { positionAction, positionQuantity: position ? position.quantity : 0 }
+            };
+        }
+
+        const heldQuantity = position ? Math.abs(position.quantity) : 0;
+
+        // Closing or reducing only sells what we hold; no new risk is taken on
+        if (positionAction === 'close' || positionAction === 'reduce') {
+            const quantity = positionAction === 'close'
+                ? heldQuantity
+                : Math.min(heldQuantity, Math.max(
+                    fractional ? MIN_FRACTIONAL_SIZE : MIN_POSITION_SIZE,
+                    roundQuantity(heldQuantity * reducePercent / 100, fractional)
+                ));
+            return {
+                isValid: true,
+                positionAction,
+                quantity,
+                details: {
+                    entryPrice: currentPrice,
+                    positionQuantity: position.quantity,
+                    estimatedCost: 0
+                }
+            };
+        }
+
+        const availableFunds = Math.max(0, account.buyingPower - committedBuyingPower);
+
+        // Missing levels default to a volatility-scaled stop and a target at the minimum
+        // reward/risk. The 'atr' sizing mode always uses the ATR stop and keeps the
+        // decision's target only if it is still far enough away for that stop.
+        const defaults = defaultLevels(decision.action, currentPrice, technicals);
+        const useATRStop = sizingMode === 'atr' && technicals.atr;
+        const stopLoss = useATRStop ? defaults.stopLoss : decision.stopLoss || defaults.stopLoss;
+        const targetTooClose = useATRStop && decision.priceTarget &&
+            Math.abs(decision.priceTarget - currentPrice) < defaults.stopDistance * MIN_RISK_REWARD_RATIO;
+        const priceTarget = targetTooClose ? defaults.priceTarget : decision.priceTarget || defaults.priceTarget;
 
         const tradeParams = {
             entryPrice: currentPrice,
             stopLoss: stopLoss,
-            priceTarget: priceTarget
+            priceTarget: priceTarget,
+            committedBuyingPower,
+            sizingMode,
+            atr: technicals.atr,
+            winProbability: winProbability(decision.confidence),
+            fractional
         };
 
         // Calculate position size
-        const quantity = await calculatePositionSize(tradeParams, account);
+        let quantity = await calculatePositionSize(tradeParams, account);
+
+        // Cap the position in this symbol; adding counts what is already held
+        const maxPositionValue = account.portfolioValue * (MAX_POSITION_PERCENT / 100);
+        const existingValue = positionAction === 'add' ? heldQuantity * currentPrice : 0;
+        const maxAdditionalShares = roundQuantity((maxPositionValue - existingValue) / currentPrice, fractional);
+
+        if (maxAdditionalShares < (fractional ? MIN_FRACTIONAL_SIZE : MIN_POSITION_SIZE)) {
+            return {
+                isValid: false,
+                reason: `Position in ${decision.symbol} already at the maximum of ${MAX_POSITION_PERCENT}% of portfolio`,
+                rule: 'max_position',
+                details: {
+                    positionAction,
+                    positionQuantity: position ? position.quantity : 0,
+                    maxPositionValue
+                }
+            };
+        }
+        quantity = Math.min(quantity, maxAdditionalShares);
         
         if (!quantity || quantity === 0) {
             return {
                 isValid: false,
-                reason: 'Could not calculate valid position size',
+                reason: sizingMode === 'kelly'
+                    ? `No position: fractional Kelly sees no edge at confidence ${decision.confidence}`
+                    : 'Could not calculate valid position size',
+                rule: 'position_size',
                 details: {
+                    sizingMode,
                     currentPrice,
                     stopLoss,
                     priceTarget,
-                    buyingPower: parseFloat(account.buying_power)
+                    buyingPower: availableFunds,
+                    committedBuyingPower
                 }
             };
         }
@@ -151,37 +399,50 @@ async function validateRisk(decision) {
         // Calculate risk-reward ratio
         const riskRewardRatio = Math.abs(priceTarget - currentPrice) / Math.abs(currentPrice - stopLoss);
 
-        if (riskRewardRatio < MIN_RISK_REWARD_RATIO) {
+        // Tolerance so default levels placed at exactly the minimum are not lost to rounding
+        if (riskRewardRatio < MIN_RISK_REWARD_RATIO - 1e-9) {
             return {
                 isValid: false,
                 reason: `Risk-reward ratio ${riskRewardRatio.toFixed(2)} below minimum ${MIN_RISK_REWARD_RATIO}`,
+                rule: 'risk_reward',
                 details: { riskRewardRatio }
             };
         }
 
         return {
             isValid: true,
+            positionAction,
             quantity,
+            // A reversal first closes what is held, then opens `quantity` on the other side
+            closeQuantity: positionAction === 'reverse' ? heldQuantity : 0,
             riskRewardRatio,
             maxRisk: RISK_PERCENTAGE,
+            sizingMode,
             details: {
                 entryPrice: currentPrice,
                 stopLoss: stopLoss,
                 priceTarget: priceTarget,
                 estimatedCost: quantity * currentPrice,
-                availableFunds: parseFloat(account.buying_power)
+                availableFunds,
+                committedBuyingPower
             }
         };
 
     } catch (error) {
-        console.error('Error validating risk:', error);
+        logger.error('Error evaluating trade', { error });
         return {
             isValid: false,
-            reason: `Risk validation error: ${error.message}`
+            reason: `Risk validation error: ${error.message}`,
+            rule: 'error'
         };
     }
 }
 
 module.exports = {
-    validateRisk
+    MIN_RISK_REWARD_RATIO,
+    validateRisk,
+    evaluateTrade,
+    calculatePositionSize,
+    defaultLevels,
+    roundQuantity
 }; 
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { toMarketDate, toMarketTime } = require('./time');
+
+const SESSION_CLOSE = '16:00'; // Daily bars end at the regular close
+
+const TIMEFRAME_UNITS = {
+    Min: 60 * 1000,
+    Hour: 60 * 60 * 1000,
+    Day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a timeframe such as '5Min', '1Hour' or '1Day'
+ * @param {string} timeframe Timeframe name
+ * @returns {Object} { amount, unit, milliseconds }
+ */
+function parseTimeframe(timeframe) {
+    const match = /^(\d+)(Min|Hour|Day)$/.exec(timeframe);
+    if (!match) {
+        throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+    const amount = parseInt(match[1]);
+    return { amount, unit: match[2], milliseconds: amount * TIMEFRAME_UNITS[match[2]] };
+}
+
+/**
+ * Key of the bucket a bar falls into: the market date for daily bars, otherwise
+ * the start of its fixed-size interval
+ * @param {Date} timestamp Bar time
+ * @param {Object} frame Parsed timeframe
+ * @returns {string|number} Bucket key
+ */
+function bucketKey(timestamp, frame) {
+    if (frame.unit === 'Day') {
+        return toMarketDate(timestamp);
+    }
+    return Math.floor(timestamp.getTime() / frame.milliseconds) * frame.milliseconds;
+}
+
+/**
+ * Combine bars into a coarser timeframe. Bars already at or above the requested
+ * timeframe are returned unchanged.
+ * @param {Array<Object>} bars OHLCV bars, oldest first
+ * @param {string} timeframe Target timeframe
+ * @returns {Array<Object>} Aggregated bars, stamped with their first bar's time
+ */
+function aggregateBars(bars, timeframe) {
+    if (bars.length < 2) {
+        return bars;
+    }
+
+    const frame = parseTimeframe(timeframe);
+    const spacing = bars[1].timestamp - bars[0].timestamp;
+    if (spacing >= frame.milliseconds || (frame.unit === 'Day' && spacing >= 12 * TIMEFRAME_UNITS.Hour)) {
+        return bars;
+    }
+
+    const result = [];
+    let current = null;
+    let currentKey = null;
+
+    for (const bar of bars) {
+        const key = bucketKey(bar.timestamp, frame);
+        if (!current || key !== currentKey) {
+            current = { ...bar };
+            currentKey = key;
+            result.push(current);
+            continue;
+        }
+        current.high = Math.max(current.high, bar.high);
+        current.low = Math.min(current.low, bar.low);
+        current.close = bar.close;
+        current.volume += bar.volume;
+    }
+
+    return result;
+}
+
+/**
+ * Time a bar's interval ends: its start plus the timeframe, or the session close for
+ * daily bars
+ * @param {Date} timestamp Bar start
+ * @param {Object} frame Parsed timeframe
+ * @returns {Date} End of the bar
+ */
+function barEnd(timestamp, frame) {
+    if (frame.unit === 'Day') {
+        return toMarketTime(toMarketDate(timestamp), SESSION_CLOSE);
+    }
+    return new Date(timestamp.getTime() + frame.milliseconds);
+}
+
+/**
+ * Build bars of one timeframe from a stream of finer bars. A bar is complete once a
+ * pushed bar reaches the end of its interval, or a bar from a later interval arrives
+ * (e.g. after a gap). Bars that fall in an interval already completed are dropped.
+ * @param {string} timeframe Target timeframe
+ * @param {string} sourceTimeframe Timeframe of the pushed bars
+ * @returns {Object} Aggregator with push(bar), returning the bars it completed
+ */
+function createBarAggregator(timeframe, sourceTimeframe) {
+    const frame = parseTimeframe(timeframe);
+    const source = parseTimeframe(sourceTimeframe);
+    let current = null;
+    let currentKey = null;
+    let completedKey = null;
+
+    return {
+        /**
+         * Add a source bar to the forming bar
+         * @param {Object} bar OHLCV bar
+         * @returns {Array<Object>} Bars completed by this one, oldest first
+         */
+        push(bar) {
+            // Source bars at or above the target timeframe are complete bars already
+            if (source.milliseconds >= frame.milliseconds ||
+                (frame.unit === 'Day' && source.milliseconds >= 12 * TIMEFRAME_UNITS.Hour)) {
+                return [{ ...bar }];
+            }
+
+            const key = bucketKey(bar.timestamp, frame);
+            if (key === completedKey) {
+                return [];
+            }
+
+            const completed = [];
+            if (current && key !== currentKey) {
+                completed.push(current);
+                completedKey = currentKey;
+                current = null;
+            }
+
+            if (!current) {
+                current = { ...bar };
+                currentKey = key;
+            } else {
+                current.high = Math.max(current.high, bar.high);
+                current.low = Math.min(current.low, bar.low);
+                current.close = bar.close;
+                current.volume += bar.volume;
+            }
+
+            if (bar.timestamp.getTime() + source.milliseconds >= barEnd(current.timestamp, frame).getTime()) {
+                completed.push(current);
+                completedKey = currentKey;
+                current = null;
+            }
+            return completed;
+        },
+
+        /**
+         * The bar still forming, if any
+         * @returns {Object|null} Partial bar
+         */
+        forming() {
+            return current ? { ...current } : null;
+        }
+    };
+}
+
+module.exports = {
+    parseTimeframe,
+    aggregateBars,
+    barEnd,
+    createBarAggregator
+};
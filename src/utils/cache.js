@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * Stable content hash of any JSON-serializable value
+ * @param {*} value Value to hash
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Create an in-memory cache whose entries expire after a time to live. When full, the
+ * least recently used entry is dropped.
+ * @param {Object} [options] Cache options
+ * @param {number} [options.ttlMs] How long entries stay valid (0 keeps them until evicted)
+ * @param {number} [options.maxEntries] Maximum number of entries
+ * @returns {Object} Cache with get, set, clear and stats
+ */
+function createCache({ ttlMs = 0, maxEntries = 1000 } = {}) {
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry || (ttlMs > 0 && Date.now() - entry.storedAt > ttlMs)) {
+                entries.delete(key);
+                misses++;
+                return undefined;
+            }
+            // Re-insert so the Map's order tracks recency of use
+            entries.delete(key);
+            entries.set(key, entry);
+            hits++;
+            return entry.value;
+        },
+
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, storedAt: Date.now() });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        stats() {
+            return { size: entries.size, hits, misses };
+        }
+    };
+}
+
+module.exports = {
+    hashKey,
+    createCache
+};
@@ -0,0 +1,42 @@
+/**
+ * Run an async function over a list of items with a bounded number of
+ * in-flight calls. Results keep the order of the input items.
+ * @param {Array} items Items to process
+ * @param {number} limit Maximum number of concurrent calls
+ * @param {Function} fn Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
+
+/**
+ * Create a mutex that runs the given async functions one at a time
+ * @returns {Function} Function that queues an async task and resolves with its result
+ */
+function createMutex() {
+    let tail = Promise.resolve();
+
+    return function runExclusive(task) {
+        const run = tail.then(() => task());
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+module.exports = {
+    mapWithConcurrency,
+    createMutex
+};
@@ -0,0 +1,171 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line with the time, level, message, the
+// cycle and symbol being worked on (from the async context) and any extra fields.
+// LOG_FORMAT=text prints the same as readable lines instead.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+// Field names whose values are never logged
+const SECRET_FIELD = /(secret|password|passphrase|authorization|api[-_]?key|key[-_]?id|token)$/i;
+// Environment variables whose values are redacted wherever they appear in a log line
+const SECRET_ENV = /(KEY|SECRET|TOKEN|PASSWORD)$/;
+// Credentials recognizable by their shape
+const SECRET_PATTERNS = [
+    [/\b(sk|pk|ak)-[A-Za-z0-9_-]{16,}/g, REDACTED],
+    [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+    [/\bbot\d+:[A-Za-z0-9_-]{20,}/g, `bot${REDACTED}`]
+];
+const MAX_DEPTH = 6;
+
+const config = {
+    level: LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info,
+    format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json'
+};
+const context = new AsyncLocalStorage();
+let secretValues = null;
+
+/**
+ * Change the level or format after startup, e.g. readable output for a CLI
+ * @param {Object} options Logger options
+ * @param {string} [options.level] 'debug', 'info', 'warn' or 'error'
+ * @param {string} [options.format] 'json' or 'text'
+ */
+function configureLogger({ level, format } = {}) {
+    if (level && LEVELS[level]) {
+        config.level = LEVELS[level];
+    }
+    if (format) {
+        config.format = format === 'text' ? 'text' : 'json';
+    }
+}
+
+/**
+ * Run a function with fields (cycleId, symbol) added to every line it logs, including
+ * from the async work it starts
+ * @param {Object} fields Context fields
+ * @param {Function} fn Function to run
+ * @returns {*} What fn returns
+ */
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Remove credentials from a string
+ * @param {string} text Text to clean
+ * @returns {string} Text with secrets replaced
+ */
+function redactString(text) {
+    // Read lazily so values loaded from .env after this module are covered too
+    if (!secretValues) {
+        secretValues = Object.entries(process.env)
+            .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 8)
+            .map(([, value]) => value)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    let result = text;
+    for (const value of secretValues) {
+        result = result.split(value).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Turn a value into something JSON can hold, with errors expanded and secrets removed
+ * @param {*} value Value to log
+ * @param {number} [depth] Current nesting depth
+ * @param {WeakSet} [seen] Objects already visited, to cut cycles
+ * @returns {*} Loggable value
+ */
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'bigint' || typeof value === 'function' ? String(value) : value;
+    }
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value.toISOString();
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+        return '[...]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        const error = { message: redactString(value.message) };
+        for (const field of ['name', 'code', 'status']) {
+            if (value[field] !== undefined && !(field === 'name' && value.name === 'Error')) {
+                error[field] = value[field];
+            }
+        }
+        if (value.stack) {
+            error.stack = redactString(value.stack);
+        }
+        return error;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitize(item, depth + 1, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SECRET_FIELD.test(key) && item ? REDACTED : sanitize(item, depth + 1, seen);
+    }
+    return result;
+}
+
+function formatText(entry) {
+    const { time, level, message, cycleId, symbol, ...fields } = entry;
+    const prefix = [
+        time,
+        level.toUpperCase().padEnd(5),
+        cycleId ? cycleId.slice(0, 8) : null,
+        symbol ? `[${symbol}]` : null
+    ].filter(Boolean).join(' ');
+    const error = fields.error && fields.error.stack;
+    if (error) {
+        delete fields.error;
+    }
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${prefix} ${message}${extra}${error ? `\n${error}` : ''}`;
+}
+
+/**
+ * Write one log line
+ * @param {string} level Log level
+ * @param {string} message What happened
+ * @param {Object|Error} [fields] Extra fields; an Error is logged as { error }
+ */
+function log(level, message, fields = {}) {
+    if (LEVELS[level] < config.level) {
+        return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = sanitize({
+        time: new Date(),
+        level,
+        message,
+        ...context.getStore(),
+        ...extra
+    });
+
+    const line = config.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+}
+
+module.exports = {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    withLogContext,
+    configureLogger,
+    redactString
+};
@@ -0,0 +1,88 @@
+/**
+ * Validate a value against a small subset of JSON Schema:
+ * type (string or array of types), enum, minimum, maximum, minLength,
+ * properties, required, additionalProperties: false and items.
+ * @param {Object} schema JSON Schema
+ * @param {*} value Value to validate
+ * @param {string} [path] Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors, empty when the value is valid
+ */
+function validateSchema(schema, value, path = 'value') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(type, value))) {
+            errors.push(`${path} must be of type ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (value === null) {
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+module.exports = {
+    validateSchema
+};
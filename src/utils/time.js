@@ -0,0 +1,65 @@
+const MARKET_TIME_ZONE = 'America/New_York';
+
+/**
+ * Get the UTC offset of a time zone at a given instant, in minutes
+ * @param {Date} date Instant to check
+ * @param {string} timeZone IANA time zone name
+ * @returns {number} Offset from UTC in minutes (e.g. -240 for EDT)
+ */
+function getTimeZoneOffset(date, timeZone = MARKET_TIME_ZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - date.getTime()) / 60000);
+}
+
+/**
+ * Convert a calendar date and wall-clock time in the market time zone to a Date
+ * @param {string} date Date as YYYY-MM-DD
+ * @param {string} time Time as HH:MM
+ * @returns {Date} The corresponding instant
+ */
+function toMarketTime(date, time) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const naiveUTC = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Resolve the offset at the naive instant, then once more in case it crossed a DST change
+    let offset = getTimeZoneOffset(new Date(naiveUTC));
+    offset = getTimeZoneOffset(new Date(naiveUTC - offset * 60000));
+
+    return new Date(naiveUTC - offset * 60000);
+}
+
+/**
+ * Get the calendar date in the market time zone
+ * @param {Date} date Instant to format
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function toMarketDate(date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: MARKET_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+module.exports = {
+    MARKET_TIME_ZONE,
+    getTimeZoneOffset,
+    toMarketTime,
+    toMarketDate
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep usage accounting out of data/; decisions are cached for the default 30 minutes
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tradebot-ai-'));
+process.env.LLM_USAGE_FILE = path.join(tmp, 'llm-usage.json');
+delete process.env.DECISION_CACHE_MINUTES;
+
+const { getAIDecision } = require('../src/services/ai');
+const { createLLMClient, setLLMClient } = require('../src/services/llm');
+const { createMockProvider } = require('../src/services/llm/mock');
+const logger = require('../src/utils/logger');
+
+const TECHNICALS = {
+    rsi: 55,
+    trendSignal: 'bullish',
+    macd: { MACD: 0.5, signal: 0.3, histogram: 0.2 },
+    currentPrice: 100,
+    atr: 2,
+    atrPercent: 2,
+    swingHighs: [],
+    swingLows: [],
+    timeframe: '1Day',
+    barCount: 300,
+    lastBarTime: new Date('2024-03-01T05:00:00Z'),
+    history: { close: [98, 99, 100], rsi: [50, 52, 55] }
+};
+
+const PREDICTION = {
+    current_price: 100,
+    predicted_price: 101.5,
+    predicted_change_percent: 1.5,
+    confidence_score: 0.6,
+    track_record: null
+};
+
+let prompts;
+
+beforeEach(() => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    prompts = [];
+    setLLMClient(createLLMClient([createMockProvider({
+        handlers: {
+            submit_trading_decision: ({ messages }) => {
+                prompts.push(messages[messages.length - 1].content);
+                return {
+                    action: 'hold',
+                    positionAction: 'none',
+                    reducePercent: null,
+                    confidence: 'low',
+                    priceTarget: null,
+                    stopLoss: null,
+                    reasoning: 'Nothing to do'
+                };
+            }
+        }
+    })]));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    // Usage is saved in the background; let the last save land before removing its directory
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function decide(data) {
+    return getAIDecision({
+        technicals: TECHNICALS,
+        prediction: PREDICTION,
+        sentiment: null,
+        marketStatus: { isOpen: true, nextClose: '2024-03-04T21:00:00Z' },
+        position: null,
+        openOrders: [],
+        ...data
+    });
+}
+
+describe('getAIDecision prompt', () => {
+    test('includes the ML prediction and its track record', async () => {
+        await decide({});
+
+        expect(prompts[0]).toContain('- Predicted Price: $101.5\n- Predicted Change: 1.50%\n- Confidence Score: 0.60\n- Track Record: none');
+    });
+
+    test('marks the prediction unavailable when none was made', async () => {
+        const decision = await decide({ prediction: null });
+
+        expect(decision.action).toBe('hold');
+        expect(prompts[0]).toContain('ML Prediction:\n- Unavailable\n');
+    });
+});
+
+describe('decision cache', () => {
+    const POSITION = { quantity: 10, entryPrice: 95, unrealizedPL: 50, unrealizedPLPercent: 5.26 };
+
+    test('reuses a decision while a bar is forming and asks again once it completes', async () => {
+        const forming = { ...TECHNICALS, timeframe: '5Min', lastBarTime: new Date(), history: { close: [99, 100], rsi: [45, 47] } };
+
+        await decide({ technicals: forming });
+        const moved = await decide({
+            technicals: { ...forming, currentPrice: 100.5, history: { close: [99, 100.5], rsi: [45, 48] } }
+        });
+        expect(moved.cached).toBe(true);
+        expect(prompts).toHaveLength(1);
+
+        // The bar that was forming completes and a new one starts
+        const started = new Date(forming.lastBarTime.getTime() + 300000);
+        await decide({ technicals: { ...forming, lastBarTime: started, history: { close: [100.5, 100.6], rsi: [48, 48.5] } } });
+        expect(prompts).toHaveLength(2);
+    });
+
+    test('ignores the unrealized P&L but not the position, the articles or the open orders', async () => {
+        const technicals = { ...TECHNICALS, history: { close: [97, 98, 99], rsi: [40, 41, 42] } };
+
+        await decide({ technicals, position: POSITION });
+        const pnlMoved = await decide({ technicals, position: { ...POSITION, unrealizedPL: 70, unrealizedPLPercent: 7.37 } });
+        expect(pnlMoved.cached).toBe(true);
+
+        await decide({ technicals, position: { ...POSITION, quantity: 20 } });
+        await decide({ technicals, position: POSITION, news: [{ title: 'Apple beats', url: 'https://example.com/apple' }] });
+        await decide({ technicals, position: POSITION, openOrders: [{ id: 'stop-1', side: 'sell', qty: 10, type: 'stop', stopPrice: 90, status: 'new' }] });
+        expect(prompts).toHaveLength(4);
+    });
+});
@@ -0,0 +1,144 @@
+const { runBacktest } = require('../src/backtest/engine');
+const { calculateStats, estimatePeriodsPerYear } = require('../src/backtest/metrics');
+const logger = require('../src/utils/logger');
+
+const DAY = 86400000;
+const FIRST_DAY = new Date('2024-01-02T21:00:00Z');
+
+function day(i, open, high, low, close) {
+    return { timestamp: new Date(FIRST_DAY.getTime() + i * DAY), open, high, low, close, volume: 1000 };
+}
+
+// Quiet bars around 100 that touch neither the stops nor the targets below
+function flat(i) {
+    return day(i, 100, 101, 99, 100);
+}
+
+// A month of quiet bars before each scenario, enough for every indicator
+const HISTORY = Array.from({ length: 30 }, (_, i) => flat(i - 30));
+
+const HOLD = { action: 'hold', confidence: 'low', priceTarget: null, stopLoss: null, reasoning: 'Waiting' };
+const BUY = { action: 'buy', confidence: 'high', priceTarget: 110, stopLoss: 95, reasoning: 'Scripted entry' };
+const SELL = { action: 'sell', confidence: 'high', priceTarget: 90, stopLoss: 105, reasoning: 'Scripted exit' };
+
+/**
+ * Backtest the bars after the quiet history, with decisions scripted by bar index
+ * @param {Array<Object>} bars Bars to replay
+ * @param {Object} signals Decision for each bar index, holding otherwise
+ * @param {Object} [options] Extra runBacktest options
+ * @returns {Promise<Object>} Backtest result
+ */
+function replay(bars, signals, options = {}) {
+    return runBacktest({
+        symbol: 'TEST',
+        bars: [...HISTORY, ...bars],
+        decide: ({ bar }) => ({ ...(signals[bars.indexOf(bar)] || HOLD) }),
+        initialCash: 10000,
+        lookback: HISTORY.length,
+        warmup: HISTORY.length,
+        ...options
+    });
+}
+
+beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('runBacktest', () => {
+    test('fills at the next open and takes the stop when a bar reaches both levels', async () => {
+        const bars = [flat(0), flat(1), flat(2), day(3, 100, 112, 94, 105), flat(4)];
+
+        const { trades, stats } = await replay(bars, { 2: BUY }, { commission: 1, slippagePercent: 1 });
+
+        // 1% of 10000 risked at 5 a share is 20 shares; the buy pays 1% over the open
+        expect(trades).toHaveLength(1);
+        const [trade] = trades;
+        expect(trade).toMatchObject({ side: 'buy', quantity: 20, exitReason: 'stop' });
+        expect(trade.entryTime).toEqual(bars[3].timestamp);
+        expect(trade.entryPrice).toBeCloseTo(101, 9);
+        // The stop fills 1% below its price and both orders pay the commission
+        expect(trade.exitPrice).toBeCloseTo(94.05, 9);
+        expect(trade.pnl).toBeCloseTo(20 * (94.05 - 101) - 2, 9);
+        expect(trade.rMultiple).toBeCloseTo((94.05 - 101) / 6, 9);
+        expect(stats.endEquity).toBeCloseTo(10000 - 141, 9);
+    });
+
+    test('fills a target at its price, or at the open when the bar gaps past it', async () => {
+        const reached = [flat(0), flat(1), flat(2), day(3, 100, 111, 98, 108), flat(4)];
+        const gapped = [flat(0), flat(1), flat(2), flat(3), day(4, 112, 113, 111, 112), flat(5)];
+
+        const [atTarget] = (await replay(reached, { 2: BUY })).trades;
+        const [atOpen] = (await replay(gapped, { 2: BUY })).trades;
+
+        expect(atTarget).toMatchObject({ exitReason: 'target', exitPrice: 110, pnl: 200, rMultiple: 2 });
+        expect(atOpen).toMatchObject({ exitReason: 'target', exitPrice: 112, pnl: 240 });
+        expect(atOpen.exitTime).toEqual(gapped[4].timestamp);
+    });
+
+    test('closes on an opposite signal at the next open and marks the last position to the close', async () => {
+        const bars = [flat(0), flat(1), flat(2), flat(3), day(4, 102, 103, 101, 102), flat(5), flat(6), day(7, 103, 104, 102, 104)];
+
+        const { trades, stats } = await replay(bars, { 2: BUY, 3: SELL, 5: BUY });
+
+        expect(trades.map(trade => trade.exitReason)).toEqual(['signal', 'end']);
+        expect(trades[0]).toMatchObject({ entryPrice: 100, exitPrice: 102, pnl: 40 });
+        expect(trades[0].exitTime).toEqual(bars[4].timestamp);
+        expect(trades[1]).toMatchObject({ entryPrice: 100, exitPrice: 104 });
+        expect(trades[1].entryTime).toEqual(bars[6].timestamp);
+        expect(stats.endEquity).toBe(10000 + 40 + trades[1].pnl);
+    });
+
+    test('does not open shorts unless allowed', async () => {
+        const bars = [flat(0), flat(1), flat(2), flat(3)];
+
+        const { trades } = await replay(bars, { 2: SELL });
+
+        expect(trades).toEqual([]);
+    });
+});
+
+describe('calculateStats', () => {
+    // One year of three bars: +10%, -10%, then +22.2%
+    const curve = [100, 110, 99, 121].map((equity, i) => ({ timestamp: new Date(FIRST_DAY.getTime() + i * DAY), equity }));
+
+    test('computes return, CAGR, drawdown and Sharpe from the equity curve', () => {
+        const stats = calculateStats(curve, [], 3);
+
+        expect(stats.totalReturn).toBeCloseTo(0.21, 9);
+        expect(stats.cagr).toBeCloseTo(0.21, 9);
+        // From the 110 peak down to 99
+        expect(stats.maxDrawdown).toBeCloseTo(0.1, 9);
+        // Returns 0.1, -0.1 and 2/9: mean 0.074074, sample deviation 0.162668
+        expect(stats.sharpe).toBeCloseTo(0.074074 / 0.162668 * Math.sqrt(3), 4);
+    });
+
+    test('compounds the return over the years the curve covers', () => {
+        const stats = calculateStats(curve, [], 1.5);
+
+        expect(stats.cagr).toBeCloseTo(Math.sqrt(1.21) - 1, 9);
+    });
+
+    test('summarizes the trades', () => {
+        const trades = [{ pnl: 200, rMultiple: 2 }, { pnl: -100, rMultiple: -1 }, { pnl: 50, rMultiple: null }];
+
+        const stats = calculateStats(curve, trades, 3);
+
+        expect(stats).toMatchObject({ tradeCount: 3, totalPnL: 150, averageR: 0.5 });
+        expect(stats.winRate).toBeCloseTo(2 / 3, 9);
+    });
+});
+
+describe('estimatePeriodsPerYear', () => {
+    test('reads the bar spacing', () => {
+        const spaced = minutes => [0, 1, 2, 3].map(i => ({ timestamp: new Date(FIRST_DAY.getTime() + i * minutes * 60000) }));
+
+        expect(estimatePeriodsPerYear(spaced(24 * 60))).toBe(252);
+        expect(estimatePeriodsPerYear(spaced(5))).toBe(252 * 78);
+        expect(estimatePeriodsPerYear(spaced(7 * 24 * 60))).toBe(36);
+    });
+});
@@ -0,0 +1,212 @@
+const { createSimulatedBroker } = require('../src/brokers/simulated');
+
+const START = new Date('2024-03-04T15:00:00Z');
+
+function bar(minutes, open, high, low, close) {
+    return { timestamp: new Date(START.getTime() + minutes * 60000), open, high, low, close, volume: 1000 };
+}
+
+let broker;
+
+beforeEach(() => {
+    broker = createSimulatedBroker({ cash: 100000 });
+    broker.feedPrice('AAPL', 100, START);
+});
+
+describe('simulated broker', () => {
+    test('fills market orders at the quote and keeps cash and positions', async () => {
+        broker = createSimulatedBroker({ cash: 100000, spreadPercent: 2 });
+        broker.feedPrice('AAPL', 100, START);
+
+        const buy = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        expect(buy).toMatchObject({ status: 'filled', filledQty: 10, filledAvgPrice: 101 });
+
+        const [position] = await broker.getPositions();
+        expect(position).toMatchObject({ symbol: 'AAPL', side: 'long', quantity: 10, entryPrice: 101, currentPrice: 100 });
+        expect(position.unrealizedPL).toBe(-10);
+
+        const sell = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'sell', type: 'market' });
+        expect(sell.filledAvgPrice).toBe(99);
+        expect(await broker.getPositions()).toEqual([]);
+        expect((await broker.getAccount()).cash).toBe(100000 - 20);
+    });
+
+    test('averages the entry price when adding to a position', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        broker.feedBar('AAPL', bar(1, 110, 110, 110, 110));
+        await broker.createOrder({ symbol: 'AAPL', qty: 30, side: 'buy', type: 'market' });
+
+        const [position] = await broker.getPositions();
+        expect(position.quantity).toBe(40);
+        expect(position.entryPrice).toBe(107.5);
+    });
+
+    test('fills a limit order when a bar trades through it', async () => {
+        const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'limit', limitPrice: 98 });
+        expect(order.status).toBe('new');
+
+        broker.feedBar('AAPL', bar(1, 100, 101, 98.5, 99));
+        expect((await broker.getOrder(order.id)).status).toBe('new');
+
+        broker.feedBar('AAPL', bar(2, 99, 99, 97, 98));
+        expect(await broker.getOrder(order.id)).toMatchObject({ status: 'filled', filledAvgPrice: 98 });
+    });
+
+    test('fills a stop at the open when the bar gaps through it', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        const stop = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'sell', type: 'stop', stopPrice: 95 });
+
+        broker.feedBar('AAPL', bar(1, 93, 94, 90, 92));
+
+        expect(await broker.getOrder(stop.id)).toMatchObject({ status: 'filled', filledAvgPrice: 93 });
+        expect(await broker.getPositions()).toEqual([]);
+        expect((await broker.getAccount()).cash).toBe(100000 - 70);
+    });
+
+    test('opens a short when selling more than is held', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        await broker.createOrder({ symbol: 'AAPL', qty: 15, side: 'sell', type: 'market' });
+
+        const [position] = await broker.getPositions();
+        expect(position).toMatchObject({ side: 'short', quantity: -5, entryPrice: 100 });
+    });
+
+    test('closes a fractional position sold off in pieces without leaving dust', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 0.3, side: 'buy', type: 'market' });
+        await broker.createOrder({ symbol: 'AAPL', qty: 0.1, side: 'sell', type: 'market' });
+        await broker.createOrder({ symbol: 'AAPL', qty: 0.2, side: 'sell', type: 'market' });
+
+        expect(await broker.getPositions()).toEqual([]);
+    });
+
+    test('rejects a buy the cash cannot cover and orders missing their price', async () => {
+        const tooBig = await broker.createOrder({ symbol: 'AAPL', qty: 1001, side: 'buy', type: 'market' });
+        const noLimit = await broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit' });
+        const noQuote = await broker.createOrder({ symbol: 'MSFT', qty: 1, side: 'buy', type: 'market' });
+
+        expect(tooBig.status).toBe('rejected');
+        expect(noLimit.status).toBe('rejected');
+        expect(noQuote.status).toBe('rejected');
+        expect(await broker.getPositions()).toEqual([]);
+        expect((await broker.getAccount()).cash).toBe(100000);
+    });
+
+    test('rejects adding to a position beyond the cash', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 500, side: 'buy', type: 'market' });
+
+        const add = await broker.createOrder({ symbol: 'AAPL', qty: 501, side: 'buy', type: 'market' });
+
+        expect(add.status).toBe('rejected');
+        expect((await broker.getPositions())[0].quantity).toBe(500);
+        expect((await broker.getAccount()).cash).toBe(50000);
+    });
+
+    test('needs cash only for the shares bought beyond a short being covered', async () => {
+        broker = createSimulatedBroker({ cash: 1000 });
+        broker.feedPrice('AAPL', 100, START);
+        await broker.createOrder({ symbol: 'AAPL', qty: 50, side: 'sell', type: 'market' });
+
+        // 6000 in cash after the short: going 61 long past the 50 covered would need 6100
+        const tooBig = await broker.createOrder({ symbol: 'AAPL', qty: 111, side: 'buy', type: 'market' });
+        const flip = await broker.createOrder({ symbol: 'AAPL', qty: 110, side: 'buy', type: 'market' });
+
+        expect(tooBig.status).toBe('rejected');
+        expect(flip.status).toBe('filled');
+        expect((await broker.getPositions())[0]).toMatchObject({ side: 'long', quantity: 60 });
+    });
+
+    test('cancels working orders and lists them by status', async () => {
+        const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'limit', limitPrice: 90 });
+        expect((await broker.getOrders()).map(o => o.id)).toEqual([order.id]);
+
+        await broker.cancelOrder(order.id);
+
+        expect(await broker.getOrders()).toEqual([]);
+        expect((await broker.getOrders({ status: 'closed' }))[0]).toMatchObject({ id: order.id, status: 'canceled' });
+    });
+
+    test('bracket entry fills at market and its take-profit cancels the stop', async () => {
+        const order = await broker.createOrder({
+            symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', orderClass: 'bracket',
+            takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95 }
+        });
+        expect(order.status).toBe('filled');
+        expect(order.filledAvgPrice).toBe(100);
+        expect(order.legs.map(leg => leg.status)).toEqual(['new', 'new']);
+
+        broker.feedBar('AAPL', bar(1, 100, 111, 99, 109));
+
+        const settled = await broker.getOrder(order.id);
+        const [takeProfit, stop] = settled.legs;
+        expect(takeProfit.status).toBe('filled');
+        expect(takeProfit.filledAvgPrice).toBe(110);
+        expect(stop.status).toBe('canceled');
+        expect(await broker.getPositions()).toEqual([]);
+        expect((await broker.getAccount()).cash).toBe(100100);
+    });
+
+    test('bracket stop fills at the open when the bar gaps through it', async () => {
+        const order = await broker.createOrder({
+            symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', orderClass: 'bracket',
+            takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95 }
+        });
+
+        broker.feedBar('AAPL', bar(1, 93, 94, 90, 92));
+
+        const [takeProfit, stop] = (await broker.getOrder(order.id)).legs;
+        expect(stop.status).toBe('filled');
+        expect(stop.filledAvgPrice).toBe(93);
+        expect(takeProfit.status).toBe('canceled');
+    });
+
+    test('exit legs stay held until the entry fills', async () => {
+        const order = await broker.createOrder({
+            symbol: 'AAPL', qty: 10, side: 'buy', type: 'limit', limitPrice: 90, orderClass: 'bracket',
+            takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 85 }
+        });
+        expect(order.status).toBe('new');
+
+        broker.feedBar('AAPL', bar(1, 100, 120, 95, 115));
+
+        const working = await broker.getOrder(order.id);
+        expect(working.status).toBe('new');
+        expect(working.legs.map(leg => leg.status)).toEqual(['held', 'held']);
+        expect(await broker.getPositions()).toEqual([]);
+    });
+
+    test('OTO stop goes live once the limit entry fills', async () => {
+        const order = await broker.createOrder({
+            symbol: 'AAPL', qty: 10, side: 'buy', type: 'limit', limitPrice: 99, orderClass: 'oto',
+            stopLoss: { stopPrice: 95 }
+        });
+
+        broker.feedBar('AAPL', bar(1, 100, 101, 98, 99));
+        let current = await broker.getOrder(order.id);
+        expect(current.status).toBe('filled');
+        expect(current.filledAvgPrice).toBe(99);
+        expect(current.legs[0].status).toBe('new');
+
+        broker.feedBar('AAPL', bar(2, 97, 98, 94, 95));
+        current = await broker.getOrder(order.id);
+        expect(current.legs[0].status).toBe('filled');
+        expect(current.legs[0].filledAvgPrice).toBe(95);
+        expect(await broker.getPositions()).toEqual([]);
+    });
+
+    test('OCO exit on a long position stops out and cancels its take-profit', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        const oco = await broker.createOrder({
+            symbol: 'AAPL', qty: 10, side: 'sell', type: 'limit', orderClass: 'oco',
+            takeProfit: { limitPrice: 110 }, stopLoss: { stopPrice: 95 }
+        });
+        expect(oco.legs[0].side).toBe('sell');
+
+        broker.feedBar('AAPL', bar(1, 99, 99, 94, 96));
+
+        const settled = await broker.getOrder(oco.id);
+        expect(settled.status).toBe('canceled');
+        expect(settled.legs[0].status).toBe('filled');
+        expect(settled.legs[0].filledAvgPrice).toBe(95);
+        expect(await broker.getPositions()).toEqual([]);
+    });
+});
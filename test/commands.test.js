@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the saved state out of data/
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tradebot-commands-'));
+process.env.STATE_FILE = path.join(tmp, 'state.json');
+process.env.JOURNAL_DIR = path.join(tmp, 'journal');
+process.env.LLM_USAGE_FILE = path.join(tmp, 'llm-usage.json');
+
+const control = require('../src/control');
+const { buildTelegramCommands } = require('../src/commands');
+
+const run = buildTelegramCommands().run.handler;
+
+const FINISHED = {
+    id: 'cycle-2',
+    startedAt: new Date('2024-03-04T15:00:00Z'),
+    finishedAt: new Date('2024-03-04T15:01:00Z'),
+    results: [{ symbol: 'AAPL', outcome: 'traded' }, { symbol: 'MSFT', outcome: 'hold' }],
+    error: null
+};
+
+beforeAll(async () => {
+    // A cycle from earlier that /run must never report as its own
+    control.beginCycle();
+    await control.endCycle({ ...FINISHED, id: 'cycle-1', results: [{ symbol: 'AAPL', outcome: 'old' }] });
+});
+
+afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('/run', () => {
+    test('reports the outcomes of the cycle it ran', async () => {
+        control.setCycleRunner(async ({ force }) => (force ? FINISHED : null));
+
+        expect(await run()).toBe('Cycle finished: AAPL=traded, MSFT=hold');
+    });
+
+    test('reports why the cycle was skipped instead of the previous one', async () => {
+        control.setCycleRunner(async () => ({ skipped: true, reason: 'A cycle is already running' }));
+
+        expect(await control.runCycleNow()).toEqual({ started: false, reason: 'A cycle is already running' });
+        expect(await run()).toBe('Cycle not started: A cycle is already running');
+    });
+
+    test('reports the error that cut the cycle short', async () => {
+        control.setCycleRunner(async () => ({ ...FINISHED, results: [], error: 'Broker unavailable' }));
+
+        expect(await run()).toBe('Cycle failed: Broker unavailable (no symbols run)');
+    });
+
+    test('reports a runner that throws', async () => {
+        control.setCycleRunner(async () => {
+            throw new Error('Clock unavailable');
+        });
+
+        expect(await control.runCycleNow()).toEqual({ started: true, cycle: null, error: 'Clock unavailable' });
+        expect(await run()).toBe('Cycle failed: Clock unavailable (no symbols run)');
+    });
+});
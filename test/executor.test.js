@@ -0,0 +1,120 @@
+// Poll fast so tracked orders settle within a test
+process.env.ORDER_POLL_INTERVAL_MS = '5';
+process.env.ORDER_FILL_TIMEOUT_SECONDS = '1';
+
+const { createSimulatedBroker } = require('../src/brokers/simulated');
+const { setBroker } = require('../src/brokers');
+const { executeTrade, placeExitOrders } = require('../src/trading/executor');
+const logger = require('../src/utils/logger');
+
+const START = new Date('2024-03-04T15:00:00Z');
+
+// Refuses the given order classes the way a broker without support for them would
+function refusing(broker, orderClasses) {
+    return {
+        ...broker,
+        async createOrder(params) {
+            if (orderClasses.includes(params.orderClass)) {
+                throw new Error(`${params.orderClass} orders are not supported`);
+            }
+            return broker.createOrder(params);
+        }
+    };
+}
+
+let broker;
+
+beforeEach(() => {
+    // Fallbacks log their failures; the results are checked instead
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    broker = createSimulatedBroker({ cash: 100000 });
+    broker.feedPrice('AAPL', 100, START);
+    setBroker(broker);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('executeTrade', () => {
+    const trade = { symbol: 'AAPL', action: 'buy', quantity: 10, stopLoss: 95, priceTarget: 110, entryType: 'market' };
+
+    test('enters with a bracket order when the broker accepts it', async () => {
+        const result = await executeTrade(trade);
+
+        expect(result.success).toBe(true);
+        expect(result.orderClass).toBe('bracket');
+        expect(result.quantity).toBe(10);
+        expect(result.orderIds).toEqual([result.mainOrder.id, result.childOrderIds.takeProfit, result.childOrderIds.stopLoss]);
+        expect(result.childOrderIds.takeProfit).toBeTruthy();
+        expect(result.childOrderIds.stopLoss).toBeTruthy();
+        expect(result.warnings).toEqual([]);
+    });
+
+    test('falls back to an OTO entry when the bracket is refused', async () => {
+        setBroker(refusing(broker, ['bracket']));
+
+        const result = await executeTrade(trade);
+
+        expect(result.success).toBe(true);
+        expect(result.orderClass).toBe('oto');
+        expect(result.childOrderIds).toEqual({ takeProfit: null, stopLoss: expect.any(String) });
+        expect(result.warnings[0]).toMatch(/^bracket order failed/);
+    });
+
+    test('falls back to a plain entry protected by an OCO exit', async () => {
+        setBroker(refusing(broker, ['bracket', 'oto']));
+
+        const result = await executeTrade(trade);
+
+        expect(result.success).toBe(true);
+        expect(result.orderClass).toBe('simple');
+        expect(result.exitOrder.orderClass).toBe('oco');
+        expect(result.exitOrder.qty).toBe(10);
+        expect(result.childOrderIds).toEqual({ takeProfit: result.exitOrder.id, stopLoss: result.exitOrder.legs[0].id });
+        expect(result.warnings).toHaveLength(2);
+
+        const [position] = await broker.getPositions();
+        expect(position.quantity).toBe(10);
+    });
+
+    test('fails when every order class is rejected', async () => {
+        const result = await executeTrade({ ...trade, quantity: 5000 });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('simple order rejected');
+        expect(await broker.getPositions()).toEqual([]);
+    });
+
+    test('cancels a limit entry that does not fill before the timeout', async () => {
+        // Limits priced past the reference price, neither reached before the timeout
+        const [buy, sell] = await Promise.all([
+            executeTrade({ ...trade, entryType: 'limit', price: 90, limitOffsetPercent: 0.5 }),
+            executeTrade({ ...trade, action: 'sell', stopLoss: 115, priceTarget: 100, entryType: 'limit', price: 110, limitOffsetPercent: 0.5 })
+        ]);
+
+        expect(buy).toMatchObject({ success: false, status: 'canceled', error: 'Entry order canceled without a fill' });
+        expect(buy.mainOrder.limitPrice).toBe(90.45);
+        expect(buy.mainOrder.legs.map(leg => leg.status)).toEqual(['canceled', 'canceled']);
+        expect(sell.mainOrder.limitPrice).toBe(109.45);
+        expect(await broker.getPositions()).toEqual([]);
+    });
+});
+
+describe('placeExitOrders', () => {
+    test('protects a held position with a stop alone', async () => {
+        await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+
+        const exit = await placeExitOrders({ symbol: 'AAPL', side: 'buy', quantity: 10, stopLoss: 95.004 });
+
+        expect(exit.success).toBe(true);
+        expect(exit.order).toMatchObject({ side: 'sell', type: 'stop', stopPrice: 95 });
+        expect(exit.childOrderIds).toEqual({ takeProfit: null, stopLoss: exit.order.id });
+    });
+
+    test('needs a stop or a target', async () => {
+        const exit = await placeExitOrders({ symbol: 'AAPL', side: 'buy', quantity: 10 });
+
+        expect(exit).toMatchObject({ success: false, error: 'A stop-loss or price target is required' });
+    });
+});
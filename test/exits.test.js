@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the saved state and the journal out of data/, and poll fast so exits settle
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tradebot-exits-'));
+process.env.STATE_FILE = path.join(tmp, 'state.json');
+process.env.JOURNAL_DIR = path.join(tmp, 'journal');
+process.env.ORDER_POLL_INTERVAL_MS = '5';
+process.env.ORDER_FILL_TIMEOUT_SECONDS = '1';
+delete process.env.TELEGRAM_CHAT_ID;
+
+const EXIT_SETTINGS = ['TRAILING_STOP', 'TRAILING_STOP_ATR_MULTIPLE', 'TRAILING_STOP_PERCENT', 'BREAKEVEN_AT_R',
+    'CLOSE_AT_END_OF_DAY', 'END_OF_DAY_MINUTES', 'EXIT_ON_REVERSAL', 'SCALE_OUT_TARGETS'];
+
+const START = new Date('2024-03-04T15:00:00Z');
+const OPEN = { isOpen: true, nextClose: '2024-03-04T21:00:00Z', serverTime: START.toISOString() };
+
+let broker;
+let manageExits;
+let minute;
+
+/**
+ * Load the exit rules with the given settings, as a fresh process would
+ * @param {Object} settings Exit environment variables; the rest are left at their defaults
+ */
+function load(settings = {}) {
+    for (const name of EXIT_SETTINGS) {
+        delete process.env[name];
+    }
+    Object.assign(process.env, settings);
+
+    jest.resetModules();
+    // Notifications cannot reach Telegram here and log why
+    const logger = require('../src/utils/logger');
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const { createSimulatedBroker } = require('../src/brokers/simulated');
+    broker = createSimulatedBroker({ cash: 100000 });
+    require('../src/brokers').setBroker(broker);
+    ({ manageExits } = require('../src/trading/exits'));
+}
+
+function feed(price) {
+    minute += 1;
+    broker.feedPrice('AAPL', price, new Date(START.getTime() + minute * 60000));
+}
+
+// Long 100 AAPL at 100 with a stop at 95, so 1R is 5
+async function openLong() {
+    feed(100);
+    await broker.createOrder({ symbol: 'AAPL', qty: 100, side: 'buy', type: 'market' });
+    await broker.createOrder({ symbol: 'AAPL', qty: 100, side: 'sell', type: 'stop', stopPrice: 95 });
+}
+
+async function manage(technicals = { atr: 2 }, marketStatus = OPEN) {
+    return manageExits(await broker.getPositions(), { getTechnicals: async () => technicals, marketStatus });
+}
+
+async function workingStops() {
+    const orders = await broker.getOrders({ status: 'open', symbols: ['AAPL'] });
+    return orders.filter(order => order.type === 'stop').map(order => ({ qty: order.qty, stopPrice: order.stopPrice }));
+}
+
+async function heldQuantity() {
+    const [position] = await broker.getPositions();
+    return position ? position.quantity : 0;
+}
+
+beforeEach(() => {
+    for (const file of [process.env.STATE_FILE, process.env.JOURNAL_DIR]) {
+        fs.rmSync(file, { recursive: true, force: true });
+    }
+    minute = 0;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('stop management', () => {
+    test('moves the stop to breakeven once the position is up 1R', async () => {
+        load();
+        await openLong();
+
+        feed(104);
+        expect(await manage()).toEqual([]);
+
+        feed(105);
+        expect(await manage()).toEqual([{ symbol: 'AAPL', type: 'stop', rule: 'breakeven', success: true, stop: 100 }]);
+        expect(await workingStops()).toEqual([{ qty: 100, stopPrice: 100 }]);
+    });
+
+    test('trails the stop three ATRs behind the best price and never loosens it', async () => {
+        load({ TRAILING_STOP: 'atr', BREAKEVEN_AT_R: '0' });
+        await openLong();
+
+        feed(110);
+        expect(await manage({ atr: 2 })).toEqual([{ symbol: 'AAPL', type: 'stop', rule: 'trailing', success: true, stop: 104 }]);
+
+        // A pullback, even with a wider ATR, leaves the stop where it is
+        feed(107);
+        expect(await manage({ atr: 3 })).toEqual([]);
+        expect(await workingStops()).toEqual([{ qty: 100, stopPrice: 104 }]);
+    });
+
+    test('trails the stop a percentage behind the best price', async () => {
+        load({ TRAILING_STOP: 'percent', TRAILING_STOP_PERCENT: '5', BREAKEVEN_AT_R: '0' });
+        await openLong();
+
+        feed(120);
+        await manage(null);
+        feed(118);
+        await manage(null);
+
+        expect(await workingStops()).toEqual([{ qty: 100, stopPrice: 114 }]);
+    });
+
+    test('puts the managed stop back when the stop order is cancelled', async () => {
+        load();
+        await openLong();
+        feed(101);
+        await manage();
+
+        const [stop] = await broker.getOrders({ status: 'open', symbols: ['AAPL'] });
+        await broker.cancelOrder(stop.id);
+
+        expect(await manage()).toEqual([{ symbol: 'AAPL', type: 'stop', rule: 'restore', success: true, stop: 95 }]);
+        expect(await workingStops()).toEqual([{ qty: 100, stopPrice: 95 }]);
+    });
+});
+
+describe('scale-outs', () => {
+    test('takes each target once and protects what is left', async () => {
+        load({ SCALE_OUT_TARGETS: '1:50,2:25' });
+        await openLong();
+
+        feed(105);
+        expect(await manage()).toEqual([
+            { symbol: 'AAPL', type: 'scale_out', rule: 'scale_out', success: true },
+            { symbol: 'AAPL', type: 'stop', rule: 'breakeven', success: true, stop: 100 }
+        ]);
+        expect(await heldQuantity()).toBe(50);
+        expect(await workingStops()).toEqual([{ qty: 50, stopPrice: 100 }]);
+
+        // The 1R target is not taken again
+        feed(106);
+        expect(await manage()).toEqual([]);
+
+        feed(110);
+        expect(await manage()).toEqual([{ symbol: 'AAPL', type: 'scale_out', rule: 'scale_out', success: true }]);
+        expect(await heldQuantity()).toBe(25);
+        expect(await workingStops()).toEqual([{ qty: 25, stopPrice: 100 }]);
+    });
+
+    test('closes the position when the targets add up to all of it', async () => {
+        load({ SCALE_OUT_TARGETS: '1:50,2:50' });
+        await openLong();
+
+        feed(110);
+
+        expect(await manage()).toEqual([{ symbol: 'AAPL', type: 'close', rule: 'scale_out', success: true }]);
+        expect(await heldQuantity()).toBe(0);
+    });
+});
+
+describe('end-of-day close', () => {
+    test('closes positions in the last minutes before the close', async () => {
+        load({ CLOSE_AT_END_OF_DAY: 'true' });
+        await openLong();
+        feed(101);
+
+        expect(await manage()).toEqual([]);
+
+        const closing = { ...OPEN, serverTime: '2024-03-04T20:52:00Z' };
+        expect(await manage(undefined, closing)).toEqual([{ symbol: 'AAPL', type: 'close', rule: 'end_of_day', success: true }]);
+        expect(await heldQuantity()).toBe(0);
+        expect(await workingStops()).toEqual([]);
+    });
+
+    test('does not trade while the market is closed', async () => {
+        load({ CLOSE_AT_END_OF_DAY: 'true' });
+        await openLong();
+
+        expect(await manage(undefined, { isOpen: false, nextClose: null })).toEqual([]);
+        expect(await heldQuantity()).toBe(100);
+    });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the saved state and journal out of data/, with small limits to reach
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tradebot-guardrails-'));
+process.env.STATE_FILE = path.join(tmp, 'state.json');
+process.env.JOURNAL_DIR = path.join(tmp, 'journal');
+process.env.MAX_DAILY_LOSS_PERCENT = '3';
+process.env.MAX_GROSS_EXPOSURE_PERCENT = '50';
+process.env.MAX_OPEN_POSITIONS = '2';
+process.env.MAX_TRADES_PER_DAY = '2';
+process.env.MAX_CONSECUTIVE_LOSSES = '2';
+process.env.LOSS_COOLDOWN_MINUTES = '60';
+delete process.env.TELEGRAM_CHAT_ID;
+
+const ACCOUNT = { equity: 100000, lastEquity: 100000 };
+const OPEN_AAPL = { symbol: 'AAPL', positionAction: 'open', estimatedCost: 10000 };
+
+let guardrails;
+let broker;
+
+/**
+ * Load the guardrails as a fresh process would, reading their state from disk
+ */
+function load() {
+    jest.resetModules();
+    // Alerts cannot reach Telegram here and log why
+    const logger = require('../src/utils/logger');
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const { createSimulatedBroker } = require('../src/brokers/simulated');
+    broker = createSimulatedBroker({ cash: 100000 });
+    require('../src/brokers').setBroker(broker);
+    guardrails = require('../src/trading/guardrails');
+}
+
+function position(symbol, marketValue) {
+    return { symbol, quantity: marketValue / 100, marketValue };
+}
+
+beforeEach(() => {
+    fs.rmSync(process.env.STATE_FILE, { force: true });
+    fs.rmSync(process.env.JOURNAL_DIR, { recursive: true, force: true });
+    load();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('checkGuardrails', () => {
+    test('allows a trade within every limit', async () => {
+        const result = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] });
+
+        expect(result.allowed).toBe(true);
+        expect(result.status).toMatchObject({ dailyLossPercent: 0, grossExposure: 0, openPositions: 0, tradesToday: 0 });
+    });
+
+    test('halts new exposure for the rest of the day once the daily loss limit is hit', async () => {
+        const down = { equity: 97000, lastEquity: 100000 };
+
+        const blocked = await guardrails.checkGuardrails(OPEN_AAPL, { account: down, positions: [] });
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'daily_loss' });
+        expect(blocked.reason).toBe('Daily loss 3.00% reached the limit of 3%');
+
+        // Closing is still allowed, and a recovery does not lift the halt
+        expect((await guardrails.checkGuardrails({ symbol: 'MSFT', positionAction: 'close' }, { account: down, positions: [] })).allowed).toBe(true);
+        const recovered = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] });
+        expect(recovered).toMatchObject({ allowed: false, guardrail: 'daily_loss' });
+        expect(recovered.reason).toMatch(/^Trading halted for the day/);
+    });
+
+    test('blocks opening a position beyond the open position limit', async () => {
+        const positions = [position('MSFT', 10000), position('NVDA', 10000)];
+
+        const blocked = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions });
+        const adding = await guardrails.checkGuardrails({ symbol: 'MSFT', positionAction: 'add', estimatedCost: 10000 }, { account: ACCOUNT, positions });
+
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'max_positions' });
+        expect(adding.allowed).toBe(true);
+    });
+
+    test('blocks new exposure above the gross exposure limit', async () => {
+        const positions = [position('MSFT', -40000)];
+
+        const blocked = await guardrails.checkGuardrails({ ...OPEN_AAPL, estimatedCost: 15000 }, { account: ACCOUNT, positions });
+        // Reversing the short releases its exposure first
+        const reversing = await guardrails.checkGuardrails({ symbol: 'MSFT', positionAction: 'reverse', estimatedCost: 45000 }, { account: ACCOUNT, positions });
+
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'max_exposure' });
+        expect(blocked.reason).toBe('Gross exposure would be 55.0% of equity, above the limit of 50%');
+        expect(reversing.allowed).toBe(true);
+    });
+
+    test('blocks trades beyond the daily trade limit', async () => {
+        const { recordCycle } = require('../src/services/journal');
+        for (const symbol of ['MSFT', 'NVDA']) {
+            await recordCycle({ symbol, outcome: 'executed', trade: { success: true, action: 'buy', quantity: 1, price: 100 } });
+        }
+
+        const blocked = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] });
+
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'max_trades' });
+        expect(blocked.status.tradesToday).toBe(2);
+    });
+
+    test('cools down after consecutive losing trades', async () => {
+        for (let i = 0; i < 2; i++) {
+            broker.feedPrice('AAPL', 100);
+            await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+            broker.feedPrice('AAPL', 99);
+            await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'sell', type: 'market' });
+        }
+
+        const blocked = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] });
+
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'loss_cooldown' });
+        expect(blocked.status.consecutiveLosses).toBe(2);
+        expect(blocked.status.cooldownUntil.getTime() - Date.now()).toBeGreaterThan(59 * 60000);
+    });
+});
+
+describe('kill switch', () => {
+    test('blocks every trade, closing included, until released', async () => {
+        await guardrails.activateKillSwitch('Testing');
+
+        const closing = await guardrails.checkGuardrails({ symbol: 'AAPL', positionAction: 'close' }, { account: ACCOUNT, positions: [] });
+        expect(closing).toMatchObject({ allowed: false, guardrail: 'kill_switch', reason: 'Kill switch engaged: Testing' });
+
+        await guardrails.releaseKillSwitch();
+        expect((await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] })).allowed).toBe(true);
+    });
+
+    test('stays engaged across a restart', async () => {
+        await guardrails.activateKillSwitch('Testing');
+
+        load();
+
+        const status = await guardrails.getGuardrailStatus({ account: ACCOUNT, positions: [] });
+        expect(status.killSwitch).toMatchObject({ active: true, reason: 'Testing' });
+        expect((await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] })).guardrail).toBe('kill_switch');
+    });
+
+    test('keeps the daily halt across a restart', async () => {
+        await guardrails.checkGuardrails(OPEN_AAPL, { account: { equity: 96000, lastEquity: 100000 }, positions: [] });
+
+        load();
+
+        const blocked = await guardrails.checkGuardrails(OPEN_AAPL, { account: ACCOUNT, positions: [] });
+        expect(blocked).toMatchObject({ allowed: false, guardrail: 'daily_loss' });
+        expect(blocked.reason).toMatch(/^Trading halted for the day/);
+    });
+});
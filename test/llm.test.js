@@ -0,0 +1,142 @@
+const { createLLMClient } = require('../src/services/llm');
+const { createMockProvider } = require('../src/services/llm/mock');
+const logger = require('../src/utils/logger');
+
+const REQUEST = { model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] };
+
+function httpError(status, message = `HTTP ${status}`) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Mock provider that fails while `failing(call)` returns an error, remembering when it was called
+ * @param {string} name Provider name
+ * @param {Function} [failing] (call number) => Error or null
+ * @returns {Object} Provider with a `calls` list of call times
+ */
+function provider(name, failing = () => null) {
+    const calls = [];
+    const mock = createMockProvider({
+        name,
+        fail: (request, call) => {
+            calls.push(Date.now());
+            return failing(call);
+        }
+    });
+    return Object.assign(mock, { calls });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+    for (const level of ['info', 'warn', 'error']) {
+        jest.spyOn(logger, level).mockImplementation(() => {});
+    }
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('LLM client', () => {
+    test('retries transient errors with exponential backoff', async () => {
+        // No jitter: the delays are exactly the base, then twice the base
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        const primary = provider('primary', call => (call <= 2 ? httpError(503) : null));
+        const client = createLLMClient([primary], { maxRetries: 2, retryBaseMs: 20 });
+
+        const response = await client.complete(REQUEST);
+
+        expect(response.provider).toBe('primary');
+        expect(primary.calls).toHaveLength(3);
+        expect(primary.calls[1] - primary.calls[0]).toBeGreaterThanOrEqual(19);
+        expect(primary.calls[2] - primary.calls[1]).toBeGreaterThanOrEqual(39);
+    });
+
+    test('does not retry errors that would fail again', async () => {
+        const primary = provider('primary', () => httpError(401, 'Invalid API key'));
+        const secondary = provider('secondary');
+        const client = createLLMClient([primary, secondary], { maxRetries: 2, retryBaseMs: 1 });
+
+        const response = await client.complete(REQUEST);
+
+        expect(primary.calls).toHaveLength(1);
+        expect(response.provider).toBe('secondary');
+    });
+
+    test('fails over to the next provider once retries are spent', async () => {
+        const primary = provider('primary', () => httpError(500));
+        const secondary = provider('secondary');
+        const client = createLLMClient([primary, secondary], { maxRetries: 1, retryBaseMs: 1 });
+
+        const response = await client.complete(REQUEST);
+
+        expect(primary.calls).toHaveLength(2);
+        expect(secondary.calls).toHaveLength(1);
+        expect(response).toMatchObject({ provider: 'secondary', free: true });
+    });
+
+    test('fails over when a provider does not answer in time', async () => {
+        const hanging = { name: 'hanging', complete: () => new Promise(() => {}) };
+        const secondary = provider('secondary');
+        const client = createLLMClient([hanging, secondary], { maxRetries: 0, timeoutMs: 20 });
+
+        const response = await client.complete(REQUEST);
+
+        expect(response.provider).toBe('secondary');
+    });
+
+    test('skips a failed provider until its cooldown ends', async () => {
+        let primaryDown = true;
+        const primary = provider('primary', () => (primaryDown ? httpError(503) : null));
+        const secondary = provider('secondary');
+        const client = createLLMClient([primary, secondary], { maxRetries: 0, cooldownMs: 50 });
+
+        await client.complete(REQUEST);
+        expect(client.status()).toEqual([
+            { name: 'primary', available: false, downUntil: expect.any(Date), error: 'HTTP 503' },
+            { name: 'secondary', available: true, downUntil: null, error: null }
+        ]);
+
+        // Cooling down: the primary is not even tried
+        primaryDown = false;
+        const during = await client.complete(REQUEST);
+        expect(during.provider).toBe('secondary');
+        expect(primary.calls).toHaveLength(1);
+
+        await sleep(60);
+        const after = await client.complete(REQUEST);
+        expect(after.provider).toBe('primary');
+        expect(client.status()[0].available).toBe(true);
+    });
+
+    test('a rejected request does not put the provider in cooldown', async () => {
+        const primary = provider('primary', call => (call === 1 ? httpError(400, 'Bad request') : null));
+        const secondary = provider('secondary');
+        const client = createLLMClient([primary, secondary], { maxRetries: 2, retryBaseMs: 1 });
+
+        expect((await client.complete(REQUEST)).provider).toBe('secondary');
+        expect(client.status()[0].available).toBe(true);
+        expect((await client.complete(REQUEST)).provider).toBe('primary');
+    });
+
+    test('throws LLM_UNAVAILABLE when every provider fails', async () => {
+        const primary = provider('primary', () => httpError(500, 'Server error'));
+        const secondary = provider('secondary', () => httpError(429, 'Rate limited'));
+        const client = createLLMClient([primary, secondary], { maxRetries: 0, cooldownMs: 60000 });
+
+        const first = client.complete(REQUEST);
+        await expect(first).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+        await expect(first).rejects.toThrow('primary: Server error; secondary: Rate limited');
+
+        // Both are cooling down now, so the next call fails without trying either
+        await expect(client.complete(REQUEST)).rejects.toMatchObject({
+            code: 'LLM_UNAVAILABLE',
+            message: expect.stringContaining('primary: cooling down after Server error')
+        });
+        expect(primary.calls).toHaveLength(1);
+        expect(secondary.calls).toHaveLength(1);
+    });
+});
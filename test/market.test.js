@@ -0,0 +1,161 @@
+const { toMarketDate, toMarketTime } = require('../src/utils/time');
+
+// Default windows: 15 minutes after the open and 10 before the close
+for (const name of ['NO_TRADE_AFTER_OPEN_MINUTES', 'NO_TRADE_BEFORE_CLOSE_MINUTES', 'EXTENDED_HOURS_TRADING']) {
+    delete process.env[name];
+}
+
+// 2024-07-03 closed early at 13:00, 2024-07-04 was a holiday; New York is on UTC-4
+const EARLY_CLOSES = { '2024-07-03': { close: '13:00', sessionClose: '17:00' } };
+const HOLIDAYS = ['2024-07-04'];
+
+/**
+ * A broker whose clock and calendar follow the exchange's for a fixed instant
+ * @param {string} time ISO timestamp
+ * @returns {Object} Broker with getClock, getCalendar and now
+ */
+function brokerAt(time) {
+    const timestamp = new Date(time);
+
+    function calendarDay(date) {
+        if (HOLIDAYS.includes(date)) {
+            return null;
+        }
+        const hours = { close: '16:00', sessionClose: '20:00', ...EARLY_CLOSES[date] };
+        return {
+            date,
+            open: toMarketTime(date, '09:30'),
+            close: toMarketTime(date, hours.close),
+            sessionOpen: toMarketTime(date, '04:00'),
+            sessionClose: toMarketTime(date, hours.sessionClose)
+        };
+    }
+
+    return {
+        now: () => timestamp,
+        async getClock() {
+            const day = calendarDay(toMarketDate(timestamp));
+            const isOpen = Boolean(day) && timestamp >= day.open && timestamp < day.close;
+            return { isOpen, nextOpen: null, nextClose: isOpen ? day.close : null, timestamp };
+        },
+        async getCalendar({ start }) {
+            const day = calendarDay(start);
+            return day ? [day] : [];
+        }
+    };
+}
+
+/**
+ * Describe the session at an instant, loading the market service with the given settings
+ * @param {string} time ISO timestamp
+ * @param {Object} [settings] Environment variables to load with
+ * @returns {Promise<Object>} The session from checkMarketStatus
+ */
+async function sessionAt(time, settings = {}) {
+    let session;
+    jest.isolateModules(() => {
+        Object.assign(process.env, settings);
+        require('../src/brokers').setBroker(brokerAt(time));
+        const { checkMarketStatus } = require('../src/services/market');
+        session = checkMarketStatus().then(status => status.session);
+    });
+    for (const name of Object.keys(settings)) {
+        delete process.env[name];
+    }
+    return session;
+}
+
+describe('regular session', () => {
+    test('does not trade in the first minutes after the open', async () => {
+        const session = await sessionAt('2024-07-05T13:40:00Z');
+
+        expect(session).toMatchObject({
+            phase: 'opening',
+            canTrade: false,
+            extendedHours: false,
+            reason: 'No trading in the first 15 minutes after the open'
+        });
+    });
+
+    test('trades once the opening window has passed', async () => {
+        const session = await sessionAt('2024-07-05T13:45:00Z');
+
+        expect(session).toMatchObject({ phase: 'regular', canTrade: true, earlyClose: false, minutesToClose: 375, reason: null });
+    });
+
+    test('does not trade in the last minutes before the close', async () => {
+        const session = await sessionAt('2024-07-05T19:55:00Z');
+
+        expect(session).toMatchObject({
+            phase: 'closing',
+            canTrade: false,
+            minutesToClose: 5,
+            reason: 'No trading in the last 10 minutes before the close'
+        });
+    });
+
+    test('follows the configured windows', async () => {
+        const session = await sessionAt('2024-07-05T13:31:00Z', { NO_TRADE_AFTER_OPEN_MINUTES: '0' });
+
+        expect(session).toMatchObject({ phase: 'regular', canTrade: true });
+    });
+});
+
+describe('early close', () => {
+    test('trades until the window before the early close', async () => {
+        const session = await sessionAt('2024-07-03T16:00:00Z');
+
+        expect(session).toMatchObject({ phase: 'regular', canTrade: true, earlyClose: true, minutesToClose: 60 });
+        expect(session.closeTime).toEqual(new Date('2024-07-03T17:00:00Z'));
+    });
+
+    test('stops trading before the early close', async () => {
+        const session = await sessionAt('2024-07-03T16:52:00Z');
+
+        expect(session).toMatchObject({
+            phase: 'closing',
+            canTrade: false,
+            earlyClose: true,
+            minutesToClose: 8,
+            reason: 'No trading in the last 10 minutes before the early close'
+        });
+    });
+
+    test('is after hours from the early close on', async () => {
+        const session = await sessionAt('2024-07-03T18:00:00Z');
+
+        expect(session).toMatchObject({ phase: 'after_hours', earlyClose: true, minutesToClose: null });
+    });
+});
+
+describe('extended hours', () => {
+    test('recognizes pre-market and after-hours but does not trade them by default', async () => {
+        const preMarket = await sessionAt('2024-07-05T12:00:00Z');
+        const afterHours = await sessionAt('2024-07-05T21:30:00Z');
+
+        expect(preMarket).toMatchObject({ phase: 'pre_market', canTrade: false, extendedHours: true, reason: 'Pre-market trading is disabled' });
+        expect(afterHours).toMatchObject({ phase: 'after_hours', canTrade: false, extendedHours: true, reason: 'After-hours trading is disabled' });
+    });
+
+    test('trades them with EXTENDED_HOURS_TRADING', async () => {
+        const preMarket = await sessionAt('2024-07-05T12:00:00Z', { EXTENDED_HOURS_TRADING: 'true' });
+        const afterHours = await sessionAt('2024-07-05T21:30:00Z', { EXTENDED_HOURS_TRADING: 'true' });
+
+        expect(preMarket).toMatchObject({ phase: 'pre_market', canTrade: true, reason: null });
+        expect(afterHours).toMatchObject({ phase: 'after_hours', canTrade: true, reason: null });
+    });
+
+    test('is closed outside the extended session', async () => {
+        const overnight = await sessionAt('2024-07-06T01:00:00Z', { EXTENDED_HOURS_TRADING: 'true' });
+
+        expect(overnight).toMatchObject({ phase: 'closed', canTrade: false, extendedHours: false, reason: 'Market closed' });
+    });
+});
+
+describe('market holidays', () => {
+    test('stays closed all day', async () => {
+        const session = await sessionAt('2024-07-04T14:00:00Z', { EXTENDED_HOURS_TRADING: 'true' });
+
+        expect(session).toMatchObject({ phase: 'closed', canTrade: false, openTime: null, closeTime: null, reason: 'Market closed today' });
+    });
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep usage accounting out of data/ and company lookups offline
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tradebot-news-'));
+process.env.LLM_USAGE_FILE = path.join(tmp, 'llm-usage.json');
+delete process.env.SEC_USER_AGENT;
+delete process.env.NEWS_SOURCE_WEIGHTS;
+
+const { fetchNews, analyzeSentiment } = require('../src/services/news');
+const { setNewsSources } = require('../src/services/news/sources');
+const { createFixturesSource } = require('../src/services/news/sources/fixtures');
+const { parseFeed } = require('../src/services/news/sources/rss');
+const { createLLMClient, setLLMClient } = require('../src/services/llm');
+const { createMockProvider } = require('../src/services/llm/mock');
+const logger = require('../src/utils/logger');
+
+const HOUR = 3600000;
+
+/**
+ * A fixtures source posing as another source, so dedup and weighting see its name
+ * @param {string} name Source name
+ * @param {boolean} tagged Whether its articles are known to be about the company
+ * @param {Array<Object>} articles Fixture articles for AAPL
+ * @returns {Object} News source
+ */
+function fixtureSource(name, tagged, articles) {
+    const directory = fs.mkdtempSync(path.join(tmp, `${name}-`));
+    fs.writeFileSync(path.join(directory, 'AAPL.json'), JSON.stringify(articles));
+    return { ...createFixturesSource({ directory }), name, tagged };
+}
+
+function article(title, provider, ageHours) {
+    return {
+        title,
+        description: null,
+        url: null,
+        source: provider,
+        provider,
+        publishedAt: new Date(Date.now() - ageHours * HOUR)
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    // Usage is saved in the background; let the last save land before removing its directory
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('fetchNews', () => {
+    test('keeps one copy of a story reported by several sources', async () => {
+        setNewsSources([
+            fixtureSource('rss', false, [
+                { title: 'Apple beats earnings expectations as iPhone sales jump - Reuters', url: 'https://www.example.com/apple-earnings/', source: 'Reuters', ageHours: 3 },
+                { title: 'Oil prices slide on supply worries', url: 'https://example.com/oil', source: 'Reuters', ageHours: 1 }
+            ]),
+            fixtureSource('alpaca', true, [
+                { title: 'Apple Beats Earnings Expectations as iPhone Sales Jump', url: 'https://example.com/apple-earnings', source: 'Benzinga', ageHours: 2 },
+                { title: 'Apple supplier shares rally', url: 'https://example.com/supplier', source: 'Benzinga', ageHours: 5 }
+            ]),
+            fixtureSource('sec', true, [
+                { title: 'Form 8-K: results of operations', url: 'https://example.com/apple-earnings', source: 'SEC', ageHours: 4 }
+            ])
+        ]);
+
+        const news = await fetchNews('AAPL');
+
+        // The untagged oil story never mentions Apple
+        expect(news.map(item => item.title)).toEqual([
+            'Form 8-K: results of operations',
+            'Apple supplier shares rally'
+        ]);
+        // The filing, from the most trusted source, stands for the story the others also ran
+        const [story] = news;
+        expect(story.provider).toBe('sec');
+        expect(story.alsoReportedBy.sort()).toEqual(['Benzinga', 'Reuters']);
+        // The story is dated by its first appearance
+        expect(Date.now() - story.publishedAt).toBeGreaterThanOrEqual(4 * HOUR);
+    });
+
+    test('merges rewordings of a title from different sources', async () => {
+        setNewsSources([
+            fixtureSource('rss', true, [
+                { title: 'Apple unveils new iPhone lineup at September event - CNBC', source: 'CNBC', ageHours: 2 }
+            ]),
+            fixtureSource('alpaca', true, [
+                { title: 'Apple Unveils New iPhone Lineup At September Event', source: 'Benzinga', ageHours: 1 }
+            ])
+        ]);
+
+        const news = await fetchNews('AAPL');
+
+        expect(news).toHaveLength(1);
+        expect(news[0]).toMatchObject({ provider: 'alpaca', source: 'Benzinga', alsoReportedBy: ['CNBC'] });
+    });
+});
+
+describe('parseFeed', () => {
+    test('reads RSS 2.0 items', () => {
+        const items = parseFeed(`<?xml version="1.0"?>
+            <rss version="2.0"><channel>
+                <title>Market Wire</title>
+                <item>
+                    <title><![CDATA[Apple & Google settle patent case]]></title>
+                    <link>https://example.com/settle</link>
+                    <description>&lt;p&gt;Terms were not disclosed.&lt;/p&gt;</description>
+                    <pubDate>Mon, 04 Mar 2024 14:30:00 GMT</pubDate>
+                </item>
+                <item>
+                    <title>Undated item</title>
+                    <link>https://example.com/undated</link>
+                </item>
+            </channel></rss>`);
+
+        expect(items).toEqual([{
+            title: 'Apple & Google settle patent case',
+            description: '<p>Terms were not disclosed.</p>',
+            url: 'https://example.com/settle',
+            publishedAt: new Date('2024-03-04T14:30:00Z'),
+            source: 'Market Wire'
+        }]);
+    });
+
+    test('reads Atom entries', () => {
+        const items = parseFeed(`<?xml version="1.0"?>
+            <feed xmlns="http://www.w3.org/2005/Atom">
+                <title>Tech Feed</title>
+                <entry>
+                    <title type="html">Apple opens new campus</title>
+                    <link rel="alternate" href="https://example.com/campus"/>
+                    <summary>The campus houses 3,000 staff.</summary>
+                    <updated>2024-03-05T09:00:00Z</updated>
+                </entry>
+            </feed>`);
+
+        expect(items).toEqual([{
+            title: 'Apple opens new campus',
+            description: 'The campus houses 3,000 staff.',
+            url: 'https://example.com/campus',
+            publishedAt: new Date('2024-03-05T09:00:00Z'),
+            source: 'Tech Feed'
+        }]);
+    });
+});
+
+describe('analyzeSentiment', () => {
+    beforeAll(() => {
+        // Scores articles with "good" in the title 1 and the rest 0
+        setLLMClient(createLLMClient([createMockProvider({
+            handlers: {
+                submit_sentiment: ({ messages }) => {
+                    const prompt = messages[messages.length - 1].content;
+                    const lines = prompt.match(/^\[\d+\] .*$/gm) || [];
+                    return {
+                        articles: lines.map((line, i) => ({
+                            index: i + 1,
+                            score: /good/i.test(line) ? 1 : 0,
+                            relevance: 1,
+                            reason: 'Scored by keyword'
+                        })),
+                        analysis: 'Keyword scores'
+                    };
+                }
+            }
+        })]));
+    });
+
+    test('weights newer articles more', async () => {
+        const sentiment = await analyzeSentiment([
+            article('Apple good news today', 'alpaca', 0),
+            article('Apple bad news yesterday', 'alpaca', 24)
+        ], 'AAPL');
+
+        // One half-life apart: weights 1 and 0.5
+        expect(sentiment.score).toBeCloseTo(1 / 1.5, 3);
+        expect(sentiment.articleScores.map(item => item.score)).toEqual([1, 0]);
+    });
+
+    test('weights more trusted sources more', async () => {
+        const sentiment = await analyzeSentiment([
+            article('Apple good filing', 'sec', 0),
+            article('Apple bad blog post', 'rss', 0)
+        ], 'AAPL');
+
+        // Source weights 1.2 and 0.6
+        expect(sentiment.score).toBeCloseTo(1.2 / 1.8, 3);
+    });
+
+    test('combines recency and source weights', async () => {
+        const sentiment = await analyzeSentiment([
+            article('Apple good filing this morning', 'sec', 0),
+            article('Apple bad rumor from two days ago', 'rss', 48)
+        ], 'AAPL');
+
+        // 1.2 against 0.6 / 4
+        expect(sentiment.score).toBeCloseTo(1.2 / 1.35, 3);
+        expect(sentiment.newlyScored).toBe(2);
+    });
+
+    test('is neutral without news', async () => {
+        const sentiment = await analyzeSentiment([], 'AAPL');
+
+        expect(sentiment.score).toBe(0.5);
+        expect(sentiment.articles).toBe(0);
+    });
+});
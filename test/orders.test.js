@@ -0,0 +1,68 @@
+const { createSimulatedBroker } = require('../src/brokers/simulated');
+const { setBroker } = require('../src/brokers');
+const { trackOrder, trackOrders } = require('../src/trading/orders');
+
+const START = new Date('2024-03-04T15:00:00Z');
+
+let broker;
+
+beforeEach(() => {
+    broker = createSimulatedBroker({ cash: 100000 });
+    broker.feedPrice('AAPL', 100, START);
+    setBroker(broker);
+});
+
+function limitBuy(limitPrice) {
+    return broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'limit', limitPrice });
+}
+
+describe('trackOrder', () => {
+    test('returns a filled order without waiting', async () => {
+        const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+
+        const settlement = await trackOrder(order.id, { timeoutMs: 1000, pollIntervalMs: 5 });
+
+        expect(settlement).toMatchObject({ status: 'filled', isFinal: true, timedOut: false, filledQty: 10, filledAvgPrice: 100, isPartial: false });
+    });
+
+    test('follows a working order until it fills', async () => {
+        const order = await limitBuy(99);
+        const updates = [];
+        setTimeout(() => broker.feedBar('AAPL', { timestamp: new Date(START.getTime() + 60000), open: 100, high: 100, low: 98, close: 99 }), 20);
+
+        const settlement = await trackOrder(order.id, { timeoutMs: 1000, pollIntervalMs: 5, onUpdate: update => updates.push(update.status) });
+
+        expect(settlement).toMatchObject({ status: 'filled', timedOut: false, filledAvgPrice: 99 });
+        // Called once per change, not once per poll
+        expect(updates).toEqual(['new', 'filled']);
+    });
+
+    test('cancels an order still working at the timeout', async () => {
+        const order = await limitBuy(90);
+
+        const settlement = await trackOrder(order.id, { timeoutMs: 30, pollIntervalMs: 5, cancelOnTimeout: true });
+
+        expect(settlement).toMatchObject({ status: 'canceled', isFinal: true, timedOut: true, filledQty: 0, filledAvgPrice: null });
+        expect((await broker.getOrder(order.id)).status).toBe('canceled');
+    });
+
+    test('leaves the order working at the timeout unless asked to cancel', async () => {
+        const order = await limitBuy(90);
+
+        const settlement = await trackOrder(order.id, { timeoutMs: 30, pollIntervalMs: 5 });
+
+        expect(settlement).toMatchObject({ status: 'new', isFinal: false, timedOut: true });
+        expect((await broker.getOrder(order.id)).status).toBe('new');
+    });
+});
+
+describe('trackOrders', () => {
+    test('settles every order and skips missing ids', async () => {
+        const filled = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market' });
+        const working = await limitBuy(90);
+
+        const settlements = await trackOrders([filled.id, null, working.id], { timeoutMs: 30, pollIntervalMs: 5, cancelOnTimeout: true });
+
+        expect(settlements.map(settlement => settlement.status)).toEqual(['filled', 'canceled']);
+    });
+});
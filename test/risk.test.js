@@ -0,0 +1,138 @@
+// Default sizing settings: 1% risk, 20% per symbol, 2-ATR stops, whole shares
+for (const name of ['RISK_PERCENTAGE', 'MAX_POSITION_PERCENT', 'SIZING_MODE', 'ATR_STOP_MULTIPLE', 'TARGET_VOLATILITY_PERCENT',
+    'KELLY_FRACTION', 'KELLY_MAX_RISK_PERCENT', 'FRACTIONAL_SHARES', 'ALLOW_SHORTING']) {
+    delete process.env[name];
+}
+
+const { evaluateTrade, calculatePositionSize, roundQuantity } = require('../src/trading/risk');
+const logger = require('../src/utils/logger');
+
+const ACCOUNT = { portfolioValue: 100000, buyingPower: 100000 };
+
+function buy(stopLoss, priceTarget, extra = {}) {
+    return { symbol: 'AAPL', action: 'buy', confidence: 'medium', stopLoss, priceTarget, ...extra };
+}
+
+function evaluate(decision, market = {}) {
+    return evaluateTrade(decision, { currentPrice: 50, account: ACCOUNT, ...market });
+}
+
+beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('evaluateTrade sizing modes', () => {
+    test('risk: risks 1% of the portfolio between entry and stop', async () => {
+        const result = await evaluate(buy(45, 60));
+
+        // 1000 at risk over 5 a share
+        expect(result).toMatchObject({ isValid: true, positionAction: 'open', quantity: 200, riskRewardRatio: 2, sizingMode: 'risk' });
+        expect(result.details).toMatchObject({ stopLoss: 45, priceTarget: 60, estimatedCost: 10000 });
+    });
+
+    test('atr: places the stop two ATRs away and keeps a target far enough for it', async () => {
+        const result = await evaluate(buy(49, 60), { sizingMode: 'atr', technicals: { atr: 1.5 } });
+
+        // Stop at 50 - 2 * 1.5; 1000 over 3 a share
+        expect(result).toMatchObject({ isValid: true, quantity: 333 });
+        expect(result.details).toMatchObject({ stopLoss: 47, priceTarget: 60 });
+    });
+
+    test('atr: moves a target that is too close for the ATR stop out to the minimum reward', async () => {
+        const result = await evaluate(buy(49, 54), { sizingMode: 'atr', technicals: { atr: 1.5 } });
+
+        expect(result.details).toMatchObject({ stopLoss: 47, priceTarget: 56 });
+        expect(result.riskRewardRatio).toBeCloseTo(2, 9);
+    });
+
+    test('volatility: sizes so a one-ATR move is 0.5% of the portfolio', async () => {
+        const result = await evaluate(buy(45, 60), { sizingMode: 'volatility', technicals: { atr: 2 } });
+
+        expect(result).toMatchObject({ isValid: true, quantity: 250 });
+    });
+
+    test('kelly: risks the quarter-Kelly fraction for the confidence, capped at 3%', async () => {
+        // Low confidence wins 40% at 2:1: full Kelly 0.1, a quarter of it is 2.5%
+        const low = await evaluate(buy(40, 70, { confidence: 'low' }), { sizingMode: 'kelly' });
+        // Medium wins 50%: full Kelly 0.25, a quarter of it is capped at 3%
+        const medium = await evaluate(buy(40, 70), { sizingMode: 'kelly' });
+
+        expect(low.quantity).toBe(250);
+        expect(medium.quantity).toBe(300);
+    });
+
+    test('kelly: declines a trade without an edge', async () => {
+        const result = await evaluate(buy(40, 70, { confidence: 0.3 }), { sizingMode: 'kelly' });
+
+        expect(result).toMatchObject({ isValid: false, reason: 'No position: fractional Kelly sees no edge at confidence 0.3' });
+    });
+
+    test('sizes in fractional shares when enabled', async () => {
+        const whole = await evaluate(buy(47, 60));
+        const fractional = await evaluate(buy(47, 60), { fractional: true });
+
+        expect(whole.quantity).toBe(333);
+        expect(fractional.quantity).toBe(333.333);
+    });
+});
+
+describe('evaluateTrade limits', () => {
+    test('caps a position at 20% of the portfolio', async () => {
+        // 1000 over 1 a share would be 1000 shares
+        const result = await evaluate(buy(49, 52));
+
+        expect(result.quantity).toBe(400);
+    });
+
+    test('counts what is already held against the cap when adding', async () => {
+        const adding = await evaluate(buy(49, 52), { position: { quantity: 300 } });
+        const full = await evaluate(buy(49, 52), { position: { quantity: 400 } });
+
+        expect(adding).toMatchObject({ isValid: true, positionAction: 'add', quantity: 100 });
+        expect(full).toMatchObject({ isValid: false, reason: 'Position in AAPL already at the maximum of 20% of portfolio' });
+    });
+
+    test('rejects a trade below 2:1 reward to risk', async () => {
+        const result = await evaluate(buy(45, 55));
+
+        expect(result).toMatchObject({ isValid: false, reason: 'Risk-reward ratio 1.00 below minimum 2' });
+    });
+
+    test('defaults missing levels to a 2% stop, or two ATRs, with a 2:1 target', async () => {
+        const plain = await evaluate(buy(null, null));
+        const withATR = await evaluate(buy(null, null), { technicals: { atr: 1 } });
+
+        expect(plain).toMatchObject({ isValid: true, details: { stopLoss: 49, priceTarget: 52 } });
+        expect(withATR).toMatchObject({ isValid: true, details: { stopLoss: 48, priceTarget: 54 } });
+    });
+
+    test('sizes a close from the held quantity without new risk', async () => {
+        const result = await evaluate({ symbol: 'AAPL', action: 'sell' }, { position: { quantity: 120 } });
+
+        expect(result).toMatchObject({ isValid: true, positionAction: 'close', quantity: 120, details: { estimatedCost: 0 } });
+    });
+});
+
+describe('calculatePositionSize', () => {
+    test('is limited by the buying power left in the cycle', async () => {
+        const quantity = await calculatePositionSize(
+            { entryPrice: 50, stopLoss: 45, committedBuyingPower: 7000 },
+            { portfolioValue: 100000, buyingPower: 10000 }
+        );
+
+        expect(quantity).toBe(60);
+    });
+});
+
+describe('roundQuantity', () => {
+    test('floors to whole shares or to three decimals', () => {
+        expect(roundQuantity(2.9999, false)).toBe(2);
+        expect(roundQuantity(0.3 / 0.1, true)).toBe(3);
+        expect(roundQuantity(1.23456, true)).toBe(1.234);
+    });
+});
@@ -0,0 +1,57 @@
+const { BUILTIN_RULES } = require('../src/strategies/builtin');
+const { createRuleStrategy, combineSignals } = require('../src/strategies/rules');
+
+const bollinger = createRuleStrategy(BUILTIN_RULES.find(rules => rules.name === 'bollinger_mean_reversion'));
+
+// Closed below the lower band, oversold and ranging; the stop is 1.5 ATRs (3) away
+function stretchedBelow(middle) {
+    return { currentPrice: 100, atr: 2, rsi: 30, bollinger: { pb: -0.1, middle }, adx: { adx: 20 } };
+}
+
+describe('bollinger_mean_reversion', () => {
+    test('buys back to the middle band when that pays 2:1', () => {
+        const signal = bollinger.signal({ technicals: stretchedBelow(106), position: null });
+
+        expect(signal).toMatchObject({ action: 'buy', stopLoss: 97, priceTarget: 106 });
+    });
+
+    test('drops an entry whose middle band is too close for its stop', () => {
+        const signal = bollinger.signal({ technicals: stretchedBelow(104), position: null });
+
+        expect(signal).toMatchObject({ action: 'hold', reasons: ['buy dropped: its levels pay 1.33:1, below 2:1'] });
+    });
+
+    test('still signals the exit of a short, which needs no levels', () => {
+        const signal = bollinger.signal({ technicals: stretchedBelow(104), position: { quantity: -10 } });
+
+        expect(signal.action).toBe('buy');
+    });
+});
+
+describe('combineSignals', () => {
+    function buy(strategy, confidence, stopLoss, priceTarget) {
+        return { strategy, action: 'buy', confidence, stopLoss, priceTarget, reasons: [`${strategy} fired`] };
+    }
+
+    test('takes the stop and target together from the most confident agreeing signal', () => {
+        const decision = combineSignals([
+            buy('wide', 'medium', 90, 130),
+            buy('tight', 'high', 97, 106),
+            buy('other', 'high', 95, 110)
+        ], null);
+
+        expect(decision).toMatchObject({ action: 'buy', positionAction: 'open', confidence: 'high', stopLoss: 97, priceTarget: 106 });
+    });
+
+    test('does not fill a level the lead signal leaves out from another signal', () => {
+        const decision = combineSignals([buy('stop_only', 'high', 97, null), buy('full', 'medium', 95, 110)], null);
+
+        expect(decision).toMatchObject({ stopLoss: 97, priceTarget: null });
+    });
+
+    test('closes a position without levels', () => {
+        const decision = combineSignals([buy('tight', 'high', 97, 106)], { quantity: -10 });
+
+        expect(decision).toMatchObject({ action: 'buy', positionAction: 'close', stopLoss: null, priceTarget: null });
+    });
+});
@@ -0,0 +1,166 @@
+// Intraday timeframes only, so a couple of days of minute bars warm everything up
+process.env.PRIMARY_TIMEFRAME = '5Min';
+process.env.TIMEFRAMES = '5Min,1Hour';
+delete process.env.STREAM_TIMEFRAME;
+
+const { createStreamingEngine } = require('../src/streaming');
+const { createReplayStream } = require('../src/streaming/sources/replay');
+const logger = require('../src/utils/logger');
+
+const MINUTE = 60000;
+const FIRST_BAR = new Date('2024-03-04T00:00:00Z');
+const HISTORY_MINUTES = 35 * 60; // 35 hourly and 420 five-minute bars before the replay
+const REPLAY_MINUTES = 70;
+const START = new Date(FIRST_BAR.getTime() + HISTORY_MINUTES * MINUTE);
+
+// Minute bars drifting up and down around 100
+const BARS = Array.from({ length: HISTORY_MINUTES + REPLAY_MINUTES }, (_, i) => {
+    const close = 100 + 5 * Math.sin(i / 30) + (i % 7) * 0.01;
+    return {
+        timestamp: new Date(FIRST_BAR.getTime() + i * MINUTE),
+        open: close - 0.02,
+        high: close + 0.05 + (i % 3) * 0.01,
+        low: close - 0.05 - (i % 4) * 0.01,
+        close,
+        volume: 100 + i % 10
+    };
+});
+
+/**
+ * Replay the bars through a streaming engine
+ * @param {Function} [onBar] Engine onBar callback, also given the source
+ * @returns {Promise<Object>} { engine, source, triggered }
+ */
+async function startReplay(onBar = () => {}) {
+    const source = createReplayStream({ bars: { AAPL: BARS }, intervalMs: 0, start: START, timeframe: '1Min' });
+    const triggered = [];
+    const engine = createStreamingEngine({
+        symbols: ['AAPL'],
+        source,
+        onBar: (symbol, bar) => {
+            triggered.push(bar);
+            return onBar(symbol, bar, source);
+        }
+    });
+    await engine.start();
+    return { engine, source, triggered };
+}
+
+function replayEnded(source) {
+    return new Promise(resolve => source.once('end', () => setImmediate(resolve)));
+}
+
+// The five-minute bar starting at a replayed minute, built from the minute bars
+function expectedBar(minute, length) {
+    const bars = BARS.slice(HISTORY_MINUTES + minute, HISTORY_MINUTES + minute + length);
+    return {
+        timestamp: bars[0].timestamp,
+        open: bars[0].open,
+        high: Math.max(...bars.map(bar => bar.high)),
+        low: Math.min(...bars.map(bar => bar.low)),
+        close: bars[bars.length - 1].close,
+        volume: bars.reduce((sum, bar) => sum + bar.volume, 0)
+    };
+}
+
+// Indicators without the wall-clock time they were read at
+async function readIndicators(engine) {
+    const { timestamp, timeframes, ...technicals } = await engine.getTechnicals('AAPL');
+    return {
+        ...technicals,
+        timeframes: Object.fromEntries(Object.entries(timeframes)
+            .map(([timeframe, { timestamp: readAt, ...snapshot }]) => [timeframe, snapshot]))
+    };
+}
+
+let running = null;
+
+beforeEach(() => {
+    for (const level of ['info', 'warn', 'error']) {
+        jest.spyOn(logger, level).mockImplementation(() => {});
+    }
+});
+
+afterEach(() => {
+    if (running) {
+        running.stop();
+        running = null;
+    }
+    jest.restoreAllMocks();
+});
+
+describe('streaming engine on a replay', () => {
+    test('warms up every timeframe from history before the first live bar', async () => {
+        const { engine, triggered } = await startReplay();
+        running = engine;
+
+        const technicals = await engine.getTechnicals('AAPL');
+
+        expect(engine.trigger).toBe('5Min');
+        expect(technicals.timeframes['5Min'].currentPrice).toBe(BARS[HISTORY_MINUTES - 1].close);
+        expect(technicals.timeframes['1Hour'].currentPrice).toBe(BARS[HISTORY_MINUTES - 1].close);
+        expect(technicals.timeframes['1Hour'].history.close).toEqual(
+            [5, 4, 3, 2, 1].map(hours => BARS[HISTORY_MINUTES - (hours - 1) * 60 - 1].close));
+        expect(triggered).toHaveLength(0);
+    });
+
+    test('builds five-minute and hourly bars from the streamed minutes', async () => {
+        const { engine, source, triggered } = await startReplay();
+        running = engine;
+        await replayEnded(source);
+
+        // Every completed five-minute bar reaches onBar, in order
+        expect(triggered).toHaveLength(REPLAY_MINUTES / 5);
+        expect(triggered[0]).toMatchObject(expectedBar(0, 5));
+        expect(triggered[triggered.length - 1]).toMatchObject(expectedBar(REPLAY_MINUTES - 5, 5));
+
+        // One hourly bar completed; the second is still forming
+        const technicals = await engine.getTechnicals('AAPL');
+        expect(technicals.timeframes['1Hour'].currentPrice).toBe(expectedBar(0, 60).close);
+        expect(technicals.currentPrice).toBe(BARS[BARS.length - 1].close);
+        expect(engine.status().symbols.AAPL.lastBarTime).toEqual(BARS[BARS.length - 1].timestamp);
+    });
+
+    test('ignores bars it has already seen', async () => {
+        const { engine, source, triggered } = await startReplay();
+        running = engine;
+        await replayEnded(source);
+        const before = await readIndicators(engine);
+
+        // A repeat of the last bar with a different close, and an old bar arriving late
+        const last = BARS[BARS.length - 1];
+        source.emit('bar', { symbol: 'AAPL', ...last, close: last.close + 10 });
+        source.emit('bar', { symbol: 'AAPL', ...BARS[HISTORY_MINUTES + 10] });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const after = await readIndicators(engine);
+        expect(after).toEqual(before);
+        expect(after.currentPrice).toBe(last.close);
+        expect(triggered).toHaveLength(REPLAY_MINUTES / 5);
+        expect(engine.status().symbols.AAPL.lastBarTime).toEqual(last.timestamp);
+    });
+
+    test('backfills the bars missed while disconnected', async () => {
+        const uninterrupted = await startReplay();
+        running = uninterrupted.engine;
+        await replayEnded(uninterrupted.source);
+        const expected = await readIndicators(uninterrupted.engine);
+        uninterrupted.engine.stop();
+
+        // Drop the connection after the first five-minute bar and miss seven minutes
+        let dropped = false;
+        const { engine, source } = await startReplay((symbol, bar, stream) => {
+            if (!dropped) {
+                dropped = true;
+                stream.drop(7);
+            }
+        });
+        running = engine;
+        await replayEnded(source);
+
+        expect(engine.status()).toMatchObject({ connected: true, disconnects: 1 });
+        expect(logger.info).toHaveBeenCalledWith('Backfilled 7 1Min bars', { symbol: 'AAPL' });
+        // Nothing is missing: the indicators match a run that never disconnected
+        expect(await readIndicators(engine)).toEqual(expected);
+    });
+});